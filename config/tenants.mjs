@@ -0,0 +1,61 @@
+// config/tenants.mjs
+// Registr obcí (tenantů). Nová obec = nový záznam v TENANTS, žádný fork.
+//
+// Pole záznamu:
+//   name           – název obce v 1. pádě ("Chomutice")
+//   base           – kořenová URL oficiálního webu obce
+//   hosts          – hostnames nasazení widgetu, které patří této obci (přesná shoda; doména z `base` platí vždy)
+//   sections       – cesty k výpisům na webu obce (přepisují DEFAULT_SECTIONS)
+//   scrape         – volitelně { maxPages, maxAgeDays } pro stránkování LIVE výpisů
+//   kb.startPaths  – odkud začíná crawl scripts/build_kb.js
+//   kb.faq         – ručně ověřené FAQ ({ entries: [{ id, title, url, answer, keywords }] }) pro rychlou
+//                    odpověď bez asistenta (cesta relativně k repu; bez ní → vždy asistent)
+//   skin           – složka ve skins/ (pozadí, erb, skin.json s barvami a texty widgetu – viz lib/skin.mjs)
+//   liveFile       – název LIVE souboru ve vector store
+//   knowledgeDir   – složka se soubory znalostní báze pro scripts/sync-knowledge.mjs (default knowledge/<slug>)
+//   openai         – assistantId / vectorStoreId (lze přepsat env ASSISTANT_ID_<SLUG>, VECTOR_STORE_ID_<SLUG>)
+//   llm            – volitelně { provider, model, baseUrl } pro lib/llm.mjs (přepisuje env LLM_PROVIDER_<SLUG>,
+//                    LLM_MODEL, OPENAI_BASE_URL; provider assistants | chat | mock)
+//   disclaimer     – upozornění zobrazené ve widgetu
+//   userAgent      – User-Agent pro scrapery
+
+export const DEFAULT_TENANT = "chomutice";
+
+export const DEFAULT_SECTIONS = {
+  aktuality: "/aktuality-1/",
+  rozhlas: "/hlaseni-rozhlasu/",
+  kalendar: "/kalendar-akci/",
+};
+
+export const TENANTS = {
+  chomutice: {
+    name: "Chomutice",
+    base: "https://www.obec-chomutice.cz",
+    hosts: [],
+    sections: DEFAULT_SECTIONS,
+    kb: { startPaths: ["/"] },
+    skin: "chomutice",
+    liveFile: "10_LIVE_obec_chomutice.txt",
+    knowledgeDir: "knowledge",
+    openai: { assistantId: "", vectorStoreId: "" },
+    disclaimer:
+      "Odpovědi tohoto asistenta jsou generovány umělou inteligencí na základě dostupných informací.\n" +
+      "Právně závazné a oficiální informace si vždy ověřte na oficiálním webu obce Chomutice nebo přímo na obecním úřadě.",
+    userAgent: "ChomuticeBot/1.0",
+  },
+
+  radim: {
+    name: "Radim",
+    base: "https://www.obec-radim.cz",
+    hosts: [],
+    sections: DEFAULT_SECTIONS,
+    kb: { startPaths: ["/", "/urad/", "/urad/uzemni-a-rozvojovy-plan/"], faq: "kb/kb.json" },
+    skin: "radim",
+    liveFile: "10_LIVE_obec_radim.txt",
+    openai: { assistantId: "", vectorStoreId: "" },
+    disclaimer:
+      "Odpovědi tohoto asistenta jsou generovány umělou inteligencí na základě dostupných informací.\n" +
+      "Právně závazné a oficiální informace si vždy ověřte na oficiálním webu obce Radim nebo přímo na obecním úřadě.",
+    userAgent: "RadimChatbotKB/1.0 (+github actions)",
+  },
+};
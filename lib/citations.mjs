@@ -0,0 +1,169 @@
+// lib/citations.mjs
+// Citace v odpovědi → číslované odkazy [n] v textu + pole `sources` pro widget.
+//
+//   Assistants v2: anotace file_citation (【4:0†source】) → soubor ve vector store → konkrétní stránka
+//     LIVE soubor      → položka LIVE dat (aktualita, hlášení, akce) podle citované věty
+//     chunks_<slug>    → stránka webu obce z KB chunků (kb/index_<slug>.json)
+//     ostatní knowledge → soubor znalostní báze, odkaz na web obce
+//   chat / mock: model cituje [k] podle pořadí podkladů → přečíslovat podle unikátních URL
+//
+// Zdroj: { n, title, url, file? }
+
+import { loadIndex, searchIndex, buildIndex } from "./retrieval.mjs";
+import { loadLiveData, liveChunks } from "./live.mjs";
+
+const MARKER_RE = /【\d+:\d+†[^】]+】/g;
+
+export function stripCitations(text) {
+  // Odstraní citace typu 【4:0†source】
+  return String(text || "").replace(MARKER_RE, "").trim();
+}
+
+// při streamování přichází citace v deltách po kouscích → nedokončenou "【…" podržet do další delty
+export function citationStreamFilter() {
+  let pending = "";
+  return {
+    push(text) {
+      pending += text;
+      const open = pending.lastIndexOf("【");
+      let out = pending;
+      pending = "";
+      if (open >= 0 && out.indexOf("】", open) < 0) {
+        pending = out.slice(open);
+        out = out.slice(0, open);
+      }
+      return out.replace(MARKER_RE, "");
+    },
+    flush() {
+      const out = pending.replace(MARKER_RE, "");
+      pending = "";
+      return out;
+    },
+  };
+}
+
+// "[1][1]" → "[1]" (víc anotací na stejný zdroj za sebou)
+function collapseRefs(text) {
+  return text.replace(/(\[\d+\])(?:\s*\1)+/g, "$1");
+}
+
+function numbering() {
+  const sources = [];
+  const byKey = new Map();
+  return {
+    sources,
+    ref(source) {
+      const key = source.url || source.file || source.title;
+      if (!byKey.has(key)) {
+        byKey.set(key, sources.length + 1);
+        sources.push({ n: sources.length + 1, ...source });
+      }
+      return byKey.get(key);
+    },
+  };
+}
+
+// citovaná věta: text od předchozí citace / konce věty až k anotaci
+function citedSentence(text, from, to) {
+  const segment = text.slice(from, to);
+  const parts = segment.split(/(?<=[.!?])\s+|\n+/).filter((p) => p.trim());
+  return (parts.at(-1) || segment).slice(-400);
+}
+
+function prettyFilename(filename) {
+  return String(filename || "")
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[_-]+/g, " ")
+    .trim();
+}
+
+function isLiveFile(tenant, filename) {
+  return filename === tenant.liveFile || /^10_LIVE_/i.test(filename);
+}
+
+/**
+ * Zdroj pro jednu citaci souboru.
+ * @param {object} tenant
+ * @param {string} filename název souboru ve vector store
+ * @param {string} sentence citovaná věta odpovědi
+ * @param {{ live?: object, kb?: object }} indexes BM25 indexy (LIVE položky, KB chunky)
+ */
+export function citationSource(tenant, filename, sentence, { live, kb } = {}) {
+  const stopwords = [tenant.slug, tenant.name];
+  const best = (index) => (index ? searchIndex(index, sentence, { limit: 1, stopwords })[0] : null);
+
+  if (isLiveFile(tenant, filename)) {
+    const hit = best(live);
+    if (hit?.url) return { title: hit.text.split("\n")[0], url: hit.url, file: filename };
+    return { title: `Aktuální informace obce ${tenant.name}`, url: tenant.base, file: filename };
+  }
+
+  if (/^chunks_.*\.json$/i.test(filename)) {
+    const hit = best(kb);
+    if (hit?.url) return { title: hit.source || hit.url, url: hit.url, file: filename };
+  }
+
+  return { title: prettyFilename(filename) || `Web obce ${tenant.name}`, url: tenant.base, file: filename || undefined };
+}
+
+function tenantIndexes(tenant) {
+  const live = loadLiveData(tenant);
+  return { live: live ? buildIndex(liveChunks(live)) : null, kb: loadIndex(tenant) };
+}
+
+/**
+ * Text zprávy asistenta s anotacemi → { answer, sources }.
+ * @param {object} tenant
+ * @param {{ value: string, annotations?: object[] }[]} parts textové části zprávy
+ * @param {{ fileName: (fileId: string) => Promise<string>, indexes?: { live?, kb? } }} opts
+ */
+export async function resolveCitations(tenant, parts, { fileName, indexes } = {}) {
+  const { sources, ref } = numbering();
+  const texts = [];
+  let idx = indexes;
+
+  for (const { value = "", annotations = [] } of parts) {
+    const cites = annotations
+      .filter((a) => a?.type === "file_citation" && Number.isInteger(a.start_index) && Number.isInteger(a.end_index))
+      .sort((a, b) => a.start_index - b.start_index);
+
+    let out = "";
+    let pos = 0;
+    let sentence = "";
+    for (const a of cites) {
+      if (a.start_index < pos) continue;
+      idx ||= tenantIndexes(tenant);
+      let filename = "";
+      try {
+        filename = (await fileName(a.file_citation?.file_id)) || "";
+      } catch {}
+      // víc citací za sebou patří ke stejné větě
+      sentence = citedSentence(value, pos, a.start_index).trim() || sentence;
+      const n = ref(citationSource(tenant, filename, sentence, idx));
+
+      out += `${value.slice(pos, a.start_index).replace(/\s+$/, "")}[${n}]`;
+      pos = a.end_index;
+    }
+    out += value.slice(pos);
+    texts.push(collapseRefs(stripCitations(out)));
+  }
+
+  return { answer: texts.filter(Boolean).join("\n\n"), sources };
+}
+
+/**
+ * Odpověď s odkazy [k] na podklady (pořadí v kontextu) → přečíslované [n] + sources.
+ * Model bez citací → zdroji jsou všechny podklady.
+ */
+export function numberContextCitations(answer, context) {
+  const { sources, ref } = numbering();
+  const toSource = (c) => ({ title: c.source || c.url, url: c.url });
+
+  const text = String(answer || "").replace(/\s*\[(\d+)\]/g, (m, k) => {
+    const c = context[Number(k) - 1];
+    return c?.url ? `[${ref(toSource(c))}]` : "";
+  });
+
+  if (!sources.length) context.filter((c) => c.url).forEach((c) => ref(toSource(c)));
+  return { answer: collapseRefs(text).trim(), sources };
+}
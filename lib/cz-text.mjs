@@ -0,0 +1,45 @@
+// lib/cz-text.mjs
+// Normalizace českého textu pro vyhledávání: bez diakritiky, stopslova, jednoduchý stemmer.
+// Používá FAQ fast-path (lib/faq.mjs) i offline retrieval (lib/retrieval.mjs).
+
+// tazací a spojovací slova, která o tématu nic neříkají (bez diakritiky)
+const STOPWORDS = new Set(
+  (
+    "a i o u v ve k ke s se z ze na do od po pro pri za je jsou jsem jste byt bude budou ma mate maji mam " +
+    "jak jaky jaka jake jakou jakych kde kdy co kdo ktery ktera ktere kolik prosim najdu najit chci " +
+    "chtel chtela bych potrebuji potrebuju muzu mohu lze dekuji dobry den ahoj mi me mne vas vam " +
+    "nejaky nejake tady tam to ten ta tento tato toto ale nebo jako by take tak jen jeho jeji jejich " +
+    "obec obce obci"
+  ).split(" ")
+);
+
+// koncovky od nejdelší; kmen musí zůstat aspoň 4 znaky
+const SUFFIXES = [
+  "ovi", "ami", "emi", "ach", "ech", "ich", "ych", "ymi", "imi", "iho", "eho", "emu", "ymu", "imu",
+  "ou", "em", "um", "am", "at", "a", "e", "i", "o", "u", "y",
+];
+
+export function foldText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+export function stemCz(word) {
+  for (const suf of SUFFIXES) {
+    if (word.length - suf.length >= 4 && word.endsWith(suf)) return word.slice(0, -suf.length);
+  }
+  return word;
+}
+
+// obsahová slova: bez diakritiky, bez stopslov, zkrácená na kmen
+export function tokenize(text, extraStopwords = []) {
+  const extra = new Set(extraStopwords.map(foldText));
+  return foldText(text)
+    .split(" ")
+    .filter((w) => w && !STOPWORDS.has(w) && !extra.has(w))
+    .map(stemCz);
+}
@@ -0,0 +1,332 @@
+// lib/czech-date.mjs
+// Parser českých datumových výrazů z volného textu (perexy, hlášení, kalendář).
+//
+// Umí: "22. 11. 2025", "12. 12." (rok se dovodí), "30. září 2025", "sobota 21. března",
+// rozsahy "Od 22. 12. 2025 do 2. 1. 2026", "22.–24. 11.", časy "16:30", "18.18 hodin",
+// "od 16 hodin", "od 16:30 do 18:30", "9 až 15 hodin".
+//
+// Výsledky jsou v místním čase Europe/Prague jako řetězce "YYYY-MM-DD" nebo "YYYY-MM-DDTHH:MM"
+// (bez offsetu) – porovnávají se lexikograficky a do iCalendar jdou s TZID.
+
+export const TIME_ZONE = "Europe/Prague";
+
+const MONTHS = {
+  ledna: 1, leden: 1,
+  února: 2, únor: 2,
+  března: 3, březen: 3,
+  dubna: 4, duben: 4,
+  května: 5, květen: 5,
+  června: 6, červen: 6,
+  července: 7, červenec: 7,
+  srpna: 8, srpen: 8,
+  září: 9,
+  října: 10, říjen: 10,
+  listopadu: 11, listopad: 11,
+  prosince: 12, prosinec: 12,
+};
+
+// 0 = neděle (jako Date#getUTCDay); i 2. pád kvůli rozsahům "do pátku 2. 1."
+const WEEKDAYS = {
+  neděle: 0, neděli: 0,
+  pondělí: 1,
+  úterý: 2,
+  středa: 3, středu: 3, středy: 3,
+  čtvrtek: 4, čtvrtku: 4,
+  pátek: 5, pátku: 5,
+  sobota: 6, sobotu: 6, soboty: 6,
+};
+
+const WEEKDAY_SHORT = ["ne", "po", "út", "st", "čt", "pá", "so"];
+
+const MONTH_ALT = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join("|");
+const WEEKDAY_ALT = Object.keys(WEEKDAYS).join("|");
+
+// [den v týdnu] D. (M. | měsíc) [RRRR]; volitelně "D.–" na začátku pro rozsah dnů;
+// ne uprostřed čísel verzí / IP adres ("1.2.3", "10.1.2.3")
+const DATE_RE = new RegExp(
+  `(?<![\\d.])(?:(${WEEKDAY_ALT})\\s+)?` +
+    `(?:(\\d{1,2})\\.\\s*(?:-|–|až)\\s*)?` +
+    `(\\d{1,2})\\.\\s*(?:(\\d{1,2})\\.|(${MONTH_ALT})(?![\\p{L}]))` +
+    `(?:\\s*(\\d{4}))?(?!\\d)`,
+  "giu"
+);
+
+// časový rozsah: "od 16:30 do 18:30", "9 až 15 hodin", "16–18 h"
+const TIME_RANGE_RE =
+  /(?:\bod\s+)?\b(\d{1,2})(?:[:.](\d{2}))?\s*(?:hod(?:in|\.)?\s*)?(?:do|až|-|–)\s*(\d{1,2})(?:[:.](\d{2}))?(\s*(?:hod|h\b))?/iu;
+
+// jednotlivý čas: "16:30", "18.18 hodin", "od 16 hodin", "v 17 hod."
+const TIME_RE = /(?:\b(od|v|ve|ve?\s+čase)\s+)?\b(\d{1,2})(?:([:.])(\d{2}))?(\s*(?:hod|h\b))?/iu;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function toDateKey(y, m, d) {
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function isValidDate(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function weekdayOf(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function isValidTime(h, min) {
+  return h >= 0 && h <= 23 && min >= 0 && min <= 59;
+}
+
+// "2025-11-18" / "2025-11-18T10:00" / Date → "YYYY-MM-DD"
+function referenceKey(reference) {
+  if (!reference) return pragueNowLocal().slice(0, 10);
+  if (reference instanceof Date) return toPragueLocal(reference).slice(0, 10);
+  return String(reference).slice(0, 10);
+}
+
+function addDays(key, days) {
+  const [y, m, d] = key.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Dovození roku pro datum bez roku: nejbližší výskyt, který není víc než 14 dní
+ * před referenčním datem (typicky datum publikace). Když je uveden den v týdnu,
+ * mají přednost roky, kde sedí.
+ */
+function inferYear(m, d, weekday, refKey) {
+  const refYear = Number(refKey.slice(0, 4));
+  let years = [refYear - 1, refYear, refYear + 1].filter((y) => isValidDate(y, m, d));
+  if (weekday != null) {
+    const matching = years.filter((y) => weekdayOf(y, m, d) === weekday);
+    if (matching.length) years = matching;
+  }
+  if (!years.length) return null;
+
+  const floor = addDays(refKey, -14);
+  const after = years.filter((y) => toDateKey(y, m, d) >= floor);
+  return after.length ? after[0] : years[years.length - 1];
+}
+
+function parseTimeRange(text) {
+  const m = text.match(TIME_RANGE_RE);
+  if (!m) return null;
+
+  const [, h1, m1, h2, m2, unit] = m;
+  // "5. 12." apod. nejsou časy: chceme minuty, "hod" nebo "od"
+  const explicit = m1 != null || m2 != null || unit || /^od\s/i.test(m[0]);
+  if (!explicit) return null;
+
+  const a = [Number(h1), Number(m1 || 0)];
+  const b = [Number(h2), Number(m2 || 0)];
+  if (!isValidTime(...a) || !isValidTime(...b)) return null;
+  return { start: `${pad(a[0])}:${pad(a[1])}`, end: `${pad(b[0])}:${pad(b[1])}`, index: m.index };
+}
+
+function parseSingleTime(text) {
+  const re = new RegExp(TIME_RE.source, "giu");
+  let m;
+  while ((m = re.exec(text))) {
+    const [, prep, h, sep, min, unit] = m;
+    // bez jednotky bereme jen "16:30", případně "od 18.30"
+    const explicit = unit || sep === ":" || (prep && min != null);
+    if (!explicit) continue;
+    const hh = Number(h);
+    const mm = Number(min || 0);
+    if (!isValidTime(hh, mm)) continue;
+    return { start: `${pad(hh)}:${pad(mm)}`, index: m.index };
+  }
+  return null;
+}
+
+// čas (nebo časový rozsah) v úseku textu za datem
+function parseTime(text) {
+  const range = parseTimeRange(text);
+  const single = parseSingleTime(text);
+  if (range && (!single || range.index <= single.index)) return range;
+  return single;
+}
+
+/**
+ * Najde všechna data v textu.
+ * Vrací [{ start, end?, allDay, raw, index }] – start/end jako "YYYY-MM-DD" nebo "YYYY-MM-DDTHH:MM".
+ *
+ * @param {string} text
+ * @param {{ reference?: string|Date }} [opts] reference pro dovození roku (default dnes v Praze)
+ */
+export function parseCzechDates(text, { reference } = {}) {
+  const src = String(text || "").replace(/\u00A0/g, " ");
+  const refKey = referenceKey(reference);
+
+  const raw = [];
+  for (const m of src.matchAll(DATE_RE)) {
+    const [full, wd, dayFrom, d, mNum, mName, y] = m;
+    const month = mNum ? Number(mNum) : MONTHS[mName.toLowerCase()];
+    const day = Number(d);
+    const weekday = wd ? WEEKDAYS[wd.toLowerCase()] : null;
+    if (!month || month > 12) continue;
+
+    const year = y ? Number(y) : inferYear(month, day, weekday, refKey);
+    if (!year || !isValidDate(year, month, day)) continue;
+
+    raw.push({
+      key: toDateKey(year, month, day),
+      fromKey: dayFrom && isValidDate(year, month, Number(dayFrom)) ? toDateKey(year, month, Number(dayFrom)) : null,
+      explicitYear: !!y,
+      index: m.index,
+      endIndex: m.index + full.length,
+      raw: full.trim(),
+    });
+  }
+
+  // rok uvedený jen u druhého data rozsahu ("22. 12. – 2. 1. 2026") → první se dopočítá k němu
+  for (let i = 0; i < raw.length - 1; i++) {
+    const a = raw[i];
+    const b = raw[i + 1];
+    if (!a.explicitYear && b.explicitYear && a.key > b.key) {
+      const prev = `${Number(a.key.slice(0, 4)) - 1}${a.key.slice(4)}`;
+      if (isValidDate(...prev.split("-").map(Number))) a.key = prev;
+    }
+  }
+
+  const out = [];
+  for (let i = 0; i < raw.length; i++) {
+    const cur = raw[i];
+    const next = raw[i + 1];
+    const tail = src.slice(cur.endIndex, next ? next.index : cur.endIndex + 80);
+
+    // "Od 22. 12. 2025 do 2. 1. 2026" → jeden rozsah
+    if (next && /^\s*(?:do|až|-|–)\s*$/i.test(src.slice(cur.endIndex, next.index).replace(new RegExp(`(${WEEKDAY_ALT})`, "giu"), ""))) {
+      const nextTail = src.slice(next.endIndex, raw[i + 2] ? raw[i + 2].index : next.endIndex + 80);
+      const t = parseTime(nextTail);
+      out.push({
+        start: cur.key,
+        end: t?.end ? `${next.key}T${t.end}` : next.key,
+        allDay: true,
+        raw: src.slice(cur.index, next.endIndex).trim(),
+        index: cur.index,
+      });
+      i++;
+      continue;
+    }
+
+    if (cur.fromKey) {
+      out.push({ start: cur.fromKey, end: cur.key, allDay: true, raw: cur.raw, index: cur.index });
+      continue;
+    }
+
+    const t = parseTime(tail);
+    if (t) {
+      out.push({
+        start: `${cur.key}T${t.start}`,
+        ...(t.end ? { end: `${cur.key}T${t.end}` } : {}),
+        allDay: false,
+        raw: cur.raw,
+        index: cur.index,
+      });
+    } else {
+      out.push({ start: cur.key, allDay: true, raw: cur.raw, index: cur.index });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Termín akce z textu: první nalezené datum; další data do 14 dní od něj
+ * (např. "22. 12. … 23. 12.") rozšíří konec. null když text žádné datum nemá.
+ */
+export function extractEventTime(text, opts = {}) {
+  const dates = parseCzechDates(text, opts);
+  if (!dates.length) return null;
+
+  const first = dates[0];
+  const limit = addDays(first.start.slice(0, 10), 14);
+  let end = first.end || null;
+  for (const d of dates.slice(1)) {
+    if (d.start.slice(0, 10) > limit || d.start < first.start) break;
+    end = d.end || d.start;
+  }
+
+  return {
+    start: first.start,
+    ...(end ? { end } : {}),
+    allDay: first.allDay && (!end || !end.includes("T")),
+    raw: first.raw,
+  };
+}
+
+// Date → "YYYY-MM-DDTHH:MM" v Europe/Prague
+export function toPragueLocal(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: TIME_ZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+// "YYYY-MM-DD[THH:MM]" v Europe/Prague → Date (okamžik v UTC), včetně letního času
+export function pragueLocalToDate(key) {
+  const [date, time = "00:00"] = String(key).split("T");
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+
+  const offsetAt = (ms) => {
+    const [ld, lt] = toPragueLocal(new Date(ms)).split("T");
+    const [ly, lm, lday] = ld.split("-").map(Number);
+    const [lh, lmin] = lt.split(":").map(Number);
+    return Date.UTC(ly, lm - 1, lday, lh, lmin) - ms;
+  };
+
+  let ms = wall - offsetAt(wall);
+  ms = wall - offsetAt(ms);
+  return new Date(ms);
+}
+
+export function pragueNowLocal() {
+  return toPragueLocal(new Date());
+}
+
+/**
+ * "upcoming" | "past" vůči `now` (Date nebo místní "YYYY-MM-DDTHH:MM").
+ * Akce bez času konce je nadcházející až do konce svého dne.
+ */
+export function classifyEvent(event, now = new Date()) {
+  if (!event?.start) return null;
+  const nowLocal = now instanceof Date ? toPragueLocal(now) : String(now);
+
+  const last = event.end || event.start;
+  if (event.end && event.end.includes("T")) return event.end >= nowLocal ? "upcoming" : "past";
+  return last.slice(0, 10) >= nowLocal.slice(0, 10) ? "upcoming" : "past";
+}
+
+// "2025-11-22T16:00" → "so 22. 11. 2025 16:00"
+export function formatCzechDateTime(key) {
+  if (!key) return "";
+  const [date, time] = String(key).split("T");
+  const [y, m, d] = date.split("-").map(Number);
+  const wd = WEEKDAY_SHORT[weekdayOf(y, m, d)];
+  return `${wd} ${d}. ${m}. ${y}${time ? ` ${time}` : ""}`;
+}
+
+// { start, end } → "so 22. 11. 2025 16:00–18:00" / "po 22. 12. 2025 – pá 2. 1. 2026"
+export function formatEventTime(event) {
+  if (!event?.start) return "";
+  const start = formatCzechDateTime(event.start);
+  if (!event.end) return start;
+  if (event.end.slice(0, 10) === event.start.slice(0, 10) && event.end.includes("T")) {
+    return `${start}–${event.end.split("T")[1]}`;
+  }
+  return `${start} – ${formatCzechDateTime(event.end)}`;
+}
@@ -0,0 +1,195 @@
+// lib/extract.mjs
+// Extrakce dat z HTML webu obce (cheerio). Čisté funkce bez sítě – používá je
+// scripts/live_chomutice_scrape.mjs a testy nad uloženými fixtures (test/fixtures).
+
+import path from "path";
+
+// selektory šablony CMS – když se změní, hlídá to checkLiveSanity + testy
+export const SELECTORS = {
+  listItem: ".event.readable_item",
+  title: "h3.title",
+  date: ".publication_date",
+  perex: ".perex",
+};
+
+// odkaz na detail v položce výpisu podle sekce
+export const LIST_LINK_SELECTORS = {
+  aktuality: "h3.title a",
+  rozhlas: "a",
+  kalendar: "h3.title a",
+};
+
+export function cleanText(str) {
+  if (!str) return "";
+  return String(str).replace(/ /g, " ").replace(/\s+/g, " ").trim();
+}
+
+export function absUrl(href, base) {
+  if (!href) return "";
+  if (href.startsWith("http")) return href;
+  if (href.startsWith("/")) return base + href;
+  return base + "/" + href;
+}
+
+/* =========================
+   HOMEPAGE – provozní info
+========================= */
+export function extractHomepageNotice($) {
+  const notices = [];
+  const keywords = /(uzavřen|uzavřena|uzavřeno|mimořádn|omezen|dovolen)/i;
+
+  $("p, li").each((_, el) => {
+    const text = cleanText(
+      $(el).clone().children().remove().end().text()
+    );
+
+    if (text && text.length > 15 && text.length < 200 && keywords.test(text)) {
+      notices.push(text);
+    }
+  });
+
+  return [...new Set(notices)].slice(0, 3);
+}
+
+/* =========================
+   VÝPIS (aktuality / rozhlas / kalendář)
+========================= */
+/**
+ * Položky jedné stránky výpisu: [{ title, date, perex, url }].
+ * `found` = počet bloků položek v HTML (i těch bez titulku/odkazu) – pro detekci změny šablony.
+ */
+export function extractListItems($, { base, linkSelector = "h3.title a" }) {
+  const items = [];
+  const blocks = $(SELECTORS.listItem);
+
+  blocks.each((_, el) => {
+    const title = cleanText($(el).find(SELECTORS.title).text());
+    const href = $(el).find(linkSelector).attr("href");
+    const date = cleanText($(el).find(SELECTORS.date).text());
+    // "… celý text" je jen odkaz na detail
+    const perex = cleanText($(el).find(SELECTORS.perex).text()).replace(/\s*celý text$/i, "");
+    if (!title || !href) return;
+    items.push({ title, date, perex, url: absUrl(href, base) });
+  });
+
+  return { items, found: blocks.length };
+}
+
+/* =========================
+   STRÁNKOVÁNÍ
+========================= */
+// odkazy na další stránky výpisu (paging CMS, rel=next); jen v rámci stejné sekce
+export function findPageLinks($, pageUrl, { base, sectionPath }) {
+  const links = [];
+  $(
+    'a[rel="next"], .paging a, .pagination a, .pager a, [class*="paging"] a, [class*="pagination"] a'
+  ).each((_, a) => {
+    const href = $(a).attr("href");
+    if (!href || href.startsWith("#") || href.startsWith("javascript:")) return;
+
+    let u;
+    try {
+      u = new URL(href, pageUrl);
+    } catch {
+      return;
+    }
+    u.hash = "";
+    if (u.origin !== new URL(base).origin) return;
+    if (!u.pathname.startsWith(sectionPath)) return;
+    // detail článku (…-840cs.html) není stránka výpisu
+    if (/\d+(_\d+)?cs\.html$/i.test(u.pathname)) return;
+
+    links.push(u.toString());
+  });
+  return [...new Set(links)];
+}
+
+/* =========================
+   DETAIL POLOŽKY
+========================= */
+const ATTACHMENT_EXT = /\.(pdf|docx?|xlsx?|odt|ods|rtf|txt|zip|jpe?g|png|gif|webp)$/i;
+const IMAGE_EXT = /^(jpe?g|png|gif|webp)$/i;
+
+// typ přílohy podle přípony v URL nebo v textu odkazu ("Plakát.pdf", "(PDF, 1 MB)")
+export function attachmentType(url, label) {
+  const fromPath = (() => {
+    try {
+      return (new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i) || [])[1];
+    } catch {
+      return "";
+    }
+  })();
+  const fromLabel = (String(label).match(/\.([a-z0-9]{2,5})\b|\(([a-z]{3,4})\b/i) || []).slice(1).find(Boolean);
+  // download.php?file=… nic neříká → přednost má text odkazu
+  const usablePath = fromPath && !/^(php|html?|aspx?)$/i.test(fromPath) ? fromPath : "";
+  const ext = (usablePath || fromLabel || "").toLowerCase();
+  return ext === "jpeg" ? "jpg" : ext || "soubor";
+}
+
+function attachmentName(url, label) {
+  const text = cleanText(label);
+  if (text) return text;
+  try {
+    return decodeURIComponent(path.basename(new URL(url).pathname)) || url;
+  } catch {
+    return url;
+  }
+}
+
+function isAttachmentUrl(url, base) {
+  try {
+    const u = new URL(url);
+    if (u.origin !== new URL(base).origin) return false;
+    return u.pathname.toLowerCase().includes("download.php") || ATTACHMENT_EXT.test(u.pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hlavní text a přílohy z detailní stránky položky.
+ * Vrací { text, attachments: [{ name, url, type }] }.
+ */
+export function extractDetail($, pageUrl, { base, textLimit = 4000 }) {
+  $("script, style, noscript, svg, nav, header, footer, form, .breadcrumbs, .paging").remove();
+
+  const candidates = [SELECTORS.listItem, "article", "#content", ".content", "main", "body"];
+  let $root = $("body");
+  for (const sel of candidates) {
+    const el = $(sel).first();
+    if (el.length && cleanText(el.text()).length > 50) {
+      $root = el;
+      break;
+    }
+  }
+
+  const blocks = [];
+  $root.find("p, li, h2, h3, h4, td").each((_, el) => {
+    const t = cleanText($(el).clone().children("ul, ol").remove().end().text());
+    if (t) blocks.push(t);
+  });
+  let text = [...new Set(blocks)].join("\n") || cleanText($root.text());
+  if (text.length > textLimit) text = text.slice(0, textLimit).trimEnd() + " …";
+
+  const attachments = [];
+  const seen = new Set();
+  const add = (href, label, isImage = false) => {
+    if (!href || href.startsWith("data:")) return;
+    let url;
+    try {
+      url = new URL(href, pageUrl).toString();
+    } catch {
+      return;
+    }
+    if (seen.has(url)) return;
+    if (isImage ? !IMAGE_EXT.test(attachmentType(url, "")) : !isAttachmentUrl(url, base)) return;
+    seen.add(url);
+    attachments.push({ name: attachmentName(url, label), url, type: attachmentType(url, label) });
+  };
+
+  // přílohy bývají i mimo hlavní blok → odkazy z celé stránky, obrázky jen z obsahu
+  $("a[href]").each((_, a) => add($(a).attr("href"), $(a).text()));
+  $root.find("img[src]").each((_, img) => add($(img).attr("src"), $(img).attr("alt") || "", true));
+
+  return { text, attachments };
+}
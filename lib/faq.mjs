@@ -0,0 +1,107 @@
+// lib/faq.mjs
+// Rychlá odpověď z ručně ověřených FAQ (kb/kb.json) bez volání asistenta.
+// Shoda otázky s klíčovými slovy: bez diakritiky, tolerantní ke skloňování (jednoduchý stemmer
+// + prefixová shoda), s prahem jistoty a kontrolou, že otázka nesedí stejně dobře na jiný záznam.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { foldText, tokenize } from "./cz-text.mjs";
+
+export const FAQ_MIN_CONFIDENCE = 0.6;
+// druhý nejlepší záznam nad touto částí skóre vítěze → nejednoznačné, radši asistent
+const FAQ_MAX_RIVAL_RATIO = 0.4;
+
+// otázky na konkrétní den / termín: statická odpověď může odporovat LIVE datům
+// (např. "o svátcích bude úřad uzavřen") → vždy asistent
+const TEMPORAL = /\b(dnes\w*|zitr\w*|pozitri|vcer\w*|pristi\w*|tento tyden|tenhle tyden|vikend\w*|svat\w*|vanoc\w*|silvestr\w*|velikonoc\w*|prazdnin\w*|dovolen\w*)\b/;
+// datum / čas / rok v otázce (24. 12., 24.12.2025, 3. ledna, 10:30, 9.30 hod, 2026); samotné číslo
+// ("popelnice 120 l", "čp. 5") termín není. Testuje se na textu bez diakritiky, ale s interpunkcí.
+const MONTHS = "ledna|unora|brezna|dubna|kvetna|cervna|cervence|srpna|zari|rijna|listopadu|prosince";
+const TEMPORAL_DATE = new RegExp(
+  [`\\b\\d{1,2}\\.\\s*\\d{1,2}\\.`, `\\b\\d{1,2}\\.\\s*(${MONTHS})\\b`, `\\b\\d{1,2}:\\d{2}\\b`, `\\b\\d{1,2}\\.\\d{2}\\s*h`, `\\b(19|20)\\d{2}\\b`].join("|")
+);
+
+function isTemporal(question) {
+  const plain = String(question || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  return TEMPORAL.test(foldText(question)) || TEMPORAL_DATE.test(plain);
+}
+
+// "hodin" ~ "hodinach", "kontakt" ~ "kontaktni": shodný kmen nebo krátký přesah prefixu
+function tokenMatch(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return short.length >= 4 && long.length - short.length <= 3 && long.startsWith(short);
+}
+
+/**
+ * Skóre jednoho záznamu. Každé slovo otázky dostane váhu podle nejlepší fráze, která ho pokrývá
+ * (víceslovná fráze 1.5, jedno slovo 1); jistota = váha pokrytých / (váha pokrytých + nepokrytá slova).
+ */
+function scoreEntry(entry, qTokens, extraStopwords) {
+  const weights = new Array(qTokens.length).fill(0);
+  const matched = [];
+
+  for (const kw of entry.keywords || []) {
+    const kwTokens = tokenize(kw, extraStopwords);
+    if (!kwTokens.length) continue;
+
+    const hits = kwTokens.map((t) => qTokens.findIndex((q) => tokenMatch(q, t)));
+    if (hits.some((i) => i < 0)) continue;
+
+    const w = kwTokens.length > 1 ? 1.5 : 1;
+    for (const i of hits) weights[i] = Math.max(weights[i], w);
+    matched.push(kw);
+  }
+
+  const covered = weights.reduce((s, w) => s + w, 0);
+  const uncovered = weights.filter((w) => w === 0).length;
+  return { confidence: covered ? covered / (covered + uncovered) : 0, matched };
+}
+
+/**
+ * Nejlepší FAQ záznam pro otázku, nebo null když shoda není dost jistá / jednoznačná.
+ * @param {string} question
+ * @param {{ id, title, url, answer, keywords: string[] }[]} entries
+ * @param {{ minConfidence?: number, stopwords?: string[] }} [opts] stopwords = např. název obce
+ * @returns {{ entry, confidence: number, matched: string[] } | null}
+ */
+export function matchFaq(question, entries, { minConfidence = FAQ_MIN_CONFIDENCE, stopwords = [] } = {}) {
+  if (isTemporal(question)) return null;
+  const qTokens = tokenize(question, stopwords);
+  if (!qTokens.length) return null;
+
+  const scored = (entries || [])
+    .map((entry) => ({ entry, ...scoreEntry(entry, qTokens, stopwords) }))
+    .filter((s) => s.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [best, rival] = scored;
+  if (!best || best.confidence < minConfidence) return null;
+  if (rival && rival.confidence / best.confidence > FAQ_MAX_RIVAL_RATIO) return null;
+
+  return { entry: best.entry, confidence: Math.round(best.confidence * 100) / 100, matched: best.matched };
+}
+
+const cache = new Map();
+
+/**
+ * FAQ záznamy obce (tenant.kb.faq, cesta relativně k repu). Chybějící soubor → [].
+ */
+export function loadFaq(tenant) {
+  const rel = tenant.kb?.faq;
+  if (!rel) return [];
+  if (cache.has(rel)) return cache.get(rel);
+
+  const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+  let entries = [];
+  for (const p of [path.join(repoRoot, rel), path.join(process.cwd(), rel)]) {
+    try {
+      entries = JSON.parse(fs.readFileSync(p, "utf8"))?.entries || [];
+      break;
+    } catch {}
+  }
+
+  cache.set(rel, entries);
+  return entries;
+}
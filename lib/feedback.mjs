@@ -0,0 +1,198 @@
+// lib/feedback.mjs
+// Zpětná vazba obyvatel na odpovědi (👍/👎 + komentář) a report pro úřad:
+// nejčastější dotazy, odpovědi s 👎 a odpovědi typu "nevím" → co doplnit do CORE znalostí.
+//
+// Store je vyměnitelný: { append(obec, record), read(obec) → record[] } (klidně async).
+//   FEEDBACK_STORE=file (default) – JSONL soubor na obec: <FEEDBACK_DIR>/feedback_<obec>.jsonl
+//   FEEDBACK_STORE=memory         – jen v paměti (testy, dev)
+// ENV: FEEDBACK_DIR (default data/feedback; na Netlify / Lambdě je zapisovatelné jen /tmp → default
+//      <tmpdir>/feedback s varováním v logu – data přežijí jen instanci funkce, pro trvalé ukládání
+//      dodat vlastní store)
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { foldText } from "./cz-text.mjs";
+
+export const FEEDBACK_LIMITS = { question: 1000, answer: 8000, comment: 1000 };
+export const RATINGS = ["up", "down"];
+
+// odpověď, která nic nenašla – kandidát na doplnění znalostní báze (bez diakritiky)
+const UNANSWERED_RE =
+  /\b(nevim|nenalezeno|nenasel|nenasla|nenaslo|nemam (k dispozici |zadne |presne )?informac|nemam udaj|nepodarilo se (najit|dohledat|zjistit)|neni (uvedeno|k dispozici|v podkladech)|nedokazu (odpovedet|najit)|nemohu (odpovedet|najit)|nemuzu odpovedet|nevyplyva)/;
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+export class FeedbackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FeedbackError";
+  }
+}
+
+/* ===== STORES ===== */
+
+export function fileStore({ dir }) {
+  const file = (obec) => path.join(dir, `feedback_${obec}.jsonl`);
+  return {
+    append(obec, record) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file(obec), JSON.stringify(record) + "\n", "utf8");
+    },
+    read(obec) {
+      let text = "";
+      try {
+        text = fs.readFileSync(file(obec), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      // poškozený řádek (přerušený zápis) přeskočit
+      return text.split("\n").flatMap((line) => {
+        try {
+          return line.trim() ? [JSON.parse(line)] : [];
+        } catch {
+          return [];
+        }
+      });
+    },
+  };
+}
+
+export function memoryStore() {
+  const byObec = new Map();
+  return {
+    append(obec, record) {
+      if (!byObec.has(obec)) byObec.set(obec, []);
+      byObec.get(obec).push(record);
+    },
+    read(obec) {
+      return [...(byObec.get(obec) || [])];
+    },
+  };
+}
+
+let sharedMemory = null;
+let warnedTmp = false;
+
+// serverless: složka nasazení je read-only (data/feedback → EROFS, 500 při každém hodnocení)
+export function feedbackDir(env = process.env) {
+  const dir = cleanEnv(env.FEEDBACK_DIR);
+  if (dir) return path.resolve(dir);
+  if (!(env.NETLIFY || env.AWS_LAMBDA_FUNCTION_NAME)) return path.resolve("data/feedback");
+
+  const tmp = path.join(os.tmpdir(), "feedback");
+  if (!warnedTmp) {
+    warnedTmp = true;
+    console.warn(`⚠️  FEEDBACK_DIR není nastavené – zpětná vazba se ukládá dočasně do ${tmp} (zmizí s instancí funkce)`);
+  }
+  return tmp;
+}
+
+export function feedbackStore(env = process.env) {
+  const kind = cleanEnv(env.FEEDBACK_STORE) || "file";
+  if (kind === "memory") return (sharedMemory ||= memoryStore());
+  if (kind !== "file") throw new FeedbackError(`Unknown FEEDBACK_STORE: ${kind}`);
+  return fileStore({ dir: feedbackDir(env) });
+}
+
+/* ===== RECORD ===== */
+
+function text(body, key, { required = false } = {}) {
+  const v = body?.[key];
+  if (v === undefined || v === null || v === "") {
+    if (required) throw new FeedbackError(`Missing ${key}`);
+    return "";
+  }
+  if (typeof v !== "string") throw new FeedbackError(`Invalid ${key}`);
+  return v.trim().slice(0, FEEDBACK_LIMITS[key]);
+}
+
+/**
+ * Tělo požadavku widgetu → záznam zpětné vazby. Thread ID a verzi LIVE dat doplní volající
+ * (thread jen z podepsaného tokenu, ne od klienta).
+ * @returns {{ id, at, obec, rating, comment, question, answer, provider, sources }}
+ */
+export function feedbackRecord(body, { obec, now = new Date() }) {
+  if (!RATINGS.includes(body?.rating)) throw new FeedbackError("Invalid rating");
+
+  const sources = Array.isArray(body.sources)
+    ? body.sources
+        .filter((s) => s && typeof s.url === "string" && /^https?:\/\//.test(s.url))
+        .slice(0, 10)
+        .map((s) => ({ title: String(s.title || "").slice(0, 200), url: s.url.slice(0, 500) }))
+    : [];
+
+  return {
+    id: crypto.randomUUID(),
+    at: now.toISOString(),
+    obec,
+    rating: body.rating,
+    comment: text(body, "comment"),
+    question: text(body, "question", { required: true }),
+    answer: text(body, "answer", { required: true }),
+    provider: typeof body.provider === "string" ? body.provider.slice(0, 40) : "",
+    sources,
+  };
+}
+
+export function isUnanswered(answer) {
+  return UNANSWERED_RE.test(foldText(answer));
+}
+
+/* ===== REPORT ===== */
+
+const questionKey = (q) => foldText(q);
+
+/**
+ * @param {object[]} records záznamy zpětné vazby
+ * @param {{ top?: number, since?: string }} [opts] since = ISO datum, starší záznamy se ignorují
+ */
+export function feedbackReport(records, { top = 20, since } = {}) {
+  const list = records.filter((r) => !since || r.at >= since);
+  const groups = new Map();
+
+  for (const r of list) {
+    const key = questionKey(r.question);
+    if (!key) continue;
+    const g = groups.get(key) || { question: r.question, count: 0, up: 0, down: 0, unanswered: 0, last: null };
+    g.count++;
+    g[r.rating]++;
+    if (isUnanswered(r.answer)) g.unanswered++;
+    // poslední znění otázky + odpověď (nejnovější záznam)
+    if (!g.last || r.at >= g.last.at) Object.assign(g, { question: r.question, last: r });
+    groups.set(key, g);
+  }
+
+  const row = (g) => ({
+    question: g.question,
+    count: g.count,
+    up: g.up,
+    down: g.down,
+    answer: g.last.answer,
+    live_version: g.last.live_version || null,
+  });
+  const byCount = (a, b) => b.count - a.count || b.down - a.down || a.question.localeCompare(b.question, "cs");
+  const all = [...groups.values()];
+
+  return {
+    total: list.length,
+    up: list.filter((r) => r.rating === "up").length,
+    down: list.filter((r) => r.rating === "down").length,
+    topQuestions: all.sort(byCount).slice(0, top).map(row),
+    downvoted: all
+      .filter((g) => g.down)
+      .sort((a, b) => b.down - a.down || byCount(a, b))
+      .slice(0, top)
+      .map((g) => ({
+        ...row(g),
+        comments: list.filter((r) => r.rating === "down" && r.comment && questionKey(r.question) === questionKey(g.question)).map((r) => r.comment),
+      })),
+    unanswered: all.filter((g) => g.unanswered).sort(byCount).slice(0, top).map(row),
+  };
+}
@@ -0,0 +1,150 @@
+// lib/feeds.mjs
+// Atom 1.0 a RSS 2.0 z live dat (aktuality, hlášení rozhlasu, kombinovaný feed).
+
+import crypto from "crypto";
+import { LIVE_SECTIONS } from "./live.mjs";
+import { pragueLocalToDate } from "./czech-date.mjs";
+
+// sekce s datem publikace; "vse" = kombinovaný feed
+export const FEED_SECTIONS = {
+  aktuality: ["aktuality"],
+  rozhlas: ["rozhlas"],
+  vse: ["aktuality", "rozhlas"],
+};
+
+const FEED_LIMIT = 50;
+
+// XML 1.0 nepovoluje řídicí znaky kromě \t \n \r
+export function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function feedTitle(tenant, feed) {
+  const label = feed === "vse" ? "Aktuality a hlášení rozhlasu" : LIVE_SECTIONS[feed].title;
+  return `Obec ${tenant.name} – ${label}`;
+}
+
+/**
+ * Položky feedu seřazené od nejnovější. `updated` = datum publikace (půlnoc v Praze),
+ * bez data → čas vygenerování LIVE dat.
+ */
+export function feedEntries(data, feed) {
+  const entries = [];
+  for (const key of FEED_SECTIONS[feed]) {
+    for (const i of data?.sections?.[key]?.items || []) {
+      const updated = i.date_iso ? pragueLocalToDate(i.date_iso) : new Date(data.generated_at);
+      entries.push({ ...i, section: key, updated });
+    }
+  }
+  return entries.sort((a, b) => b.updated - a.updated || a.url.localeCompare(b.url)).slice(0, FEED_LIMIT);
+}
+
+// nejnovější položka, jinak čas vygenerování
+export function feedUpdated(data, entries) {
+  const max = entries.reduce((m, e) => (e.updated > m ? e.updated : m), new Date(0));
+  return max.getTime() > 0 ? max : new Date(data.generated_at);
+}
+
+/**
+ * Last-Modified pro podmíněný GET = čas vygenerování LIVE dat. Data položek nestačí: jsou to dny
+ * publikace (půlnoc), druhá položka ze stejného dne by datum neposunula → falešné 304.
+ */
+export function feedLastModified(data, entries) {
+  const generated = new Date(data.generated_at);
+  return Number.isFinite(generated.getTime()) ? generated : feedUpdated(data, entries);
+}
+
+/**
+ * Stálé Atom <id> feedu (tag URI z domény obce) – nezávislé na URL požadavku (query, host nasazení).
+ * Datum v tag URI je pevná součást identifikátoru, neměnit.
+ */
+export function feedId(tenant, feed) {
+  return `tag:${new URL(tenant.base).hostname},2025:feeds/${feed}`;
+}
+
+function entryText(e) {
+  return [e.perex, e.text].filter(Boolean).join("\n\n");
+}
+
+/**
+ * @param {{ tenant, data, feed: "aktuality"|"rozhlas"|"vse", selfUrl: string }} opts
+ */
+export function buildAtom({ tenant, data, feed, selfUrl }) {
+  const entries = feedEntries(data, feed);
+  const sectionUrl = feed === "vse" ? `${tenant.base}/` : data.sections[feed].url;
+
+  const xml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="cs">',
+    `  <id>${escapeXml(feedId(tenant, feed))}</id>`,
+    `  <title>${escapeXml(feedTitle(tenant, feed))}</title>`,
+    `  <updated>${feedUpdated(data, entries).toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(sectionUrl)}"/>`,
+    `  <author><name>${escapeXml(`Obec ${tenant.name}`)}</name><uri>${escapeXml(tenant.base)}</uri></author>`,
+  ];
+
+  for (const e of entries) {
+    xml.push(
+      "  <entry>",
+      `    <id>${escapeXml(e.url)}</id>`,
+      `    <title>${escapeXml(e.title)}</title>`,
+      `    <updated>${e.updated.toISOString()}</updated>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(e.url)}"/>`,
+      `    <category term="${escapeXml(e.section)}" label="${escapeXml(LIVE_SECTIONS[e.section].title)}"/>`
+    );
+    if (e.perex) xml.push(`    <summary type="text">${escapeXml(e.perex)}</summary>`);
+    if (e.text) xml.push(`    <content type="text">${escapeXml(entryText(e))}</content>`);
+    xml.push("  </entry>");
+  }
+
+  xml.push("</feed>");
+  return xml.join("\n") + "\n";
+}
+
+/**
+ * @param {{ tenant, data, feed: "aktuality"|"rozhlas"|"vse", selfUrl: string }} opts
+ */
+export function buildRss({ tenant, data, feed, selfUrl }) {
+  const entries = feedEntries(data, feed);
+  const sectionUrl = feed === "vse" ? `${tenant.base}/` : data.sections[feed].url;
+
+  const xml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(feedTitle(tenant, feed))}</title>`,
+    `    <link>${escapeXml(sectionUrl)}</link>`,
+    `    <description>${escapeXml(feedTitle(tenant, feed))}</description>`,
+    "    <language>cs</language>",
+    `    <lastBuildDate>${feedUpdated(data, entries).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+  ];
+
+  for (const e of entries) {
+    xml.push(
+      "    <item>",
+      `      <title>${escapeXml(e.title)}</title>`,
+      `      <link>${escapeXml(e.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(e.url)}</guid>`,
+      `      <pubDate>${e.updated.toUTCString()}</pubDate>`,
+      `      <category>${escapeXml(LIVE_SECTIONS[e.section].title)}</category>`
+    );
+    const text = entryText(e);
+    if (text) xml.push(`      <description>${escapeXml(text)}</description>`);
+    xml.push("    </item>");
+  }
+
+  xml.push("  </channel>", "</rss>");
+  return xml.join("\n") + "\n";
+}
+
+export function feedEtag(body) {
+  return `"${crypto.createHash("sha1").update(body).digest("hex").slice(0, 20)}"`;
+}
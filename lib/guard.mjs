@@ -0,0 +1,201 @@
+// lib/guard.mjs
+// Ochrana veřejného /search proti zneužití (a proti utrácení OpenAI rozpočtu):
+//   - rate limit na klienta (token bucket podle IP)
+//   - max. délka dotazu a počet kol jedné konverzace (v thread tokenu, lib/thread-token.mjs, a ve store podle
+//     thread ID – starý token se dá poslat znovu, počítadlo na serveru ne)
+//   - allowlist originů nasazení (CORS)
+//   - denní rozpočet (počet dotazů na LLM / odhad ceny z usage) → zdvořilé "zkuste později"
+//
+// Store (rate limit + počet kol + rozpočet) je vyměnitelný: { get(key) → value | undefined, set(key, value, ttlMs) }
+// (klidně async). Default je paměť instance funkce – pro víc instancí / přesný rozpočet dodat sdílený store.
+//
+// ENV (0 = bez limitu):
+//   SEARCH_RATE_BURST=10, SEARCH_RATE_PER_MIN=6      token bucket na IP
+//   SEARCH_MAX_MESSAGE_CHARS=1000, SEARCH_MAX_TURNS=20
+//   ALLOWED_ORIGINS=https://www.obec-chomutice.cz,https://*.netlify.app   (prázdné = kdokoli, CORS *)
+//   SEARCH_DAILY_MAX_REQUESTS=0, SEARCH_DAILY_MAX_USD=0
+//   LLM_PRICE_INPUT_PER_MTOK=0.15, LLM_PRICE_OUTPUT_PER_MTOK=0.6   (USD za 1M tokenů, gpt-4o-mini)
+
+import { toPragueLocal } from "./czech-date.mjs";
+import { threadTokenTtlMs } from "./thread-token.mjs";
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+function num(env, key, fallback) {
+  const v = cleanEnv(env[key]);
+  const n = Number(v);
+  return v !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function guardConfig(env = process.env) {
+  return {
+    rateBurst: num(env, "SEARCH_RATE_BURST", 10),
+    ratePerMin: num(env, "SEARCH_RATE_PER_MIN", 6),
+    maxMessageChars: num(env, "SEARCH_MAX_MESSAGE_CHARS", 1000),
+    maxTurns: num(env, "SEARCH_MAX_TURNS", 20),
+    allowedOrigins: cleanEnv(env.ALLOWED_ORIGINS)
+      .split(",")
+      .map((s) => s.trim().replace(/\/+$/, ""))
+      .filter(Boolean),
+    dailyMaxRequests: num(env, "SEARCH_DAILY_MAX_REQUESTS", 0),
+    dailyMaxUsd: num(env, "SEARCH_DAILY_MAX_USD", 0),
+    priceInput: num(env, "LLM_PRICE_INPUT_PER_MTOK", 0.15),
+    priceOutput: num(env, "LLM_PRICE_OUTPUT_PER_MTOK", 0.6),
+  };
+}
+
+/**
+ * Paměťový store s expirací; při zaplnění zahodí nejstarší záznamy.
+ */
+export function memoryStore({ max = 10_000 } = {}) {
+  const map = new Map();
+  return {
+    get(key) {
+      const e = map.get(key);
+      if (!e) return undefined;
+      if (e.expires <= Date.now()) {
+        map.delete(key);
+        return undefined;
+      }
+      return e.value;
+    },
+    set(key, value, ttlMs) {
+      map.delete(key);
+      map.set(key, { value, expires: Date.now() + ttlMs });
+      while (map.size > max) map.delete(map.keys().next().value);
+    },
+  };
+}
+
+// strukturovaná odmítnutí – `message` je text pro obyvatele (widget ho zobrazí), `code` pro klienty
+export function rejection(status, code, message, extra = {}) {
+  return { status, body: { ok: false, error: code, code, message, ...extra } };
+}
+
+// IP klienta: Netlify context.ip > x-nf-client-connection-ip > první x-forwarded-for
+export function clientIp(req, context) {
+  return (
+    context?.ip ||
+    req.headers.get("x-nf-client-connection-ip") ||
+    (req.headers.get("x-forwarded-for") || "").split(",")[0].trim() ||
+    "unknown"
+  );
+}
+
+function originMatches(origin, pattern) {
+  if (pattern === "*" || pattern === origin) return true;
+  if (!pattern.includes("*")) return false;
+  // https://*.example.cz → jakákoli subdoména
+  const re = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[a-z0-9-]+(?:\\.[a-z0-9-]+)*")}$`, "i");
+  return re.test(origin);
+}
+
+/**
+ * Origin požadavku proti allowlistu. Prázdný allowlist = kdokoli (CORS *).
+ * Vlastní origin nasazení (widget na stejném webu) je povolený vždy.
+ * @returns {{ ok: true, allow: string } | { ok: false }}
+ */
+export function checkOrigin(req, cfg) {
+  if (!cfg.allowedOrigins.length) return { ok: true, allow: "*" };
+
+  const origin = (req.headers.get("origin") || "").replace(/\/+$/, "");
+  if (!origin) return { ok: false };
+  if (origin === new URL(req.url).origin) return { ok: true, allow: origin };
+  return cfg.allowedOrigins.some((p) => originMatches(origin, p)) ? { ok: true, allow: origin } : { ok: false };
+}
+
+/**
+ * Guard s rate limitem a denním rozpočtem nad jedním store.
+ * @param {{ env?: object, store?: object, now?: () => number }} [opts]
+ */
+export function createGuard({ env = process.env, store = memoryStore(), now = () => Date.now() } = {}) {
+  const cfg = guardConfig(env);
+
+  const dayKey = () => `budget:${toPragueLocal(new Date(now())).slice(0, 10)}`;
+
+  return {
+    config: cfg,
+
+    /**
+     * Token bucket: burst `rateBurst`, doplňuje se `ratePerMin` za minutu.
+     * @returns {Promise<null | { status, body, headers }>}
+     */
+    async checkRate(key) {
+      if (!cfg.rateBurst || !cfg.ratePerMin) return null;
+
+      const t = now();
+      const perMs = cfg.ratePerMin / 60_000;
+      const prev = (await store.get(`rate:${key}`)) || { tokens: cfg.rateBurst, at: t };
+      const tokens = Math.min(cfg.rateBurst, prev.tokens + (t - prev.at) * perMs);
+
+      if (tokens < 1) {
+        const retryAfter = Math.ceil((1 - tokens) / perMs / 1000);
+        await store.set(`rate:${key}`, { tokens, at: t }, 3600_000);
+        return {
+          ...rejection(429, "rate_limited", `Posíláte dotazy příliš rychle. Zkuste to prosím znovu za ${retryAfter} s.`, {
+            retry_after: retryAfter,
+          }),
+          headers: { "Retry-After": String(retryAfter) },
+        };
+      }
+
+      await store.set(`rate:${key}`, { tokens: tokens - 1, at: t }, 3600_000);
+      return null;
+    },
+
+    checkMessage(message) {
+      if (cfg.maxMessageChars && message.length > cfg.maxMessageChars) {
+        return rejection(413, "message_too_long", `Dotaz je příliš dlouhý (max. ${cfg.maxMessageChars} znaků). Zkraťte ho prosím.`, {
+          max_chars: cfg.maxMessageChars,
+        });
+      }
+      return null;
+    },
+
+    // počet kol threadu: víc z hodnoty v tokenu a z počítadla ve store
+    async turnsOf(threadId, tokenTurns = 0) {
+      const stored = threadId ? (await store.get(`turns:${threadId}`)) || 0 : 0;
+      return Math.max(stored, tokenTurns);
+    },
+
+    // po zahájení kola; expirace jako thread token (po ní už žádný token na thread neplatí)
+    async recordTurn(threadId, turns) {
+      if (!threadId) return;
+      const stored = (await store.get(`turns:${threadId}`)) || 0;
+      await store.set(`turns:${threadId}`, Math.max(stored, turns), threadTokenTtlMs(env));
+    },
+
+    checkTurns(turns) {
+      if (cfg.maxTurns && turns >= cfg.maxTurns) {
+        return rejection(429, "thread_limit", "Tato konverzace je už hodně dlouhá. Začněte prosím novou konverzaci.", {
+          max_turns: cfg.maxTurns,
+        });
+      }
+      return null;
+    },
+
+    // denní rozpočet – kontrola před voláním LLM
+    async checkBudget() {
+      if (!cfg.dailyMaxRequests && !cfg.dailyMaxUsd) return null;
+      const day = (await store.get(dayKey())) || { requests: 0, usd: 0 };
+
+      const over = (cfg.dailyMaxRequests && day.requests >= cfg.dailyMaxRequests) || (cfg.dailyMaxUsd && day.usd >= cfg.dailyMaxUsd);
+      if (!over) return null;
+      return rejection(429, "daily_budget", "Asistent je dnes vytížený a další dotazy už nezvládne. Zkuste to prosím zítra, nebo se obraťte přímo na obecní úřad.");
+    },
+
+    // po odpovědi LLM: +1 dotaz a odhad ceny podle usage (prompt/completion tokeny)
+    async recordUsage(usage) {
+      if (!cfg.dailyMaxRequests && !cfg.dailyMaxUsd) return;
+      const key = dayKey();
+      const day = (await store.get(key)) || { requests: 0, usd: 0 };
+      const usd =
+        ((usage?.prompt_tokens || 0) * cfg.priceInput + (usage?.completion_tokens || 0) * cfg.priceOutput) / 1_000_000;
+      await store.set(key, { requests: day.requests + 1, usd: day.usd + usd }, 2 * 86_400_000);
+    },
+  };
+}
@@ -0,0 +1,130 @@
+// lib/ical.mjs
+// iCalendar (RFC 5545) z akcí v live datech. Časy jdou s TZID=Europe/Prague + VTIMEZONE,
+// celodenní akce jako VALUE=DATE (DTEND je exkluzivní → +1 den), akce s časem bez konce trvá hodinu.
+
+import crypto from "crypto";
+import { TIME_ZONE } from "./czech-date.mjs";
+
+const CRLF = "\r\n";
+
+// bez DTEND i DURATION by akce s časem měla nulovou délku (RFC 5545 3.6.1) → výchozí hodina
+export const DEFAULT_EVENT_DURATION = "PT1H";
+
+// pravidla CET/CEST platná od 1996 (poslední neděle v březnu / říjnu)
+const VTIMEZONE_PRAGUE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TIME_ZONE}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// TEXT hodnoty: \ ; , a konce řádků
+export function escapeIcsText(s) {
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// řádky delší než 75 oktetů se lámou (CRLF + mezera), nikdy uprostřed UTF-8 znaku
+export function foldIcsLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75;
+    if (bytes + len > limit) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += len;
+  }
+  out.push(cur);
+  return out.join(`${CRLF} `);
+}
+
+export function eventUid(url, host) {
+  const hash = crypto.createHash("sha1").update(String(url)).digest("hex").slice(0, 16);
+  return `${hash}@${host}`;
+}
+
+function addDays(dateKey, days) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+const compactDate = (key) => key.slice(0, 10).replace(/-/g, "");
+const compactDateTime = (key) => `${compactDate(key)}T${(key.split("T")[1] || "00:00").replace(":", "")}00`;
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+function dateLines(event) {
+  const { start, end } = event;
+  const timed = start.includes("T") || (end && end.includes("T"));
+
+  if (!timed) {
+    const last = end || start;
+    return [`DTSTART;VALUE=DATE:${compactDate(start)}`, `DTEND;VALUE=DATE:${compactDate(addDays(last, 1))}`];
+  }
+
+  const lines = [`DTSTART;TZID=${TIME_ZONE}:${compactDateTime(start)}`];
+  lines.push(end ? `DTEND;TZID=${TIME_ZONE}:${compactDateTime(end)}` : `DURATION:${DEFAULT_EVENT_DURATION}`);
+  return lines;
+}
+
+/**
+ * @param {{ tenant: { name, base }, events: object[], generatedAt?: string }} opts
+ *   events = výstup liveEvents() (položky s `event`)
+ * @returns {string} obsah .ics
+ */
+export function buildIcs({ tenant, events, generatedAt }) {
+  const host = new URL(tenant.base).host;
+  const stamp = utcStamp(generatedAt ? new Date(generatedAt) : new Date());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//Asistent obce ${escapeIcsText(tenant.name)}//Kalendar akci//CS`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(`Obec ${tenant.name} – akce`)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...VTIMEZONE_PRAGUE,
+  ];
+
+  for (const e of events) {
+    const description = [e.perex || e.text || "", e.url].filter(Boolean).join("\n\n");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${eventUid(e.url, host)}`,
+      `DTSTAMP:${stamp}`,
+      ...dateLines(e.event),
+      `SUMMARY:${escapeIcsText(e.title)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${e.url}`,
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,80 @@
+// lib/knowledge-sync.mjs
+// Plán synchronizace znalostní báze obce s vector store pro scripts/sync-knowledge.mjs:
+// porovnání lokálních souborů s manifestem a vector store (planSync) a soubory, o kterých nikdo neví (findOrphans).
+// Bez sítě a bez disku – manifesty ostatních obcí i OpenAI klient se předávají (v testech podstrčené).
+
+import { getTenant, listTenants, tenantOpenAI } from "./tenant.mjs";
+import { pickFileId, vectorFileKind } from "./openai-files.mjs";
+
+// LIVE soubor (10_LIVE_*) do sync nepatří – ten spravuje scripts/upload-live-to-openai.mjs
+export function isLiveName(name, tenant) {
+  const lower = name.toLowerCase();
+  return lower === tenant.liveFile.toLowerCase() || lower.startsWith("10_live_");
+}
+
+/**
+ * Porovná lokální soubory s manifestem a stavem vector store.
+ * @param {{ name: string, sha256: string }[]} localFiles
+ * @param {Record<string, { sha256: string, file_id: string }>} manifestFiles
+ * @param {Map<string, object>} remoteById soubory vector store podle file_id
+ * @returns {{ action: "add"|"replace"|"remove"|"keep", name: string, local?: object, entry?: object, reason?: string }[]}
+ */
+export function planSync(localFiles, manifestFiles, remoteById) {
+  const plan = [];
+
+  for (const local of localFiles) {
+    const entry = manifestFiles[local.name];
+    const remote = entry?.file_id ? remoteById.get(entry.file_id) : null;
+
+    if (!entry) plan.push({ action: "add", name: local.name, local, reason: "nový soubor" });
+    else if (!remote) plan.push({ action: "add", name: local.name, local, entry, reason: "chybí ve vector store" });
+    else if (entry.sha256 !== local.sha256) plan.push({ action: "replace", name: local.name, local, entry, reason: "změněný obsah" });
+    else if (remote.status !== "completed") plan.push({ action: "replace", name: local.name, local, entry, reason: `status ${remote.status}` });
+    else plan.push({ action: "keep", name: local.name, local, entry });
+  }
+
+  const localNames = new Set(localFiles.map((f) => f.name));
+  for (const [name, entry] of Object.entries(manifestFiles)) {
+    if (!localNames.has(name)) plan.push({ action: "remove", name, entry, reason: "smazán z repa" });
+  }
+
+  return plan;
+}
+
+/**
+ * file_id z manifestů ostatních obcí se stejným vector store (sdílený store).
+ * @param {(tenant: object) => object|null} readManifest
+ */
+export function otherTenantsFileIds(tenant, vectorStoreId, { readManifest, env = process.env }) {
+  const ids = new Set();
+  for (const slug of listTenants()) {
+    if (slug === tenant.slug) continue;
+    const other = getTenant(slug);
+    if (tenantOpenAI(other, env).vectorStoreId !== vectorStoreId) continue;
+    const m = readManifest(other);
+    if (m?.vector_store_id !== vectorStoreId) continue;
+    for (const e of Object.values(m.files || {})) if (e.file_id) ids.add(e.file_id);
+  }
+  return ids;
+}
+
+/**
+ * Soubory ve vector store, které nejsou v manifestu této ani jiné obce (`otherIds`) a nejsou LIVE.
+ * @param {{ tenant: object, openai: { pickFilename(f): Promise<string> }, otherIds?: Set<string> }} opts
+ */
+export async function findOrphans(remoteFiles, manifestFiles, { tenant, openai, otherIds = new Set() }) {
+  const known = new Set(Object.values(manifestFiles).map((e) => e.file_id));
+
+  const orphans = [];
+  for (const f of remoteFiles) {
+    const fileId = pickFileId(f);
+    if (known.has(fileId) || otherIds.has(fileId)) continue;
+    const name = await openai.pickFilename(f);
+    // LIVE soubory (atributy z upload-live) a soubory jiných obcí
+    const kind = vectorFileKind(f, { obec: tenant.slug, filename: name || "", liveFilename: tenant.liveFile });
+    if (kind === "live" || kind === "other") continue;
+    if (name && listTenants().some((s) => isLiveName(name, getTenant(s)))) continue;
+    orphans.push({ fileId, name: name || "(unknown)" });
+  }
+  return orphans;
+}
@@ -0,0 +1,105 @@
+// lib/live-diff.mjs
+// Otisk (hash) obsahu LIVE dat bez časových údajů + rozdíl proti minulému uploadu.
+// Uploader podle něj přeskočí upload do vector store, když se na webu obce nic nezměnilo.
+
+import crypto from "crypto";
+
+// sekce v pořadí logu; kalendar = akce
+const DIFF_SECTIONS = ["notices", "aktuality", "rozhlas", "kalendar"];
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(s).digest("hex");
+}
+
+// jen obsah položky – ne generated_at, last_ok_at, stale_age_hours, počty stránek apod.
+// status akce (nadcházející/proběhlá) patří k obsahu: mění se text LIVE souboru
+function itemContent(key, i) {
+  if (key === "notices") return { text: i.text };
+  return {
+    title: i.title,
+    date: i.date || "",
+    perex: i.perex || "",
+    text: i.text || "",
+    attachments: (i.attachments || []).map((a) => [a.name, a.url]),
+    event: i.event ? [i.event.start, i.event.end || null, i.event.status] : null,
+  };
+}
+
+function itemId(key, i) {
+  return key === "notices" ? i.text : i.url || i.title;
+}
+
+/**
+ * Otisk live JSON: { hash, sections: { [key]: { [id]: { title, digest } } } }.
+ * `sections` se ukládá se stavem uploadu, aby šel příště vypsat rozdíl po položkách.
+ */
+export function liveFingerprint(data) {
+  const sections = {};
+  for (const key of DIFF_SECTIONS) {
+    const items = {};
+    for (const i of data?.sections?.[key]?.items || []) {
+      items[itemId(key, i)] = {
+        title: key === "notices" ? i.text : i.title,
+        digest: sha1(JSON.stringify(itemContent(key, i))).slice(0, 16),
+      };
+    }
+    sections[key] = items;
+  }
+
+  const canonical = DIFF_SECTIONS.map((key) =>
+    Object.entries(sections[key])
+      .map(([id, { digest }]) => `${id}\t${digest}`)
+      .sort()
+      .join("\n")
+  ).join("\n--\n");
+
+  return { hash: sha1(canonical), sections };
+}
+
+// fallback bez live JSON: hash textového LIVE souboru bez řádků s časem vygenerování / stářím dat
+export function liveTextHash(text) {
+  const meaningful = String(text)
+    .split(/\r?\n/)
+    .filter((line) => !/^Vygenerováno:/.test(line) && !/^⚠️ Sekci se nepodařilo aktualizovat/.test(line))
+    .join("\n");
+  return sha1(meaningful);
+}
+
+/**
+ * Rozdíl dvou otisků po sekcích: { [key]: { added: [title], removed: [title], edited: [title] } }.
+ * Sekce beze změn ve výsledku nejsou.
+ */
+export function diffLive(previous, current) {
+  const diff = {};
+  for (const key of DIFF_SECTIONS) {
+    const prev = previous?.[key] || {};
+    const cur = current?.[key] || {};
+    const added = [];
+    const removed = [];
+    const edited = [];
+
+    for (const [id, item] of Object.entries(cur)) {
+      if (!prev[id]) added.push(item.title);
+      else if (prev[id].digest !== item.digest) edited.push(item.title);
+    }
+    for (const [id, item] of Object.entries(prev)) {
+      if (!cur[id]) removed.push(item.title);
+    }
+
+    if (added.length || removed.length || edited.length) diff[key] = { added, removed, edited };
+  }
+  return diff;
+}
+
+// řádky do logu uploaderu
+export function formatLiveDiff(diff) {
+  const labels = { notices: "Upozornění", aktuality: "Aktuality", rozhlas: "Rozhlas", kalendar: "Akce" };
+  const lines = [];
+  for (const [key, { added, removed, edited }] of Object.entries(diff)) {
+    lines.push(`${labels[key] || key}: +${added.length} / -${removed.length} / ~${edited.length}`);
+    for (const t of added) lines.push(`  + ${t}`);
+    for (const t of removed) lines.push(`  - ${t}`);
+    for (const t of edited) lines.push(`  ~ ${t}`);
+  }
+  return lines;
+}
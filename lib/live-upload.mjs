@@ -0,0 +1,103 @@
+// lib/live-upload.mjs
+// Výměna LIVE souboru obce ve vector store pro scripts/upload-live-to-openai.mjs:
+// nový soubor se nejdřív zaindexuje, teprve pak se smažou předchozí LIVE soubory (asistent nezůstane bez LIVE dat).
+// Když indexace selže, nový soubor se odebere a staré zůstanou. Klient `openai` = openaiFiles() z lib/openai-files.mjs
+// (v testech podstrčený).
+
+import { pickFileId, vectorFileKind } from "./openai-files.mjs";
+
+export class LiveUploadError extends Error {
+  constructor(message, { upload } = {}) {
+    super(message);
+    this.name = "LiveUploadError";
+    // výsledek pro report (i když cleanup selhal)
+    this.upload = upload;
+  }
+}
+
+/**
+ * LIVE soubory obce ve vector store (všechny stránky; vector store může sdílet víc obcí).
+ * @returns {Promise<{ deleteId: string, fileId: string, filename: string, status: string }[]>}
+ */
+export async function findLiveFiles(openai, { vectorStoreId, obec, liveFilename }) {
+  const files = await openai.listVectorStoreFiles(vectorStoreId);
+
+  const found = [];
+  for (const f of files) {
+    const name = (await openai.pickFilename(f)) || "";
+
+    // atributy (kind: "live") nastavuje upload-live; CORE soubory ze sync-knowledge mají stejné `obec`,
+    // ty se mazat nesmí; starší soubory se poznají podle názvu
+    if (vectorFileKind(f, { obec, filename: name, liveFilename }) !== "live") continue;
+
+    // id pro delete – v praxi to bývá to, co je v `f.id` (a někdy je to přímo file-...)
+    const deleteId = f?.id || pickFileId(f);
+    if (!deleteId) continue;
+
+    found.push({ deleteId, fileId: pickFileId(f), filename: name || "(unknown)", status: f?.status || "" });
+  }
+  return found;
+}
+
+// odebere soubor z vector store a smaže i samotný soubor (ať se nehromadí ve Files)
+async function removeLiveFile(openai, vectorStoreId, { deleteId, fileId }, log) {
+  await openai.detachFile(vectorStoreId, deleteId);
+  await openai.deleteFile(fileId).catch((e) => log(`⚠️  Soubor ${fileId} odebrán z vector store, ale nesmazán z Files: ${e?.message || e}`));
+}
+
+/**
+ * Smaže předchozí LIVE soubory. Chyby se nepolykají: zkusí se všechny a vrátí se ty, které selhaly.
+ */
+export async function cleanupOldLiveFiles(openai, vectorStoreId, oldFiles, { log = console.log } = {}) {
+  log(`🧹 Mazání předchozích LIVE souborů z vector store (${oldFiles.length})...`);
+
+  const failed = [];
+  for (const d of oldFiles) {
+    log(`🗑️  Mazání z vector store: ${d.filename} (id=${d.deleteId})`);
+    try {
+      await removeLiveFile(openai, vectorStoreId, d, log);
+    } catch (e) {
+      log(`❌ Smazání ${d.deleteId} selhalo: ${e?.message || e}`);
+      failed.push(d);
+    }
+  }
+
+  log(`✅ Cleanup hotov (smazáno: ${oldFiles.length - failed.length}, chyb: ${failed.length})`);
+  return failed;
+}
+
+// indexace selhala → nový soubor pryč, předchozí LIVE ve vector store zůstávají
+export async function rollbackNewFile(openai, vectorStoreId, fileId, { log = console.log } = {}) {
+  log(`↩️  Rollback: odebírám nový soubor ${fileId}`);
+  await openai.detachFile(vectorStoreId, fileId).catch(() => {});
+  await openai.deleteFile(fileId).catch((e) => log(`⚠️  Rollback: soubor ${fileId} nesmazán z Files: ${e?.message || e}`));
+}
+
+/**
+ * Připojí nahraný soubor `fileId` (počká na indexaci) a pak smaže `oldFiles` (když `cleanup`).
+ * Selhání indexace → rollback a LiveUploadError. Selhání mazání → LiveUploadError s `upload.cleanup_failed`
+ * (nový soubor zůstává, volající zapíše report a skončí chybou).
+ * @returns {Promise<{ status: "uploaded", file_id: string, replaced: string[] }>}
+ */
+export async function swapLiveFile(openai, { vectorStoreId, fileId, attributes, oldFiles, cleanup = true, log = console.log }) {
+  // 1) indexace – staré LIVE zatím zůstávají, asistent je pořád může použít
+  try {
+    await openai.attachFile(vectorStoreId, fileId, attributes);
+  } catch (e) {
+    await rollbackNewFile(openai, vectorStoreId, fileId, { log });
+    const kept = oldFiles.map((f) => f.fileId).join(", ") || "žádný";
+    throw new LiveUploadError(`${e?.message || e} – rollback hotov, ve vector store zůstává předchozí LIVE (${kept})`);
+  }
+
+  // 2) swap – nový soubor je zaindexovaný, teprve teď pryč se starými
+  const failed = cleanup ? await cleanupOldLiveFiles(openai, vectorStoreId, oldFiles, { log }) : [];
+  const upload = { status: "uploaded", file_id: fileId, replaced: cleanup ? oldFiles.map((f) => f.fileId) : [] };
+
+  if (failed.length) {
+    throw new LiveUploadError(
+      `Nový LIVE je nahraný, ale ${failed.length} starých se nepodařilo smazat: ${failed.map((f) => f.deleteId).join(", ")}`,
+      { upload: { ...upload, cleanup_failed: failed.map((f) => f.fileId) } }
+    );
+  }
+  return upload;
+}
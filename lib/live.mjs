@@ -0,0 +1,219 @@
+// lib/live.mjs
+// Strukturovaná LIVE data (live_<obec>.json) – stejná data jako 10_LIVE_*.txt, ale pro kód
+// (widget, feedy, nástroje). Formát popisuje schemas/live.schema.json.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { classifyEvent, extractEventTime } from "./czech-date.mjs";
+
+export const LIVE_SCHEMA = "live.schema.json";
+export const LIVE_SCHEMA_VERSION = 1;
+
+// metadata sekcí; pořadí = pořadí v textovém výstupu
+export const LIVE_SECTIONS = {
+  notices: { title: "Provozní upozornění / homepage" },
+  aktuality: { title: "Aktuality" },
+  rozhlas: { title: "Hlášení rozhlasu" },
+  kalendar: { title: "Kalendář akcí" },
+};
+
+export function liveJsonFilename(tenant) {
+  return `live_${tenant.slug}.json`;
+}
+
+// live JSON leží vedle textového LIVE souboru
+export function liveJsonPath(tenant, liveTxtPath) {
+  return path.join(path.dirname(liveTxtPath), liveJsonFilename(tenant));
+}
+
+// report běhu scraperu (sekce ok/chyba, počty, doby) – také vedle LIVE souboru
+export function liveReportPath(tenant, liveTxtPath) {
+  return path.join(path.dirname(liveTxtPath), `live_report_${tenant.slug}.json`);
+}
+
+// "16. 1. 2026" → "2026-01-16"; bez roku nebo nesmysl → null
+export function parseCzechDateISO(s) {
+  const m = String(s || "").match(/(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})/);
+  if (!m) return null;
+
+  const [d, mo, y] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null;
+
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Termín akce položky (z perexu, titulku, příp. plného textu) + upcoming/past vůči `now`.
+ * Rok bez uvedení se dovozuje od data publikace, u kalendáře (bez data) od `now`.
+ */
+export function itemEvent(i, now = new Date()) {
+  const reference = parseCzechDateISO(i.date) || now;
+  const ev =
+    extractEventTime(`${i.perex || ""}\n${i.title || ""}`, { reference }) ||
+    (i.text ? extractEventTime(i.text, { reference }) : null);
+  if (!ev) return null;
+
+  return {
+    start: ev.start,
+    end: ev.end || null,
+    all_day: ev.allDay,
+    raw: ev.raw,
+    status: classifyEvent(ev, now),
+  };
+}
+
+function toItem(i) {
+  return {
+    title: i.title,
+    date: i.date || "",
+    date_iso: parseCzechDateISO(i.date),
+    perex: i.perex || "",
+    url: i.url,
+    ...(i.text != null ? { text: i.text } : {}),
+    ...(i.attachments ? { attachments: i.attachments } : {}),
+    event: i.event !== undefined ? i.event : itemEvent(i),
+  };
+}
+
+// status: "ok" | "empty" | "stale" (chyba, drží poslední dobrá data) | "error" (chyba, nic k dispozici)
+function section(key, { url = "", items = [], pages, status, error, lastOkAt, staleAgeHours } = {}) {
+  return {
+    key,
+    title: LIVE_SECTIONS[key].title,
+    url,
+    status: status || (items.length ? "ok" : "empty"),
+    ...(error ? { error } : {}),
+    ...(lastOkAt ? { last_ok_at: lastOkAt } : {}),
+    ...(staleAgeHours != null ? { stale_age_hours: staleAgeHours } : {}),
+    ...(pages != null ? { pages } : {}),
+    count: items.length,
+    items,
+  };
+}
+
+/**
+ * Sestaví live JSON z výsledků scraperů.
+ * Každá sekce: { url, pages?, items, status?, error?, lastOkAt?, staleAgeHours? };
+ * notices.items jsou řetězce, ostatní [{ title, date, perex, url, … }].
+ */
+export function buildLiveJson({ tenant, generatedAt, notices, aktuality, rozhlas, kalendar }) {
+  const okAt = (s) => s.lastOkAt || (s.status === "stale" || s.status === "error" ? undefined : generatedAt);
+  return {
+    schema: LIVE_SCHEMA,
+    schema_version: LIVE_SCHEMA_VERSION,
+    generated_at: generatedAt,
+    obec: { slug: tenant.slug, name: tenant.name, base: tenant.base },
+    sections: {
+      notices: section("notices", {
+        ...notices,
+        url: notices.url || `${tenant.base}/`,
+        items: notices.items.map((text) => ({ text })),
+        lastOkAt: okAt(notices),
+      }),
+      aktuality: section("aktuality", { ...aktuality, items: aktuality.items.map(toItem), lastOkAt: okAt(aktuality) }),
+      rozhlas: section("rozhlas", { ...rozhlas, items: rozhlas.items.map(toItem), lastOkAt: okAt(rozhlas) }),
+      kalendar: section("kalendar", { ...kalendar, items: kalendar.items.map(toItem), lastOkAt: okAt(kalendar) }),
+    },
+  };
+}
+
+export function writeLiveJson(absPath, data) {
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, JSON.stringify(data, null, 2), "utf8");
+}
+
+// null když soubor chybí nebo má jinou verzi schématu
+export function readLiveJson(absPath) {
+  if (!fs.existsSync(absPath)) return null;
+  const data = JSON.parse(fs.readFileSync(absPath, "utf8"));
+  if (data?.schema_version !== LIVE_SCHEMA_VERSION) return null;
+  return data;
+}
+
+/**
+ * Nejčerstvější live JSON obce pro Netlify funkce: /tmp/knowledge (po cronu),
+ * public/knowledge (z buildu) relativně k repu i k cwd; env LIVE_JSON_PATH má přednost.
+ */
+export function loadLiveData(tenant) {
+  const filename = liveJsonFilename(tenant);
+  const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+  const candidates = [
+    process.env.LIVE_JSON_PATH,
+    path.join(os.tmpdir(), "knowledge", filename),
+    path.join(repoRoot, "public", "knowledge", filename),
+    path.join(process.cwd(), "public", "knowledge", filename),
+  ].filter(Boolean);
+
+  let best = null;
+  for (const p of new Set(candidates)) {
+    let data = null;
+    try {
+      data = readLiveJson(p);
+    } catch {}
+    if (data && (!best || data.generated_at > best.generated_at)) best = data;
+  }
+  return best;
+}
+
+// sekce, ze kterých se berou akce (aktuality bývají pozvánky)
+const EVENT_SECTIONS = ["kalendar", "aktuality", "rozhlas"];
+
+function foldText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Akce z live dat (položky s termínem) seřazené podle začátku, bez duplicit
+ * (stejná akce v kalendáři i v aktualitách). Status se přepočítá vůči `now`.
+ *
+ * @param {object} data live JSON
+ * @param {{ from?: string, to?: string, q?: string, now?: Date }} [filter] from/to jako "YYYY-MM-DD" (místní datum)
+ */
+export function liveEvents(data, { from, to, q, now = new Date() } = {}) {
+  const seen = new Set();
+  const events = [];
+
+  for (const key of EVENT_SECTIONS) {
+    for (const i of data?.sections?.[key]?.items || []) {
+      if (!i.event?.start) continue;
+      const dedupe = `${foldText(i.title)}|${i.event.start}`;
+      if (seen.has(dedupe)) continue;
+      seen.add(dedupe);
+      events.push({ ...i, section: key, event: { ...i.event, status: classifyEvent(i.event, now) } });
+    }
+  }
+
+  const needle = foldText(q).trim();
+  return events
+    .filter((e) => !from || (e.event.end || e.event.start).slice(0, 10) >= from)
+    .filter((e) => !to || e.event.start.slice(0, 10) <= to)
+    .filter((e) => !needle || foldText(`${e.title} ${e.perex} ${e.text || ""}`).includes(needle))
+    .sort((a, b) => a.event.start.localeCompare(b.event.start));
+}
+
+// položky LIVE dat jako chunky pro stejné BM25 hledání jako KB
+export function liveChunks(data) {
+  const chunks = [];
+  for (const key of ["aktuality", "rozhlas", "kalendar"]) {
+    const section = data?.sections?.[key];
+    for (const i of section?.items || []) {
+      const when = i.event?.start ? `Termín: ${i.event.start}${i.event.end ? ` – ${i.event.end}` : ""}` : "";
+      chunks.push({
+        id: `live-${key}-${i.url}`,
+        source: `${section.title} (LIVE)`,
+        url: i.url,
+        text: [i.title, i.date ? `Zveřejněno: ${i.date}` : "", when, i.perex, i.text].filter(Boolean).join("\n"),
+      });
+    }
+  }
+  for (const n of data?.sections?.notices?.items || []) {
+    chunks.push({ id: `live-notice-${n.text}`, source: "Provozní upozornění (LIVE)", url: data.sections.notices.url, text: n.text });
+  }
+  return chunks;
+}
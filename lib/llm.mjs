@@ -0,0 +1,425 @@
+// lib/llm.mjs
+// Vrstva LLM providerů pro netlify/functions/search.mjs – výběr konfigurací, ne přepisem funkce.
+//
+//   assistants – OpenAI Assistants v2 (thread → run → poll, File Search nad vector store)
+//   chat       – Chat Completions na libovolném OpenAI-kompatibilním serveru (OPENAI_BASE_URL),
+//                kontext se doplní lokálně: BM25 nad KB chunky (lib/retrieval.mjs) + LIVE data
+//   mock       – deterministický, bez sítě (testy, lokální vývoj offline)
+//
+// Konfigurace (env > tenant.llm > default):
+//   LLM_PROVIDER_<OBEC> | LLM_PROVIDER = assistants | chat | mock   (default assistants)
+//   LLM_MODEL = gpt-4o-mini (jen chat)
+//   OPENAI_BASE_URL = https://api.openai.com (nebo např. http://localhost:11434/v1)
+//   OPENAI_API_KEY (mock ho nepotřebuje; u self-hosted serveru může být prázdný)
+//   LLM_TOOLS=0 vypne nástroje nad LIVE daty (lib/tools.mjs) u Assistants (default zapnuto)
+//
+// Provider: { name, answer({ message, threadId, instructions }) → { answer, threadId, sources },
+//             stream({ …, signal }) → async generator { type: "thread" | "delta" | "done", … } }
+
+import crypto from "crypto";
+import { openaiApi } from "./openai-api.mjs";
+import { tenantOpenAI } from "./tenant.mjs";
+import { loadIndex, searchIndex, buildIndex } from "./retrieval.mjs";
+import { loadLiveData, liveChunks } from "./live.mjs";
+import { citationStreamFilter, numberContextCitations, resolveCitations, stripCitations } from "./citations.mjs";
+import { MAX_TOOL_ROUNDS, TOOL_INSTRUCTIONS, runToolCall, toolContext, toolDefinitions } from "./tools.mjs";
+
+export const LLM_PROVIDERS = ["assistants", "chat", "mock"];
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+// chyba s HTTP statusem pro odpověď funkce
+export class LLMError extends Error {
+  constructor(message, { status = 500, details } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Výsledná konfigurace LLM pro obec.
+ * @returns {{ provider: string, model: string, baseUrl: string, apiKey: string, assistantId: string, selfHosted: boolean, tools: boolean }}
+ */
+export function llmConfig(tenant, env = process.env) {
+  const suffix = tenant.slug.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  const provider = (
+    cleanEnv(env[`LLM_PROVIDER_${suffix}`]) ||
+    tenant.llm?.provider ||
+    cleanEnv(env.LLM_PROVIDER) ||
+    "assistants"
+  ).toLowerCase();
+  const baseUrl = cleanEnv(env.OPENAI_BASE_URL) || tenant.llm?.baseUrl || "";
+
+  return {
+    provider,
+    model: cleanEnv(env.LLM_MODEL) || tenant.llm?.model || DEFAULT_MODEL,
+    baseUrl,
+    apiKey: cleanEnv(env.OPENAI_API_KEY),
+    assistantId: tenantOpenAI(tenant, env).assistantId,
+    // vlastní server (Ollama, vLLM, …) klíč mít nemusí
+    selfHosted: !!baseUrl && !/^https:\/\/api\.openai\.com/.test(baseUrl),
+    tools: cleanEnv(env.LLM_TOOLS) !== "0",
+  };
+}
+
+/* =========================
+   LOKÁLNÍ KONTEXT (chat, mock)
+========================= */
+/**
+ * Podklady k dotazu: top chunky z KB + z LIVE dat. [{ id, score, url, source, text }]
+ */
+export function retrieveContext(tenant, message, { kbLimit = 4, liveLimit = 3 } = {}) {
+  const stopwords = [tenant.slug, tenant.name];
+  const kb = loadIndex(tenant);
+  const live = loadLiveData(tenant);
+
+  return [
+    ...(live ? searchIndex(buildIndex(liveChunks(live)), message, { limit: liveLimit, stopwords }) : []),
+    ...(kb ? searchIndex(kb, message, { limit: kbLimit, stopwords }) : []),
+  ];
+}
+
+function contextBlock(context) {
+  if (!context.length) return "Podklady: (k dotazu nebylo nic nalezeno)";
+  return (
+    "Podklady (používej jen tyto informace; za tvrzení uveď číslo podkladu v hranatých závorkách, např. [1]):\n\n" +
+    context.map((c, i) => `[${i + 1}] ${c.source} – ${c.url}\n${c.text}`).join("\n\n")
+  );
+}
+
+/* =========================
+   PROVIDERS
+========================= */
+// textové části zprávy asistenta i s anotacemi (citace souborů)
+function assistantParts(message) {
+  return (message?.content || [])
+    .filter((c) => c?.type === "text" && c.text?.value)
+    .map((c) => ({ value: c.text.value, annotations: c.text.annotations || [] }));
+}
+
+// file_id → název souboru (mezi voláními funkce se nemění)
+const fileNames = new Map();
+
+function assistantsProvider(cfg, { tenant, timeoutMs = 25_000, pollMs = 800 } = {}) {
+  const api = openaiApi({ apiKey: cfg.apiKey, baseUrl: cfg.baseUrl });
+
+  async function fileName(fileId) {
+    if (!fileId) return "";
+    if (!fileNames.has(fileId)) {
+      const meta = await api.request(`/v1/files/${fileId}`).catch(() => null);
+      if (!meta?.filename) return "";
+      fileNames.set(fileId, meta.filename);
+    }
+    return fileNames.get(fileId);
+  }
+
+  // citace → [n] + sources (LIVE položka / stránka webu obce)
+  async function cite(message, fallback) {
+    const parts = assistantParts(message);
+    if (!parts.length) return { answer: stripCitations(fallback) || "Bez odpovědi", sources: [] };
+    const { answer, sources } = await resolveCitations(tenant, parts, { fileName });
+    return { answer: answer || "Bez odpovědi", sources };
+  }
+
+  // Thread: pokud přijde thread_id, pokračujeme; jinak založíme nový. Pak user message
+  // (system zprávy do threadu NEPOSÍLAT).
+  async function postMessage(threadId, message, signal) {
+    if (!threadId || typeof threadId !== "string" || !threadId.startsWith("thread_")) {
+      const created = await api.v2("/v1/threads", { method: "POST", signal });
+      threadId = created.id;
+    }
+
+    await api.v2(`/v1/threads/${threadId}/messages`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ role: "user", content: message }),
+      signal,
+    });
+    return threadId;
+  }
+
+  // Run: tools na úrovni runu nahrazují nástroje asistenta → file_search + naše funkce
+  function runBody(instructions, stream) {
+    return JSON.stringify({
+      assistant_id: cfg.assistantId,
+      instructions: cfg.tools ? `${instructions}\n\n${TOOL_INSTRUCTIONS}` : instructions,
+      ...(cfg.tools ? { tools: [{ type: "file_search" }, ...toolDefinitions()] } : {}),
+      ...(stream ? { stream: true } : {}),
+    });
+  }
+
+  // requires_action → výstupy nástrojů; bez nástrojů / po MAX_TOOL_ROUNDS kolech konec (run se zruší)
+  async function toolOutputs(run, round, ctx) {
+    const calls = run?.required_action?.submit_tool_outputs?.tool_calls || [];
+    if (!cfg.tools || !calls.length) {
+      throw new LLMError("Run requires action (tool call not handled in function).", { status: 501, details: "requires_action" });
+    }
+    if (round > MAX_TOOL_ROUNDS) {
+      throw new LLMError(`Too many tool call rounds (max ${MAX_TOOL_ROUNDS})`, { status: 502, details: "requires_action" });
+    }
+
+    return Promise.all(
+      calls.map(async (c) => ({
+        tool_call_id: c.id,
+        output: await runToolCall({ name: c.function?.name, arguments: c.function?.arguments }, ctx),
+      }))
+    );
+  }
+
+  const cancelRun = (threadId, runId) =>
+    api.v2(`/v1/threads/${threadId}/runs/${runId}/cancel`, { method: "POST" }).catch(() => {});
+
+  return {
+    name: "assistants",
+    async answer({ message, threadId, instructions }) {
+      // 1) Thread + user message
+      threadId = await postMessage(threadId, message);
+
+      // 2) Run + instructions (tady je datum)
+      const run = await api.v2(`/v1/threads/${threadId}/runs`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: runBody(instructions, false),
+      });
+
+      // 3) Poll run status (requires_action → nástroje → submit_tool_outputs → dál)
+      const ctx = toolContext(tenant);
+      const started = Date.now();
+      let round = 0;
+      let usage = null;
+      try {
+        while (true) {
+          if (Date.now() - started > timeoutMs) throw new LLMError("Timeout waiting for response", { status: 504 });
+
+          await sleep(pollMs);
+
+          const check = await api.v2(`/v1/threads/${threadId}/runs/${run.id}`);
+          const status = check.status;
+
+          if (status === "queued" || status === "in_progress") continue;
+          if (status === "requires_action") {
+            const outputs = await toolOutputs(check, ++round, ctx);
+            await api.v2(`/v1/threads/${threadId}/runs/${run.id}/submit_tool_outputs`, {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ tool_outputs: outputs }),
+            });
+            continue;
+          }
+          if (status !== "completed") throw new LLMError("Run failed", { status: 500, details: status });
+          usage = check.usage || null;
+          break;
+        }
+      } catch (err) {
+        // timeout / chyba nástroje / neúspěšný run → run zrušit, jinak thread zůstane zablokovaný aktivním runem
+        // (další dotaz konverzace by na něm selhal)
+        await cancelRun(threadId, run.id);
+        throw err;
+      }
+
+      // 4) Read messages
+      const messages = await api.v2(`/v1/threads/${threadId}/messages?limit=20`);
+      const reply = (messages?.data || []).find((m) => m.role === "assistant");
+      return { ...(await cite(reply, "")), threadId, usage };
+    },
+
+    // run se `stream: true` – delty textu hned, jak je asistent generuje (bez pollování a bez 504)
+    async *stream({ message, threadId, instructions, signal }) {
+      threadId = await postMessage(threadId, message, signal);
+      yield { type: "thread", threadId };
+
+      let events = await api.stream(`/v1/threads/${threadId}/runs`, {
+        method: "POST",
+        beta: true,
+        headers: { "Content-Type": "application/json" },
+        body: runBody(instructions, true),
+        signal,
+      });
+
+      const filter = citationStreamFilter();
+      const ctx = toolContext(tenant);
+      let round = 0;
+      let runId = null;
+      let completed = null;
+      let usage = null;
+      let full = "";
+      let finished = false;
+
+      try {
+        // po submit_tool_outputs (stream: true) pokračuje run novým streamem
+        while (events) {
+          let next = null;
+          for await (const { event, data } of events) {
+            if (event === "done") break;
+            const json = JSON.parse(data);
+
+            if (event === "thread.run.created") runId = json.id;
+            else if (event === "thread.run.completed") usage = json.usage || null;
+            else if (event === "thread.message.completed") completed = json;
+            else if (event === "thread.message.delta") {
+              for (const part of json.delta?.content || []) {
+                if (part?.type !== "text" || !part.text?.value) continue;
+                const text = filter.push(part.text.value);
+                full += text;
+                if (text) yield { type: "delta", text };
+              }
+            } else if (event === "thread.run.requires_action") {
+              runId = json.id || runId;
+              const outputs = await toolOutputs(json, ++round, ctx);
+              next = await api.stream(`/v1/threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+                method: "POST",
+                beta: true,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ tool_outputs: outputs, stream: true }),
+                signal,
+              });
+              break;
+            } else if (/^thread\.run\.(failed|cancelled|expired|incomplete)$/.test(event)) {
+              throw new LLMError("Run failed", { status: 500, details: json.status || event.split(".").pop() });
+            } else if (event === "error") {
+              throw new LLMError(json.message || json.error?.message || "Stream error", { status: 502 });
+            }
+          }
+          events = next;
+        }
+        finished = true;
+      } finally {
+        // chyba i odchod klienta (konzument ukončí generátor přes .return()) → run zrušit,
+        // jinak thread zůstane zablokovaný aktivním runem
+        if (!finished && runId) await cancelRun(threadId, runId);
+      }
+
+      const rest = filter.flush();
+      full += rest;
+      if (rest) yield { type: "delta", text: rest };
+
+      // celá zpráva (thread.message.completed) nese anotace → finální text s [n]
+      yield { type: "done", ...(await cite(completed, full)), threadId, usage };
+    },
+  };
+}
+
+function chatProvider(cfg, { tenant, retrieve = retrieveContext } = {}) {
+  const api = openaiApi({ apiKey: cfg.apiKey, baseUrl: cfg.baseUrl });
+
+  function completionBody(message, instructions, context, stream) {
+    return JSON.stringify({
+      model: cfg.model,
+      temperature: 0.2,
+      // include_usage (spotřeba tokenů pro denní rozpočet) lokální servery často neznají
+      ...(stream ? { stream: true, ...(cfg.selfHosted ? {} : { stream_options: { include_usage: true } }) } : {}),
+      messages: [
+        { role: "system", content: `${instructions}\n\n${contextBlock(context)}` },
+        { role: "user", content: message },
+      ],
+    });
+  }
+
+  // chat completions nemá serverový thread → threadId null
+  return {
+    name: "chat",
+    async answer({ message, instructions }) {
+      const context = retrieve(tenant, message);
+      const out = await api.request("/v1/chat/completions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: completionBody(message, instructions, context, false),
+      });
+
+      const { answer, sources } = numberContextCitations(out?.choices?.[0]?.message?.content, context);
+      return { answer: answer || "Bez odpovědi", threadId: null, sources, usage: out?.usage || null };
+    },
+
+    async *stream({ message, instructions, signal }) {
+      const context = retrieve(tenant, message);
+      const events = await api.stream("/v1/chat/completions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: completionBody(message, instructions, context, true),
+        signal,
+      });
+
+      let full = "";
+      let usage = null;
+      for await (const { data } of events) {
+        if (data === "[DONE]") break;
+        const json = JSON.parse(data);
+        if (json.error) throw new LLMError(json.error.message || "Stream error", { status: 502 });
+        if (json.usage) usage = json.usage;
+        const text = json.choices?.[0]?.delta?.content || "";
+        full += text;
+        if (text) yield { type: "delta", text };
+      }
+
+      // delty nesou čísla podkladů [k], finální text je přečíslovaný podle zdrojů
+      const { answer, sources } = numberContextCitations(full, context);
+      yield { type: "done", answer: answer || "Bez odpovědi", threadId: null, sources, usage };
+    },
+  };
+}
+
+function mockProvider(cfg, { tenant, retrieve = retrieveContext } = {}) {
+  return {
+    name: "mock",
+    async answer({ message, threadId }) {
+      const context = retrieve(tenant, message);
+      const top = context[0];
+      const { answer, sources } = top
+        ? numberContextCitations(`Podle podkladů obce ${tenant.name}: ${top.text.slice(0, 300)} [1]`, context)
+        : { answer: `Obec ${tenant.name}: k dotazu „${message}“ nemám podklady.`, sources: [] };
+      const id = threadId || `mock_${crypto.createHash("sha1").update(`${tenant.slug}|${message}`).digest("hex").slice(0, 12)}`;
+      return { answer, threadId: id, sources };
+    },
+
+    // stejná odpověď po slovech
+    async *stream(args) {
+      const out = await this.answer(args);
+      yield { type: "thread", threadId: out.threadId };
+      for (const word of out.answer.match(/\S+\s*/g) || []) yield { type: "delta", text: word };
+      yield { type: "done", ...out };
+    },
+  };
+}
+
+/**
+ * Provider podle konfigurace obce. Chybějící klíč / asistent → LLMError(500).
+ * @param {object} tenant
+ * @param {{ env?: object, retrieve?: Function, timeoutMs?: number, pollMs?: number }} [opts]
+ */
+export function createProvider(tenant, { env = process.env, ...opts } = {}) {
+  const cfg = llmConfig(tenant, env);
+
+  if (!LLM_PROVIDERS.includes(cfg.provider)) throw new LLMError(`Unknown LLM_PROVIDER: ${cfg.provider}`);
+  if (cfg.provider === "mock") return mockProvider(cfg, { tenant, ...opts });
+
+  if (!cfg.apiKey && !cfg.selfHosted) throw new LLMError("Missing OPENAI_API_KEY");
+  if (cfg.provider === "chat") return chatProvider(cfg, { tenant, ...opts });
+
+  if (!cfg.assistantId) throw new LLMError(`Missing ASSISTANT_ID for obec ${tenant.slug}`);
+  return assistantsProvider(cfg, { tenant, ...opts });
+}
+
+/**
+ * Odpověď jako stream událostí; provider bez `stream` pošle celou odpověď jednou deltou.
+ */
+export async function* streamAnswer(provider, args) {
+  if (provider.stream) {
+    yield* provider.stream(args);
+    return;
+  }
+  const out = await provider.answer(args);
+  yield { type: "thread", threadId: out.threadId };
+  yield { type: "delta", text: out.answer };
+  yield { type: "done", ...out };
+}
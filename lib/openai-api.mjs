@@ -0,0 +1,84 @@
+// lib/openai-api.mjs
+// Společný HTTP klient pro OpenAI API a OpenAI-kompatibilní servery (vlastní base URL).
+// Používají ho LLM provideři (lib/llm.mjs) i správa souborů ve vector store (lib/openai-files.mjs).
+
+import { parseSSE } from "./sse.mjs";
+
+export const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com";
+
+// Assistants v2 header (nutné pro vector stores/assistants endpoints)
+const BETA_HEADERS = { "OpenAI-Beta": "assistants=v2" };
+
+// "https://api.openai.com", "…/v1/" i "http://localhost:8000/v1" → bez koncového /v1 (cesty ho obsahují)
+export function normalizeBaseUrl(url) {
+  return String(url || DEFAULT_OPENAI_BASE_URL)
+    .trim()
+    .replace(/\/+$/, "")
+    .replace(/\/v1$/, "");
+}
+
+export class OpenAIError extends Error {
+  constructor(message, { status, code } = {}) {
+    super(message);
+    this.name = "OpenAIError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * @param {{ apiKey?: string, baseUrl?: string }} opts
+ * @returns {{ request: Function, v2: Function, stream: Function, baseUrl: string }}
+ *   request(pathname, { method, headers, body, beta, signal }) → JSON (chyba → OpenAIError)
+ *   stream(pathname, opts) → async iterable SSE událostí { event, data } (odpověď se `stream: true`)
+ */
+export function openaiApi({ apiKey, baseUrl } = {}) {
+  const BASE = normalizeBaseUrl(baseUrl);
+
+  async function send(pathname, { method = "GET", headers = {}, body, beta = false, signal } = {}) {
+    const res = await fetch(`${BASE}${pathname}`, {
+      method,
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...(beta ? BETA_HEADERS : {}),
+        ...headers,
+      },
+      body,
+      signal,
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch {}
+      const msg = json?.error?.message || text || `HTTP ${res.status}`;
+      throw new OpenAIError(`${method} ${pathname} failed (${res.status}): ${msg}`, { status: res.status, code: json?.error?.code });
+    }
+    return res;
+  }
+
+  async function request(pathname, opts) {
+    const res = await send(pathname, opts);
+    const text = await res.text().catch(() => "");
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch {
+      return {};
+    }
+  }
+
+  async function stream(pathname, opts) {
+    const res = await send(pathname, opts);
+    if (!res.body) throw new OpenAIError(`${opts?.method || "GET"} ${pathname}: empty stream`, { status: res.status });
+    return parseSSE(res.body);
+  }
+
+  return {
+    baseUrl: BASE,
+    request,
+    stream,
+    v2: (pathname, opts) => request(pathname, { ...opts, beta: true }),
+  };
+}
@@ -0,0 +1,154 @@
+// lib/openai-files.mjs
+// OpenAI Files + Vector Stores (Assistants v2) nad lib/openai-api.mjs – sdílí upload LIVE souboru
+// (scripts/upload-live-to-openai.mjs) a synchronizace knowledge/ (scripts/sync-knowledge.mjs).
+
+import { openaiApi } from "./openai-api.mjs";
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// ✅ robustní: některé odpovědi mají file_id, některé jen id, někde je to v f.file.id
+export function pickFileId(f) {
+  return f?.file_id || f?.file?.id || f?.id || null;
+}
+
+/**
+ * Druh souboru ve vector store z pohledu obce `obec` (vector store může sdílet víc obcí):
+ *   "live"      – LIVE soubor obce (upload-live: kind "live"; starší uploady jen obec + content_hash, nebo podle názvu)
+ *   "knowledge" – CORE soubor obce ze sync-knowledge (kind "knowledge"; starší jen source)
+ *   "other"     – soubor jiné obce
+ *   null        – bez atributů a nepoznaný podle názvu
+ * @param {object} f položka z listVectorStoreFiles
+ * @param {{ obec: string, filename?: string, liveFilename?: string }} opts
+ */
+export function vectorFileKind(f, { obec, filename = "", liveFilename = "" }) {
+  const a = f?.attributes || {};
+  if (a.obec && a.obec !== obec) return "other";
+  if (a.kind === "live" || a.kind === "knowledge") return a.kind;
+  if (a.source) return "knowledge";
+  if (a.obec) return "live";
+
+  const lower = filename.toLowerCase();
+  if (lower && (lower === liveFilename.toLowerCase() || lower.includes(`live_obec_${obec}`))) return "live";
+  return null;
+}
+
+/**
+ * @param {{ apiKey: string, baseUrl?: string }} opts
+ */
+export function openaiFiles({ apiKey, baseUrl }) {
+  const api = openaiApi({ apiKey, baseUrl });
+  const apiV2 = api.v2;
+  // /v1/files endpoint (bez beta header)
+  const apiFiles = api.request;
+
+  async function uploadFile(buf, filename) {
+    const fd = new FormData();
+    fd.append("purpose", "assistants");
+    fd.append("file", new Blob([buf]), filename);
+
+    const json = await apiFiles("/v1/files", { method: "POST", body: fd }).catch((e) => {
+      throw new Error(`Upload failed: ${e?.message || e}`);
+    });
+    if (!json?.id) throw new Error("Upload succeeded but missing file id.");
+    return json.id;
+  }
+
+  // všechny soubory vector store (stránkování přes `after`)
+  async function listVectorStoreFiles(vectorStoreId) {
+    const all = [];
+    let after = "";
+    while (true) {
+      const out = await apiV2(
+        `/v1/vector_stores/${vectorStoreId}/files?limit=100${after ? `&after=${encodeURIComponent(after)}` : ""}`
+      );
+      const page = out?.data || [];
+      all.push(...page);
+      if (!out?.has_more || !page.length) return all;
+      after = out.last_id || page[page.length - 1].id;
+    }
+  }
+
+  async function pickFilename(f) {
+    if (f?.filename) return f.filename;
+    if (f?.file?.filename) return f.file.filename;
+
+    const fileId = pickFileId(f);
+    if (!fileId) return "";
+
+    try {
+      const meta = await apiFiles(`/v1/files/${fileId}`);
+      return meta?.filename || "";
+    } catch {
+      return "";
+    }
+  }
+
+  // null když soubor ve vector store není
+  async function getVectorStoreFile(vectorStoreId, fileId) {
+    try {
+      return await apiV2(`/v1/vector_stores/${vectorStoreId}/files/${fileId}`);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Připojí soubor k vector store a počká na indexaci; chyba, když soubor neprošel.
+   */
+  async function attachFile(vectorStoreId, fileId, attributes, { timeoutMs = 180_000 } = {}) {
+    const batch = await apiV2(`/v1/vector_stores/${vectorStoreId}/file_batches`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ file_ids: [fileId], ...(attributes ? { attributes } : {}) }),
+    });
+
+    if (!batch?.id) throw new Error("Missing file_batch id.");
+    console.log(`📦 Created file_batch: ${batch.id}`);
+
+    const start = Date.now();
+
+    while (true) {
+      if (Date.now() - start > timeoutMs) throw new Error("Timeout waiting for vector store indexing.");
+
+      const check = await apiV2(`/v1/vector_stores/${vectorStoreId}/file_batches/${batch.id}`);
+      const status = check?.status || "unknown";
+      const counts = check?.file_counts;
+
+      console.log(`⏳ Indexing status: ${status}${counts ? ` | ${JSON.stringify(counts)}` : ""}`);
+
+      if (status === "completed") break;
+      if (status === "failed" || status === "cancelled") throw new Error(`Indexing failed: ${status}`);
+
+      await sleep(2000);
+    }
+
+    // batch "completed" neznamená, že právě tenhle soubor prošel (může být ve failed počtu)
+    const file = await apiV2(`/v1/vector_stores/${vectorStoreId}/files/${fileId}`);
+    if (file?.status !== "completed") {
+      throw new Error(`Indexing of ${fileId} not completed: ${file?.status || "unknown"}${file?.last_error?.message ? ` (${file.last_error.message})` : ""}`);
+    }
+  }
+
+  async function detachFile(vectorStoreId, id) {
+    // Nejčastěji funguje delete přes /vector_stores/{vs}/files/{id}
+    await apiV2(`/v1/vector_stores/${vectorStoreId}/files/${id}`, { method: "DELETE" });
+  }
+
+  async function deleteFile(fileId) {
+    await apiFiles(`/v1/files/${fileId}`, { method: "DELETE" });
+  }
+
+  return {
+    apiV2,
+    apiFiles,
+    uploadFile,
+    listVectorStoreFiles,
+    pickFilename,
+    getVectorStoreFile,
+    attachFile,
+    detachFile,
+    deleteFile,
+  };
+}
@@ -0,0 +1,297 @@
+// lib/qa-log.mjs
+// Strukturovaný log dotazů na /search (opt-in) pro statistiky úřadu (admin stránka, netlify/functions/admin.mjs).
+// Ukládá se: čas, obec, normalizovaný dotaz BEZ osobních údajů, latence, délka odpovědi, cesta (faq / provider /
+// odmítnuto), HTTP status a kód chyby. Odpověď ani thread se neukládají.
+//
+// Osobní údaje (jména, telefony, e-maily, rodná čísla, adresy) se nahradí značkou dřív, než se cokoli zapíše.
+// Redakce je heuristická – raději zahodí víc (např. víceslovné vlastní názvy) než míň.
+//
+// ENV: QA_LOG=1 zapne (default vypnuto), QA_LOG_STORE=file (default) | memory,
+//      QA_LOG_DIR (default data/qa-log; soubor na obec a den qa_<obec>_<YYYY-MM-DD>.jsonl),
+//      na Netlify/Lambdě bez QA_LOG_DIR dočasně <tmpdir>/qa-log (read-only nasazení; log je jen v instanci funkce),
+//      QA_LOG_RETENTION_DAYS=30 (starší záznamy se mažou)
+// Store je vyměnitelný: { append(obec, entry), read(obec, { since }) → entry[], prune(beforeDate) }
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { tokenize } from "./cz-text.mjs";
+import { toPragueLocal } from "./czech-date.mjs";
+
+export const QA_LOG_RETENTION_DAYS = 30;
+const MAX_QUESTION_CHARS = 300;
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+/* ===== REDAKCE ===== */
+
+const UP = "A-ZÁČĎÉĚÍŇÓŘŠŤÚŮÝŽ";
+const LOW = "a-záčďéěíňóřšťúůýž";
+const WORD = `[${UP}][${LOW}]+`;
+// \b v JS regexech nezná diakritiku → vlastní hranice slova
+const START = `(?<![\\w${UP}${LOW}])`;
+// jen první písmeno bez ohledu na velikost ("Paní" i "paní"), jméno za ním musí mít velké
+const anyCase = (words) => words.map((w) => `[${w[0].toUpperCase()}${w[0]}]${w.slice(1).replace(/\./g, "\\.")}`).join("|");
+
+// slova, která za "jsem" / "pan" nejsou jméno ("jsem rád", "jsem z Radimi", "pan starosta")
+const NOT_NAME = [
+  "a", "i", "se", "si", "z", "ze", "v", "ve", "na", "do", "u", "o", "k", "s", "už", "tu", "tady", "taky", "také", "ještě", "moc",
+  "rád", "ráda", "rádi", "nový", "nová", "místní", "občan", "občanka", "obyvatel", "obyvatelka", "chtěl", "chtěla", "četl", "četla",
+  "starosta", "starostou", "starostovi", "starostka", "starostkou", "starostce", "místostarosta", "místostarostou", "farář", "farářem",
+];
+// jméno po oslovení: libovolná velikost písmen, kromě slov z NOT_NAME
+const NAME = `(?!(?:${NOT_NAME.join("|")})(?![${UP}${LOW}]))[${UP}${LOW}]+`;
+
+const HOUSE_NO = "(?!(?:19|20)\\d{2}(?!\\d))\\d{1,4}(?:\\/\\d{1,4})?[a-z]?(?!\\d)";
+
+// pořadí je důležité: rodné číslo dřív než telefon, adresa dřív než jména
+const RULES = [
+  ["[e-mail]", /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi],
+  ["[rodné číslo]", /\b\d{2}[0156]\d[0-3]\d\s?\/\s?\d{3,4}\b/g],
+  ["[rodné číslo]", /\b\d{2}[0156]\d[0-3]\d{5}\b/g],
+  // 777 123 456, 777123456, +420 777 123 456 i 607 12 34 56 (dřív než PSČ, které by sebralo "607 12")
+  ["[telefon]", /(?:(?:\+|00)420[\s-]?|\b)[1-9]\d{2}(?:[\s-]?\d{3}[\s-]?\d{3}|[\s-]\d{2}[\s-]\d{2}[\s-]\d{2})\b/g],
+  // "č. p. 45", "čp 45", "č p 45"
+  ["[adresa]", new RegExp(`${START}(?:${anyCase(["č. p.", "č.p.", "čp.", "č. p", "č p", "čp", "č. ev.", "č.ev."])})\\s?\\d{1,4}(?!\\d)`, "g")],
+  // "bydlím nádražní 12", "na adrese u rybníka 5" – po slovech o adrese i s malým písmenem
+  [
+    "[adresa]",
+    new RegExp(
+      `${START}(${anyCase(["bydlím na", "bydlím ve", "bydlím v", "bydlím", "bydliště", "na adrese", "adresa", "adresu", "v ulici", "na ulici"])}:?)\\s+[${UP}${LOW}]+(?:\\s+[${UP}${LOW}]+)?\\s+${HOUSE_NO}`,
+      "g"
+    ),
+    (m, intro) => `${intro} [adresa]`,
+  ],
+  // "ulice Nádražní 12", "nám. Míru 5"
+  [
+    "[adresa]",
+    new RegExp(`${START}(?:${anyCase(["ul.", "ulice", "nám.", "náměstí", "třída", "tř."])})\\s+[${UP}${LOW}]+(?:\\s+[${UP}${LOW}]+)?\\s+${HOUSE_NO}`, "g"),
+  ],
+  // "Hlavní 123", "Na Výsluní 12/3", "Palackého 1a" (slova s velkým písmenem + číslo popisné, ne rok)
+  ["[adresa]", new RegExp(`${START}(?:(?:Na|U|V|Ve|K|Ke|Za|Pod|Nad)\\s+)?${WORD}(?:\\s+${WORD})?\\s+${HOUSE_NO}`, "g")],
+  ["[PSČ]", /\b\d{3}\s\d{2}\b/g],
+  // oslovení / představení + jedno až dvě slova (i s malým písmenem: "jmenuji se jan novák")
+  [
+    "[jméno]",
+    new RegExp(
+      `${START}(${anyCase(["pan", "paní", "pana", "panu", "panem", "p.", "sl.", "slečna", "jmenuji se", "jmenuju se", "jsem"])})\\s+${NAME}(?:\\s+${NAME})?`,
+      "g"
+    ),
+    (m, intro) => `${intro} [jméno]`,
+  ],
+  // dvě a víc slov s velkým písmenem za sebou (Jan Novák, Marie Nováková Dvořáková)
+  ["[jméno]", new RegExp(`${START}${WORD}(?:\\s+${WORD})+`, "g")],
+];
+
+export function redact(text) {
+  let s = String(text || "");
+  for (const [tag, re, fn] of RULES) s = s.replace(re, fn || (() => tag));
+  return s;
+}
+
+// dotaz pro log: bez osobních údajů, jeden řádek, zkrácený
+export function normalizeQuestion(text) {
+  const s = redact(text).replace(/\s+/g, " ").trim();
+  return s.length > MAX_QUESTION_CHARS ? `${s.slice(0, MAX_QUESTION_CHARS - 1)}…` : s;
+}
+
+/* ===== STORES ===== */
+
+const dayOf = (iso) => toPragueLocal(new Date(iso)).slice(0, 10);
+
+export function fileStore({ dir }) {
+  const fileRe = /^qa_(.+)_(\d{4}-\d{2}-\d{2})\.jsonl$/;
+  const files = () => {
+    try {
+      return fs.readdirSync(dir).map((f) => [f, f.match(fileRe)]).filter(([, m]) => m);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  };
+
+  return {
+    append(obec, entry) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(path.join(dir, `qa_${obec}_${dayOf(entry.at)}.jsonl`), JSON.stringify(entry) + "\n", "utf8");
+    },
+    read(obec, { since } = {}) {
+      const fromDay = since ? dayOf(since) : "";
+      return files()
+        .filter(([, m]) => m[1] === obec && m[2] >= fromDay)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .flatMap(([f]) =>
+          fs
+            .readFileSync(path.join(dir, f), "utf8")
+            .split("\n")
+            .flatMap((line) => {
+              try {
+                return line.trim() ? [JSON.parse(line)] : [];
+              } catch {
+                return [];
+              }
+            })
+        )
+        .filter((e) => !since || e.at >= since);
+    },
+    // retence po celých dnech: smaže soubory starší než `before`
+    prune(before) {
+      const day = dayOf(before);
+      for (const [f, m] of files()) if (m[2] < day) fs.rmSync(path.join(dir, f), { force: true });
+    },
+  };
+}
+
+export function memoryStore() {
+  let entries = [];
+  return {
+    append(obec, entry) {
+      entries.push({ obec, entry });
+    },
+    read(obec, { since } = {}) {
+      return entries.filter((e) => e.obec === obec && (!since || e.entry.at >= since)).map((e) => e.entry);
+    },
+    prune(before) {
+      const iso = before.toISOString();
+      entries = entries.filter((e) => e.entry.at >= iso);
+    },
+  };
+}
+
+let sharedMemory = null;
+// kdy naposled proběhla retence (den UTC) – na store, ne na požadavek
+const prunedOn = new Map();
+
+let warnedTmp = false;
+const isServerless = (env) => !!(env.NETLIFY || env.AWS_LAMBDA_FUNCTION_NAME);
+
+// serverless: složka nasazení je read-only (data/qa-log → EROFS, každý zápis by tiše selhal)
+export function qaLogDir(env = process.env) {
+  const dir = cleanEnv(env.QA_LOG_DIR);
+  if (dir) return path.resolve(dir);
+  if (!isServerless(env)) return path.resolve("data/qa-log");
+
+  const tmp = path.join(os.tmpdir(), "qa-log");
+  if (!warnedTmp) {
+    warnedTmp = true;
+    console.warn(`⚠️  QA_LOG_DIR není nastavené – log dotazů se ukládá dočasně do ${tmp} (zmizí s instancí funkce)`);
+  }
+  return tmp;
+}
+
+/**
+ * `instanceLocal`: store vidí jen jedna instance funkce (paměť, nebo disk na serverless) –
+ * admin pak nevidí dotazy zapsané funkcí search a data zmizí s instancí.
+ */
+export function qaLogConfig(env = process.env) {
+  const store = cleanEnv(env.QA_LOG_STORE) || "file";
+  return {
+    enabled: cleanEnv(env.QA_LOG) === "1",
+    store,
+    dir: qaLogDir(env),
+    instanceLocal: store === "memory" || isServerless(env),
+    retentionDays: Number(cleanEnv(env.QA_LOG_RETENTION_DAYS)) || QA_LOG_RETENTION_DAYS,
+  };
+}
+
+export function qaLogStore(env = process.env) {
+  const cfg = qaLogConfig(env);
+  if (cfg.store === "memory") return (sharedMemory ||= memoryStore());
+  if (cfg.store !== "file") throw new Error(`Unknown QA_LOG_STORE: ${cfg.store}`);
+  return fileStore({ dir: cfg.dir });
+}
+
+/**
+ * Logger jednoho nasazení; null, když je log vypnutý (QA_LOG != 1).
+ * log() nikdy nevyhodí – chyba logu nesmí shodit odpověď.
+ */
+export function createQaLogger({ env = process.env, store, now = () => new Date() } = {}) {
+  const cfg = qaLogConfig(env);
+  if (!cfg.enabled) return null;
+  const pruneKey = store || (cfg.store === "memory" ? "memory" : cfg.dir);
+  store ||= qaLogStore(env);
+
+  return {
+    async log(obec, { question, ...fields }) {
+      try {
+        const at = now();
+        await store.append(obec, { at: at.toISOString(), obec, question: normalizeQuestion(question), ...fields });
+
+        // retence: jednou za den a instanci funkce
+        const day = at.toISOString().slice(0, 10);
+        if (prunedOn.get(pruneKey) !== day) {
+          prunedOn.set(pruneKey, day);
+          await store.prune(new Date(at.getTime() - cfg.retentionDays * 86_400_000));
+        }
+      } catch (err) {
+        console.error("QA log failed:", err?.message || err);
+      }
+    },
+  };
+}
+
+/* ===== STATISTIKY (admin) ===== */
+
+// značky redakce nejsou témata
+const REDACTED_TERMS = new Set(tokenize("jméno telefon e-mail rodné číslo adresa PSČ"));
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/**
+ * @param {object[]} entries záznamy logu
+ * @param {{ days?: number, now?: Date, top?: number }} [opts]
+ */
+export function qaStats(entries, { days = 30, now = new Date(), top = 15 } = {}) {
+  const byDay = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    byDay.set(dayOf(new Date(now.getTime() - i * 86_400_000)), { date: "", total: 0, errors: 0, faq: 0 });
+  }
+
+  const paths = {};
+  const errors = {};
+  const terms = new Map();
+  const latencies = [];
+
+  for (const e of entries) {
+    const d = byDay.get(dayOf(e.at));
+    if (!d) continue;
+    const failed = e.status >= 400;
+    d.total++;
+    if (failed) d.errors++;
+    if (e.path === "faq") d.faq++;
+
+    paths[e.path || "?"] = (paths[e.path || "?"] || 0) + 1;
+    if (failed) errors[e.error || String(e.status)] = (errors[e.error || String(e.status)] || 0) + 1;
+    if (!failed && Number.isFinite(e.latency_ms)) latencies.push(e.latency_ms);
+
+    for (const t of new Set(tokenize(e.question))) {
+      if (REDACTED_TERMS.has(t)) continue;
+      const s = terms.get(t) || { term: t, count: 0, example: e.question };
+      s.count++;
+      terms.set(t, s);
+    }
+  }
+
+  const days_ = [...byDay].map(([date, d]) => ({ ...d, date }));
+  const total = days_.reduce((n, d) => n + d.total, 0);
+  const failed = days_.reduce((n, d) => n + d.errors, 0);
+  latencies.sort((a, b) => a - b);
+
+  return {
+    total,
+    errors: failed,
+    errorRate: total ? failed / total : 0,
+    byDay: days_,
+    paths,
+    errorCodes: errors,
+    latency: { p50: percentile(latencies, 50), p95: percentile(latencies, 95) },
+    topTopics: [...terms.values()].sort((a, b) => b.count - a.count || a.term.localeCompare(b.term)).slice(0, top),
+  };
+}
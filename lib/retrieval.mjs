@@ -0,0 +1,113 @@
+// lib/retrieval.mjs
+// Offline vyhledávání v chuncích ze scripts/build_kb.js (BM25 nad českými kmeny bez diakritiky).
+// Index se staví při buildu KB (kb/index_<obec>.json); když chybí, postaví se z chunků při načtení.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { tokenize } from "./cz-text.mjs";
+
+export const INDEX_VERSION = 1;
+
+const K1 = 1.2;
+const B = 0.75;
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export function chunksPath(tenant, root = repoRoot) {
+  return path.join(root, "kb", tenant.kb?.out || `chunks_${tenant.slug}.json`);
+}
+
+export function indexPath(tenant, root = repoRoot) {
+  return path.join(root, "kb", `index_${tenant.slug}.json`);
+}
+
+/**
+ * BM25 index nad chunky [{ id, source, url, text }].
+ * postings: term → [[docIndex, tf], …]; texty jsou v indexu, /retrieve nepotřebuje chunky.
+ */
+export function buildIndex(chunks, { obec, generatedAt } = {}) {
+  const docs = [];
+  const postings = {};
+  let totalLen = 0;
+
+  chunks.forEach((c, docIndex) => {
+    // zdroj ("Web obce … – /urad/") nese i téma stránky
+    const terms = tokenize(`${c.source || ""} ${c.text || ""}`);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) (postings[t] ||= []).push([docIndex, n]);
+
+    docs.push({ id: c.id, source: c.source || "", url: c.url || "", text: c.text || "", len: terms.length });
+    totalLen += terms.length;
+  });
+
+  return {
+    version: INDEX_VERSION,
+    obec: obec || null,
+    generated_at: generatedAt || new Date().toISOString(),
+    avgdl: docs.length ? totalLen / docs.length : 0,
+    docs,
+    postings,
+  };
+}
+
+/**
+ * Nejlepší chunky pro dotaz: [{ id, score, url, source, text }] seřazené podle skóre.
+ */
+export function searchIndex(index, query, { limit = 5, stopwords = [] } = {}) {
+  const N = index?.docs?.length || 0;
+  if (!N) return [];
+
+  const scores = new Map();
+  for (const term of new Set(tokenize(query, stopwords))) {
+    const list = index.postings[term];
+    if (!list) continue;
+    const idf = Math.log(1 + (N - list.length + 0.5) / (list.length + 0.5));
+    for (const [docIndex, tf] of list) {
+      const len = index.docs[docIndex].len;
+      const s = (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * len) / (index.avgdl || 1)));
+      scores.set(docIndex, (scores.get(docIndex) || 0) + s);
+    }
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .slice(0, limit)
+    .map(([docIndex, score]) => {
+      const { id, url, source, text } = index.docs[docIndex];
+      return { id, score: Math.round(score * 1000) / 1000, url, source, text };
+    });
+}
+
+export function writeIndex(absPath, index) {
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, JSON.stringify(index), "utf8");
+}
+
+const cache = new Map();
+
+/**
+ * Index obce: kb/index_<obec>.json, jinak postavený z kb/chunks_<obec>.json; nic → null.
+ */
+export function loadIndex(tenant) {
+  if (cache.has(tenant.slug)) return cache.get(tenant.slug);
+
+  let index = null;
+  for (const root of new Set([repoRoot, process.cwd()])) {
+    try {
+      const data = JSON.parse(fs.readFileSync(indexPath(tenant, root), "utf8"));
+      if (data?.version === INDEX_VERSION) index = data;
+    } catch {}
+    if (index) break;
+
+    try {
+      const kb = JSON.parse(fs.readFileSync(chunksPath(tenant, root), "utf8"));
+      index = buildIndex(kb.chunks || [], { obec: tenant.slug, generatedAt: kb.generated_at });
+    } catch {}
+    if (index) break;
+  }
+
+  cache.set(tenant.slug, index);
+  return index;
+}
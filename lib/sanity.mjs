@@ -0,0 +1,51 @@
+// lib/sanity.mjs
+// Kontrola, že nový LIVE výstup nevypadá jako rozbitý scraper (změna šablony CMS),
+// dřív než nahradí dobrá data ve vector store.
+
+const LIST_SECTIONS = ["aktuality", "rozhlas", "kalendar"];
+// sekce, kde má každá položka datum publikace
+const DATED_SECTIONS = ["aktuality", "rozhlas"];
+
+/**
+ * Porovná nový live JSON s předchozím. Vrací seznam problémů [{ section, code, message }];
+ * prázdné pole = v pořádku. Sekce se statusem stale/error se neposuzují (ty drží stará data).
+ *
+ * - "empty": sekce měla aspoň `minPrevious` položek a teď se stáhla bez chyby s 0 položkami
+ * - "dates-missing": položky jsou, ale žádná nemá datum publikace (selektor .publication_date)
+ */
+export function checkLiveSanity(previous, current, { minPrevious = 3 } = {}) {
+  const problems = [];
+  if (!previous?.sections || !current?.sections) return problems;
+
+  for (const key of LIST_SECTIONS) {
+    const prev = previous.sections[key];
+    const cur = current.sections[key];
+    if (!prev || !cur || !["ok", "empty"].includes(cur.status)) continue;
+
+    const prevCount = prev.items?.length || 0;
+    const curCount = cur.items?.length || 0;
+
+    if (prevCount >= minPrevious && curCount === 0) {
+      problems.push({
+        section: key,
+        code: "empty",
+        message: `Sekce ${key} měla ${prevCount} položek, teď 0 – změnila se šablona webu?`,
+      });
+      continue;
+    }
+
+    if (DATED_SECTIONS.includes(key) && curCount > 0) {
+      const prevDated = (prev.items || []).filter((i) => i.date_iso).length;
+      const curDated = cur.items.filter((i) => i.date_iso).length;
+      if (prevDated >= minPrevious && curDated === 0) {
+        problems.push({
+          section: key,
+          code: "dates-missing",
+          message: `Sekce ${key}: žádná z ${curCount} položek nemá datum publikace (dříve ${prevDated}).`,
+        });
+      }
+    }
+  }
+
+  return problems;
+}
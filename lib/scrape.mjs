@@ -0,0 +1,298 @@
+// lib/scrape.mjs
+// Stahování LIVE dat z webu obce: fetch s timeoutem a retry, stránkování výpisu, detaily s cache,
+// izolace sekcí (stale fallback) a report běhu. Používá scripts/live_chomutice_scrape.mjs;
+// síť (fetch), hodiny (now, sleep) a cache detailů jdou podstrčit v testech.
+
+import fs from "fs";
+import path from "path";
+import * as cheerio from "cheerio";
+import { sectionUrl } from "./tenant.mjs";
+import { parseCzechDateISO } from "./live.mjs";
+import { extractDetail, extractListItems, findPageLinks, LIST_LINK_SELECTORS } from "./extract.mjs";
+
+const defaultNow = () => new Date();
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* =========================
+   SÍŤ
+========================= */
+export class FetchError extends Error {
+  constructor(message, { status, transient }) {
+    super(message);
+    this.name = "FetchError";
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+const TRANSIENT_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Retry-After v sekundách nebo jako HTTP datum
+export function retryAfterMs(res, now = defaultNow()) {
+  const h = res?.headers?.get("retry-after");
+  if (!h) return 0;
+  const sec = Number(h);
+  if (Number.isFinite(sec)) return sec * 1000;
+  const at = Date.parse(h);
+  return Number.isFinite(at) ? Math.max(0, at - now.getTime()) : 0;
+}
+
+/**
+ * fetchHtml(url) s timeoutem na jeden request a retry s exponenciálním backoffem (+ jitter)
+ * jen u přechodných chyb (síť, timeout, 408/429/5xx). Retry-After má přednost, max `retryMaxMs`.
+ */
+export function createFetcher({
+  userAgent,
+  timeoutMs = 15_000,
+  retries = 3,
+  retryBaseMs = 1000,
+  retryMaxMs = 15_000,
+  fetch = globalThis.fetch,
+  sleep = defaultSleep,
+  now = defaultNow,
+  random = Math.random,
+  log = console.log,
+} = {}) {
+  async function fetchOnce(url) {
+    let res;
+    try {
+      res = await fetch(url, {
+        headers: { "User-Agent": userAgent, "Accept-Language": "cs" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (e) {
+      const timeout = e?.name === "TimeoutError" || e?.name === "AbortError";
+      throw new FetchError(`${timeout ? `Timeout ${timeoutMs} ms` : `Network error: ${e?.message || e}`} ${url}`, {
+        transient: true,
+      });
+    }
+
+    if (!res.ok) {
+      const err = new FetchError(`Fetch failed ${res.status} ${url}`, {
+        status: res.status,
+        transient: TRANSIENT_STATUS.has(res.status),
+      });
+      err.retryAfterMs = retryAfterMs(res, now());
+      throw err;
+    }
+    return await res.text();
+  }
+
+  async function fetchHtml(url) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fetchOnce(url);
+      } catch (e) {
+        if (!e?.transient || attempt > retries) throw e;
+        const backoff = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1));
+        const wait = Math.min(retryMaxMs, Math.max(e.retryAfterMs || 0, backoff + random() * backoff * 0.3));
+        log(`↻ ${e.message} – pokus ${attempt + 1}/${retries + 1} za ${Math.round(wait)} ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return { fetchHtml };
+}
+
+/* =========================
+   STRÁNKOVÁNÍ
+========================= */
+function isTooOld(item, minDateISO) {
+  if (!minDateISO) return false;
+  const iso = parseCzechDateISO(item.date);
+  return !!iso && iso < minDateISO;
+}
+
+/**
+ * Projde stránkovaný výpis sekce (max `maxPages` stránek) a vrátí { url, items, pages, found }.
+ * Položky jsou deduplikované podle URL. U sekcí s datem publikace končí stránkování,
+ * jakmile stránka neobsahuje nic mladšího než `maxAgeDays` (0 = bez limitu).
+ */
+export async function scrapeListing({ tenant, key, limit, fetchHtml, maxPages = 10, maxAgeDays = 90, now = defaultNow }) {
+  const url = sectionUrl(tenant, key);
+  const sectionPath = tenant.sections[key];
+  const minDateISO = maxAgeDays ? new Date(now().getTime() - maxAgeDays * 86_400_000).toISOString().slice(0, 10) : "";
+
+  const queue = [url];
+  const visited = new Set();
+  const seenItems = new Set();
+  const items = [];
+  let found = 0;
+
+  while (queue.length && visited.size < maxPages && items.length < limit) {
+    const pageUrl = queue.shift();
+    if (visited.has(pageUrl)) continue;
+    visited.add(pageUrl);
+
+    const $ = cheerio.load(await fetchHtml(pageUrl));
+    const page = extractListItems($, { base: tenant.base, linkSelector: LIST_LINK_SELECTORS[key] });
+    found += page.found;
+
+    let fresh = 0;
+    let dated = 0;
+    for (const item of page.items) {
+      if (item.date) dated++;
+      if (isTooOld(item, minDateISO)) continue;
+      fresh++;
+
+      if (seenItems.has(item.url)) continue;
+      seenItems.add(item.url);
+      items.push(item);
+    }
+
+    // všechno na stránce je starší než limit → další stránky budou ještě starší
+    if (dated && !fresh) break;
+
+    for (const link of findPageLinks($, pageUrl, { base: tenant.base, sectionPath })) {
+      if (!visited.has(link) && !queue.includes(link)) queue.push(link);
+    }
+  }
+
+  return { url, items: items.slice(0, limit), pages: visited.size, found };
+}
+
+/* =========================
+   DETAIL POLOŽKY
+========================= */
+// otisk položky z výpisu – když se nezměnil, detail se nestahuje znovu
+export function itemFingerprint(i) {
+  return [i.title, i.date, i.perex].join("|");
+}
+
+// cache detailů v JSON souboru (chybějící / poškozený soubor = prázdná cache)
+export function detailFileCache(file) {
+  return {
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8")) || {};
+      } catch {
+        return {};
+      }
+    },
+    save(cache) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(cache), "utf8");
+    },
+  };
+}
+
+/**
+ * Doplní položkám `text` a `attachments` z detailních stránek (s cache podle URL a otisku položky).
+ * Chyba jedné položky nevadí – položka zůstane jen s perexem.
+ * `keep` = sekce, které se teď nestahovaly (stale) – jejich záznamy v cache zůstanou.
+ * @returns {{ items: number, fetched: number }}
+ */
+export async function enrichWithDetails(
+  lists,
+  { fetchHtml, base, cache, keep = [], textLimit = 4000, concurrency = 3, now = defaultNow, log = console.log }
+) {
+  const prev = cache.load();
+  const next = {};
+  for (const i of keep.flatMap((l) => l.items)) {
+    if (prev[i.url]) next[i.url] = prev[i.url];
+  }
+  const items = lists.flatMap((l) => l.items);
+  let fetched = 0;
+
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length) {
+      const item = queue.shift();
+      const fp = itemFingerprint(item);
+      const hit = prev[item.url];
+
+      let detail = hit && hit.fingerprint === fp ? hit : null;
+      if (!detail) {
+        try {
+          const $ = cheerio.load(await fetchHtml(item.url));
+          detail = { fingerprint: fp, fetched_at: now().toISOString(), ...extractDetail($, item.url, { base, textLimit }) };
+          fetched++;
+        } catch (e) {
+          log(`⚠️  Detail se nepodařilo načíst: ${item.url} (${e?.message || e})`);
+          continue;
+        }
+      }
+
+      next[item.url] = detail;
+      item.text = detail.text;
+      item.attachments = detail.attachments;
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  cache.save(next);
+  return { items: items.length, fetched };
+}
+
+/* =========================
+   IZOLACE SEKCÍ
+========================= */
+// položky z live JSON zpět do tvaru scraperu
+export function fromLiveItems(key, items) {
+  if (key === "notices") return items.map((n) => n.text);
+  return items.map(({ title, date, perex, url, text, attachments }) => ({ title, date, perex, url, text, attachments }));
+}
+
+/**
+ * Spustí sekci izolovaně. Při chybě vrátí poslední dobrá data z předchozího běhu (`previous` = live JSON)
+ * se statusem "stale" (a jejich stářím vůči `startedAt`), případně prázdnou sekci se statusem "error".
+ */
+export async function runSection(key, scrape, { tenant, previous, startedAt, now = defaultNow, log = console.log }) {
+  const started = now();
+  const fallbackUrl = sectionUrl(tenant, key) || `${tenant.base}/`;
+  try {
+    const result = await scrape();
+    return { ...result, status: result.items.length ? "ok" : "empty", duration_ms: now() - started };
+  } catch (e) {
+    const error = e?.message || String(e);
+    const duration_ms = now() - started;
+    const prev = previous?.sections?.[key];
+    log(`⚠️  Sekce ${key} selhala: ${error}`);
+
+    if (prev?.items?.length) {
+      const lastOkAt = prev.last_ok_at || previous.generated_at;
+      const staleAgeHours = Math.round(((startedAt - new Date(lastOkAt)) / 3_600_000) * 10) / 10;
+      return {
+        url: prev.url || fallbackUrl,
+        pages: prev.pages,
+        items: fromLiveItems(key, prev.items),
+        status: "stale",
+        error,
+        lastOkAt,
+        staleAgeHours,
+        duration_ms,
+      };
+    }
+    return { url: fallbackUrl, items: [], status: "error", error, duration_ms };
+  }
+}
+
+/**
+ * Report běhu pro live-cron: stav sekcí, selhané sekce, sanity kontrola a cesty k výstupům.
+ */
+export function buildReport({ tenant, startedAt, finishedAt = defaultNow(), sections, problems = [], files }) {
+  const out = {};
+  for (const [key, s] of Object.entries(sections)) {
+    out[key] = {
+      status: s.status,
+      items: s.items.length,
+      ...(s.pages != null ? { pages: s.pages } : {}),
+      duration_ms: s.duration_ms,
+      ...(s.error ? { error: s.error } : {}),
+      ...(s.status === "stale" ? { last_ok_at: s.lastOkAt, stale_age_hours: s.staleAgeHours } : {}),
+    };
+  }
+  const failed = Object.keys(out).filter((k) => ["stale", "error"].includes(out[k].status));
+  return {
+    obec: tenant.slug,
+    ok: failed.length === 0,
+    failed,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    sections: out,
+    sanity: { ok: problems.length === 0, problems },
+    files,
+  };
+}
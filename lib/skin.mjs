@@ -0,0 +1,165 @@
+// lib/skin.mjs
+// Skin widgetu obce: skins/<skin>/skin.json (barvy, erb + pozadí, texty, rychlé dotazy, jazyk),
+// formát popisuje schemas/skin.schema.json. Widget ho dostane hotový z /.netlify/functions/tenant (pole theme).
+//
+// Chybějící skin.json = výchozí vzhled. Pole, které neprojde schématem, se zahodí (varování do logu)
+// a platí za něj výchozí hodnota – rozbitý skin nerozbije widget. Obrázek, který ve složce skinu
+// není, se pošle jako null → widget použije fallback (bez pozadí / logoFallback místo erbu).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const DEFAULT_SKIN = {
+  lang: "cs",
+  title: "Asistent obce {obec}",
+  colors: {
+    text: "#0f172a",
+    brand: "#1e3a8a",
+    brand2: "#1d4ed8",
+    meBg: "rgba(219,234,254,.92)",
+    botBg: "rgba(255,255,255,.88)",
+  },
+  assets: { background: "bg.jpg", logo: "erb.png" },
+  logoFallback: "AI",
+  fab: { title: "Poradíme vám", subtitle: "Klikněte a napište dotaz…" },
+  greeting: "Ahoj! Zeptej se mě na cokoliv ohledně obce {obec}.",
+  placeholder: "Napište dotaz…",
+  quickQuestions: [
+    { label: "Úřední hodiny", question: "Jaké jsou úřední hodiny obecního úřadu {obec}?" },
+    { label: "Kontakty úřadu", question: "Kde najdu kontakty na obecní úřad {obec}?" },
+    { label: "Hlášení rozhlasu", question: "Jak funguje hlášení rozhlasu v obci {obec}?" },
+    { label: "Kalendář akcí", question: "Kde najdu kalendář akcí v obci {obec}?" },
+  ],
+};
+
+const cache = new Map();
+let schemaCache = null;
+
+function readJson(rel, roots) {
+  for (const root of roots) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(root, rel), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+  return undefined;
+}
+
+export function skinSchema() {
+  schemaCache ||= readJson("schemas/skin.schema.json", [repoRoot, process.cwd()]);
+  return schemaCache;
+}
+
+/**
+ * Kontrola hodnoty proti podmnožině JSON Schema, kterou skin.schema.json používá
+ * ($ref do $defs, type, required, properties, additionalProperties, items, maxItems, maxLength, pattern).
+ * @returns {{ path: string, message: string }[]} chyby (prázdné = platné)
+ */
+export function validateSchema(schema, value, root = schema, at = "") {
+  if (schema.$ref) {
+    const def = root.$defs?.[schema.$ref.replace("#/$defs/", "")];
+    return def ? validateSchema(def, value, root, at) : [{ path: at, message: `neznámý $ref ${schema.$ref}` }];
+  }
+
+  const fail = (message) => [{ path: at || "/", message }];
+  const isObject = value && typeof value === "object" && !Array.isArray(value);
+
+  if (schema.type === "object") {
+    if (!isObject) return fail("očekáván objekt");
+    const errors = [];
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${at}/${key}`, message: "chybí" });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const p = schema.properties?.[key];
+      if (p) errors.push(...validateSchema(p, v, root, `${at}/${key}`));
+      else if (schema.additionalProperties === false) errors.push({ path: `${at}/${key}`, message: "neznámé pole" });
+    }
+    return errors;
+  }
+
+  if (schema.type === "array") {
+    if (!Array.isArray(value)) return fail("očekáváno pole");
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`max. ${schema.maxItems} položek`);
+    return schema.items ? value.flatMap((v, i) => validateSchema(schema.items, v, root, `${at}/${i}`)) : [];
+  }
+
+  if (schema.type === "string") {
+    if (typeof value !== "string") return fail("očekáván text");
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`max. ${schema.maxLength} znaků`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail("neplatný formát");
+  }
+  return [];
+}
+
+/**
+ * Načte a zkontroluje skins/<skin>/skin.json.
+ * @returns {{ manifest: object, errors: { path, message }[] }} manifest jen s platnými poli nejvyšší úrovně
+ */
+export function loadSkinManifest(skin, { root } = {}) {
+  const roots = root ? [root] : [...new Set([repoRoot, process.cwd()])];
+  let data;
+  try {
+    data = readJson(path.join("skins", skin, "skin.json"), roots);
+  } catch (err) {
+    return { manifest: {}, errors: [{ path: "/", message: `skin.json není platný JSON: ${err.message}` }] };
+  }
+  if (data === undefined) return { manifest: {}, errors: [] };
+
+  const errors = validateSchema(skinSchema(), data);
+  if (errors.some((e) => e.path === "/")) return { manifest: {}, errors };
+  const bad = new Set(errors.map((e) => e.path.split("/")[1]));
+  const manifest = Object.fromEntries(Object.entries(data).filter(([key]) => key !== "$schema" && !bad.has(key)));
+  return { manifest, errors };
+}
+
+function assetExists(skin, file, roots) {
+  return roots.some((root) => fs.existsSync(path.join(root, "skins", skin, file)));
+}
+
+/**
+ * Hotový skin pro widget: výchozí hodnoty + skin.json, {obec} nahrazené názvem, obrázky jako URL (nebo null).
+ */
+export function resolveSkin(tenant, { root } = {}) {
+  const key = `${root || ""}|${tenant.slug}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const { manifest, errors } = loadSkinManifest(tenant.skin, { root });
+  if (errors.length) {
+    console.warn(`skins/${tenant.skin}/skin.json: ${errors.map((e) => `${e.path} ${e.message}`).join("; ")}`);
+  }
+
+  const fill = (text) => String(text).replaceAll("{obec}", tenant.name);
+  const merged = {
+    ...DEFAULT_SKIN,
+    disclaimer: tenant.disclaimer || "",
+    ...manifest,
+    colors: { ...DEFAULT_SKIN.colors, ...manifest.colors },
+    assets: { ...DEFAULT_SKIN.assets, ...manifest.assets },
+    fab: { ...DEFAULT_SKIN.fab, ...manifest.fab },
+  };
+
+  const roots = root ? [root] : [...new Set([repoRoot, process.cwd()])];
+  const base = `/skins/${tenant.skin}`;
+  const asset = (file) => (file && assetExists(tenant.skin, file, roots) ? `${base}/${file}` : null);
+
+  const theme = {
+    lang: merged.lang,
+    title: fill(merged.title),
+    colors: merged.colors,
+    assets: { background: asset(merged.assets.background), logo: asset(merged.assets.logo) },
+    logoFallback: merged.logoFallback,
+    fab: { title: fill(merged.fab.title), subtitle: fill(merged.fab.subtitle) },
+    greeting: fill(merged.greeting),
+    disclaimer: fill(merged.disclaimer),
+    placeholder: fill(merged.placeholder),
+    quickQuestions: merged.quickQuestions.map((q) => ({ label: fill(q.label), question: fill(q.question) })),
+  };
+
+  cache.set(key, theme);
+  return theme;
+}
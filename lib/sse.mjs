@@ -0,0 +1,52 @@
+// lib/sse.mjs
+// Server-Sent Events: čtení streamu od OpenAI (a kompatibilních serverů) a formátování
+// událostí pro widget (netlify/functions/search.mjs v režimu streamování).
+
+// jedna událost; data jako JSON → vždy na jednom řádku
+export function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function parseBlock(block) {
+  let event = "message";
+  const data = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue; // komentář / keep-alive
+    const i = line.indexOf(":");
+    const field = i < 0 ? line : line.slice(0, i);
+    let value = i < 0 ? "" : line.slice(i + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+
+  return data.length ? { event, data: data.join("\n") } : null;
+}
+
+/**
+ * Rozparsuje SSE stream (ReadableStream / async iterable bajtů nebo textu) na události.
+ * Události můžou být v chunkách rozdělené libovolně (i uprostřed UTF-8 znaku).
+ * @returns {AsyncGenerator<{ event: string, data: string }>}
+ */
+export async function* parseSSE(stream) {
+  const decoder = new TextDecoder();
+  let buf = "";
+
+  for await (const chunk of stream) {
+    buf += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+
+    let m;
+    while ((m = buf.match(/\r?\n\r?\n/))) {
+      const block = buf.slice(0, m.index);
+      buf = buf.slice(m.index + m[0].length);
+      const ev = parseBlock(block);
+      if (ev) yield ev;
+    }
+  }
+
+  buf += decoder.decode();
+  const last = parseBlock(buf);
+  if (last) yield last;
+}
@@ -0,0 +1,123 @@
+// lib/tenant.mjs
+// Rozlišení obce (tenanta) pro scrapery, uploader, Netlify funkce i widget.
+//
+// Pořadí: explicitní ?obec= / OBEC → přesná shoda hostname (hosts z configu, doména webu obce) → DEFAULT_TENANT
+
+import { DEFAULT_TENANT, DEFAULT_SECTIONS, TENANTS } from "../config/tenants.mjs";
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+function normalizeSlug(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+export function listTenants() {
+  return Object.keys(TENANTS);
+}
+
+export function hasTenant(slug) {
+  return Object.prototype.hasOwnProperty.call(TENANTS, normalizeSlug(slug));
+}
+
+export function getTenant(slug = DEFAULT_TENANT) {
+  const key = normalizeSlug(slug);
+  const t = hasTenant(key) ? TENANTS[key] : null;
+  if (!t) throw new Error(`Unknown obec: ${slug}`);
+
+  const base = t.base.replace(/\/+$/, "");
+  return {
+    slug: key,
+    ...t,
+    base,
+    hosts: t.hosts || [],
+    sections: { ...DEFAULT_SECTIONS, ...(t.sections || {}) },
+    kb: { startPaths: ["/"], faq: null, ...(t.kb || {}) },
+    skin: t.skin || key,
+    liveFile: t.liveFile || `10_LIVE_obec_${key}.txt`,
+    knowledgeDir: t.knowledgeDir || `knowledge/${key}`,
+    userAgent: t.userAgent || "ObecAsistentBot/1.0",
+  };
+}
+
+// hostnames obce: hosts z configu + doména webu obce (s www i bez)
+function tenantHosts(slug) {
+  const t = TENANTS[slug];
+  const own = new URL(t.base).hostname.toLowerCase();
+  const bare = own.replace(/^www\./, "");
+  return new Set([...(t.hosts || []).map((x) => x.toLowerCase()), bare, `www.${bare}`]);
+}
+
+// hostname → slug (bez portu), jen přesná shoda – žádné hádání podle podřetězce; null když nic nesedí
+export function tenantSlugForHost(host) {
+  const h = String(host || "").trim().toLowerCase().replace(/:\d+$/, "").replace(/\.$/, "");
+  if (!h) return null;
+  return listTenants().find((slug) => tenantHosts(slug).has(h)) || null;
+}
+
+/**
+ * Vrátí slug obce pro explicitní parametr a/nebo hostname.
+ * Neznámý explicitní parametr → null (volající vrátí 404), jinak fallback na DEFAULT_TENANT.
+ */
+export function resolveTenantSlug({ obec, host } = {}) {
+  if (obec) return hasTenant(obec) ? normalizeSlug(obec) : null;
+  return tenantSlugForHost(host) || DEFAULT_TENANT;
+}
+
+// Netlify funkce: ?obec= > body.obec > Host / X-Forwarded-Host
+export function resolveTenantFromRequest(req, body = {}) {
+  let obec = "";
+  try {
+    obec = new URL(req.url).searchParams.get("obec") || "";
+  } catch {}
+  if (!obec && typeof body?.obec === "string") obec = body.obec;
+
+  const host = req.headers?.get?.("x-forwarded-host") || req.headers?.get?.("host") || "";
+  const slug = resolveTenantSlug({ obec, host });
+  return slug ? getTenant(slug) : null;
+}
+
+// Skripty: --obec=radim nebo env OBEC
+export function resolveTenantFromEnv(argv = process.argv, env = process.env) {
+  const arg = argv.find((a) => a.startsWith("--obec="));
+  const obec = arg ? arg.slice("--obec=".length) : cleanEnv(env.OBEC);
+  return getTenant(obec || DEFAULT_TENANT);
+}
+
+// ID asistenta / vector store: ENV_<SLUG> > config > globální ENV
+// Globální ASSISTANT_ID / VECTOR_STORE_ID platí jen pro DEFAULT_TENANT (zpětná kompatibilita),
+// ať se data jiné obce omylem nenahrají do cizího vector store.
+export function tenantOpenAI(tenant, env = process.env) {
+  const suffix = tenant.slug.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  const isDefault = tenant.slug === DEFAULT_TENANT;
+  return {
+    assistantId:
+      cleanEnv(env[`ASSISTANT_ID_${suffix}`]) ||
+      tenant.openai?.assistantId ||
+      (isDefault ? cleanEnv(env.ASSISTANT_ID) : ""),
+    vectorStoreId:
+      cleanEnv(env[`VECTOR_STORE_ID_${suffix}`]) ||
+      tenant.openai?.vectorStoreId ||
+      (isDefault ? cleanEnv(env.VECTOR_STORE_ID) : ""),
+  };
+}
+
+export function sectionUrl(tenant, key) {
+  const p = tenant.sections[key];
+  return p ? `${tenant.base}${p}` : "";
+}
+
+// Co smí vidět prohlížeč (bez OpenAI ID)
+export function publicTenant(tenant) {
+  return {
+    slug: tenant.slug,
+    name: tenant.name,
+    base: tenant.base,
+    skin: tenant.skin,
+    skinBase: `/skins/${tenant.skin}`,
+    disclaimer: tenant.disclaimer,
+  };
+}
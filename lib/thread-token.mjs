@@ -0,0 +1,79 @@
+// lib/thread-token.mjs
+// Podepsaný token konverzace pro widget: server pokračuje jen v threadu, který sám vydal
+// (pro danou obec a ne starší než THREAD_TOKEN_TTL_HOURS), ne v libovolném "thread_…" od klienta.
+//
+// Token: v1.<base64url({ t: threadId, o: obec, iat, n: turns })>.<base64url(HMAC-SHA256)>
+//   n = počet položených dotazů v konverzaci (limit kol, viz lib/guard.mjs); starší tokeny bez n = 0
+// ENV: THREAD_TOKEN_SECRET (bez něj se klíč odvodí z OPENAI_API_KEY; bez obou se token nevydá
+//      a každý dotaz začíná nový thread), THREAD_TOKEN_TTL_HOURS (default 24)
+
+import crypto from "crypto";
+
+const VERSION = "v1";
+export const THREAD_TOKEN_TTL_HOURS = 24;
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+export function threadTokenSecret(env = process.env) {
+  const secret = cleanEnv(env.THREAD_TOKEN_SECRET);
+  if (secret) return secret;
+  const apiKey = cleanEnv(env.OPENAI_API_KEY);
+  return apiKey ? crypto.createHash("sha256").update(`thread-token|${apiKey}`).digest("hex") : "";
+}
+
+export function threadTokenTtlMs(env = process.env) {
+  const hours = Number(cleanEnv(env.THREAD_TOKEN_TTL_HOURS)) || THREAD_TOKEN_TTL_HOURS;
+  return hours * 3600_000;
+}
+
+function hmac(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(`${VERSION}.${payload}`).digest("base64url");
+}
+
+/**
+ * @returns {string|null} token, nebo null bez threadu / bez klíče
+ */
+export function signThread(threadId, obec, { env = process.env, now = Date.now(), turns = 0 } = {}) {
+  const secret = threadTokenSecret(env);
+  if (!secret || !threadId || typeof threadId !== "string") return null;
+
+  const payload = Buffer.from(JSON.stringify({ t: threadId, o: obec, iat: Math.floor(now / 1000), n: turns })).toString("base64url");
+  return `${VERSION}.${payload}.${hmac(secret, payload)}`;
+}
+
+/**
+ * { threadId, turns } z tokenu, pokud je podpis platný, patří obci a nevypršel; jinak null.
+ */
+export function verifyThreadToken(token, obec, { env = process.env, now = Date.now() } = {}) {
+  const secret = threadTokenSecret(env);
+  if (!secret || typeof token !== "string" || token.length > 1000) return null;
+
+  const [version, payload, sig] = token.split(".");
+  if (version !== VERSION || !payload || !sig) return null;
+
+  const expected = Buffer.from(hmac(secret, payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (data?.o !== obec || typeof data.t !== "string" || !data.t) return null;
+  if (!Number.isFinite(data.iat) || now - data.iat * 1000 > threadTokenTtlMs(env)) return null;
+  return { threadId: data.t, turns: Number.isInteger(data.n) && data.n > 0 ? data.n : 0 };
+}
+
+/**
+ * Thread ID z tokenu, pokud je podpis platný, patří obci a nevypršel; jinak null.
+ */
+export function verifyThread(token, obec, opts) {
+  return verifyThreadToken(token, obec, opts)?.threadId || null;
+}
@@ -0,0 +1,212 @@
+// lib/tools.mjs
+// Nástroje (function calling) pro asistenta nad strukturovanými LIVE daty obce – přesné odpovědi
+// na "co hlásil rozhlas včera", "jaké akce jsou o víkendu" místo fulltextu ve File Search.
+//
+// Každý nástroj: { description, parameters (JSON Schema), run(args, ctx) → JSON }
+// ctx: { tenant, now, live } (live = live JSON obce, viz lib/live.mjs)
+// Chyba nástroje (špatné argumenty, chybějící data) se modelu vrátí jako { error } ve výstupu,
+// run tím nespadne – model může argumenty opravit nebo odpovědět bez dat.
+// Nástroje běží synchronně nad už načtenými daty, takže je nehlídá timeout, ale velikost výstupu:
+// počet položek (limit / n, MAX_NOTICES) a délka textů (MAX_TEXT_CHARS).
+
+import { liveEvents, loadLiveData } from "./live.mjs";
+import { loadFaq } from "./faq.mjs";
+import { formatEventTime, toPragueLocal } from "./czech-date.mjs";
+
+export const MAX_TEXT_CHARS = 2_000;
+export const MAX_NOTICES = 20;
+// kolikrát za jeden dotaz může run skončit v requires_action
+export const MAX_TOOL_ROUNDS = 3;
+
+export const TOOL_INSTRUCTIONS =
+  "Na akce, hlášení rozhlasu, provozní upozornění a kontakty obce používej nástroje " +
+  "(get_upcoming_events, get_latest_broadcasts, get_office_notices, get_contacts) – mají aktuální strukturovaná data. " +
+  "Relativní data (včera, o víkendu) převeď na YYYY-MM-DD podle dnešního data.";
+
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ToolError";
+  }
+}
+
+const DATE = { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$", description: "Datum YYYY-MM-DD (Europe/Prague)" };
+
+const clip = (s) => (s.length > MAX_TEXT_CHARS ? `${s.slice(0, MAX_TEXT_CHARS - 1)}…` : s);
+
+function requireLive(live) {
+  if (!live) throw new ToolError("LIVE data obce nejsou k dispozici");
+  return live;
+}
+
+function sectionMeta(live, key) {
+  const s = live.sections?.[key] || {};
+  return { url: s.url, status: s.status || "ok", data_as_of: s.last_ok_at || live.generated_at };
+}
+
+export const TOOLS = {
+  get_upcoming_events: {
+    description: "Akce obce (kalendář akcí, pozvánky z aktualit a rozhlasu) v období from–to, seřazené podle začátku. Bez from = od dneška.",
+    parameters: {
+      type: "object",
+      properties: {
+        from: DATE,
+        to: DATE,
+        q: { type: "string", maxLength: 100, description: "Hledaný text v názvu / popisu akce" },
+        limit: { type: "integer", minimum: 1, maximum: 20, description: "Max. počet akcí (default 10)" },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    run({ from, to, q, limit = 10 }, { live, now }) {
+      if (from && to && from > to) throw new ToolError("from musí být <= to");
+      const events = liveEvents(requireLive(live), { from: from || toPragueLocal(now).slice(0, 10), to, q, now });
+      return {
+        ...sectionMeta(live, "kalendar"),
+        count: events.length,
+        events: events.slice(0, limit).map((e) => ({
+          title: e.title,
+          when: formatEventTime(e.event),
+          start: e.event.start,
+          end: e.event.end || null,
+          status: e.event.status,
+          perex: clip(e.perex || ""),
+          url: e.url,
+        })),
+      };
+    },
+  },
+
+  get_latest_broadcasts: {
+    description: "Hlášení obecního rozhlasu, nejnovější první. S date jen hlášení zveřejněná ten den.",
+    parameters: {
+      type: "object",
+      properties: {
+        n: { type: "integer", minimum: 1, maximum: 20, description: "Počet hlášení (default 5)" },
+        date: DATE,
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    run({ n = 5, date }, { live }) {
+      const items = (requireLive(live).sections?.rozhlas?.items || [])
+        .filter((i) => !date || i.date_iso === date)
+        .sort((a, b) => (b.date_iso || "").localeCompare(a.date_iso || ""))
+        .slice(0, n);
+
+      return {
+        ...sectionMeta(live, "rozhlas"),
+        count: items.length,
+        broadcasts: items.map((i) => ({
+          title: i.title,
+          date: i.date_iso || i.date || null,
+          text: clip(i.text || i.perex || ""),
+          attachments: (i.attachments || []).map((a) => ({ name: a.name, url: a.url })),
+          url: i.url,
+        })),
+      };
+    },
+  },
+
+  get_office_notices: {
+    description: "Provozní upozornění z úvodní stránky webu obce (uzavírky úřadu, odstávky, mimořádnosti).",
+    parameters: { type: "object", properties: {}, required: [], additionalProperties: false },
+    run(args, { live }) {
+      const notices = requireLive(live).sections?.notices?.items || [];
+      return { ...sectionMeta(live, "notices"), notices: notices.slice(0, MAX_NOTICES).map((n) => clip(n.text || "")) };
+    },
+  },
+
+  get_contacts: {
+    description: "Kontakty obecního úřadu (adresa, telefon, e-mail, datová schránka, úřední hodiny) z ověřených údajů obce.",
+    parameters: { type: "object", properties: {}, required: [], additionalProperties: false },
+    run(args, { tenant }) {
+      const entries = loadFaq(tenant).filter((e) => /kontakt|uredni|hodin|adres/i.test(e.id));
+      return {
+        obec: tenant.name,
+        web: tenant.base,
+        contacts: entries.map((e) => ({ title: e.title, text: clip(e.answer || ""), url: e.url })),
+        ...(entries.length ? {} : { note: "Ověřené kontakty nejsou v datech, odkaž na web obce." }),
+      };
+    },
+  },
+};
+
+// definice pro OpenAI (run.tools / chat tools)
+export function toolDefinitions() {
+  return Object.entries(TOOLS).map(([name, t]) => ({
+    type: "function",
+    function: { name, description: t.description, parameters: t.parameters },
+  }));
+}
+
+/**
+ * Kontrola argumentů proti podmnožině JSON Schema (type, required, additionalProperties,
+ * minimum/maximum, maxLength, pattern). null u volitelného argumentu = nezadáno.
+ * @returns {object} očištěné argumenty
+ */
+export function validateArgs(schema, args) {
+  if (!args || typeof args !== "object" || Array.isArray(args)) throw new ToolError("argumenty musí být objekt");
+  const props = schema.properties || {};
+  const out = {};
+
+  for (const [key, value] of Object.entries(args)) {
+    const p = props[key];
+    if (!p) {
+      if (schema.additionalProperties === false) throw new ToolError(`neznámý argument: ${key}`);
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+
+    if (p.type === "integer" && !Number.isInteger(value)) throw new ToolError(`${key}: očekáváno celé číslo`);
+    if (p.type === "string" && typeof value !== "string") throw new ToolError(`${key}: očekáván text`);
+    if (p.minimum !== undefined && value < p.minimum) throw new ToolError(`${key}: minimum ${p.minimum}`);
+    if (p.maximum !== undefined && value > p.maximum) throw new ToolError(`${key}: maximum ${p.maximum}`);
+    if (p.maxLength !== undefined && value.length > p.maxLength) throw new ToolError(`${key}: max. ${p.maxLength} znaků`);
+    if (p.pattern && !new RegExp(p.pattern).test(value)) throw new ToolError(`${key}: neplatný formát`);
+    out[key] = value;
+  }
+
+  for (const key of schema.required || []) {
+    if (out[key] === undefined) throw new ToolError(`chybí argument: ${key}`);
+  }
+  return out;
+}
+
+// kontext nástrojů pro jeden dotaz; LIVE data se načtou až při prvním použití
+export function toolContext(tenant, now = new Date()) {
+  let live;
+  return {
+    tenant,
+    now,
+    get live() {
+      if (live === undefined) live = loadLiveData(tenant);
+      return live;
+    },
+  };
+}
+
+/**
+ * Provede jedno volání nástroje. Vždy vrátí řetězec (JSON) pro tool output.
+ * @param {{ name: string, arguments?: string }} call
+ */
+export async function runToolCall({ name, arguments: raw }, ctx) {
+  try {
+    const tool = Object.hasOwn(TOOLS, name) ? TOOLS[name] : null;
+    if (!tool) throw new ToolError(`neznámý nástroj: ${name}`);
+
+    let args;
+    try {
+      args = raw ? JSON.parse(raw) : {};
+    } catch {
+      throw new ToolError("argumenty nejsou platný JSON");
+    }
+
+    const valid = validateArgs(tool.parameters, args);
+    const result = await tool.run(valid, ctx);
+    return JSON.stringify(result);
+  } catch (err) {
+    if (!(err instanceof ToolError)) console.error(`Tool ${name} failed:`, err);
+    return JSON.stringify({ error: err instanceof ToolError ? err.message : "nástroj selhal" });
+  }
+}
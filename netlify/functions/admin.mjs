@@ -0,0 +1,215 @@
+// netlify/functions/admin.mjs
+// Statistiky dotazů pro úřad z logu dotazů (lib/qa-log.mjs): objem po dnech, nejčastější témata, chybovost.
+//
+// GET /admin[?obec=<slug>&days=30]        HTML stránka (bez JS, grafy v CSS)
+// GET /admin?format=json[&obec=&days=]    { ok: true, obec, days, enabled, instanceLocal, stats } (viz qaStats)
+// Přístup: HTTP Basic, heslo ADMIN_PASSWORD (uživatel libovolný); bez ADMIN_PASSWORD je stránka vypnutá (503).
+//   Neúspěšná přihlášení jsou omezená rate limitem na IP (SEARCH_RATE_*, lib/guard.mjs).
+// ENV: ADMIN_PASSWORD, QA_LOG, QA_LOG_STORE, QA_LOG_DIR, QA_LOG_RETENTION_DAYS
+// Na Netlify je log jen v instanci funkce (tmpdir / paměť) – stránka to hlásí, dotazy z /search nemusí vidět.
+// Lokálně: QA_LOG=1 ADMIN_PASSWORD=… netlify dev → log v data/qa-log, stránka na http://localhost:8888/admin
+
+import crypto from "crypto";
+import { getTenant, hasTenant, listTenants, resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { qaLogConfig, qaLogStore, qaStats } from "../../lib/qa-log.mjs";
+import { clientIp, createGuard, memoryStore } from "../../lib/guard.mjs";
+import { escapeXml } from "../../lib/feeds.mjs";
+
+export const config = {
+  path: "/admin",
+};
+
+const MAX_DAYS = 365;
+
+// neúspěšná přihlášení (v paměti instance funkce)
+const loginStore = memoryStore();
+
+const securityHeaders = {
+  "Cache-Control": "no-store",
+  "X-Robots-Tag": "noindex, nofollow",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+};
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+function jsonResponse(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...securityHeaders, "Content-Type": "application/json", ...headers },
+  });
+}
+
+function htmlResponse(status, html, headers = {}) {
+  return new Response(html, {
+    status,
+    headers: {
+      ...securityHeaders,
+      "Content-Type": "text/html; charset=utf-8",
+      "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'",
+      ...headers,
+    },
+  });
+}
+
+// porovnání v konstantním čase (přes hash → stejná délka)
+function passwordMatches(given, expected) {
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function basicPassword(req) {
+  const m = (req.headers.get("authorization") || "").match(/^Basic\s+([A-Za-z0-9+/=]+)$/i);
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], "base64").toString("utf8");
+  const i = decoded.indexOf(":");
+  return i >= 0 ? decoded.slice(i + 1) : null;
+}
+
+/* ===== HTML ===== */
+
+const esc = escapeXml;
+const pct = (x) => `${(x * 100).toFixed(1).replace(".", ",")} %`;
+const ms = (x) => (x === null ? "–" : `${(x / 1000).toFixed(1).replace(".", ",")} s`);
+
+function table(head, rows) {
+  if (!rows.length) return `<p class="muted">Zatím žádná data.</p>`;
+  return `<table><thead><tr>${head.map((h) => `<th>${esc(h)}</th>`).join("")}</tr></thead><tbody>${rows
+    .map((r) => `<tr>${r.map((c) => `<td>${esc(c)}</td>`).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+}
+
+function volumeChart(byDay) {
+  const max = Math.max(1, ...byDay.map((d) => d.total));
+  const bars = byDay
+    .map((d) => {
+      const ok = ((d.total - d.errors) / max) * 100;
+      const err = (d.errors / max) * 100;
+      const title = `${d.date}: ${d.total} dotazů, z toho ${d.faq} FAQ, ${d.errors} chyb`;
+      return `<div class="bar" title="${esc(title)}"><span class="err" style="height:${err.toFixed(1)}%"></span><span class="ok" style="height:${ok.toFixed(1)}%"></span></div>`;
+    })
+    .join("");
+  const first = byDay[0]?.date || "";
+  const last = byDay[byDay.length - 1]?.date || "";
+  return `<div class="chart">${bars}</div><div class="axis"><span>${esc(first)}</span><span>max ${max}/den</span><span>${esc(last)}</span></div>`;
+}
+
+function page({ tenant, days, enabled, instanceLocal, stats }) {
+  const options = listTenants()
+    .map((slug) => `<option value="${esc(slug)}"${slug === tenant.slug ? " selected" : ""}>${esc(getTenant(slug).name)}</option>`)
+    .join("");
+  const byCount = (obj) => Object.entries(obj).sort((a, b) => b[1] - a[1]);
+
+  return `<!doctype html>
+<html lang="cs">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Statistiky asistenta – ${esc(tenant.name)}</title>
+<style>
+  body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;margin:0;padding:24px;color:#1f2937;background:#f8fafc}
+  main{max-width:1000px;margin:0 auto}
+  h1{font-size:22px;margin:0 0 16px} h2{font-size:17px;margin:28px 0 10px}
+  form{display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:16px}
+  select,button{font:inherit;padding:6px 10px;border-radius:8px;border:1px solid #cbd5e1;background:#fff}
+  .cards{display:grid;grid-template-columns:repeat(auto-fit,minmax(160px,1fr));gap:12px}
+  .card{background:#fff;border:1px solid #e2e8f0;border-radius:12px;padding:12px 14px}
+  .card b{display:block;font-size:24px;margin-top:4px}
+  .chart{display:flex;align-items:flex-end;gap:2px;height:160px;background:#fff;border:1px solid #e2e8f0;border-radius:12px;padding:10px}
+  .bar{flex:1;height:100%;display:flex;flex-direction:column;justify-content:flex-end}
+  .bar .ok{background:#2563eb} .bar .err{background:#dc2626}
+  .axis{display:flex;justify-content:space-between;font-size:12px;color:#64748b;margin-top:4px}
+  table{width:100%;border-collapse:collapse;background:#fff;border:1px solid #e2e8f0;border-radius:12px;overflow:hidden}
+  th,td{text-align:left;padding:7px 10px;border-bottom:1px solid #f1f5f9;font-size:14px;vertical-align:top}
+  th{background:#f1f5f9}
+  .grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(300px,1fr));gap:16px}
+  .muted{color:#64748b} .notice{background:#fef3c7;border:1px solid #fcd34d;padding:10px 14px;border-radius:12px}
+</style>
+</head>
+<body>
+<main>
+<h1>📊 Statistiky asistenta – ${esc(tenant.name)}</h1>
+<form method="get">
+  <select name="obec">${options}</select>
+  <select name="days">${[7, 30, 90, 365].map((d) => `<option value="${d}"${d === days ? " selected" : ""}>posledních ${d} dní</option>`).join("")}</select>
+  <button type="submit">Zobrazit</button>
+  <a class="muted" href="?obec=${esc(tenant.slug)}&amp;days=${days}&amp;format=json">JSON</a>
+</form>
+${enabled ? "" : `<p class="notice">⚠️ Log dotazů je vypnutý – zapíná se proměnnou <code>QA_LOG=1</code>. Zobrazují se jen dříve uložená data.</p>`}
+${
+  instanceLocal
+    ? `<p class="notice">⚠️ Log dotazů je uložený jen v této instanci funkce (paměť nebo dočasná složka), ne ve sdíleném úložišti. Statistiky proto nemusí obsahovat dotazy zapsané funkcí vyhledávání a po restartu instance zmizí.</p>`
+    : ""
+}
+<div class="cards">
+  <div class="card">Dotazů<b>${stats.total}</b></div>
+  <div class="card">Chybovost<b>${pct(stats.errorRate)}</b></div>
+  <div class="card">Odpovězeno z FAQ<b>${pct(stats.total ? (stats.paths.faq || 0) / stats.total : 0)}</b></div>
+  <div class="card">Latence p50 / p95<b>${ms(stats.latency.p50)} / ${ms(stats.latency.p95)}</b></div>
+</div>
+
+<h2>Objem dotazů po dnech</h2>
+${volumeChart(stats.byDay)}
+<p class="muted">Modře zodpovězené dotazy, červeně chyby a odmítnutí.</p>
+
+<h2>Nejčastější témata</h2>
+${table(["Téma", "Dotazů", "Příklad dotazu"], stats.topTopics.map((t) => [t.term, t.count, t.example]))}
+
+<div class="grid">
+  <section>
+    <h2>Cesta odpovědi</h2>
+    ${table(["Cesta", "Dotazů", "Podíl"], byCount(stats.paths).map(([p, n]) => [p, n, pct(n / stats.total)]))}
+  </section>
+  <section>
+    <h2>Chyby a odmítnutí</h2>
+    ${table(["Kód", "Počet", "Podíl"], byCount(stats.errorCodes).map(([c, n]) => [c, n, pct(n / stats.total)]))}
+  </section>
+</div>
+<p class="muted">Dotazy jsou uložené bez osobních údajů (jména, telefony, e-maily, rodná čísla, adresy) a mažou se po ${qaLogConfig().retentionDays} dnech.</p>
+</main>
+</body>
+</html>`;
+}
+
+/* ===== HANDLER ===== */
+
+export default async function handler(req, context) {
+  if (req.method !== "GET") return jsonResponse(405, { ok: false, error: "Method not allowed" });
+
+  const password = cleanEnv(process.env.ADMIN_PASSWORD);
+  if (!password) return jsonResponse(503, { ok: false, error: "Admin disabled (set ADMIN_PASSWORD)" });
+
+  const given = basicPassword(req);
+  if (given === null || !passwordMatches(given, password)) {
+    // brute force: rate limit jen na neúspěšné pokusy
+    const limited = given === null ? null : await createGuard({ store: loginStore }).checkRate(clientIp(req, context));
+    if (limited) return jsonResponse(limited.status, limited.body, limited.headers);
+    return jsonResponse(401, { ok: false, error: "Unauthorized" }, { "WWW-Authenticate": 'Basic realm="Statistiky asistenta", charset="UTF-8"' });
+  }
+
+  try {
+    const url = new URL(req.url);
+    const slug = url.searchParams.get("obec");
+    if (slug && !hasTenant(slug)) return jsonResponse(404, { ok: false, error: "Unknown obec" });
+    const tenant = slug ? getTenant(slug) : resolveTenantFromRequest(req);
+    if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" });
+
+    const days = Math.min(MAX_DAYS, Math.max(1, Math.floor(Number(url.searchParams.get("days")) || 30)));
+    const now = new Date();
+    const since = new Date(now.getTime() - days * 86_400_000).toISOString();
+
+    const entries = await qaLogStore().read(tenant.slug, { since });
+    const stats = qaStats(entries, { days, now });
+    const { enabled, instanceLocal } = qaLogConfig();
+
+    if (url.searchParams.get("format") === "json") return jsonResponse(200, { ok: true, obec: tenant.slug, days, enabled, instanceLocal, stats });
+    return htmlResponse(200, page({ tenant, days, enabled, instanceLocal, stats }));
+  } catch (err) {
+    return jsonResponse(500, { ok: false, error: "Server error", details: err?.message || String(err) });
+  }
+}
@@ -0,0 +1,107 @@
+// netlify/functions/events.mjs
+// Akce obce z LIVE dat (kalendář akcí + pozvánky v aktualitách / rozhlasu).
+//
+// GET /kalendar.ics, /api/events.ics, /api/events?format=ics → iCalendar feed (RFC 5545) k odběru
+// GET /api/events?from=YYYY-MM-DD&to=YYYY-MM-DD&q=text        → JSON
+// Obec: ?obec= | hostname (viz lib/tenant.mjs)
+// Response JSON: { ok: true, obec, generated_at, timezone, count, events: [...] } | { ok:false, error }
+
+import { resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { liveEvents, loadLiveData } from "../../lib/live.mjs";
+import { pragueLocalToDate, TIME_ZONE } from "../../lib/czech-date.mjs";
+import { buildIcs, eventUid } from "../../lib/ical.mjs";
+
+export const config = {
+  path: ["/api/events", "/api/events.ics", "/kalendar.ics"],
+};
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type",
+  "Access-Control-Allow-Methods": "GET,OPTIONS",
+};
+
+const CACHE = "public, max-age=900";
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function jsonResponse(status, data, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json", ...extraHeaders },
+  });
+}
+
+function wantsIcs(req, url) {
+  if (url.pathname.endsWith(".ics")) return true;
+  if (url.searchParams.get("format") === "ics") return true;
+  return (req.headers.get("accept") || "").includes("text/calendar");
+}
+
+function toJsonEvent(e, host) {
+  const { start, end, all_day, status } = e.event;
+  return {
+    id: eventUid(e.url, host),
+    title: e.title,
+    section: e.section,
+    start,
+    end,
+    all_day,
+    timezone: TIME_ZONE,
+    start_utc: pragueLocalToDate(start).toISOString(),
+    end_utc: end ? pragueLocalToDate(end).toISOString() : null,
+    status,
+    perex: e.perex,
+    url: e.url,
+  };
+}
+
+export default async function handler(req) {
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== "GET") return jsonResponse(405, { ok: false, error: "Method not allowed" });
+
+  try {
+    const url = new URL(req.url);
+    const tenant = resolveTenantFromRequest(req);
+    if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" });
+
+    const from = url.searchParams.get("from") || "";
+    const to = url.searchParams.get("to") || "";
+    const q = url.searchParams.get("q") || "";
+    if ((from && !DATE_KEY.test(from)) || (to && !DATE_KEY.test(to))) {
+      return jsonResponse(400, { ok: false, error: "from/to must be YYYY-MM-DD" });
+    }
+
+    const data = loadLiveData(tenant);
+    if (!data) return jsonResponse(503, { ok: false, error: "LIVE data not available" });
+
+    const events = liveEvents(data, { from, to, q });
+
+    if (wantsIcs(req, url)) {
+      return new Response(buildIcs({ tenant, events, generatedAt: data.generated_at }), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "text/calendar; charset=utf-8",
+          "Content-Disposition": `inline; filename="kalendar_${tenant.slug}.ics"`,
+          "Cache-Control": CACHE,
+        },
+      });
+    }
+
+    const host = new URL(tenant.base).host;
+    return jsonResponse(
+      200,
+      {
+        ok: true,
+        obec: tenant.slug,
+        generated_at: data.generated_at,
+        timezone: TIME_ZONE,
+        count: events.length,
+        events: events.map((e) => toJsonEvent(e, host)),
+      },
+      { "Cache-Control": CACHE }
+    );
+  } catch (err) {
+    return jsonResponse(500, { ok: false, error: "Server error", details: err?.message || String(err) });
+  }
+}
@@ -0,0 +1,62 @@
+// netlify/functions/feedback.mjs
+// Zpětná vazba z widgetu na jednu odpověď asistenta (👍/👎 + volitelný komentář), viz lib/feedback.mjs.
+// Obec: ?obec= | body.obec | hostname (viz lib/tenant.mjs)
+// ENV: FEEDBACK_STORE, FEEDBACK_DIR (lib/feedback.mjs); ALLOWED_ORIGINS, SEARCH_RATE_* (lib/guard.mjs)
+// Request JSON: { rating: "up"|"down", question, answer, comment?, thread_token?, provider?, sources?, obec? }
+// Response JSON: { ok: true, id } | { ok:false, error, code?, message? }
+//   Uloží se i thread_id (jen z platného thread_tokenu) a verze LIVE dat (generated_at), ze kterých asistent odpovídal.
+
+import { resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { loadLiveData } from "../../lib/live.mjs";
+import { verifyThread } from "../../lib/thread-token.mjs";
+import { FeedbackError, feedbackRecord, feedbackStore } from "../../lib/feedback.mjs";
+import { checkOrigin, clientIp, createGuard, guardConfig, memoryStore, rejection } from "../../lib/guard.mjs";
+
+const guardStore = memoryStore();
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type",
+  "Access-Control-Allow-Methods": "POST,OPTIONS",
+};
+
+function jsonResponse(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json", ...headers },
+  });
+}
+
+export default async function handler(req, context) {
+  const origin = checkOrigin(req, guardConfig());
+  if (!origin.ok) {
+    const { status, body } = rejection(403, "origin_not_allowed", "Tento web nemá povolený přístup k asistentovi obce.");
+    return jsonResponse(status, body);
+  }
+  const cors = origin.allow !== "*" ? { "Access-Control-Allow-Origin": origin.allow, Vary: "Origin" } : {};
+
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: { ...corsHeaders, ...cors } });
+  if (req.method !== "POST") return jsonResponse(405, { ok: false, error: "Method not allowed" }, cors);
+
+  try {
+    const limited = await createGuard({ store: guardStore }).checkRate(clientIp(req, context));
+    if (limited) return jsonResponse(limited.status, limited.body, { ...limited.headers, ...cors });
+
+    const body = await req.json().catch(() => ({}));
+
+    const tenant = resolveTenantFromRequest(req, body);
+    if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" }, cors);
+
+    const record = {
+      ...feedbackRecord(body, { obec: tenant.slug }),
+      thread_id: typeof body.thread_token === "string" ? verifyThread(body.thread_token, tenant.slug) : null,
+      live_version: loadLiveData(tenant)?.generated_at || null,
+    };
+
+    await feedbackStore().append(tenant.slug, record);
+    return jsonResponse(200, { ok: true, id: record.id }, cors);
+  } catch (err) {
+    if (err instanceof FeedbackError) return jsonResponse(400, { ok: false, error: err.message }, cors);
+    return jsonResponse(500, { ok: false, error: "Server error", details: err?.message || String(err) }, cors);
+  }
+}
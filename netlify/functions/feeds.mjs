@@ -0,0 +1,78 @@
+// netlify/functions/feeds.mjs
+// Atom 1.0 / RSS 2.0 feedy z LIVE dat.
+//
+// GET /feeds/<sekce>.<atom|rss>  sekce: aktuality | rozhlas | vse (kombinovaný)
+// Obec: ?obec= | hostname (viz lib/tenant.mjs)
+// Podmíněný GET: ETag / If-None-Match, Last-Modified (= generated_at LIVE dat) / If-Modified-Since → 304
+
+import { resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { loadLiveData } from "../../lib/live.mjs";
+import { buildAtom, buildRss, feedEntries, feedEtag, feedLastModified, FEED_SECTIONS } from "../../lib/feeds.mjs";
+
+export const config = {
+  path: "/feeds/*",
+};
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type, if-none-match, if-modified-since",
+  "Access-Control-Allow-Methods": "GET,HEAD,OPTIONS",
+  "Access-Control-Expose-Headers": "etag, last-modified",
+};
+
+const FORMATS = {
+  atom: { build: buildAtom, type: "application/atom+xml; charset=utf-8" },
+  rss: { build: buildRss, type: "application/rss+xml; charset=utf-8" },
+};
+
+function jsonResponse(status, data) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+function notModified(req, etag, lastModified) {
+  const inm = req.headers.get("if-none-match");
+  if (inm) return inm.split(",").some((t) => t.trim().replace(/^W\//, "") === etag || t.trim() === "*");
+
+  const ims = Date.parse(req.headers.get("if-modified-since") || "");
+  return Number.isFinite(ims) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ims;
+}
+
+export default async function handler(req) {
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders });
+  if (!["GET", "HEAD"].includes(req.method)) return jsonResponse(405, { ok: false, error: "Method not allowed" });
+
+  try {
+    const url = new URL(req.url);
+    const m = url.pathname.match(/\/feeds\/([a-z]+)\.(atom|rss)$/);
+    if (!m || !FEED_SECTIONS[m[1]]) {
+      return jsonResponse(404, { ok: false, error: "Unknown feed (use /feeds/{aktuality|rozhlas|vse}.{atom|rss})" });
+    }
+    const [, feed, format] = m;
+
+    const tenant = resolveTenantFromRequest(req);
+    if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" });
+
+    const data = loadLiveData(tenant);
+    if (!data) return jsonResponse(503, { ok: false, error: "LIVE data not available" });
+
+    const body = FORMATS[format].build({ tenant, data, feed, selfUrl: url.toString() });
+    const etag = feedEtag(body);
+    const lastModified = feedLastModified(data, feedEntries(data, feed));
+
+    const headers = {
+      ...corsHeaders,
+      "Content-Type": FORMATS[format].type,
+      ETag: etag,
+      "Last-Modified": lastModified.toUTCString(),
+      "Cache-Control": "public, max-age=600",
+    };
+
+    if (notModified(req, etag, lastModified)) return new Response(null, { status: 304, headers });
+    return new Response(req.method === "HEAD" ? null : body, { status: 200, headers });
+  } catch (err) {
+    return jsonResponse(500, { ok: false, error: "Server error", details: err?.message || String(err) });
+  }
+}
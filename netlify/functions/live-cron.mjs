@@ -1,6 +1,10 @@
 import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { getTenant, hasTenant, listTenants, tenantOpenAI } from "../../lib/tenant.mjs";
+import { liveReportPath } from "../../lib/live.mjs";
 
 /**
  * Netlify Scheduled Function
@@ -32,9 +36,9 @@ export default async function handler(req) {
     // Absolutní cesta na script
     const scriptPath = path.join(repoRoot, "scripts", "upload-live-to-openai.mjs");
 
-    const run = (cmd, args) =>
+    const run = (cmd, args, env = {}) =>
       new Promise((resolve, reject) => {
-        const p = spawn(cmd, args, { stdio: "inherit" });
+        const p = spawn(cmd, args, { stdio: "inherit", env: { ...process.env, ...env } });
         p.on("close", (code) =>
           code === 0
             ? resolve()
@@ -42,11 +46,57 @@ export default async function handler(req) {
         );
       });
 
-    // Spustí upload LIVE dat do OpenAI
-    await run("node", [scriptPath]);
+    // ?obec=... → jen jedna obec; jinak všechny obce, které mají vector store
+    let obec = "";
+    try {
+      obec = new URL(req.url).searchParams.get("obec") || "";
+    } catch {}
 
-    return new Response(JSON.stringify({ ok: true, message: "LIVE cron done" }), {
-      status: 200,
+    if (obec && !hasTenant(obec)) {
+      return new Response(JSON.stringify({ ok: false, error: `Unknown obec: ${obec}` }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const slugs = obec
+      ? [getTenant(obec).slug]
+      : listTenants().filter((s) => tenantOpenAI(getTenant(s)).vectorStoreId);
+
+    // report scraperu (sekce ok/selhané, počty položek, doby); null když nevznikl
+    const readReport = (file) => {
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch {
+        return null;
+      }
+    };
+
+    // Spustí upload LIVE dat do OpenAI (postupně, ať se obce neperou o /tmp a API limity)
+    const results = [];
+    for (const slug of slugs) {
+      const tenant = getTenant(slug);
+      const livePath = path.join(os.tmpdir(), "knowledge", tenant.liveFile);
+      const reportPath = liveReportPath(tenant, livePath);
+      fs.rmSync(reportPath, { force: true });
+
+      try {
+        // LIVE_REFRESH: teplá lambda může mít v /tmp včerejší soubor
+        await run("node", [scriptPath], { OBEC: slug, LIVE_FILE_PATH: livePath, LIVE_REFRESH: "1" });
+        const report = readReport(reportPath);
+        // uploader přeskočí upload, když se obsah nezměnil (report.upload.status = "skipped")
+        const skipped = report?.upload?.status === "skipped";
+        results.push({ obec: slug, ok: report ? report.ok : true, uploaded: true, skipped, report });
+      } catch (e) {
+        results.push({ obec: slug, ok: false, uploaded: false, error: e?.message || String(e), report: readReport(reportPath) });
+      }
+    }
+
+    // ok = vše čerstvé; 500 jen když se některá obec vůbec nenahrála (stale sekce nejsou chyba běhu)
+    const ok = results.every((r) => r.ok);
+    const uploaded = results.every((r) => r.uploaded);
+    return new Response(JSON.stringify({ ok, message: "LIVE cron done", results }), {
+      status: uploaded ? 200 : 500,
       headers: { "Content-Type": "application/json" },
     });
   } catch (err) {
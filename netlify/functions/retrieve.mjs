@@ -0,0 +1,59 @@
+// netlify/functions/retrieve.mjs
+// Offline vyhledávání ve znalostní bázi obce (chunky z scripts/build_kb.js, BM25) – bez OpenAI.
+// Záložní zdroj, když API nejede, a ladění: co KB k dotazu opravdu obsahuje.
+//
+// GET  /.netlify/functions/retrieve?q=úřední hodiny&limit=5
+// POST { q: string, limit?: number, obec?: string }
+// Obec: ?obec= | body.obec | hostname (viz lib/tenant.mjs)
+// Response JSON: { ok: true, obec, q, generated_at, count, results: [{ id, score, url, source, text }] } | { ok:false, error }
+
+import { resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { loadIndex, searchIndex } from "../../lib/retrieval.mjs";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type",
+  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+};
+
+const MAX_LIMIT = 20;
+const MAX_QUERY = 500;
+
+function jsonResponse(status, data, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json", ...extraHeaders },
+  });
+}
+
+export default async function handler(req) {
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders });
+  if (!["GET", "POST"].includes(req.method)) return jsonResponse(405, { ok: false, error: "Method not allowed" });
+
+  try {
+    const url = new URL(req.url);
+    const body = req.method === "POST" ? await req.json().catch(() => ({})) : {};
+
+    const tenant = resolveTenantFromRequest(req, body);
+    if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" });
+
+    const q = String(body?.q ?? url.searchParams.get("q") ?? "").trim();
+    if (!q) return jsonResponse(400, { ok: false, error: "Missing q" });
+    if (q.length > MAX_QUERY) return jsonResponse(400, { ok: false, error: `q longer than ${MAX_QUERY} characters` });
+
+    const limitRaw = Number(body?.limit ?? url.searchParams.get("limit") ?? 5);
+    const limit = Number.isFinite(limitRaw) ? Math.min(MAX_LIMIT, Math.max(1, Math.floor(limitRaw))) : 5;
+
+    const index = loadIndex(tenant);
+    if (!index) return jsonResponse(503, { ok: false, error: "Knowledge index not available" });
+
+    const results = searchIndex(index, q, { limit, stopwords: [tenant.slug, tenant.name] });
+    return jsonResponse(
+      200,
+      { ok: true, obec: tenant.slug, q, generated_at: index.generated_at, count: results.length, results },
+      { "Cache-Control": "public, max-age=300" }
+    );
+  } catch (err) {
+    return jsonResponse(500, { ok: false, error: "Server error", details: err?.message || String(err) });
+  }
+}
@@ -1,8 +1,42 @@
 // netlify/functions/search.mjs
-// Netlify Functions (Node 18+), OpenAI Assistants v2 přes fetch
-// ENV: OPENAI_API_KEY, ASSISTANT_ID
-// Request JSON: { message: string, thread_id?: string }
-// Response JSON: { ok: true, answer: string, thread_id: string } | { ok:false, error, details? }
+// Netlify Functions (Node 18+); LLM provider podle konfigurace (lib/llm.mjs):
+//   LLM_PROVIDER=assistants (default, OpenAI Assistants v2) | chat (OpenAI-kompatibilní + lokální kontext) | mock
+// ENV: OPENAI_API_KEY, ASSISTANT_ID (nebo ASSISTANT_ID_<OBEC> / config/tenants.mjs), OPENAI_BASE_URL, LLM_MODEL
+//   Assistants volají nástroje nad LIVE daty (akce, rozhlas, upozornění, kontakty – lib/tools.mjs); LLM_TOOLS=0 vypne
+// Obec: ?obec= | body.obec | hostname (viz lib/tenant.mjs)
+// ENV: THREAD_TOKEN_SECRET (podpis tokenu konverzace, viz lib/thread-token.mjs)
+// Request JSON: { message: string, thread_token?: string, obec?: string, stream?: boolean }
+// Response JSON: { ok: true, answer: string, thread_id: string|null, thread_token: string|null, thread_reset?: true,
+//                  obec: string, provider, sources, source?, faq? } | { ok:false, error, details? }
+//   sources = [{ n, title, url, file? }] – odkazy [n] v answer (citace asistenta → stránka webu obce / LIVE položka,
+//   viz lib/citations.mjs)
+//   Další dotaz konverzace posílá thread_token z minulé odpovědi; samotnému thread_id se nevěří.
+//   Neplatný / prošlý token → nový thread a thread_reset: true.
+//   Otázka, která jistě sedí na ověřené FAQ obce (tenant.kb.faq), se odpoví hned bez asistenta:
+//   source = { title, url }, faq = { id, confidence }.
+// Streamování (Accept: text/event-stream nebo body.stream = true) → Server-Sent Events:
+//   start { obec, provider } → thread { thread_id, thread_token } → delta { text }… → done { …stejné jako Response JSON }
+//   | error { ok:false, error, status? }. Klient bez streamování dostane Response JSON jako dřív.
+// Ochrana proti zneužití (lib/guard.mjs): rate limit na IP, délka dotazu, počet kol konverzace, ALLOWED_ORIGINS,
+//   denní rozpočet. Odmítnutí: { ok:false, error: code, code, message (text pro uživatele), retry_after? }
+//   code = rate_limited 429 (+ Retry-After) | message_too_long 413 | thread_limit 429 | daily_budget 429
+//   | origin_not_allowed 403. Při vyčerpaném rozpočtu FAQ odpovídá dál.
+// Log dotazů (QA_LOG=1, viz lib/qa-log.mjs): čas, dotaz bez osobních údajů, latence, délka odpovědi,
+//   cesta (faq | assistants | chat | mock | rejected), status a kód chyby. Statistiky: /admin (netlify/functions/admin.mjs).
+
+import { resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { loadFaq, matchFaq } from "../../lib/faq.mjs";
+import { createProvider, streamAnswer, LLMError } from "../../lib/llm.mjs";
+import { sseEvent } from "../../lib/sse.mjs";
+import { signThread, verifyThreadToken } from "../../lib/thread-token.mjs";
+import { checkOrigin, clientIp, createGuard, guardConfig, memoryStore, rejection } from "../../lib/guard.mjs";
+import { createQaLogger } from "../../lib/qa-log.mjs";
+
+// keep-alive komentář, než asistent (File Search) začne generovat
+const SSE_PING_MS = 10_000;
+
+// rate limit + denní rozpočet v paměti instance funkce (viz lib/guard.mjs)
+const guardStore = memoryStore();
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -10,16 +44,77 @@ const corsHeaders = {
   "Access-Control-Allow-Methods": "POST,OPTIONS",
 };
 
-const OPENAI_BASE_URL = "https://api.openai.com/v1";
+function jsonResponse(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json", ...headers },
+  });
+}
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+function rejectResponse({ status, body, headers }) {
+  return jsonResponse(status, body, headers);
 }
 
-function jsonResponse(status, data) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: { ...corsHeaders, "Content-Type": "application/json" },
+function errorBody(err) {
+  if (err instanceof LLMError) {
+    return { status: err.status, body: { ok: false, error: err.message, ...(err.details ? { status: err.details } : {}) } };
+  }
+  return { status: 500, body: { ok: false, error: "Server error", details: err?.message || String(err) } };
+}
+
+function wantsStream(req, body) {
+  return body?.stream === true || /text\/event-stream/.test(req.headers.get("accept") || "");
+}
+
+/**
+ * SSE odpověď z async generátoru [event, data]. Odpojení klienta (cancel streamu / req.signal)
+ * abortne `signal` předaný generátoru → provider zruší rozběhnutý požadavek.
+ */
+function sseResponse(makeEvents, reqSignal) {
+  const encoder = new TextEncoder();
+  const abort = new AbortController();
+  reqSignal?.addEventListener?.("abort", () => abort.abort());
+  let ping = null;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const write = (chunk) => {
+        if (abort.signal.aborted) return;
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {}
+      };
+      ping = setInterval(() => write(": ping\n\n"), SSE_PING_MS);
+
+      try {
+        for await (const [event, data] of makeEvents(abort.signal)) {
+          // klient odešel → generátor ukončit (finally v něm doúčtuje usage)
+          if (abort.signal.aborted) break;
+          write(sseEvent(event, data));
+        }
+      } catch (err) {
+        if (!abort.signal.aborted) write(sseEvent("error", errorBody(err).body));
+      } finally {
+        clearInterval(ping);
+        try {
+          controller.close();
+        } catch {}
+      }
+    },
+    cancel() {
+      clearInterval(ping);
+      abort.abort();
+    },
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      "X-Accel-Buffering": "no",
+    },
   });
 }
 
@@ -35,156 +130,176 @@ function getCzechTodayString() {
   return fmt.format(now);
 }
 
-async function api(path, { method = "GET", body, headers = {} } = {}, apiKey) {
-  const res = await fetch(`${OPENAI_BASE_URL}${path}`, {
-    method,
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "OpenAI-Beta": "assistants=v2",
-      ...headers,
-    },
-    body,
-  });
-
-  const text = await res.text().catch(() => "");
-  let json = null;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    // ignore
-  }
+export default async function handler(req, context) {
+  // ✅ Allowlist originů: CORS jen pro povolené weby (bez ALLOWED_ORIGINS kdokoli)
+  const origin = checkOrigin(req, guardConfig());
+  const res = origin.ok
+    ? await handle(req, context)
+    : rejectResponse(rejection(403, "origin_not_allowed", "Tento web nemá povolený přístup k asistentovi obce."));
 
-  if (!res.ok) {
-    const msg = json?.error?.message || text || `HTTP ${res.status}`;
-    throw new Error(`${method} ${path} failed: ${msg}`);
+  if (origin.allow && origin.allow !== "*") {
+    res.headers.set("Access-Control-Allow-Origin", origin.allow);
+    res.headers.set("Vary", "Origin");
   }
-
-  return json ?? {};
-}
-
-function extractAssistantText(messagesListJson) {
-  const data = messagesListJson?.data || [];
-  const assistantMsg = data.find((m) => m.role === "assistant");
-  if (!assistantMsg?.content?.length) return "Bez odpovědi";
-
-  const parts = assistantMsg.content
-    .map((c) => (c?.type === "text" ? c.text?.value : ""))
-    .filter(Boolean);
-
-  return parts.length ? parts.join("\n\n") : "Bez odpovědi";
+  return res;
 }
 
-function stripCitations(text) {
-  // Odstraní citace typu 
-  return String(text || "").replace(/【\d+:\d+†[^】]+】/g, "").trim();
-}
-
-export default async function handler(req) {
+async function handle(req, context) {
   // CORS preflight
   if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders });
 
+  // ✅ Log dotazu (opt-in): jeden záznam na požadavek s dotazem, i pro odmítnutí a chyby
+  const qaLog = createQaLogger();
+  const started = Date.now();
+  let qa = null; // { obec, question, stream } po načtení dotazu
+  let path = "error";
+  const logQa = async (fields) => {
+    if (qaLog && qa) await qaLog.log(qa.obec, { question: qa.question, stream: qa.stream, path, latency_ms: Date.now() - started, ...fields });
+  };
+  const logged = async (res, fields = {}) => {
+    await logQa({ status: res.status, ...fields });
+    return res;
+  };
+  const reject = (r) => logged(rejectResponse(r), { path: "rejected", error: r.body.code });
+
   try {
     if (req.method !== "POST") return jsonResponse(405, { ok: false, error: "Method not allowed" });
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    const assistantId = process.env.ASSISTANT_ID;
+    const guard = createGuard({ store: guardStore });
+    const body = await req.json().catch(() => ({}));
 
-    if (!apiKey) return jsonResponse(500, { ok: false, error: "Missing OPENAI_API_KEY" });
-    if (!assistantId) return jsonResponse(500, { ok: false, error: "Missing ASSISTANT_ID" });
+    const tenant = resolveTenantFromRequest(req, body);
+    if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" });
 
-    const body = await req.json().catch(() => ({}));
     const message = body?.message;
 
     if (!message || typeof message !== "string") {
       return jsonResponse(400, { ok: false, error: "Missing message" });
     }
+    const stream = wantsStream(req, body);
+    qa = { obec: tenant.slug, question: message, stream };
+
+    const limited = await guard.checkRate(clientIp(req, context));
+    if (limited) return reject(limited);
+
+    const tooLong = guard.checkMessage(message);
+    if (tooLong) return reject(tooLong);
+
+    // ✅ Konverzace: pokračujeme jen v threadu z našeho podepsaného tokenu; počet kol z tokenu i z počítadla
+    //    v guard store podle thread ID (opakovaně poslaný starý token limit neobejde)
+    const threadToken = typeof body?.thread_token === "string" ? body.thread_token : "";
+    const thread = threadToken ? verifyThreadToken(threadToken, tenant.slug) : null;
+    const threadId = thread?.threadId || null;
+    const turns = await guard.turnsOf(threadId, thread?.turns || 0);
+    const threadFields = (id) => ({
+      thread_id: id || null,
+      thread_token: signThread(id, tenant.slug, { turns: turns + 1 }),
+      ...(threadToken && !threadId ? { thread_reset: true } : {}),
+    });
+    let turnRecorded = false;
+    const recordTurn = async (id) => {
+      if (!id || turnRecorded) return;
+      turnRecorded = true;
+      await guard.recordTurn(id, turns + 1);
+    };
+
+    const overTurns = guard.checkTurns(turns);
+    if (overTurns) return reject(overTurns);
+
+    // ✅ FAQ fast-path: ověřená odpověď + zdroj, bez threadu a tokenů
+    const faq = matchFaq(message, loadFaq(tenant), { stopwords: [tenant.slug, tenant.name] });
+    if (faq) {
+      const { id, title, url, answer } = faq.entry;
+      const payload = {
+        ok: true,
+        answer: url ? `${answer} [1]` : answer,
+        ...threadFields(threadId),
+        obec: tenant.slug,
+        provider: "faq",
+        sources: url ? [{ n: 1, title, url }] : [],
+        source: { title, url },
+        faq: { id, confidence: faq.confidence },
+      };
+      path = "faq";
+      await recordTurn(threadId);
+      if (!stream) return logged(jsonResponse(200, payload), { answer_chars: payload.answer.length });
+
+      await logQa({ status: 200, answer_chars: payload.answer.length });
+      return sseResponse(async function* () {
+        yield ["start", { obec: payload.obec, provider: payload.provider }];
+        yield ["delta", { text: payload.answer }];
+        yield ["done", payload];
+      });
+    }
 
-    // ✅ Runtime datum (Europe/Prague) – budeme ho dávat do RUN instructions (správně pro Assistants v2)
+    // ✅ Denní rozpočet: po vyčerpání zdvořilé "zkuste později" místo volání LLM
+    const overBudget = await guard.checkBudget();
+    if (overBudget) return reject(overBudget);
+
+    const provider = createProvider(tenant);
+    path = provider.name;
+
+    // ✅ Runtime datum (Europe/Prague) – jde do instructions (u Assistants v2 do RUN, u chatu do system)
     const todayStr = getCzechTodayString();
-    const runInstructions =
+    const instructions =
       `Dnes je ${todayStr} (časová zóna: Europe/Prague).\n` +
       `Při výrazech jako "dnes", "zítra", "včera", "příští víkend", "tento týden" ` +
       `vždy vykládej časové odkazy vzhledem k tomuto datu.\n\n` +
+      `Odpovídáš za obec ${tenant.name} (${tenant.base}).\n` +
       `Pokud odpovídáš z informací obce, preferuj znalostní bázi (CORE + LIVE ve File Search) a buď konkrétní.`;
 
-    // Thread: pokud přijde thread_id, pokračujeme; jinak založíme nový
-    let threadId = body?.thread_id;
-
-    if (!threadId || typeof threadId !== "string" || !threadId.startsWith("thread_")) {
-      const created = await api("/threads", { method: "POST" }, apiKey);
-      threadId = created.id;
+    const args = { message, threadId, instructions };
+    const meta = { obec: tenant.slug, provider: provider.name };
+
+    if (stream) {
+      return sseResponse(async function* (signal) {
+        let streamed = "";
+        let charged = false;
+        try {
+          yield ["start", meta];
+          for await (const ev of streamAnswer(provider, { ...args, signal })) {
+            if (ev.type === "thread") {
+              await recordTurn(ev.threadId);
+              yield ["thread", threadFields(ev.threadId)];
+            } else if (ev.type === "delta") {
+              streamed += ev.text;
+              yield ["delta", { text: ev.text }];
+            } else if (ev.type === "done") {
+              charged = true;
+              await recordTurn(ev.threadId);
+              await guard.recordUsage(ev.usage);
+              await logQa({ status: 200, answer_chars: ev.answer.length });
+              yield ["done", { ok: true, answer: ev.answer, ...threadFields(ev.threadId), ...meta, sources: ev.sources }];
+            }
+          }
+        } catch (err) {
+          // odpojený klient = 499 (jako nginx), jinak status chyby
+          const { status, body } = errorBody(err);
+          await logQa(signal.aborted ? { status: 499, error: "client_closed" } : { status, error: body.error });
+          throw err;
+        } finally {
+          // přerušený / neúspěšný stream tokeny spotřeboval taky – usage z API nepřišla, odhad ~4 znaky na token
+          if (!charged) {
+            await guard.recordUsage({ prompt_tokens: Math.ceil(message.length / 4), completion_tokens: Math.ceil(streamed.length / 4) });
+          }
+        }
+      }, req.signal);
     }
 
-    // 1) User message (system zprávy do threadu NEPOSÍLAT)
-    await api(
-      `/threads/${threadId}/messages`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          role: "user",
-          content: message,
-        }),
-      },
-      apiKey
-    );
-
-    // 2) Run + instructions (tady je datum)
-    const run = await api(
-      `/threads/${threadId}/runs`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          assistant_id: assistantId,
-          instructions: runInstructions,
-        }),
-      },
-      apiKey
-    );
-
-    // 3) Poll run status
-    const started = Date.now();
-    const timeoutMs = 25_000;
-
-    while (true) {
-      if (Date.now() - started > timeoutMs) {
-        return jsonResponse(504, { ok: false, error: "Timeout waiting for response" });
-      }
-
-      await sleep(800);
-
-      const check = await api(`/threads/${threadId}/runs/${run.id}`, {}, apiKey);
-      const status = check.status;
-
-      if (status === "queued" || status === "in_progress") continue;
-
-      if (status === "requires_action") {
-        return jsonResponse(501, {
-          ok: false,
-          error: "Run requires action (tool call not handled in function).",
-          status,
-        });
-      }
-
-      if (status !== "completed") {
-        return jsonResponse(500, { ok: false, error: "Run failed", status });
-      }
-
-      break;
+    let out;
+    try {
+      out = await provider.answer(args);
+    } finally {
+      // i neúspěšný dotaz tokeny spotřeboval – bez usage z API odhad ~4 znaky na token (jako u streamu)
+      await guard.recordUsage(out?.usage || { prompt_tokens: Math.ceil(message.length / 4), completion_tokens: 0 });
     }
+    await recordTurn(out.threadId);
 
-    // 4) Read messages
-    const messages = await api(`/threads/${threadId}/messages?limit=20`, {}, apiKey);
-    let answer = extractAssistantText(messages);
-    answer = stripCitations(answer);
-
-    return jsonResponse(200, { ok: true, answer, thread_id: threadId });
-  } catch (err) {
-    return jsonResponse(500, {
-      ok: false,
-      error: "Server error",
-      details: err?.message || String(err),
+    return logged(jsonResponse(200, { ok: true, answer: out.answer, ...threadFields(out.threadId), ...meta, sources: out.sources }), {
+      answer_chars: out.answer.length,
     });
+  } catch (err) {
+    const { status, body } = errorBody(err);
+    return logged(jsonResponse(status, body), { error: body.error });
   }
-}
\ No newline at end of file
+}
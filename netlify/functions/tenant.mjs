@@ -0,0 +1,31 @@
+// netlify/functions/tenant.mjs
+// Veřejná konfigurace obce pro widget (název, skin, upozornění).
+// Obec: ?obec= | hostname (viz lib/tenant.mjs)
+// Response JSON: { ok: true, tenant: { slug, name, base, skin, skinBase, disclaimer, theme } } | { ok:false, error }
+//   theme = hotový skin ze skins/<skin>/skin.json (barvy, obrázky, texty, rychlé dotazy – viz lib/skin.mjs)
+
+import { publicTenant, resolveTenantFromRequest } from "../../lib/tenant.mjs";
+import { resolveSkin } from "../../lib/skin.mjs";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type",
+  "Access-Control-Allow-Methods": "GET,OPTIONS",
+};
+
+function jsonResponse(status, data, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json", ...extraHeaders },
+  });
+}
+
+export default async function handler(req) {
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: corsHeaders });
+  if (req.method !== "GET") return jsonResponse(405, { ok: false, error: "Method not allowed" });
+
+  const tenant = resolveTenantFromRequest(req);
+  if (!tenant) return jsonResponse(404, { ok: false, error: "Unknown obec" });
+
+  return jsonResponse(200, { ok: true, tenant: { ...publicTenant(tenant), theme: resolveSkin(tenant) } }, { "Cache-Control": "public, max-age=300" });
+}
@@ -0,0 +1,650 @@
+/* public/embed.js
+ * Widget asistenta obce pro vložení na web obce jedním tagem:
+ *
+ *   <script src="https://<nasazení>/embed.js" data-obec="chomutice" defer></script>
+ *
+ * FAB + chat běží ve Shadow DOM (styly webu obce do widgetu neprosakují a naopak),
+ * funkce tenant/search volá na originu, odkud je embed.js načtený (nebo data-api).
+ * Markdown v odpovědích renderuje public/markdown.js (načte se ze stejného nasazení).
+ * Web obce musí být v ALLOWED_ORIGINS nasazení, pokud je allowlist zapnutý (viz lib/guard.mjs).
+ *
+ * Stejný widget používá i samostatná stránka asistenta (public/index.html) s data-mode="page":
+ * obec z ?obec= (jinak podle hostname), pozadí ze skinu obce a titulek stránky podle skinu.
+ *
+ * Data atributy (vše volitelné kromě data-obec; v režimu page i ten):
+ *   data-obec      slug obce (config/tenants.mjs)
+ *   data-mode      "widget" (default) | "page" (celá stránka asistenta)
+ *   data-api       base URL nasazení (default origin skriptu)
+ *   data-position  "right" (default) | "left"
+ *   data-offset    odsazení od okraje v px (default 20)
+ *   data-open      "true" → chat otevřený hned po načtení
+ *   data-brand, data-brand2, data-text, data-me-bg, data-bot-bg
+ *                  barvy (přepíší skin obce, skins/<obec>/skin.json)
+ *   data-z-index   default 2147483000
+ *
+ * JS API (window.ObecChat): open(), close(), toggle(), ask(text) → Promise, ready (Promise)
+ */
+(function(){
+  "use strict";
+
+  const script = document.currentScript;
+  if(!script || window.ObecChat) return; // jen jedna instance na stránce
+
+  const attr = (name, fallback) => {
+    const v = script.getAttribute("data-" + name);
+    return v === null || v === "" ? fallback : v;
+  };
+
+  const PAGE = attr("mode", "widget") === "page";
+  const API = attr("api", new URL(script.src, location.href).origin).replace(/\/+$/, "");
+  const OBEC = attr("obec", PAGE ? new URLSearchParams(location.search).get("obec") || "" : "");
+  const POSITION = attr("position", "right") === "left" ? "left" : "right";
+  const OFFSET = Math.max(0, parseInt(attr("offset", "20"), 10) || 0);
+  const Z_INDEX = parseInt(attr("z-index", "2147483000"), 10) || 2147483000;
+  const COLOR_ATTRS = { brand: "brand", brand2: "brand2", text: "text", meBg: "me-bg", botBg: "bot-bg" };
+  const COLOR_RE = /^(#[0-9a-fA-F]{3,8}|rgba?\([0-9.,\s%]+\))$/;
+
+  const CONV_TTL_MS = 24 * 3600 * 1000;
+  const CONV_MAX_MESSAGES = 40;
+  const CAN_STREAM = !!(window.ReadableStream && window.TextDecoder && window.AbortController);
+
+  /* ===== STYLES (jen uvnitř shadow root) ===== */
+  const CSS = `
+:host{all:initial}
+*{box-sizing:border-box}
+[hidden]{display:none !important}
+.wrap{
+  --text:#0f172a; --brand:#1e3a8a; --brand2:#1d4ed8;
+  --meBg:rgba(219,234,254,.92); --botBg:rgba(255,255,255,.88);
+  font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;
+  color:var(--text); font-size:13px; line-height:1.45;
+}
+.chat-widget{
+  position:fixed; bottom:var(--offset); width:392px; height:min(640px, calc(100vh - 2 * var(--offset)));
+  background:linear-gradient(180deg, rgba(15,23,42,.94), rgba(11,18,32,.96));
+  border:1px solid rgba(255,255,255,.16); border-radius:22px;
+  box-shadow:0 24px 70px rgba(2,6,23,.38);
+  display:flex; flex-direction:column; overflow:hidden;
+}
+.left .chat-widget, .left .fab{left:var(--offset)}
+.right .chat-widget, .right .fab{right:var(--offset)}
+.chat-header{
+  padding:12px 12px 10px; color:#fff; cursor:pointer;
+  background:linear-gradient(135deg, var(--brand), rgba(21,48,111,.88));
+  display:flex; justify-content:space-between; align-items:center; gap:10px;
+  border-bottom:1px solid rgba(255,255,255,.12);
+}
+.header-left{display:flex;gap:10px;align-items:center;min-width:0}
+.brandmark,.fabIcon{
+  width:44px;height:44px;border-radius:16px;flex:0 0 auto;overflow:hidden;
+  background:rgba(255,255,255,.14);border:1px solid rgba(255,255,255,.16);
+  display:flex;align-items:center;justify-content:center;font-weight:900;
+}
+.fabIcon{width:40px;height:40px;font-size:12px}
+.brandmark img,.fabIcon img{width:100%;height:100%;object-fit:contain;display:block;padding:6px}
+.header-title{font-weight:950;font-size:14px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.header-right{display:flex;align-items:center;gap:8px;flex:0 0 auto}
+button{font:inherit}
+.newchat,.close{
+  font-size:11px;padding:4px 10px;border-radius:999px;cursor:pointer;white-space:nowrap;
+  background:rgba(0,0,0,.18);border:1px solid rgba(255,255,255,.22);color:#fff;font-weight:800;
+}
+.close{font-size:14px;padding:2px 9px}
+.newchat:hover,.close:hover{background:rgba(255,255,255,.18)}
+.chat{flex:1;padding:14px 12px 10px;overflow-y:auto;display:flex;flex-direction:column;gap:10px}
+.msg{
+  max-width:86%;padding:10px 12px;border-radius:16px;white-space:pre-wrap;word-break:break-word;
+  border:1px solid rgba(255,255,255,.18);box-shadow:0 10px 28px rgba(0,0,0,.16);
+}
+.me{align-self:flex-end;background:var(--meBg);border-bottom-right-radius:8px}
+.bot{align-self:flex-start;background:var(--botBg);border-bottom-left-radius:8px}
+.bot.notice{background:#fff7e6;border:1px solid #f3d9a4}
+.msg strong{font-weight:950}
+.msg a{color:var(--brand2);word-break:break-word;text-decoration:none}
+.msg a:hover{text-decoration:underline}
+.msg sup{line-height:0}
+.msg a.ref{font-size:10px;font-weight:900}
+.fb{display:flex;flex-wrap:wrap;align-items:center;gap:6px;margin-top:8px;font-size:11px;color:rgba(15,23,42,.62);white-space:normal}
+.fb button{border:1px solid rgba(15,23,42,.14);background:rgba(255,255,255,.7);border-radius:999px;padding:2px 9px;font-size:12px;cursor:pointer;color:inherit}
+.fb button:hover{background:#fff}
+.fb textarea{flex:1 1 100%;min-height:52px;resize:vertical;font:inherit;font-size:12px;border:1px solid rgba(15,23,42,.18);border-radius:10px;padding:6px 8px}
+.msg .md{white-space:normal}
+.msg .md p{margin:0 0 6px}
+.msg .md > :last-child{margin-bottom:0}
+.msg .md h4,.msg .md h5{margin:8px 0 4px;font-size:14px;font-weight:950}
+.msg .md h5{font-size:13px}
+.msg .md ul,.msg .md ol{margin:4px 0 6px;padding-left:20px}
+.msg .md li{margin:2px 0}
+.msg .md code{font-family:ui-monospace,Consolas,monospace;font-size:12px;background:rgba(15,23,42,.08);padding:1px 4px;border-radius:5px}
+.msg .md pre{white-space:pre-wrap;margin:6px 0;padding:8px;border-radius:10px;background:rgba(15,23,42,.08)}
+.msg .md pre code{background:none;padding:0}
+.msg .md blockquote{margin:6px 0;padding-left:10px;border-left:3px solid rgba(15,23,42,.2)}
+.msg .md hr{border:0;border-top:1px solid rgba(15,23,42,.15);margin:8px 0}
+.msg .md table{border-collapse:collapse;margin:6px 0;font-size:12px;display:block;overflow-x:auto;max-width:100%}
+.msg .md th,.msg .md td{border:1px solid rgba(15,23,42,.15);padding:4px 8px;text-align:left}
+.msg .md th{background:rgba(15,23,42,.06);font-weight:900}
+.sources{display:flex;flex-wrap:wrap;gap:6px;margin-top:8px;white-space:normal}
+.msg a.src{
+  display:inline-flex;align-items:center;gap:6px;max-width:100%;
+  padding:3px 10px 3px 4px;border-radius:999px;background:rgba(15,23,42,.78);color:#fff;font-size:11px;
+  white-space:nowrap;overflow:hidden;text-overflow:ellipsis;
+}
+.msg a.src .n{
+  flex:0 0 auto;min-width:18px;height:18px;border-radius:999px;display:inline-flex;align-items:center;
+  justify-content:center;background:rgba(255,255,255,.22);font-weight:900;font-size:10px;
+}
+.quickbar{margin:6px 12px 8px;display:flex;flex-wrap:wrap;gap:8px}
+.qb{
+  border:0;cursor:pointer;padding:6px 10px;border-radius:999px;font-size:12px;font-weight:900;
+  color:rgba(255,255,255,.92);background:rgba(29,78,216,.28);
+}
+.qb:hover{background:rgba(29,78,216,.38)}
+.loading-bar{
+  display:flex;align-items:center;gap:10px;padding:10px 12px;margin:0 12px 8px;border-radius:14px;
+  background:rgba(0,0,0,.22);border:1px solid rgba(255,255,255,.14);color:rgba(255,255,255,.92);
+}
+.typing{display:inline-flex;gap:6px;align-items:center}
+.typing span{width:7px;height:7px;border-radius:999px;background:rgba(255,255,255,.92);opacity:.35;animation:bounce 1s infinite ease-in-out}
+.typing span:nth-child(2){animation-delay:.12s}
+.typing span:nth-child(3){animation-delay:.24s}
+@keyframes bounce{0%,100%{transform:translateY(0);opacity:.35}50%{transform:translateY(-4px);opacity:1}}
+.row{display:flex;gap:10px;padding:10px 12px 12px;border-top:1px solid rgba(255,255,255,.14)}
+input{
+  flex:1;height:44px;padding:0 14px;border-radius:999px;border:1px solid rgba(255,255,255,.22);
+  background:rgba(0,0,0,.28);color:#fff;font:inherit;font-size:16px;outline:none;margin:0;
+}
+input::placeholder{color:rgba(255,255,255,.72)}
+.send{
+  width:48px;height:44px;border:0;border-radius:14px;color:#fff;font-weight:950;cursor:pointer;
+  background:linear-gradient(135deg, var(--brand2), rgba(0,229,255,.25));
+  display:flex;align-items:center;justify-content:center;
+}
+.send:disabled{opacity:.55;cursor:not-allowed}
+.send.stop{background:rgba(0,0,0,.35);border:1px solid rgba(255,255,255,.22)}
+.fab{
+  position:fixed;bottom:var(--offset);height:56px;padding:8px 12px 8px 8px;border-radius:999px;cursor:pointer;
+  border:1px solid rgba(255,255,255,.18);background:rgba(10,16,28,.88);color:#fff;
+  box-shadow:0 18px 55px rgba(0,0,0,.35);display:flex;align-items:center;gap:10px;text-align:left;
+}
+.fabText{display:flex;flex-direction:column;line-height:1.05;min-width:0}
+.fabText .a{font-weight:950;font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;max-width:220px}
+.fabText .b{font-size:11px;color:rgba(255,255,255,.72);white-space:nowrap;overflow:hidden;text-overflow:ellipsis;max-width:220px}
+.bg{position:fixed;inset:0;background:#0b1220}
+.bgImg{position:absolute;inset:0;background-size:cover;background-position:top center;opacity:.92;transform:scale(1.02)}
+.bg::after{content:"";position:absolute;inset:0;pointer-events:none;background:linear-gradient(90deg, rgba(11,18,32,.78), rgba(11,18,32,.42))}
+.page .chat-widget{background:rgba(255,255,255,.10);backdrop-filter:blur(14px)}
+.page .fab{background:rgba(10,16,28,.60);backdrop-filter:blur(12px)}
+@media(max-width:480px){
+  .chat-widget{left:12px;right:12px;bottom:12px;width:auto;height:80vh}
+}
+@media (prefers-reduced-motion: reduce){.typing span{animation:none}}
+`;
+
+  const HTML = `
+<div class="wrap ${POSITION}${PAGE ? " page" : ""}" part="root">
+  ${PAGE ? `<div class="bg" aria-hidden="true"><div class="bgImg" data-el="bgImg"></div></div>` : ""}
+  <div class="chat-widget" role="dialog" aria-label="Chat – Asistent obce" hidden>
+    <div class="chat-header" data-el="header">
+      <div class="header-left">
+        <div class="brandmark" data-el="brandmark">AI</div>
+        <div class="header-title" data-el="title">Asistent obce</div>
+      </div>
+      <div class="header-right">
+        <button class="newchat" type="button" data-el="newChat" title="Začít novou konverzaci">↺ Nová konverzace</button>
+        <button class="close" type="button" data-el="close" aria-label="Zavřít chat">✕</button>
+      </div>
+    </div>
+    <div class="chat" data-el="chat" aria-live="polite"></div>
+    <div class="quickbar" data-el="quickbar"></div>
+    <div class="loading-bar" data-el="loading" hidden>
+      <span class="typing" aria-label="Generuje se odpověď"><span></span><span></span><span></span></span>
+      <span>Generuje se odpověď…</span>
+    </div>
+    <div class="row">
+      <input data-el="input" type="text" maxlength="1000" placeholder="Napište dotaz…" aria-label="Dotaz" />
+      <button class="send" type="button" data-el="send" aria-label="Odeslat">➤</button>
+    </div>
+  </div>
+  <button class="fab" type="button" data-el="fab">
+    <span class="fabIcon" data-el="fabIcon">AI</span>
+    <span class="fabText"><span class="a" data-el="fabTitle">Poradíme vám</span><span class="b" data-el="fabSubtitle">Klikněte a napište dotaz…</span></span>
+  </button>
+</div>`;
+
+  /* ===== DOM ===== */
+  const host = document.createElement("obec-chat-widget"); // vlastní tag – CSS webu obce na něj necílí
+  host.setAttribute("data-obec-chat", OBEC);
+  host.style.cssText = "position:fixed;z-index:" + Z_INDEX + ";";
+  const shadow = host.attachShadow({ mode: "open" });
+  const style = document.createElement("style");
+  style.textContent = CSS;
+  shadow.appendChild(style);
+  const tpl = document.createElement("template");
+  tpl.innerHTML = HTML;
+  shadow.appendChild(tpl.content.cloneNode(true));
+
+  const $ = (name) => shadow.querySelector(`[data-el="${name}"]`);
+  const wrap = shadow.querySelector(".wrap");
+  const widget = shadow.querySelector(".chat-widget");
+  const chatEl = $("chat"), input = $("input"), send = $("send"), fab = $("fab"), quickbar = $("quickbar"), loadingBar = $("loading");
+  wrap.style.setProperty("--offset", OFFSET + "px");
+
+  /* ===== TENANT + SKIN ===== */
+  let TENANT = { slug: OBEC || "chomutice", name: OBEC || "obce", disclaimer: "" };
+  let GREETING = "";
+
+  function absUrl(u){
+    try{ return new URL(u, API + "/").href; }catch(e){ return ""; }
+  }
+
+  function setLogo(el, url, fallback){
+    el.textContent = fallback;
+    if(!url) return;
+    const img = new Image();
+    img.onload = () => { el.textContent = ""; el.appendChild(img); };
+    img.alt = "Erb obce " + TENANT.name;
+    img.src = url;
+  }
+
+  function applyTheme(t){
+    t = t || {};
+    const colors = Object.assign({}, t.colors);
+    Object.entries(COLOR_ATTRS).forEach(([k, a]) => {
+      const v = attr(a, "");
+      if(COLOR_RE.test(v)) colors[k] = v;
+    });
+    Object.entries(colors).forEach(([k, v]) => wrap.style.setProperty("--" + k, v));
+    if(t.lang) wrap.setAttribute("lang", t.lang);
+
+    const title = t.title || "Asistent obce " + TENANT.name;
+    $("title").textContent = title;
+    widget.setAttribute("aria-label", "Chat – " + title);
+    if(t.fab && t.fab.title) $("fabTitle").textContent = t.fab.title;
+    if(t.fab && t.fab.subtitle) $("fabSubtitle").textContent = t.fab.subtitle;
+    if(t.placeholder) input.placeholder = t.placeholder;
+    GREETING = t.greeting || "Ahoj! Zeptej se mě na cokoliv ohledně obce " + TENANT.name + ".";
+    if(t.disclaimer) TENANT.disclaimer = t.disclaimer;
+
+    quickbar.innerHTML = "";
+    (t.quickQuestions || []).forEach((q) => {
+      const b = document.createElement("button");
+      b.className = "qb";
+      b.type = "button";
+      b.textContent = q.label;
+      b.setAttribute("data-q", q.question);
+      quickbar.appendChild(b);
+    });
+    quickbar.hidden = !quickbar.children.length;
+
+    const logo = t.assets && t.assets.logo ? absUrl(t.assets.logo) : "";
+    setLogo($("brandmark"), logo, t.logoFallback || "AI");
+    setLogo($("fabIcon"), logo, t.logoFallback || "AI");
+
+    if(PAGE){
+      document.title = title;
+      const bg = t.assets && t.assets.background ? absUrl(t.assets.background) : "";
+      if(bg){
+        const img = new Image();
+        img.onload = () => { $("bgImg").style.backgroundImage = "url('" + bg + "')"; };
+        img.src = bg;
+      }
+    }
+  }
+
+  // renderer Markdownu ze stejného nasazení; nenačte se → odpovědi jako prostý text s odkazy
+  function loadMarkdown(){
+    if(window.ObecMarkdown) return Promise.resolve();
+    return new Promise((resolve) => {
+      const s = document.createElement("script");
+      s.src = API + "/markdown.js";
+      s.async = true;
+      s.onload = s.onerror = () => resolve();
+      document.head.appendChild(s);
+    });
+  }
+
+  async function loadTenant(){
+    try{
+      const r = await fetch(API + "/.netlify/functions/tenant" + (OBEC ? "?obec=" + encodeURIComponent(OBEC) : ""));
+      const j = await r.json().catch(() => ({}));
+      if(j && j.ok && j.tenant) TENANT = j.tenant;
+    }catch(e){}
+    applyTheme(TENANT.theme);
+  }
+
+  /* ===== RENDER ===== */
+  function escapeHtml(s){
+    return String(s).replace(/[&<>"']/g, m => ({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;" }[m]));
+  }
+
+  function linkify(t){
+    const s = escapeHtml(t);
+    const urlRe = /\bhttps?:\/\/[^\s<>"'\[]+/gi;
+    return s.replace(urlRe, (raw) => {
+      const m = raw.match(/^(.*?)([)\]\}.,;:!?]+)?$/);
+      const url = m && m[1] ? m[1] : raw;
+      const trailing = m && m[2] ? m[2] : "";
+      return `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>${trailing}`;
+    });
+  }
+
+  function sourceLink(s, inner, cls){
+    return `<a class="${cls}" href="${escapeHtml(s.url)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(s.title || s.url)}">${inner}</a>`;
+  }
+
+  function renderMessage(d, who, text, sources){
+    const list = (Array.isArray(sources) ? sources : []).filter((s) => s && /^https?:\/\//i.test(s.url || ""));
+    const byN = {};
+    list.forEach((s) => { byN[s.n] = s; });
+
+    const cleaned = String(text || "").replace(/【\d+:\d+†[^】]*】/g, "");
+    const ref = (n) => byN[n] ? `<sup>${sourceLink(byN[n], "[" + n + "]", "ref")}</sup>` : null;
+    const chips = list.length
+      ? `<div class="sources">` + list.map((s) => sourceLink(s, `<span class="n">${escapeHtml(s.n)}</span>${escapeHtml(s.title || s.url)}`, "src")).join("") + `</div>`
+      : "";
+    const label = `<strong>${escapeHtml(who)}:</strong> `;
+
+    // odpovědi asistenta jako Markdown (public/markdown.js), vlastní dotazy jako prostý text
+    if(window.ObecMarkdown && !d.classList.contains("me")){
+      const md = window.ObecMarkdown.render(cleaned, { ref });
+      d.innerHTML = `<div class="md">${md.startsWith("<p>") ? "<p>" + label + md.slice(3) : label + md}</div>${chips}`;
+    }else{
+      d.innerHTML = label + linkify(cleaned).replace(/\[(\d+)\]/g, (m, n) => ref(n) || m) + chips;
+    }
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  function addMessage(who, text, cls, sources){
+    const d = document.createElement("div");
+    d.className = "msg " + cls;
+    chatEl.appendChild(d);
+    renderMessage(d, who, text, sources);
+    return d;
+  }
+
+  function showLoading(on){
+    loadingBar.hidden = !on;
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  /* ===== KONVERZACE (localStorage stránky, klíč podle obce, vyprší po 24 h nečinnosti) ===== */
+  let conv = { token: null, history: [] };
+  let convEpoch = 0;
+  let pending = null;
+
+  function convKey(){ return "obec-chat:" + TENANT.slug; }
+
+  function loadConversation(){
+    try{
+      const c = JSON.parse(localStorage.getItem(convKey()) || "null");
+      if(c && Date.now() - c.updatedAt < CONV_TTL_MS && Array.isArray(c.history)){
+        return { token: c.token || null, history: c.history };
+      }
+      localStorage.removeItem(convKey());
+    }catch(e){}
+    return { token: null, history: [] };
+  }
+
+  function saveConversation(){
+    conv.history = conv.history.slice(-CONV_MAX_MESSAGES);
+    try{
+      localStorage.setItem(convKey(), JSON.stringify({ token: conv.token, history: conv.history, updatedAt: Date.now() }));
+    }catch(e){}
+  }
+
+  function greet(){
+    if(TENANT.disclaimer) addMessage(TENANT.name, "Upozornění:\n" + TENANT.disclaimer, "bot");
+    addMessage(TENANT.name, GREETING, "bot");
+  }
+
+  function newConversation(){
+    convEpoch++;
+    if(pending && pending.abort) pending.abort();
+    conv = { token: null, history: [] };
+    try{ localStorage.removeItem(convKey()); }catch(e){}
+    chatEl.innerHTML = "";
+    greet();
+    input.focus();
+  }
+
+  /* ===== DOTAZ (SSE přes fetch, fallback JSON) ===== */
+  function setBusy(on){
+    send.classList.toggle("stop", on);
+    send.textContent = on ? "■" : "➤";
+    send.setAttribute("aria-label", on ? "Zastavit odpověď" : "Odeslat");
+  }
+
+  async function readEvents(body, onEvent){
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "";
+    while(true){
+      const { value, done } = await reader.read();
+      if(done) break;
+      buf += decoder.decode(value, { stream: true });
+
+      let m;
+      while((m = buf.match(/\r?\n\r?\n/))){
+        const block = buf.slice(0, m.index);
+        buf = buf.slice(m.index + m[0].length);
+
+        let event = "message", data = "";
+        block.split(/\r?\n/).forEach((line) => {
+          if(line.startsWith("event:")) event = line.slice(6).trim();
+          else if(line.startsWith("data:")) data += line.slice(5).trim();
+        });
+        if(data) onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+
+  // hodnocení odpovědi 👍/👎 (+ komentář) → funkce feedback
+  function attachFeedback(d, entry){
+    if(!d || !entry || !entry.q) return;
+    const bar = document.createElement("div");
+    bar.className = "fb";
+    d.appendChild(bar);
+
+    const done = (msg) => { bar.textContent = msg; };
+    if(entry.rated) return done("Děkujeme za hodnocení.");
+
+    const submit = async (rating, comment) => {
+      done("Odesílám…");
+      try{
+        const r = await fetch(API + "/.netlify/functions/feedback", {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({
+            obec: TENANT.slug, rating, comment: comment || undefined,
+            question: entry.q, answer: entry.text, provider: entry.provider, sources: entry.sources,
+            thread_token: conv.token || undefined,
+          }),
+        });
+        const j = await r.json().catch(() => ({}));
+        if(!j.ok) throw new Error(j.error || "feedback");
+        entry.rated = rating;
+        saveConversation();
+        done(rating === "up" ? "Děkujeme za hodnocení." : "Děkujeme, předáme to obecnímu úřadu.");
+      }catch(e){
+        done("Hodnocení se nepodařilo odeslat.");
+      }
+    };
+
+    bar.innerHTML = `<span>Pomohla odpověď?</span><button type="button" data-r="up" aria-label="Ano, pomohla">👍</button><button type="button" data-r="down" aria-label="Ne, nepomohla">👎</button>`;
+    bar.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if(!btn) return;
+      if(btn.dataset.r === "up") return submit("up");
+      if(btn.dataset.r === "down"){
+        bar.innerHTML = `<textarea maxlength="1000" placeholder="Co bylo špatně? (nepovinné)"></textarea><button type="button" data-r="send">Odeslat</button>`;
+        bar.querySelector("textarea").focus();
+        return;
+      }
+      if(btn.dataset.r === "send") submit("down", bar.querySelector("textarea").value.trim());
+    });
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  function showRejection(j){
+    let msg = j.message;
+    if(j.code === "rate_limited" && j.retry_after){
+      send.disabled = true;
+      setTimeout(() => { send.disabled = false; }, j.retry_after * 1000);
+    }
+    if(j.code === "thread_limit"){
+      conv.token = null;
+      saveConversation();
+      msg += "\nDalší dotaz už začne novou konverzaci (nebo klikněte na „↺ Nová konverzace“).";
+    }
+    addMessage(TENANT.name, "⚠️ " + msg, "bot notice");
+  }
+
+  async function ask(qOverride){
+    const q = String(qOverride ?? input.value).trim();
+    if(!q || pending || send.disabled) return;
+
+    addMessage("Vy", q, "me");
+    input.value = "";
+    conv.history.push({ who: "Vy", text: q, cls: "me" });
+    saveConversation();
+
+    const epoch = convEpoch;
+    const current = () => epoch === convEpoch;
+    const remember = (answer, token, sources, provider) => {
+      if(!current()) return null;
+      if(token !== undefined) conv.token = token;
+      let entry = null;
+      if(answer){
+        entry = { who: TENANT.name, text: answer, cls: "bot", sources: sources || [], q, provider };
+        conv.history.push(entry);
+      }
+      saveConversation();
+      return entry;
+    };
+
+    const ctrl = window.AbortController ? new AbortController() : null;
+    pending = ctrl || true;
+    setBusy(true);
+    showLoading(true);
+
+    let bubble = null;
+    let text = "";
+
+    try{
+      const r = await fetch(API + "/.netlify/functions/search", {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "accept": CAN_STREAM ? "text/event-stream" : "application/json",
+        },
+        body: JSON.stringify({ message: q, obec: TENANT.slug, thread_token: conv.token || undefined }),
+        signal: ctrl ? ctrl.signal : undefined,
+      });
+
+      const streamed = CAN_STREAM && r.body && /text\/event-stream/.test(r.headers.get("content-type") || "");
+      if(!streamed){
+        const j = await r.json().catch(() => ({}));
+        if(!current()) return;
+        if(j && j.ok === false && j.message){ showRejection(j); return; }
+        const d = addMessage(TENANT.name, (j && j.answer) ? j.answer : "Bez odpovědi", "bot", j && j.sources);
+        if(j && j.ok) attachFeedback(d, remember(j.answer, j.thread_token || null, j.sources, j.provider));
+        return;
+      }
+
+      let final = null, failed = null;
+      await readEvents(r.body, (event, data) => {
+        if(!current()) return;
+        if(event === "thread") remember("", data.thread_token || null);
+        else if(event === "delta"){
+          if(!bubble){ showLoading(false); bubble = addMessage(TENANT.name, "", "bot"); }
+          text += data.text || "";
+          renderMessage(bubble, TENANT.name, text);
+        }
+        else if(event === "done") final = data;
+        else if(event === "error") failed = data;
+      });
+
+      if(!current()) return;
+      if(final){
+        if(!bubble) bubble = addMessage(TENANT.name, "", "bot");
+        renderMessage(bubble, TENANT.name, final.answer || text || "Bez odpovědi", final.sources);
+        attachFeedback(bubble, remember(final.answer || text, final.thread_token || null, final.sources, final.provider));
+      }else{
+        const msg = failed && failed.status === "requires_action" ? "Na tento dotaz teď neumím odpovědět." : "Odpověď se nepodařilo dokončit.";
+        if(bubble) renderMessage(bubble, TENANT.name, text + "\n\n⚠️ " + msg);
+        else addMessage(TENANT.name, msg, "bot");
+      }
+    }catch(e){
+      if(!current()){
+        // nová konverzace – starou odpověď už nevypisovat
+      }else if(e && e.name === "AbortError"){
+        if(bubble){
+          renderMessage(bubble, TENANT.name, text + " …\n\n(Odpověď byla zastavena.)");
+          remember(text + " …");
+        }
+        else addMessage(TENANT.name, "Dotaz byl zrušen.", "bot");
+      }else{
+        addMessage(TENANT.name, "Chyba spojení.", "bot");
+      }
+    }finally{
+      pending = null;
+      showLoading(false);
+      setBusy(false);
+    }
+  }
+
+  /* ===== OTEVŘENÍ / ZAVŘENÍ ===== */
+  function open(){
+    widget.hidden = false;
+    fab.hidden = true;
+    setTimeout(() => input.focus(), 100);
+  }
+  function close(){
+    widget.hidden = true;
+    fab.hidden = false;
+  }
+
+  fab.addEventListener("click", open);
+  $("header").addEventListener("click", close);
+  $("close").addEventListener("click", (e) => { e.stopPropagation(); close(); });
+  $("newChat").addEventListener("click", (e) => { e.stopPropagation(); newConversation(); });
+  send.addEventListener("click", () => {
+    if(pending){ if(pending.abort) pending.abort(); return; }
+    ask();
+  });
+  input.addEventListener("keydown", (e) => {
+    e.stopPropagation(); // klávesové zkratky webu obce nereagují na psaní do chatu
+    if(e.key === "Enter") ask();
+  });
+  quickbar.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-q]");
+    if(btn) ask(btn.getAttribute("data-q"));
+  });
+
+  /* ===== INIT ===== */
+  const ready = new Promise((resolve) => {
+    const start = () => {
+      document.body.appendChild(host);
+      Promise.all([loadTenant(), loadMarkdown()]).then(() => {
+        greet();
+        conv = loadConversation();
+        conv.history.forEach((m) => {
+          const d = addMessage(m.who, m.text, m.cls, m.sources);
+          if(m.q) attachFeedback(d, m);
+        });
+        if(attr("open", "") === "true" || conv.history.length) open();
+        resolve();
+      });
+    };
+    if(document.body) start();
+    else document.addEventListener("DOMContentLoaded", start);
+  });
+
+  window.ObecChat = {
+    ready,
+    open: () => { ready.then(open); },
+    close: () => { ready.then(close); },
+    toggle: () => { ready.then(() => (widget.hidden ? open() : close())); },
+    ask: (text) => ready.then(() => { open(); return ask(text); }),
+  };
+})();
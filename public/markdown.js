@@ -0,0 +1,219 @@
+/* public/markdown.js
+ * Malý Markdown renderer pro odpovědi asistenta (index.html, embed.js) → window.ObecMarkdown.render(text, opts).
+ *
+ * Bezpečnost: odpověď může obsahovat cokoli, co model převzal z webu / dotazu (prompt injection).
+ * Proto se NEJDŘÍV escapuje celý text a teprve pak se z escapovaného textu skládají značky z allowlistu
+ * (p, br, h4, h5, strong, em, del, code, pre, ul, ol, li, blockquote, hr, table, thead, tbody, tr, th, td, a, sup).
+ * Surové HTML z odpovědi se nikdy nevloží; odkazy jen http(s):, mailto:, tel:.
+ *
+ * Podporováno: nadpisy (#), **tučně**, *kurzíva*, ~~přeškrtnutí~~, `kód`, ``` bloky, odrážky (vnořené),
+ * číslované seznamy, > citace, ---, tabulky (| a | b | + |---|), [text](url), holé URL,
+ * e-maily → mailto:, telefonní čísla (+420 123 456 789) → tel:, odkazy na zdroje [n] přes opts.ref(n).
+ */
+(function(root){
+  "use strict";
+
+  const ESC = { "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;" };
+  function escapeHtml(s){
+    return String(s).replace(/[&<>"']/g, m => ESC[m]);
+  }
+
+  const UNESC = { "&amp;":"&","&lt;":"<","&gt;":">","&quot;":'"',"&#039;":"'" };
+
+  // escapovaný text → hodnota atributu href (znovu escapovaná), nepovolené schéma → null
+  function safeHref(escapedUrl){
+    const url = escapedUrl.replace(/&(?:amp|lt|gt|quot|#039);/g, m => UNESC[m]);
+    if(/^https?:\/\/[^\s]+$/i.test(url)) return escapeHtml(url);
+    if(/^mailto:[^\s@]+@[^\s@]+$/i.test(url)) return escapeHtml(url);
+    if(/^tel:\+?[\d]{6,15}$/i.test(url)) return escapeHtml(url);
+    return null;
+  }
+
+  function anchor(href, inner){
+    const external = /^https?:/i.test(href);
+    return `<a href="${href}"${external ? ' target="_blank" rel="noopener noreferrer nofollow"' : ""}>${inner}</a>`;
+  }
+
+  /* ===== INLINE ===== */
+  // entity escapovaného textu, které URL ukončují
+  const URL_RE = /\bhttps?:\/\/(?:(?!&(?:lt|gt|quot|#039);)[^\s\[\]\u0000])+/gi;
+  const EMAIL_RE = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi;
+  const PHONE_RE = /(^|[^\w+\/.-])((?:\+|00)420[  ]?)?([1-9]\d{2})[  ]?(\d{3})[  ]?(\d{3})(?![\w\/-])/g;
+
+  // escapovaný text → HTML; kusy, které už jsou HTML (kód, odkazy), se drží v placeholderech \u0000n\u0000
+  function inline(text, opts, depth){
+    const slots = [];
+    const hold = (html) => "\u0000" + (slots.push(html) - 1) + "\u0000";
+    let s = text;
+
+    s = s.replace(/`([^`]+)`/g, (m, code) => hold(`<code>${code}</code>`));
+
+    // [text](url) – neplatná URL → jen text; placeholder (kód) v URL nesmí skončit v atributu
+    s = s.replace(/\[([^\]\u0000]+)\]\(([^()\s\u0000]+)\)/g, (m, label, url) => {
+      const href = safeHref(url);
+      const inner = depth ? label : inline(label, opts, 1);
+      return href ? hold(anchor(href, inner)) : hold(inner);
+    });
+
+    if(!depth){
+      s = s.replace(URL_RE, (raw) => {
+        const m = raw.match(/^(.*?)([)\]\}.,;:!?]+)?$/);
+        const url = m && m[1] ? m[1] : raw;
+        const href = safeHref(url);
+        return (href ? hold(anchor(href, url)) : url) + (m && m[2] ? m[2] : "");
+      });
+      s = s.replace(EMAIL_RE, (mail) => hold(anchor(escapeHtml("mailto:" + mail), mail)));
+      s = s.replace(PHONE_RE, (m, pre, cc, a, b, c) => {
+        const num = (cc ? "+420" : "") + a + b + c;
+        return pre + hold(anchor("tel:" + num, (cc || "") + a + " " + b + " " + c));
+      });
+
+      // odkazy na zdroje [n]
+      if(opts.ref){
+        s = s.replace(/\[(\d{1,3})\]/g, (m, n) => {
+          const html = opts.ref(Number(n));
+          return html ? hold(html) : m;
+        });
+      }
+    }
+
+    s = s
+      .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, "<strong>$1</strong>")
+      .replace(/__(?=\S)([^_]*?\S)__/g, "<strong>$1</strong>")
+      .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, "$1<em>$2</em>")
+      .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, "$1<em>$2</em>")
+      .replace(/~~(?=\S)([^~]*?\S)~~/g, "<del>$1</del>");
+
+    // placeholdery mohou být vnořené (odkaz v kurzívě apod.)
+    let prev;
+    do{
+      prev = s;
+      s = s.replace(/\u0000(\d+)\u0000/g, (m, i) => slots[i]);
+    }while(s !== prev);
+    return s;
+  }
+
+  /* ===== BLOCKS ===== */
+  const LIST_RE = /^(\s*)([-*+]|\d{1,3}[.)])\s+(.*)$/;
+  const TABLE_SEP_RE = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+  function cells(line){
+    return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((c) => c.trim());
+  }
+
+  function table(lines, opts){
+    const head = cells(lines[0]);
+    const align = cells(lines[1]).map((c) => (/^:-+:$/.test(c) ? "center" : /-:$/.test(c) ? "right" : ""));
+    const cell = (tag, c, i) => `<${tag}${align[i] ? ` style="text-align:${align[i]}"` : ""}>${inline(c, opts, 0)}</${tag}>`;
+    const body = lines.slice(2).map((l) => `<tr>${head.map((h, i) => cell("td", cells(l)[i] || "", i)).join("")}</tr>`);
+    return `<table><thead><tr>${head.map((h, i) => cell("th", h, i)).join("")}</tr></thead>` +
+      (body.length ? `<tbody>${body.join("")}</tbody>` : "") + `</table>`;
+  }
+
+  // souvislý blok řádků seznamu → vnořené <ul>/<ol> podle odsazení
+  function list(lines, opts){
+    let html = "";
+    const stack = []; // { indent, tag }
+    for(const line of lines){
+      const m = line.match(LIST_RE);
+      if(!m){
+        // pokračování položky na dalším řádku
+        html = html.replace(/<\/li>$/, "") + "<br>" + inline(line.trim(), opts, 0) + "</li>";
+        continue;
+      }
+      const indent = m[1].replace(/\t/g, "  ").length;
+      const tag = /\d/.test(m[2]) ? "ol" : "ul";
+
+      while(stack.length && indent < stack[stack.length - 1].indent){
+        html += `</${stack.pop().tag}></li>`;
+      }
+      const top = stack[stack.length - 1];
+      if(!top || indent > top.indent){
+        if(top) html = html.replace(/<\/li>$/, "");
+        const start = tag === "ol" && parseInt(m[2], 10) > 1 ? ` start="${parseInt(m[2], 10)}"` : "";
+        html += `<${tag}${start}>`;
+        stack.push({ indent, tag });
+      }else if(top.tag !== tag){
+        html += `</${stack.pop().tag}><${tag}>`;
+        stack.push({ indent, tag });
+      }
+      html += `<li>${inline(m[3], opts, 0)}</li>`;
+    }
+    while(stack.length){
+      html += `</${stack.pop().tag}>`;
+      if(stack.length) html += "</li>";
+    }
+    return html;
+  }
+
+  /**
+   * Markdown → bezpečné HTML (bez znaků nového řádku mimo <pre>).
+   * @param {string} text
+   * @param {{ ref?: (n: number) => string|null }} [opts] HTML odkazu na zdroj [n] (nebo null = nechat text)
+   */
+  function render(text, opts){
+    opts = opts || {};
+    const lines = escapeHtml(String(text || "").replace(/\u0000/g, "").replace(/\r\n?/g, "\n")).split("\n");
+    const out = [];
+    let para = [];
+
+    const flush = () => {
+      if(para.length) out.push(`<p>${para.map((l) => inline(l.trim(), opts, 0)).join("<br>")}</p>`);
+      para = [];
+    };
+
+    for(let i = 0; i < lines.length; i++){
+      const line = lines[i];
+
+      if(/^\s*```/.test(line)){
+        flush();
+        const code = [];
+        while(++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+        out.push(`<pre><code>${code.join("\n")}</code></pre>`);
+        continue;
+      }
+      if(!line.trim()){ flush(); continue; }
+
+      const h = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if(h){
+        flush();
+        const tag = h[1].length <= 3 ? "h4" : "h5";
+        out.push(`<${tag}>${inline(h[2], opts, 0)}</${tag}>`);
+        continue;
+      }
+      if(/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)){ flush(); out.push("<hr>"); continue; }
+
+      if(line.includes("|") && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes("-")){
+        flush();
+        const rows = [line, lines[++i]];
+        while(i + 1 < lines.length && lines[i + 1].includes("|") && lines[i + 1].trim()) rows.push(lines[++i]);
+        out.push(table(rows, opts));
+        continue;
+      }
+
+      if(LIST_RE.test(line)){
+        flush();
+        const items = [line];
+        while(i + 1 < lines.length && (LIST_RE.test(lines[i + 1]) || (/^\s{2,}\S/.test(lines[i + 1]) && lines[i + 1].trim()))){
+          items.push(lines[++i]);
+        }
+        out.push(list(items, opts));
+        continue;
+      }
+
+      if(/^\s*&gt;\s?/.test(line)){
+        flush();
+        const quote = [line.replace(/^\s*&gt;\s?/, "")];
+        while(i + 1 < lines.length && /^\s*&gt;/.test(lines[i + 1])) quote.push(lines[++i].replace(/^\s*&gt;\s?/, ""));
+        out.push(`<blockquote>${quote.map((l) => inline(l, opts, 0)).join("<br>")}</blockquote>`);
+        continue;
+      }
+
+      para.push(line);
+    }
+    flush();
+    return out.join("");
+  }
+
+  root.ObecMarkdown = { render, escapeHtml };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,32 @@
+// scripts/build_index.mjs
+// Přestaví offline vyhledávací index (kb/index_<obec>.json) z existujících chunků bez nového crawlu.
+// Obec: --obec=radim / env OBEC; bez nich všechny obce, které mají kb/chunks_<obec>.json.
+
+import fs from "fs";
+import { getTenant, listTenants } from "../lib/tenant.mjs";
+import { buildIndex, chunksPath, indexPath, writeIndex } from "../lib/retrieval.mjs";
+
+const explicit = process.argv.find((a) => a.startsWith("--obec="))?.slice("--obec=".length) || process.env.OBEC;
+const slugs = explicit ? [getTenant(explicit).slug] : listTenants();
+
+let built = 0;
+for (const slug of slugs) {
+  const tenant = getTenant(slug);
+  const src = chunksPath(tenant, process.cwd());
+  if (!fs.existsSync(src)) {
+    if (explicit) {
+      console.error(`❌ Chybí chunky: ${src} (nejdřív scripts/build_kb.js)`);
+      process.exit(1);
+    }
+    continue;
+  }
+
+  const kb = JSON.parse(fs.readFileSync(src, "utf8"));
+  const index = buildIndex(kb.chunks || [], { obec: slug, generatedAt: kb.generated_at });
+  const out = indexPath(tenant, process.cwd());
+  writeIndex(out, index);
+  console.log(`✅ Index ${slug}: ${index.docs.length} chunků, ${Object.keys(index.postings).length} termů -> ${out}`);
+  built++;
+}
+
+if (!built) console.log("ℹ️ Žádné chunky k indexaci.");
@@ -3,15 +3,16 @@ import path from "path";
 import crypto from "crypto";
 import * as cheerio from "cheerio";
 import pdfParse from "pdf-parse";
+import { resolveTenantFromEnv } from "../lib/tenant.mjs";
+import { buildIndex, indexPath, writeIndex } from "../lib/retrieval.mjs";
 
-const ROOT = "https://www.obec-radim.cz";
-const START_URLS = [
-  `${ROOT}/`,
-  `${ROOT}/urad/`,
-  `${ROOT}/urad/uzemni-a-rozvojovy-plan/`
-];
+// obec: --obec=radim nebo env OBEC
+const TENANT = resolveTenantFromEnv();
+const ROOT = TENANT.base;
+const START_URLS = TENANT.kb.startPaths.map((p) => `${ROOT}${p}`);
 
-const OUT_PATH = path.join(process.cwd(), "kb", "kb.json");
+// kb/kb.json drží ručně kurátorované odpovědi, chunky jdou zvlášť per obec
+const OUT_PATH = path.join(process.cwd(), "kb", TENANT.kb.out || `chunks_${TENANT.slug}.json`);
 const MAX_PAGES = 80;
 const MAX_PDFS = 40;
 const CHUNK_SIZE = 1200;
@@ -71,7 +72,7 @@ function normalizeUrl(u) {
 
 async function fetchBuffer(url) {
   const res = await fetch(url, {
-    headers: { "User-Agent": "RadimChatbotKB/1.0 (+github actions)" }
+    headers: { "User-Agent": TENANT.userAgent }
   });
   if (!res.ok) throw new Error(`Fetch failed ${res.status} ${url}`);
   const arrayBuffer = await res.arrayBuffer();
@@ -80,7 +81,7 @@ async function fetchBuffer(url) {
 
 async function fetchHtml(url) {
   const res = await fetch(url, {
-    headers: { "User-Agent": "RadimChatbotKB/1.0 (+github actions)" }
+    headers: { "User-Agent": TENANT.userAgent }
   });
   if (!res.ok) throw new Error(`Fetch failed ${res.status} ${url}`);
   const ct = res.headers.get("content-type") || "";
@@ -185,7 +186,7 @@ async function buildKb() {
     parts.forEach((part, idx) => {
       chunks.push({
         id: `web-${sha1(p.url)}-${idx + 1}`,
-        source: `Web obce Radim – ${p.url.replace(ROOT, "") || "/"}`,
+        source: `Web obce ${TENANT.name} – ${p.url.replace(ROOT, "") || "/"}`,
         url: p.url,
         text: part
       });
@@ -199,21 +200,27 @@ async function buildKb() {
     parts.forEach((part, idx) => {
       chunks.push({
         id: `pdf-${sha1(pdfUrl)}-${idx + 1}`,
-        source: "Dokument (PDF) z webu obce Radim",
+        source: `Dokument (PDF) z webu obce ${TENANT.name}`,
         url: pdfUrl,
         text: part
       });
     });
   }
 
+  const generatedAt = new Date().toISOString();
   ensureDir(path.dirname(OUT_PATH));
   fs.writeFileSync(
     OUT_PATH,
-    JSON.stringify({ generated_at: new Date().toISOString(), chunks }, null, 2),
+    JSON.stringify({ generated_at: generatedAt, obec: TENANT.slug, site: ROOT, chunks }, null, 2),
     "utf8"
   );
 
-  console.log(`KB built: ${chunks.length} chunks`);
+  console.log(`KB built (${TENANT.slug}): ${chunks.length} chunks -> ${OUT_PATH}`);
+
+  // offline vyhledávací index (netlify/functions/retrieve.mjs)
+  const INDEX_PATH = indexPath(TENANT, process.cwd());
+  writeIndex(INDEX_PATH, buildIndex(chunks, { obec: TENANT.slug, generatedAt }));
+  console.log(`Index built (${TENANT.slug}) -> ${INDEX_PATH}`);
 }
 
 buildKb().catch((e) => {
@@ -0,0 +1,53 @@
+// scripts/feedback-report.mjs
+// Report zpětné vazby pro obecní úřad: nejčastější dotazy, odpovědi s 👎 (i s komentáři)
+// a odpovědi typu "nevím / nenalezeno" → co doplnit do CORE znalostí obce.
+// Obec: --obec=radim / env OBEC (default výchozí obec); --days=30 jen posledních N dní; --top=20; --json
+// Store: FEEDBACK_STORE / FEEDBACK_DIR jako funkce feedback (lib/feedback.mjs)
+
+import { getTenant } from "../lib/tenant.mjs";
+import { feedbackReport, feedbackStore } from "../lib/feedback.mjs";
+
+const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+const tenant = getTenant(arg("obec") || process.env.OBEC);
+const days = Number(arg("days")) || 0;
+const top = Number(arg("top")) || 20;
+const since = days ? new Date(Date.now() - days * 86_400_000).toISOString() : undefined;
+
+const report = feedbackReport(await feedbackStore().read(tenant.slug), { top, since });
+
+if (process.argv.includes("--json")) {
+  console.log(JSON.stringify({ obec: tenant.slug, since: since || null, ...report }, null, 2));
+  process.exit(0);
+}
+
+const short = (s, n = 160) => {
+  const t = String(s || "").replace(/\s+/g, " ").trim();
+  return t.length > n ? `${t.slice(0, n - 1)}…` : t;
+};
+
+console.log(`📋 Zpětná vazba – obec ${tenant.name}${days ? ` (posledních ${days} dní)` : ""}`);
+console.log(`   celkem ${report.total}, 👍 ${report.up}, 👎 ${report.down}\n`);
+
+if (!report.total) {
+  console.log("ℹ️ Zatím žádná zpětná vazba.");
+  process.exit(0);
+}
+
+console.log("🔝 Nejčastější dotazy");
+report.topQuestions.forEach((q, i) => console.log(`${String(i + 1).padStart(3)}. ${short(q.question, 120)}  (${q.count}×, 👍 ${q.up}, 👎 ${q.down})`));
+
+console.log("\n👎 Odpovědi hodnocené jako špatné");
+if (!report.downvoted.length) console.log("   –");
+for (const q of report.downvoted) {
+  console.log(`  • ${short(q.question, 120)}  (👎 ${q.down}/${q.count})`);
+  console.log(`    odpověď: ${short(q.answer)}`);
+  for (const c of q.comments) console.log(`    💬 ${short(c, 200)}`);
+}
+
+console.log("\n❓ Asistent nevěděl – doplnit do CORE");
+if (!report.unanswered.length) console.log("   –");
+for (const q of report.unanswered) {
+  console.log(`  • ${short(q.question, 120)}  (${q.count}×)`);
+  console.log(`    odpověď: ${short(q.answer)}`);
+}
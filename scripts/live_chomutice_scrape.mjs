@@ -1,15 +1,25 @@
 // scripts/live_chomutice_scrape.mjs
 // Node 18+
 // npm i cheerio
+//
+// Obec: --obec=radim nebo env OBEC (default viz config/tenants.mjs)
 
 import fs from "fs";
 import path from "path";
+import os from "os";
 import * as cheerio from "cheerio";
+import { resolveTenantFromEnv } from "../lib/tenant.mjs";
+import { buildLiveJson, itemEvent, liveJsonPath, liveReportPath, loadLiveData, readLiveJson, writeLiveJson } from "../lib/live.mjs";
+import { formatEventTime } from "../lib/czech-date.mjs";
+import { extractHomepageNotice } from "../lib/extract.mjs";
+import { checkLiveSanity } from "../lib/sanity.mjs";
+import { buildReport, createFetcher, detailFileCache, enrichWithDetails, runSection, scrapeListing } from "../lib/scrape.mjs";
 
-const BASE = "https://www.obec-chomutice.cz";
+const TENANT = resolveTenantFromEnv();
+const BASE = TENANT.base;
 
 // ✅ default: zapisuje do public/knowledge (pro build / lokální kontrolu)
-const DEFAULT_OUT = path.join(process.cwd(), "public", "knowledge", "10_LIVE_obec_chomutice.txt");
+const DEFAULT_OUT = path.join(process.cwd(), "public", "knowledge", TENANT.liveFile);
 
 // ✅ serverless override: když je LIVE_FILE_PATH, zapisuje tam (typicky /tmp/knowledge/...)
 const OUT_PATH = process.env.LIVE_FILE_PATH
@@ -18,191 +28,273 @@ const OUT_PATH = process.env.LIVE_FILE_PATH
     : path.join(process.cwd(), process.env.LIVE_FILE_PATH)
   : DEFAULT_OUT;
 
-// limity
-const NEWS_LIMIT = 20;
-const BROADCAST_LIMIT = 20;
-const EVENTS_LIMIT = 10;
-
-function nowISO() {
-  return new Date().toISOString();
-}
-
-function cleanText(str) {
-  if (!str) return "";
-  return String(str).replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
+// strukturovaná data (live_<obec>.json) vedle textového souboru; override LIVE_JSON_PATH
+const JSON_OUT_PATH = process.env.LIVE_JSON_PATH
+  ? path.isAbsolute(process.env.LIVE_JSON_PATH)
+    ? process.env.LIVE_JSON_PATH
+    : path.join(process.cwd(), process.env.LIVE_JSON_PATH)
+  : liveJsonPath(TENANT, OUT_PATH);
+
+// report běhu (pro live-cron); override LIVE_REPORT_PATH
+const REPORT_PATH = process.env.LIVE_REPORT_PATH
+  ? path.resolve(process.cwd(), process.env.LIVE_REPORT_PATH)
+  : liveReportPath(TENANT, OUT_PATH);
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
 }
 
-function absUrl(href) {
-  if (!href) return "";
-  if (href.startsWith("http")) return href;
-  if (href.startsWith("/")) return BASE + href;
-  return BASE + "/" + href;
-}
-
-async function fetchHtml(url) {
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "ChomuticeBot/1.0",
-      "Accept-Language": "cs",
-    },
-  });
-  if (!res.ok) throw new Error(`Fetch failed ${res.status} ${url}`);
-  return await res.text();
+// limity (položky celkem přes všechny stránky)
+const NEWS_LIMIT = 60;
+const BROADCAST_LIMIT = 60;
+const EVENTS_LIMIT = 30;
+
+// stránkování: max počet stránek výpisu a stáří položek (0 = bez limitu)
+// env LIVE_MAX_PAGES / LIVE_MAX_AGE_DAYS > config obce (scrape.maxPages / scrape.maxAgeDays)
+const MAX_PAGES = Math.max(1, intEnv("LIVE_MAX_PAGES", TENANT.scrape?.maxPages ?? 10));
+const MAX_AGE_DAYS = intEnv("LIVE_MAX_AGE_DAYS", TENANT.scrape?.maxAgeDays ?? 90);
+
+// detailní stránky položek (plný text + přílohy); default ON, vypnout LIVE_DETAILS=0
+const DETAILS = (process.env.LIVE_DETAILS || "").trim() !== "0";
+const DETAIL_TEXT_LIMIT = 4000;
+const DETAIL_CONCURRENCY = 3;
+
+// cache detailů podle URL (na Netlify do /tmp); override LIVE_CACHE_DIR
+const CACHE_DIR = process.env.LIVE_CACHE_DIR
+  ? path.resolve(process.cwd(), process.env.LIVE_CACHE_DIR)
+  : process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME
+    ? path.join(os.tmpdir(), "live-cache")
+    : path.join(process.cwd(), ".cache");
+const DETAIL_CACHE_PATH = path.join(CACHE_DIR, `live_details_${TENANT.slug}.json`);
+
+// síť: timeout na jeden request, počet pokusů a základ backoffu (exponenciální + jitter) – viz lib/scrape.mjs
+const { fetchHtml } = createFetcher({
+  userAgent: TENANT.userAgent,
+  timeoutMs: intEnv("LIVE_FETCH_TIMEOUT_MS", 15_000),
+  retries: intEnv("LIVE_FETCH_RETRIES", 3),
+  retryBaseMs: intEnv("LIVE_RETRY_BASE_MS", 1000),
+});
+
+function listing(key, limit) {
+  return scrapeListing({ tenant: TENANT, key, limit, fetchHtml, maxPages: MAX_PAGES, maxAgeDays: MAX_AGE_DAYS });
 }
 
 /* =========================
-   HOMEPAGE – provozní info
+   HOMEPAGE
 ========================= */
-function extractHomepageNotice($) {
-  const notices = [];
-  const keywords = /(uzavřen|uzavřena|uzavřeno|mimořádn|omezen|dovolen)/i;
-
-  $("p, li").each((_, el) => {
-    const text = cleanText(
-      $(el).clone().children().remove().end().text()
-    );
-
-    if (text && text.length > 15 && text.length < 200 && keywords.test(text)) {
-      notices.push(text);
-    }
-  });
-
-  return [...new Set(notices)].slice(0, 3);
+async function scrapeNotices() {
+  const url = `${BASE}/`;
+  const $home = cheerio.load(await fetchHtml(url));
+  return { url, items: extractHomepageNotice($home) };
 }
 
 /* =========================
    AKTUALITY
 ========================= */
-async function scrapeAktuality() {
-  const url = `${BASE}/aktuality-1/`;
-  const html = await fetchHtml(url);
-  const $ = cheerio.load(html);
-
-  const items = [];
-  $(".event.readable_item").each((_, el) => {
-    const title = cleanText($(el).find("h3.title").text());
-    const href = $(el).find("h3.title a").attr("href");
-    const date = cleanText($(el).find(".publication_date").text());
-    const perex = cleanText($(el).find(".perex").text());
-    if (!title || !href) return;
-    items.push({ title, date, perex, url: absUrl(href) });
-  });
-
-  return { url, items: items.slice(0, NEWS_LIMIT) };
+function scrapeAktuality() {
+  return listing("aktuality", NEWS_LIMIT);
 }
 
 /* =========================
    ROZHLAS
 ========================= */
-async function scrapeRozhlas() {
-  const url = `${BASE}/hlaseni-rozhlasu/`;
-  const html = await fetchHtml(url);
-  const $ = cheerio.load(html);
-
-  const items = [];
-  $(".event.readable_item").each((_, el) => {
-    const title = cleanText($(el).find("h3.title").text());
-    const href = $(el).find("a").attr("href");
-    const date = cleanText($(el).find(".publication_date").text());
-    const perex = cleanText($(el).find(".perex").text());
-    if (!title || !href) return;
-    items.push({ title, date, perex, url: absUrl(href) });
-  });
-
-  return { url, items: items.slice(0, BROADCAST_LIMIT) };
+function scrapeRozhlas() {
+  return listing("rozhlas", BROADCAST_LIMIT);
 }
 
 /* =========================
    KALENDÁŘ AKCÍ
 ========================= */
-async function scrapeKalendar() {
-  const url = `${BASE}/kalendar-akci/`;
-  const html = await fetchHtml(url);
-  const $ = cheerio.load(html);
-
-  const items = [];
-  $(".event.readable_item").each((_, el) => {
-    const title = cleanText($(el).find("h3.title").text());
-    const href = $(el).find("h3.title a").attr("href");
-    const date = cleanText($(el).find(".publication_date").text());
-    const perex = cleanText($(el).find(".perex").text());
-    if (!title || !href) return;
-    items.push({ title, date, perex, url: absUrl(href) });
-  });
-
-  return { url, items: items.slice(0, EVENTS_LIMIT) };
+function scrapeKalendar() {
+  return listing("kalendar", EVENTS_LIMIT);
 }
 
 /* =========================
    FORMATOVÁNÍ
 ========================= */
+function indent(text, pad) {
+  return String(text).split("\n").join(`\n${pad}`);
+}
+
 function formatList(items) {
   if (!items.length) return "- (nenalezeno)";
   return items
     .map((i) => {
       let out = `- ${i.title}${i.date ? ` (${i.date})` : ""}`;
+      if (i.event) out += `\n  - Termín: ${formatEventTime(i.event)}`;
       if (i.perex) out += `\n  - Popis: ${i.perex}`;
+      if (i.text) out += `\n  - Text:\n    ${indent(i.text, "    ")}`;
+      if (i.attachments?.length) {
+        out += `\n  - Přílohy:`;
+        for (const a of i.attachments) out += `\n    - ${a.name} (${a.type}): ${a.url}`;
+      }
       if (i.url) out += `\n  - Odkaz: ${i.url}`;
       return out;
     })
     .join("\n");
 }
 
+// rozdělení podle termínu akce vůči času generování
+function formatByEventStatus(items) {
+  if (!items.length) return "- (nenalezeno)";
+
+  const upcoming = items
+    .filter((i) => i.event?.status === "upcoming")
+    .sort((a, b) => a.event.start.localeCompare(b.event.start));
+  const past = items
+    .filter((i) => i.event?.status === "past")
+    .sort((a, b) => b.event.start.localeCompare(a.event.start));
+  const undated = items.filter((i) => !i.event);
+
+  const parts = [
+    `--- Nadcházející (${upcoming.length}) ---\n${formatList(upcoming)}`,
+    `--- Proběhlé (${past.length}) ---\n${formatList(past)}`,
+  ];
+  if (undated.length) parts.push(`--- Bez termínu (${undated.length}) ---\n${formatList(undated)}`);
+  return parts.join("\n\n");
+}
+
+/* =========================
+   IZOLACE SEKCÍ
+========================= */
+const SECTION_SCRAPERS = {
+  notices: scrapeNotices,
+  aktuality: scrapeAktuality,
+  rozhlas: scrapeRozhlas,
+  kalendar: scrapeKalendar,
+};
+
+// předchozí běh: vlastní výstup, jinak nejčerstvější dostupná data (např. z buildu)
+function loadPreviousLive() {
+  try {
+    return readLiveJson(JSON_OUT_PATH) || loadLiveData(TENANT);
+  } catch {
+    return null;
+  }
+}
+
+function staleNote(s) {
+  if (s.status === "stale") {
+    return `⚠️ Sekci se nepodařilo aktualizovat – data z ${s.lastOkAt} (stáří ${s.staleAgeHours} h).\n`;
+  }
+  if (s.status === "error") return `⚠️ Sekci se nepodařilo načíst.\n`;
+  return "";
+}
+
 /* =========================
    MAIN
 ========================= */
 async function main() {
+  const startedAt = new Date();
   fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
 
-  const homeHtml = await fetchHtml(`${BASE}/`);
-  const $home = cheerio.load(homeHtml);
-  const notices = extractHomepageNotice($home);
+  const previous = loadPreviousLive();
+  const keys = Object.keys(SECTION_SCRAPERS);
+  const results = await Promise.all(
+    keys.map((k) => runSection(k, SECTION_SCRAPERS[k], { tenant: TENANT, previous, startedAt }))
+  );
+  const sections = Object.fromEntries(keys.map((k, idx) => [k, results[idx]]));
+  const { notices, aktuality, rozhlas, kalendar } = sections;
+
+  // detaily jen u čerstvě stažených sekcí (stale mají text z minula)
+  if (DETAILS) {
+    const lists = [aktuality, rozhlas, kalendar];
+    const { items, fetched } = await enrichWithDetails(
+      lists.filter((l) => l.status === "ok"),
+      {
+        fetchHtml,
+        base: BASE,
+        cache: detailFileCache(DETAIL_CACHE_PATH),
+        keep: lists.filter((l) => l.status !== "ok"),
+        textLimit: DETAIL_TEXT_LIMIT,
+        concurrency: DETAIL_CONCURRENCY,
+      }
+    );
+    console.log(`📄 Detaily: ${items} položek, staženo ${fetched}, z cache ${items - fetched}`);
+  }
 
-  const aktuality = await scrapeAktuality();
-  const rozhlas = await scrapeRozhlas();
-  const kalendar = await scrapeKalendar();
+  const now = new Date();
+  const generatedAt = now.toISOString();
+  for (const list of [aktuality, rozhlas, kalendar]) {
+    for (const i of list.items) i.event = itemEvent(i, now);
+  }
 
   const output = `
-OBEC CHOMUTICE – LIVE DATA
-Vygenerováno: ${nowISO()}
+OBEC ${TENANT.name.toUpperCase()} – LIVE DATA
+Vygenerováno: ${generatedAt}
 Zdroj: ${BASE}
 
 ⚠️ POZNÁMKA:
 - Automaticky generovaný obsah (pravidelný update).
 - Při rozporu má přednost soubor 00_CORE (primární ověřené informace).
+- "Nadcházející" / "Proběhlé" je určeno vůči času vygenerování (Europe/Prague).
 
 ────────────────────────────────────────────
 
 === PROVOZNÍ UPOZORNĚNÍ / HOMEPAGE ===
-${notices.length ? notices.map((n) => `- ${n}`).join("\n") : "- (nenalezeno)"}
+${staleNote(notices)}${notices.items.length ? notices.items.map((n) => `- ${n}`).join("\n") : "- (nenalezeno)"}
 
 ────────────────────────────────────────────
 
 === AKTUALITY ===
-URL: ${aktuality.url}
+${staleNote(aktuality)}URL: ${aktuality.url}
+Stránek: ${aktuality.pages}
 Počet položek: ${aktuality.items.length}
 
-${formatList(aktuality.items)}
+${formatByEventStatus(aktuality.items)}
 
 ────────────────────────────────────────────
 
 === HLÁŠENÍ ROZHLASU ===
-URL: ${rozhlas.url}
+${staleNote(rozhlas)}URL: ${rozhlas.url}
+Stránek: ${rozhlas.pages}
 Počet položek: ${rozhlas.items.length}
 
-${formatList(rozhlas.items)}
+${formatByEventStatus(rozhlas.items)}
 
 ────────────────────────────────────────────
 
 === KALENDÁŘ AKCÍ ===
-URL: ${kalendar.url}
+${staleNote(kalendar)}URL: ${kalendar.url}
+Stránek: ${kalendar.pages}
 Počet položek: ${kalendar.items.length}
 
-${formatList(kalendar.items)}
+${formatByEventStatus(kalendar.items)}
 `.trim();
 
+  const liveJson = buildLiveJson({ tenant: TENANT, generatedAt, notices, aktuality, rozhlas, kalendar });
+
+  // změna šablony CMS → nepřepisovat dobrá data prázdnými (LIVE_FORCE=1 přebije)
+  const problems = checkLiveSanity(previous, liveJson);
+  const force = (process.env.LIVE_FORCE || "").trim() === "1";
+  const writeReport = (report) => {
+    fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+    fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2), "utf8");
+  };
+
+  if (problems.length && !force) {
+    writeReport(buildReport({ tenant: TENANT, startedAt, sections, problems, files: { txt: OUT_PATH, json: JSON_OUT_PATH } }));
+    for (const p of problems) console.error(`❌ SANITY: ${p.message}`);
+    console.error(`❌ LIVE výstup nezapsán, upload se nespustí (report: ${REPORT_PATH}; přebít: LIVE_FORCE=1)`);
+    process.exitCode = 2;
+    return;
+  }
+
   fs.writeFileSync(OUT_PATH, output, "utf8");
   console.log("✅ LIVE data ulozena:", OUT_PATH);
+
+  writeLiveJson(JSON_OUT_PATH, liveJson);
+  console.log("✅ LIVE JSON ulozen:", JSON_OUT_PATH);
+
+  const report = buildReport({ tenant: TENANT, startedAt, sections, problems, files: { txt: OUT_PATH, json: JSON_OUT_PATH } });
+  writeReport(report);
+  console.log(`${report.ok ? "✅" : "⚠️ "} Report: ${REPORT_PATH}${report.failed.length ? ` (selhalo: ${report.failed.join(", ")})` : ""}`);
+
+  // nic čerstvého ani starého → neúspěch (uploader nesmí nahrát prázdná data)
+  if (keys.every((k) => sections[k].status === "error")) {
+    throw new Error("All sections failed and no previous data is available.");
+  }
 }
 
 main().catch((err) => {
@@ -0,0 +1,231 @@
+// scripts/sync-knowledge.mjs
+// Synchronizace znalostní báze obce (knowledge/ + generované soubory) do OpenAI vector store.
+//
+// Zdroj pravdy je commitnutý manifest <knowledgeDir>/manifest.json:
+//   název souboru → sha256 obsahu → OpenAI file_id
+// Nahrávají se jen nové / změněné soubory (nový se zaindexuje dřív, než se smaže starý),
+// soubory smazané z repa se odeberou. Soubory ve vector store, o kterých manifest neví, se jen vypíšou.
+// LIVE soubor (10_LIVE_*) sem nepatří – ten spravuje scripts/upload-live-to-openai.mjs.
+//
+// ENV:
+//   OPENAI_API_KEY=...
+//   VECTOR_STORE_ID=vs_... (nebo VECTOR_STORE_ID_<OBEC> / config/tenants.mjs)
+// Optional:
+//   OBEC=chomutice (nebo --obec=...)
+//   OPENAI_BASE_URL=https://api.openai.com
+//   --dry-run (jen vypíše plán, nic nenahraje ani nesmaže a manifest nepřepíše)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { resolveTenantFromEnv, tenantOpenAI } from "../lib/tenant.mjs";
+import { openaiFiles, pickFileId } from "../lib/openai-files.mjs";
+import { findOrphans, isLiveName, otherTenantsFileIds, planSync } from "../lib/knowledge-sync.mjs";
+
+const cleanEnv = (v) =>
+  (v || "")
+    .trim()
+    .replace(/^[\s"'“”]+/, "")
+    .replace(/[\s"'“”]+$/, "");
+
+const TENANT = resolveTenantFromEnv();
+const { vectorStoreId: VECTOR_STORE_ID } = tenantOpenAI(TENANT);
+
+const OPENAI_API_KEY = cleanEnv(process.env.OPENAI_API_KEY);
+const OPENAI_BASE_URL = cleanEnv(process.env.OPENAI_BASE_URL || "https://api.openai.com");
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const ROOT = process.cwd();
+const MANIFEST_NAME = "manifest.json";
+
+// typy, které umí file_search
+const SUPPORTED_EXT = /\.(txt|md|pdf|docx?|pptx|json|html?|csv)$/i;
+
+if (!OPENAI_API_KEY) {
+  console.error("❌ Missing env OPENAI_API_KEY");
+  process.exit(1);
+}
+if (!VECTOR_STORE_ID) {
+  console.error(`❌ Missing env VECTOR_STORE_ID (vs_...) for obec ${TENANT.slug}`);
+  process.exit(1);
+}
+
+const openai = openaiFiles({ apiKey: OPENAI_API_KEY, baseUrl: OPENAI_BASE_URL });
+
+function manifestPath(tenant) {
+  return path.join(ROOT, tenant.knowledgeDir, MANIFEST_NAME);
+}
+
+function readManifest(tenant) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath(tenant), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeManifest(manifest) {
+  const file = manifestPath(TENANT);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+}
+
+/* =========================
+   LOKÁLNÍ SOUBORY
+========================= */
+function localFile(absPath, generated) {
+  const buf = fs.readFileSync(absPath);
+  return {
+    name: path.basename(absPath),
+    abs: absPath,
+    source: path.relative(ROOT, absPath).split(path.sep).join("/"),
+    generated,
+    sha256: crypto.createHash("sha256").update(buf).digest("hex"),
+    bytes: buf.length,
+  };
+}
+
+/**
+ * Soubory obce: knowledgeDir (jen první úroveň – podsložky patří jiným obcím)
+ * + generované (chunky z scripts/build_kb.js).
+ */
+function collectLocalFiles() {
+  const files = [];
+  const dir = path.join(ROOT, TENANT.knowledgeDir);
+
+  if (fs.existsSync(dir)) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const name = entry.name;
+      if (!entry.isFile() || name.startsWith(".") || name === MANIFEST_NAME) continue;
+      if (isLiveName(name, TENANT)) continue;
+      if (!SUPPORTED_EXT.test(name)) {
+        console.log(`⚠️  Přeskočeno (typ nepodporuje file_search): ${name}`);
+        continue;
+      }
+      files.push(localFile(path.join(dir, name), false));
+    }
+  }
+
+  const chunks = path.join(ROOT, "kb", TENANT.kb.out || `chunks_${TENANT.slug}.json`);
+  if (fs.existsSync(chunks)) files.push(localFile(chunks, true));
+
+  const seen = new Set();
+  for (const f of files) {
+    if (seen.has(f.name)) throw new Error(`Duplicate knowledge filename: ${f.name} (${f.source})`);
+    seen.add(f.name);
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/* =========================
+   PROVEDENÍ
+========================= */
+async function uploadAndIndex(local) {
+  const fileId = await openai.uploadFile(fs.readFileSync(local.abs), local.name);
+  console.log(`✅ Uploaded file: ${local.name} -> file_id=${fileId}`);
+  try {
+    await openai.attachFile(VECTOR_STORE_ID, fileId, {
+      obec: TENANT.slug,
+      kind: "knowledge",
+      source: "knowledge",
+      sha256: local.sha256,
+    });
+  } catch (e) {
+    // nezaindexovaný soubor nenechávat ve vector store ani ve Files
+    await openai.detachFile(VECTOR_STORE_ID, fileId).catch(() => {});
+    await openai.deleteFile(fileId).catch(() => {});
+    throw e;
+  }
+  return fileId;
+}
+
+async function removeRemote(fileId) {
+  await openai.detachFile(VECTOR_STORE_ID, fileId);
+  await openai.deleteFile(fileId).catch((e) =>
+    console.log(`⚠️  Soubor ${fileId} odebrán z vector store, ale nesmazán z Files: ${e?.message || e}`)
+  );
+}
+
+const ICONS = { add: "➕", replace: "🔁", remove: "🗑️ ", keep: "✔️ " };
+
+async function main() {
+  console.log("—— Sync knowledge → OpenAI Vector Store ——");
+  console.log("OBEC:", TENANT.slug);
+  console.log("KNOWLEDGE_DIR:", TENANT.knowledgeDir);
+  console.log("VECTOR_STORE_ID:", VECTOR_STORE_ID);
+  if (DRY_RUN) console.log("🧪 DRY RUN – nic se nenahraje ani nesmaže.");
+
+  const localFiles = collectLocalFiles();
+  const previous = readManifest(TENANT);
+
+  // manifest z jiného vector store → file_id tady neplatí, vše se nahraje znovu
+  const sameStore = previous?.vector_store_id === VECTOR_STORE_ID;
+  if (previous && !sameStore) {
+    console.log(`ℹ️ Manifest patří k vector store ${previous.vector_store_id} → nahrávám vše znovu.`);
+  }
+  const manifestFiles = sameStore ? { ...previous.files } : {};
+
+  const remoteFiles = await openai.listVectorStoreFiles(VECTOR_STORE_ID);
+  const remoteById = new Map(remoteFiles.map((f) => [pickFileId(f), f]));
+
+  const plan = planSync(localFiles, manifestFiles, remoteById);
+  for (const p of plan) {
+    console.log(`${ICONS[p.action]} ${p.action.padEnd(7)} ${p.name}${p.reason ? ` (${p.reason})` : ""}`);
+  }
+
+  const failed = [];
+  if (!DRY_RUN) {
+    for (const p of plan) {
+      if (p.action === "keep") continue;
+      try {
+        if (p.action === "remove") {
+          if (remoteById.has(p.entry.file_id)) await removeRemote(p.entry.file_id);
+          delete manifestFiles[p.name];
+          continue;
+        }
+
+        // add / replace: nový soubor nejdřív zaindexovat, starý až potom pryč
+        const fileId = await uploadAndIndex(p.local);
+        const { abs, name, ...meta } = p.local;
+        manifestFiles[name] = { ...meta, file_id: fileId, uploaded_at: new Date().toISOString() };
+        if (p.entry?.file_id && remoteById.has(p.entry.file_id)) await removeRemote(p.entry.file_id);
+      } catch (e) {
+        console.log(`❌ ${p.action} ${p.name} selhal: ${e?.message || e}`);
+        failed.push(p.name);
+      }
+    }
+
+    // i při dílčích chybách uložit, co se povedlo (file_id jinak zůstanou neznámé → sirotci);
+    // beze změn se manifest nepřepisuje (žádný šum v commitech)
+    const changed = !sameStore || plan.some((p) => p.action !== "keep");
+    if (changed) writeManifest({
+      obec: TENANT.slug,
+      vector_store_id: VECTOR_STORE_ID,
+      updated_at: new Date().toISOString(),
+      files: Object.fromEntries(Object.entries(manifestFiles).sort(([a], [b]) => a.localeCompare(b))),
+    });
+    if (changed) console.log(`📝 Manifest: ${path.relative(ROOT, manifestPath(TENANT))}`);
+  }
+
+  // plán a sirotci: lib/knowledge-sync.mjs
+  const orphans = await findOrphans(DRY_RUN ? remoteFiles : await openai.listVectorStoreFiles(VECTOR_STORE_ID), manifestFiles, {
+    tenant: TENANT,
+    openai,
+    otherIds: otherTenantsFileIds(TENANT, VECTOR_STORE_ID, { readManifest }),
+  });
+  if (orphans.length) {
+    console.log(`⚠️  Soubory ve vector store, které nejsou v manifestu (${orphans.length}):`);
+    for (const o of orphans) console.log(`   - ${o.name} (file_id=${o.fileId})`);
+  }
+
+  const count = (a) => plan.filter((p) => p.action === a).length;
+  console.log(
+    `✅ Hotovo: +${count("add")} ~${count("replace")} -${count("remove")} =${count("keep")}, sirotci: ${orphans.length}, chyby: ${failed.length}`
+  );
+  if (failed.length) throw new Error(`Sync failed for: ${failed.join(", ")}`);
+}
+
+main().catch((err) => {
+  console.error("❌ ERROR:", err?.message || err);
+  process.exit(1);
+});
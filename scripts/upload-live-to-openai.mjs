@@ -3,20 +3,32 @@
 //
 // ENV:
 //   OPENAI_API_KEY=...
-//   VECTOR_STORE_ID=vs_...
+//   VECTOR_STORE_ID=vs_... (nebo VECTOR_STORE_ID_<OBEC> / config/tenants.mjs)
 // Optional:
-//   ASSISTANT_ID=asst_...
+//   OBEC=chomutice (nebo --obec=...; default viz config/tenants.mjs)
+//   ASSISTANT_ID=asst_... (nebo ASSISTANT_ID_<OBEC> / config/tenants.mjs)
 //   CLEANUP_OLD=1 (default ON; vypnout: CLEANUP_OLD=0)
+//   LIVE_REFRESH=1 (vždy znovu spustit scraper, i když LIVE soubor existuje – např. teplá lambda v /tmp)
+//   LIVE_UPLOAD_FORCE=1 (nahrát i když se obsah LIVE dat nezměnil)
+//   LIVE_DRY_RUN=1 (nebo --dry-run: jen vypíše, co by se nahrálo / smazalo)
+//   LIVE_CACHE_DIR=.cache (kam se ukládá stav posledního uploadu; na Netlify /tmp)
 //   OPENAI_BASE_URL=https://api.openai.com
 //
 // Netlify-safe:
 // - generuje LIVE do /tmp/knowledge/.. (serverless) nebo do public/knowledge (lokálně)
-// - před uploadem smaže staré LIVE soubory z vector store
+// - nový LIVE soubor nejdřív zaindexuje, teprve pak smaže staré (asistent nezůstane bez LIVE dat);
+//   když indexace selže, nový soubor odebere a staré nechá (lib/live-upload.mjs)
+// - když se obsah (hash bez časových údajů) od minulého uploadu nezměnil, upload přeskočí
 
 import fs from "fs";
 import path from "path";
 import os from "os";
 import { spawn } from "node:child_process";
+import { resolveTenantFromEnv, tenantOpenAI } from "../lib/tenant.mjs";
+import { liveJsonPath, liveReportPath, readLiveJson } from "../lib/live.mjs";
+import { openaiFiles, pickFileId, vectorFileKind } from "../lib/openai-files.mjs";
+import { findLiveFiles, swapLiveFile } from "../lib/live-upload.mjs";
+import { diffLive, formatLiveDiff, liveFingerprint, liveTextHash } from "../lib/live-diff.mjs";
 
 const cleanEnv = (v) =>
   (v || "")
@@ -24,83 +36,43 @@ const cleanEnv = (v) =>
     .replace(/^[\s"'“”]+/, "")
     .replace(/[\s"'“”]+$/, "");
 
+const TENANT = resolveTenantFromEnv();
+const { assistantId: ASSISTANT_ID, vectorStoreId: VECTOR_STORE_ID } = tenantOpenAI(TENANT);
+
 const OPENAI_API_KEY = cleanEnv(process.env.OPENAI_API_KEY);
-const VECTOR_STORE_ID = cleanEnv(process.env.VECTOR_STORE_ID);
-const ASSISTANT_ID = cleanEnv(process.env.ASSISTANT_ID);
 const OPENAI_BASE_URL = cleanEnv(process.env.OPENAI_BASE_URL || "https://api.openai.com").replace(/\/+$/, "");
 
 // default: cleanup ON (vypnout jen CLEANUP_OLD=0)
 const CLEANUP_OLD = cleanEnv(process.env.CLEANUP_OLD) !== "0";
 console.log("CLEANUP_OLD:", CLEANUP_OLD ? "ON" : "OFF");
 
-// Assistants v2 header (nutné pro vector stores/assistants endpoints)
-const BETA_HEADERS = { "OpenAI-Beta": "assistants=v2" };
+const UPLOAD_FORCE = cleanEnv(process.env.LIVE_UPLOAD_FORCE) === "1";
+const DRY_RUN = cleanEnv(process.env.LIVE_DRY_RUN) === "1" || process.argv.includes("--dry-run");
+
+// stav posledního uploadu (hash obsahu, file_id, otisk položek pro diff) – stejný adresář jako cache scraperu
+const CACHE_DIR = process.env.LIVE_CACHE_DIR
+  ? path.resolve(process.cwd(), process.env.LIVE_CACHE_DIR)
+  : process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME
+    ? path.join(os.tmpdir(), "live-cache")
+    : path.join(process.cwd(), ".cache");
+const UPLOAD_STATE_PATH = path.join(CACHE_DIR, `live_upload_${TENANT.slug}.json`);
 
 if (!OPENAI_API_KEY) {
   console.error("❌ Missing env OPENAI_API_KEY");
   process.exit(1);
 }
 if (!VECTOR_STORE_ID) {
-  console.error("❌ Missing env VECTOR_STORE_ID (vs_...)");
+  console.error(`❌ Missing env VECTOR_STORE_ID (vs_...) for obec ${TENANT.slug}`);
   process.exit(1);
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+const openai = openaiFiles({ apiKey: OPENAI_API_KEY, baseUrl: OPENAI_BASE_URL });
+const { apiV2, listVectorStoreFiles } = openai;
 
 function normalizeText(s) {
   return s.replace(/[“”]/g, '"').replace(/[’]/g, "'").replace(/[–]/g, "-");
 }
 
-async function apiV2(pathname, { method = "GET", headers = {}, body } = {}) {
-  const res = await fetch(`${OPENAI_BASE_URL}${pathname}`, {
-    method,
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      ...BETA_HEADERS,
-      ...headers,
-    },
-    body,
-  });
-
-  const text = await res.text().catch(() => "");
-  let json = null;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {}
-
-  if (!res.ok) {
-    const msg = json?.error?.message || text || `HTTP ${res.status}`;
-    throw new Error(`${method} ${pathname} failed: ${msg}`);
-  }
-  return json ?? {};
-}
-
-// /v1/files endpoint (bez beta header)
-async function apiFiles(pathname, { method = "GET", headers = {}, body } = {}) {
-  const res = await fetch(`${OPENAI_BASE_URL}${pathname}`, {
-    method,
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      ...headers,
-    },
-    body,
-  });
-
-  const text = await res.text().catch(() => "");
-  let json = null;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {}
-
-  if (!res.ok) {
-    const msg = json?.error?.message || text || `HTTP ${res.status}`;
-    throw new Error(`${method} ${pathname} failed: ${msg}`);
-  }
-  return json ?? {};
-}
-
 function runNode(scriptAbsPath, extraEnv = {}) {
   return new Promise((resolve, reject) => {
     const p = spawn(process.execPath, [scriptAbsPath], {
@@ -124,172 +96,145 @@ function resolveLivePath() {
 
   if (isServerless()) {
     const dir = path.join(os.tmpdir(), "knowledge");
-    return path.join(dir, "10_LIVE_obec_chomutice.txt");
+    return path.join(dir, TENANT.liveFile);
   }
 
-  return path.join(process.cwd(), "public", "knowledge", "10_LIVE_obec_chomutice.txt");
+  return path.join(process.cwd(), "public", "knowledge", TENANT.liveFile);
 }
 
 async function ensureLiveFileExists(liveAbsPath) {
-  if (fs.existsSync(liveAbsPath)) return;
+  const refresh = cleanEnv(process.env.LIVE_REFRESH) === "1";
+  if (fs.existsSync(liveAbsPath) && !refresh) return;
 
   fs.mkdirSync(path.dirname(liveAbsPath), { recursive: true });
-  console.log(`ℹ️ LIVE file not found, generating: ${liveAbsPath}`);
+  console.log(`ℹ️ ${refresh ? "LIVE_REFRESH=1" : "LIVE file not found"}, generating: ${liveAbsPath}`);
 
   const scrapeAbs = path.resolve(process.cwd(), "scripts/live_chomutice_scrape.mjs");
 
   // ✅ řekneme scraperu přes env kam má zapisovat
-  await runNode(scrapeAbs, { LIVE_FILE_PATH: liveAbsPath });
+  await runNode(scrapeAbs, { LIVE_FILE_PATH: liveAbsPath, OBEC: TENANT.slug });
 
   if (!fs.existsSync(liveAbsPath)) {
     throw new Error(`LIVE file still missing after scrape: ${liveAbsPath}`);
   }
 }
 
-async function uploadFileToOpenAI(absPath) {
-  let content = fs.readFileSync(absPath, "utf8");
-  content = normalizeText(content);
-  fs.writeFileSync(absPath, content, "utf8");
+// scraper při podezřelém výstupu (změna šablony) zapíše sanity.ok=false → neuploadovat
+function assertLiveSane(liveAbsPath) {
+  const reportPath = liveReportPath(TENANT, liveAbsPath);
+  if (!fs.existsSync(reportPath)) return;
 
-  const buf = fs.readFileSync(absPath);
-  const filename = path.basename(absPath);
-
-  const fd = new FormData();
-  fd.append("purpose", "assistants");
-  fd.append("file", new Blob([buf]), filename);
-
-  const res = await fetch(`${OPENAI_BASE_URL}/v1/files`, {
-    method: "POST",
-    headers: { Authorization: `Bearer ${OPENAI_API_KEY}` },
-    body: fd,
-  });
-
-  const text = await res.text().catch(() => "");
-  let json = null;
+  let report = null;
   try {
-    json = text ? JSON.parse(text) : null;
-  } catch {}
-
-  if (!res.ok) {
-    const msg = json?.error?.message || text || `HTTP ${res.status}`;
-    throw new Error(`Upload failed: ${msg}`);
+    report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  } catch {
+    return;
+  }
+  if (report?.sanity?.ok === false) {
+    const msgs = (report.sanity.problems || []).map((p) => p.message).join("; ");
+    throw new Error(`LIVE sanity check failed, upload aborted: ${msgs}`);
   }
-
-  if (!json?.id) throw new Error("Upload succeeded but missing file id.");
-  console.log(`✅ Uploaded file: ${filename} -> file_id=${json.id}`);
-  return { fileId: json.id, filename };
 }
 
-async function ensureAssistantUsesVectorStore(assistantId, vectorStoreId) {
-  if (!assistantId) return;
-  console.log(`🔗 Updating assistant tool_resources: ${assistantId} -> vector_store_ids=[${vectorStoreId}]`);
-
-  await apiV2(`/v1/assistants/${assistantId}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      tool_resources: { file_search: { vector_store_ids: [vectorStoreId] } },
-    }),
-  });
-
-  console.log("✅ Assistant updated to use this vector store.");
+/* =========================
+   CHANGE DETECTION
+========================= */
+function loadUploadState() {
+  try {
+    return JSON.parse(fs.readFileSync(UPLOAD_STATE_PATH, "utf8"));
+  } catch {
+    return null;
+  }
 }
 
-async function listVectorStoreFiles(vectorStoreId, limit = 100) {
-  const out = await apiV2(`/v1/vector_stores/${vectorStoreId}/files?limit=${limit}`);
-  return out?.data || [];
+function saveUploadState(state) {
+  fs.mkdirSync(path.dirname(UPLOAD_STATE_PATH), { recursive: true });
+  fs.writeFileSync(UPLOAD_STATE_PATH, JSON.stringify(state, null, 2), "utf8");
 }
 
-// ✅ robustní: některé odpovědi mají file_id, některé jen id, někde je to v f.file.id
-function pickFileId(f) {
-  return f?.file_id || f?.file?.id || f?.id || null;
+function uploadState(fingerprint, fileId, filename) {
+  return {
+    obec: TENANT.slug,
+    vector_store_id: VECTOR_STORE_ID,
+    file_id: fileId,
+    filename,
+    hash: fingerprint.hash,
+    sections: fingerprint.sections,
+  };
 }
 
-async function pickFilename(f) {
-  if (f?.filename) return f.filename;
-  if (f?.file?.filename) return f.file.filename;
+// otisk z live JSON (vedle LIVE souboru); bez něj aspoň hash textu bez časových řádků
+function currentFingerprint(liveAbsPath) {
+  let data = null;
+  try {
+    data = readLiveJson(liveJsonPath(TENANT, liveAbsPath));
+  } catch {}
+  if (data) return liveFingerprint(data);
+  return { hash: liveTextHash(fs.readFileSync(liveAbsPath, "utf8")), sections: null };
+}
 
-  const fileId = pickFileId(f);
-  if (!fileId) return "";
+/**
+ * file_id už nahraného LIVE souboru se stejným obsahem, jinak null.
+ * Nejdřív lokální stav; na Netlify po studeném startu chybí → atributy souborů ve vector store.
+ */
+async function findUnchangedUpload(vectorStoreId, hash, state) {
+  if (state?.hash === hash && state.vector_store_id === vectorStoreId && state.file_id) {
+    const f = await openai.getVectorStoreFile(vectorStoreId, state.file_id);
+    return f?.status === "completed" ? state.file_id : null;
+  }
+  if (state) return null;
+
+  const files = await listVectorStoreFiles(vectorStoreId);
+  const match = files.find(
+    (f) =>
+      vectorFileKind(f, { obec: TENANT.slug }) === "live" && f?.attributes?.content_hash === hash && f?.status === "completed"
+  );
+  return match ? pickFileId(match) : null;
+}
 
+// výsledek uploadu do reportu scraperu (čte ho live-cron)
+function writeUploadToReport(liveAbsPath, upload) {
+  const reportPath = liveReportPath(TENANT, liveAbsPath);
+  let report;
   try {
-    const meta = await apiFiles(`/v1/files/${fileId}`);
-    return meta?.filename || "";
+    report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
   } catch {
-    return "";
+    return;
   }
+  fs.writeFileSync(reportPath, JSON.stringify({ ...report, upload }, null, 2), "utf8");
 }
 
-async function deleteVectorStoreFile(vectorStoreId, idMaybe) {
-  // Nejčastěji funguje delete přes /vector_stores/{vs}/files/{id}
-  await apiV2(`/v1/vector_stores/${vectorStoreId}/files/${idMaybe}`, { method: "DELETE" });
+// { aktuality: { added: 2, removed: 1, edited: 0 }, … }
+function diffCounts(diff) {
+  return Object.fromEntries(
+    Object.entries(diff).map(([k, d]) => [k, { added: d.added.length, removed: d.removed.length, edited: d.edited.length }])
+  );
 }
 
-async function cleanupOldLiveFiles(vectorStoreId, liveFilename) {
-  console.log("🧹 CLEANUP_OLD=1 → hledám staré LIVE soubory ve vector store...");
-  const files = await listVectorStoreFiles(vectorStoreId, 100);
-
-  const toDelete = [];
-  for (const f of files) {
-    const name = (await pickFilename(f)) || "";
-    const lower = name.toLowerCase();
-
-    // ✅ jen LIVE soubory
-    const isLive =
-      lower === liveFilename.toLowerCase() ||
-      lower.includes("10_live_obec_chomutice") ||
-      lower.includes("live_obec_chomutice") ||
-      lower.includes("10_live");
-
-    if (!isLive) continue;
-
-    // id pro delete – v praxi to bývá to, co je v `f.id` (a někdy je to přímo file-...)
-    const deleteId = f?.id || pickFileId(f);
-    if (!deleteId) continue;
-
-    toDelete.push({ deleteId, filename: name || "(unknown)" });
-  }
-
-  for (const d of toDelete) {
-    console.log(`🗑️  Mazání z vector store: ${d.filename} (id=${d.deleteId})`);
-    try {
-      await deleteVectorStoreFile(vectorStoreId, d.deleteId);
-    } catch (e) {
-      // fallback: když by delete chtěl místo f.id něco jiného
-      console.log(`⚠️  Delete fallback for id=${d.deleteId}: ${e?.message || e}`);
-    }
-  }
+async function uploadFileToOpenAI(absPath) {
+  let content = fs.readFileSync(absPath, "utf8");
+  content = normalizeText(content);
+  fs.writeFileSync(absPath, content, "utf8");
 
-  console.log(`✅ Cleanup hotov (smazáno: ${toDelete.length})`);
+  const filename = path.basename(absPath);
+  const fileId = await openai.uploadFile(fs.readFileSync(absPath), filename);
+  console.log(`✅ Uploaded file: ${filename} -> file_id=${fileId}`);
+  return { fileId, filename };
 }
 
-async function attachFileToVectorStore(vectorStoreId, fileId) {
-  const batch = await apiV2(`/v1/vector_stores/${vectorStoreId}/file_batches`, {
+async function ensureAssistantUsesVectorStore(assistantId, vectorStoreId) {
+  if (!assistantId) return;
+  console.log(`🔗 Updating assistant tool_resources: ${assistantId} -> vector_store_ids=[${vectorStoreId}]`);
+
+  await apiV2(`/v1/assistants/${assistantId}`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ file_ids: [fileId] }),
+    body: JSON.stringify({
+      tool_resources: { file_search: { vector_store_ids: [vectorStoreId] } },
+    }),
   });
 
-  if (!batch?.id) throw new Error("Missing file_batch id.");
-  console.log(`📦 Created file_batch: ${batch.id}`);
-
-  const timeoutMs = 180_000;
-  const start = Date.now();
-
-  while (true) {
-    if (Date.now() - start > timeoutMs) throw new Error("Timeout waiting for vector store indexing.");
-
-    const check = await apiV2(`/v1/vector_stores/${vectorStoreId}/file_batches/${batch.id}`);
-    const status = check?.status || "unknown";
-    const counts = check?.file_counts;
-
-    console.log(`⏳ Indexing status: ${status}${counts ? ` | ${JSON.stringify(counts)}` : ""}`);
-
-    if (status === "completed") return;
-    if (status === "failed" || status === "cancelled") throw new Error(`Indexing failed: ${status}`);
-
-    await sleep(2000);
-  }
+  console.log("✅ Assistant updated to use this vector store.");
 }
 
 async function main() {
@@ -297,25 +242,78 @@ async function main() {
   const liveFilename = path.basename(liveAbsPath);
 
   console.log("—— Upload LIVE → OpenAI Vector Store ——");
+  console.log("OBEC:", TENANT.slug);
   console.log("LIVE_FILE_PATH (resolved):", liveAbsPath);
   console.log("VECTOR_STORE_ID:", VECTOR_STORE_ID);
   if (ASSISTANT_ID) console.log("ASSISTANT_ID:", ASSISTANT_ID);
 
-  await ensureAssistantUsesVectorStore(ASSISTANT_ID, VECTOR_STORE_ID);
+  if (DRY_RUN) console.log("🧪 DRY RUN – nic se nenahraje ani nesmaže.");
+  else await ensureAssistantUsesVectorStore(ASSISTANT_ID, VECTOR_STORE_ID);
 
   // ✅ vytvoří LIVE když neexistuje (na Netlify do /tmp)
   await ensureLiveFileExists(liveAbsPath);
+  assertLiveSane(liveAbsPath);
+
+  // ✅ beze změny obsahu → žádný upload / reindex
+  const fingerprint = currentFingerprint(liveAbsPath);
+  const state = loadUploadState();
+  console.log("CONTENT_HASH:", fingerprint.hash);
+
+  if (!UPLOAD_FORCE) {
+    const unchangedId = await findUnchangedUpload(VECTOR_STORE_ID, fingerprint.hash, state);
+    if (unchangedId) {
+      console.log(`⏭️  LIVE obsah beze změny (file_id=${unchangedId}) → upload přeskočen.`);
+      if (DRY_RUN) return;
+      // stav se obnoví i po studeném startu (nalezeno podle atributů ve vector store)
+      saveUploadState({ ...state, ...uploadState(fingerprint, unchangedId, state?.filename || liveFilename) });
+      writeUploadToReport(liveAbsPath, { status: "skipped", content_hash: fingerprint.hash, file_id: unchangedId });
+      return;
+    }
+  }
 
-  // ✅ smaže staré LIVE z vector store (teď už fakt)
-  if (CLEANUP_OLD) {
-    await cleanupOldLiveFiles(VECTOR_STORE_ID, liveFilename);
+  const diff = state?.sections && fingerprint.sections ? diffLive(state.sections, fingerprint.sections) : null;
+  if (diff) {
+    console.log("📝 Změny od minulého uploadu:");
+    for (const line of formatLiveDiff(diff)) console.log(`   ${line}`);
+    if (!Object.keys(diff).length) console.log("   (položky beze změn)");
+  } else {
+    console.log("📝 Předchozí upload neznámý → nahrávám celý LIVE soubor.");
   }
 
-  // ✅ upload + attach
-  const { fileId } = await uploadFileToOpenAI(liveAbsPath);
-  await attachFileToVectorStore(VECTOR_STORE_ID, fileId);
+  // předchozí LIVE soubory (všechny stránky vector store) – smažou se až po indexaci nového
+  const oldFiles = await findLiveFiles(openai, { vectorStoreId: VECTOR_STORE_ID, obec: TENANT.slug, liveFilename });
+
+  if (DRY_RUN) {
+    console.log(`🧪 Nahrál by se: ${liveFilename} (${fs.statSync(liveAbsPath).size} B)`);
+    for (const f of oldFiles) {
+      console.log(`🧪 ${CLEANUP_OLD ? "Po indexaci by se smazal" : "Zůstal by (CLEANUP_OLD=0)"}: ${f.filename} (id=${f.deleteId})`);
+    }
+    return;
+  }
+
+  // ✅ upload, indexace a teprve pak smazání starých (lib/live-upload.mjs)
+  const { fileId, filename } = await uploadFileToOpenAI(liveAbsPath);
+  const report = (upload) => {
+    saveUploadState({ ...uploadState(fingerprint, fileId, filename), uploaded_at: new Date().toISOString() });
+    writeUploadToReport(liveAbsPath, { ...upload, content_hash: fingerprint.hash, changes: diff ? diffCounts(diff) : null });
+  };
+  try {
+    report(
+      await swapLiveFile(openai, {
+        vectorStoreId: VECTOR_STORE_ID,
+        fileId,
+        attributes: { obec: TENANT.slug, kind: "live", content_hash: fingerprint.hash },
+        oldFiles,
+        cleanup: CLEANUP_OLD,
+      })
+    );
+  } catch (e) {
+    // nový soubor je zaindexovaný, jen staré se nepodařilo smazat → report s cleanup_failed, pak chyba
+    if (e?.upload) report(e.upload);
+    throw e;
+  }
 
-  const filesNow = await listVectorStoreFiles(VECTOR_STORE_ID, 50);
+  const filesNow = await listVectorStoreFiles(VECTOR_STORE_ID);
   console.log(`✅ Vector store now has ${filesNow.length} files.`);
   console.log("🎉 HOTOVO: LIVE data jsou ve vector store a asistent je může použít.");
 }
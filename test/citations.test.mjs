@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { buildIndex } from "../lib/retrieval.mjs";
+import { liveChunks } from "../lib/live.mjs";
+import { citationStreamFilter, numberContextCitations, resolveCitations } from "../lib/citations.mjs";
+
+const tenant = getTenant("chomutice");
+const BASE = "https://www.obec-chomutice.cz";
+
+const live = {
+  sections: {
+    aktuality: {
+      title: "Aktuality",
+      items: [
+        { title: "Večerní bruslení", url: `${BASE}/aktuality-1/vecerni-brusleni-839cs.html`, perex: "středa 7. ledna od 16:30 do 18:30 hodin na požární nádrži" },
+        { title: "Prodej ryb 2025", url: `${BASE}/aktuality-1/prodej-ryb-2025-836cs.html`, perex: "Vysoké Veselí 22. 12. 2025 v době 9 až 15 hodin" },
+      ],
+    },
+    kalendar: {
+      title: "Kalendář akcí",
+      items: [{ title: "Karneval", url: `${BASE}/kalendar-akci/k1-1_1cs.html`, perex: "sobota 14. února od 14:30 hodin v sokolovně" }],
+    },
+  },
+};
+
+const kb = buildIndex([
+  { id: "web-urad-1", source: "Web obce Chomutice – /obecni-urad/", url: `${BASE}/obecni-urad/`, text: "Úřední hodiny obecního úřadu: pondělí a středa 8–17 hodin." },
+  { id: "web-odpady-1", source: "Web obce Chomutice – /odpady/", url: `${BASE}/odpady/`, text: "Svoz komunálního odpadu je každý sudý čtvrtek." },
+]);
+const indexes = { live: buildIndex(liveChunks(live)), kb };
+
+const files = { "file-live": "10_LIVE_obec_chomutice.txt", "file-kb": "chunks_chomutice.json", "file-core": "00_CORE_obec_chomutice.md" };
+const fileName = async (id) => files[id] || "";
+
+// anotace pro marker v textu
+function cite(value, marker, fileId) {
+  const start = value.indexOf(marker);
+  return { type: "file_citation", text: marker, start_index: start, end_index: start + marker.length, file_citation: { file_id: fileId } };
+}
+
+test("citace LIVE souboru → konkrétní položka LIVE dat podle citované věty", async () => {
+  const value = "Karneval bude v sobotu 14. února od 14:30 v sokolovně【4:0†source】. Bruslení je ve středu na požární nádrži【4:1†source】.";
+  const { answer, sources } = await resolveCitations(
+    tenant,
+    [{ value, annotations: [cite(value, "【4:0†source】", "file-live"), cite(value, "【4:1†source】", "file-live")] }],
+    { fileName, indexes }
+  );
+
+  assert.equal(answer, "Karneval bude v sobotu 14. února od 14:30 v sokolovně[1]. Bruslení je ve středu na požární nádrži[2].");
+  assert.deepEqual(sources, [
+    { n: 1, title: "Karneval", url: `${BASE}/kalendar-akci/k1-1_1cs.html`, file: files["file-live"] },
+    { n: 2, title: "Večerní bruslení", url: `${BASE}/aktuality-1/vecerni-brusleni-839cs.html`, file: files["file-live"] },
+  ]);
+});
+
+test("citace KB chunků → stránka webu; stejný zdroj dvakrát = jedno číslo; ostatní soubory → web obce", async () => {
+  const value = "Úřad má úřední hodiny v pondělí a ve středu【1:0†source】【1:1†source】. Obec leží u Hořic【2:0†source】.";
+  const { answer, sources } = await resolveCitations(
+    tenant,
+    [
+      {
+        value,
+        annotations: [
+          cite(value, "【1:0†source】", "file-kb"),
+          cite(value, "【1:1†source】", "file-kb"),
+          cite(value, "【2:0†source】", "file-core"),
+        ],
+      },
+    ],
+    { fileName, indexes }
+  );
+
+  assert.equal(answer, "Úřad má úřední hodiny v pondělí a ve středu[1]. Obec leží u Hořic[2].");
+  assert.equal(sources[0].url, `${BASE}/obecni-urad/`);
+  assert.deepEqual(sources[1], { n: 2, title: "00 CORE obec chomutice", url: tenant.base, file: files["file-core"] });
+});
+
+test("neznámý soubor / bez anotací: markery se jen odstraní", async () => {
+  const value = "Bez citace【9:9†source】.";
+  const out = await resolveCitations(tenant, [{ value, annotations: [] }], { fileName, indexes });
+  assert.deepEqual(out, { answer: "Bez citace.", sources: [] });
+});
+
+test("numberContextCitations: čísla podkladů → čísla unikátních zdrojů", () => {
+  const context = [
+    { source: "Úřad", url: `${BASE}/obecni-urad/`, text: "" },
+    { source: "Úřad", url: `${BASE}/obecni-urad/`, text: "" },
+    { source: "Odpady", url: `${BASE}/odpady/`, text: "" },
+  ];
+
+  assert.deepEqual(numberContextCitations("Úřad je otevřen v pondělí [2] [1]. Svoz je ve čtvrtek [3]. Neznámý [7].", context), {
+    answer: "Úřad je otevřen v pondělí[1]. Svoz je ve čtvrtek[2]. Neznámý.",
+    sources: [
+      { n: 1, title: "Úřad", url: `${BASE}/obecni-urad/` },
+      { n: 2, title: "Odpady", url: `${BASE}/odpady/` },
+    ],
+  });
+  // bez citací → všechny podklady
+  assert.equal(numberContextCitations("Odpověď.", context).sources.length, 2);
+});
+
+test("citationStreamFilter: marker rozdělený mezi delty se nevypíše", () => {
+  const f = citationStreamFilter();
+  const out = ["Úřad", " má otevřeno【4:", "0†source】", " ve středu.", " 【"].map((d) => f.push(d)).join("") + f.flush();
+  assert.equal(out, "Úřad má otevřeno ve středu. 【");
+});
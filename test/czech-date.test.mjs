@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  classifyEvent,
+  extractEventTime,
+  formatCzechDateTime,
+  formatEventTime,
+  parseCzechDates,
+  pragueLocalToDate,
+  toPragueLocal,
+} from "../lib/czech-date.mjs";
+
+const parse = (text, reference = "2025-11-18") => parseCzechDates(text, { reference }).map(({ start, end, allDay }) => ({ start, ...(end ? { end } : {}), allDay }));
+
+test("datum s rokem, název měsíce, neplatné datum", () => {
+  assert.deepEqual(parse("Koncert 22. 11. 2025"), [{ start: "2025-11-22", allDay: true }]);
+  assert.deepEqual(parse("Uzávěrka 30. září 2025"), [{ start: "2025-09-30", allDay: true }]);
+  assert.deepEqual(parse("22.11.2025 a 1. prosince 2025"), [
+    { start: "2025-11-22", allDay: true },
+    { start: "2025-12-01", allDay: true },
+  ]);
+  assert.deepEqual(parse("31. 2. 2025"), []);
+  assert.deepEqual(parse("Verze 1.2.3 bez data, IP 10.1.2.3, 13. 13. 2025"), []);
+  assert.deepEqual(parse("Koná se 5. 12. 2025."), [{ start: "2025-12-05", allDay: true }]);
+});
+
+test("rozsah dnů: 12.–14. 6., s mezerami i s 'až'", () => {
+  const want = [{ start: "2025-06-12", end: "2025-06-14", allDay: true }];
+  assert.deepEqual(parse("Úřad zavřen 12.–14. 6.", "2025-06-01"), want);
+  assert.deepEqual(parse("Úřad zavřen 12. – 14. 6.", "2025-06-01"), want);
+  assert.deepEqual(parse("Úřad zavřen 12. až 14. června 2025"), want);
+});
+
+test("rozsah dvou dat přes Nový rok: rok jen u druhého data", () => {
+  const want = [{ start: "2025-12-22", end: "2026-01-02", allDay: true }];
+  assert.deepEqual(parse("Od 22. 12. 2025 do 2. 1. 2026"), want);
+  assert.deepEqual(parse("Od 22. 12. do 2. 1. 2026"), want);
+  assert.deepEqual(parse("Od pondělí 22. 12. do pátku 2. 1. 2026 zavřeno"), want);
+});
+
+test("dovození roku: nejbližší výskyt, max. 14 dní zpět, přes Nový rok", () => {
+  // prosinec → leden příštího roku
+  assert.deepEqual(parse("výkup 5. 1.", "2025-12-30"), [{ start: "2026-01-05", allDay: true }]);
+  // leden → nedávno uplynulý prosinec zůstává v minulém roce
+  assert.deepEqual(parse("svoz 28. 12.", "2026-01-05"), [{ start: "2025-12-28", allDay: true }]);
+  assert.deepEqual(parse("svoz 28. 12.", "2026-02-20"), [{ start: "2026-12-28", allDay: true }]);
+  // 13 dní před referencí ještě letos, 17 dní už příští rok
+  assert.deepEqual(parse("5. 11."), [{ start: "2025-11-05", allDay: true }]);
+  assert.deepEqual(parse("1. 11."), [{ start: "2026-11-01", allDay: true }]);
+  // reference jako Date (v Praze už je 1. 1.)
+  assert.deepEqual(
+    parseCzechDates("3. 1.", { reference: new Date("2025-12-31T23:30:00Z") }).map((d) => d.start),
+    ["2026-01-03"]
+  );
+});
+
+test("den v týdnu: upřednostní rok, ve kterém sedí", () => {
+  // 14. 11. 2025 je pátek, 14. 11. 2026 sobota
+  assert.deepEqual(parse("pátek 14. listopadu"), [{ start: "2025-11-14", allDay: true }]);
+  assert.deepEqual(parse("sobota 14. listopadu"), [{ start: "2026-11-14", allDay: true }]);
+  assert.deepEqual(parse("sobotu 3. ledna", "2025-12-20"), [{ start: "2026-01-03", allDay: true }]);
+  assert.equal(parseCzechDates("úterý 2. 12.", { reference: "2025-11-18" })[0].raw, "úterý 2. 12.");
+});
+
+test("časy: hh:mm, hh.mm hodin, od – do, 'až … hodin', číslo bez jednotky není čas", () => {
+  assert.deepEqual(parse("Koncert 22. 11. 2025 od 16:30 do 18:30"), [
+    { start: "2025-11-22T16:30", end: "2025-11-22T18:30", allDay: false },
+  ]);
+  assert.deepEqual(parse("30. září 2025 v 18.18 hodin"), [{ start: "2025-09-30T18:18", allDay: false }]);
+  assert.deepEqual(parse("Ples 10. ledna od 20 hodin", "2025-12-20"), [{ start: "2026-01-10T20:00", allDay: false }]);
+  assert.deepEqual(parse("Sběr 5. 12. ve 9 až 15 hodin"), [{ start: "2025-12-05T09:00", end: "2025-12-05T15:00", allDay: false }]);
+  assert.deepEqual(parse("Sběr 5. 12. na 3 místech"), [{ start: "2025-12-05", allDay: true }]);
+  assert.deepEqual(parse("Sběr 5. 12. v 25:00"), [{ start: "2025-12-05", allDay: true }]);
+});
+
+test("extractEventTime: další datum do 14 dní rozšíří konec", () => {
+  assert.deepEqual(extractEventTime("Vánoční trhy 22. 12. 2025, pokračování 23. 12. 2025 od 10:00 do 12:00"), {
+    start: "2025-12-22",
+    end: "2025-12-23T12:00",
+    allDay: false,
+    raw: "22. 12. 2025",
+  });
+  // datum za víc než 14 dní je jiná akce
+  assert.deepEqual(extractEventTime("Trhy 1. 12. 2025, příští 20. 12. 2025"), { start: "2025-12-01", allDay: true, raw: "1. 12. 2025" });
+  assert.equal(extractEventTime("bez data"), null);
+});
+
+test("Europe/Prague: převod místního času a přechody letního času", () => {
+  assert.equal(pragueLocalToDate("2026-07-01").toISOString(), "2026-06-30T22:00:00.000Z");
+  assert.equal(pragueLocalToDate("2026-01-15T10:00").toISOString(), "2026-01-15T09:00:00.000Z");
+  // jaro: 2:00 → 3:00; neexistující 2:30 se posune dopředu
+  assert.equal(pragueLocalToDate("2026-03-29T01:30").toISOString(), "2026-03-29T00:30:00.000Z");
+  assert.equal(pragueLocalToDate("2026-03-29T03:00").toISOString(), "2026-03-29T01:00:00.000Z");
+  assert.equal(pragueLocalToDate("2026-03-29T02:30").toISOString(), "2026-03-29T01:30:00.000Z");
+  // podzim: 3:00 → 2:00; po přechodu už zimní čas
+  assert.equal(pragueLocalToDate("2026-10-25T04:00").toISOString(), "2026-10-25T03:00:00.000Z");
+
+  assert.equal(toPragueLocal(new Date("2026-03-29T00:59:00Z")), "2026-03-29T01:59");
+  assert.equal(toPragueLocal(new Date("2026-03-29T01:00:00Z")), "2026-03-29T03:00");
+  assert.equal(toPragueLocal(new Date("2026-10-25T00:30:00Z")), "2026-10-25T02:30");
+  assert.equal(toPragueLocal(new Date("2026-10-25T01:30:00Z")), "2026-10-25T02:30");
+  assert.equal(toPragueLocal(new Date("2025-12-31T23:30:00Z")), "2026-01-01T00:30");
+});
+
+test("classifyEvent: celodenní akce nadcházející do konce dne, s časem podle konce", () => {
+  assert.equal(classifyEvent({ start: "2025-11-22" }, "2025-11-22T23:00"), "upcoming");
+  assert.equal(classifyEvent({ start: "2025-11-22" }, "2025-11-23T00:00"), "past");
+  assert.equal(classifyEvent({ start: "2025-11-22T10:00", end: "2025-11-22T12:00" }, "2025-11-22T11:00"), "upcoming");
+  assert.equal(classifyEvent({ start: "2025-11-22T10:00", end: "2025-11-22T12:00" }, "2025-11-22T13:00"), "past");
+  // vícedenní; Date se převádí do pražského času (22:30 UTC = 23:30 v Praze)
+  assert.equal(classifyEvent({ start: "2025-11-20", end: "2025-11-23" }, new Date("2025-11-23T22:30:00Z")), "upcoming");
+  assert.equal(classifyEvent({ start: "2025-11-20", end: "2025-11-23" }, new Date("2025-11-23T23:30:00Z")), "past");
+  assert.equal(classifyEvent({}), null);
+});
+
+test("formátování termínu", () => {
+  assert.equal(formatCzechDateTime("2025-11-22T16:00"), "so 22. 11. 2025 16:00");
+  assert.equal(formatEventTime({ start: "2025-11-22" }), "so 22. 11. 2025");
+  assert.equal(formatEventTime({ start: "2025-11-22T16:00", end: "2025-11-22T18:00" }), "so 22. 11. 2025 16:00–18:00");
+  assert.equal(formatEventTime({ start: "2025-12-22", end: "2026-01-02" }), "po 22. 12. 2025 – pá 2. 1. 2026");
+  assert.equal(formatEventTime({}), "");
+});
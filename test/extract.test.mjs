@@ -0,0 +1,128 @@
+// Testy extrakce nad uloženými stránkami webu obce (test/fixtures).
+// Když CMS změní šablonu, spadnou tady dřív, než se do vector store nahraje prázdný LIVE soubor.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as cheerio from "cheerio";
+
+import {
+  attachmentType,
+  extractDetail,
+  extractHomepageNotice,
+  extractListItems,
+  findPageLinks,
+  LIST_LINK_SELECTORS,
+} from "../lib/extract.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const BASE = "https://www.obec-chomutice.cz";
+
+const load = (name) => cheerio.load(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+
+test("homepage: provozní oznámení podle klíčových slov", () => {
+  const notices = extractHomepageNotice(load("homepage.html"));
+  assert.deepEqual(notices, [
+    "Od 22. 12. 2025 do 2. 1. 2026 bude obecní úřad uzavřen.",
+    "Mimořádně omezen provoz knihovny v lednu z důvodu inventury.",
+  ]);
+});
+
+test("aktuality: titulek, datum, perex bez „celý text“ a absolutní URL", () => {
+  const { items, found } = extractListItems(load("aktuality.html"), {
+    base: BASE,
+    linkSelector: LIST_LINK_SELECTORS.aktuality,
+  });
+
+  assert.equal(found, 4);
+  assert.equal(items.length, 3, "položka bez titulku se přeskočí");
+  assert.deepEqual(items[0], {
+    title: "Pozvánky MěÚ Hořice",
+    date: "16. 1. 2026",
+    perex: "na setkání svépomocné skupiny pro pečující seniory",
+    url: `${BASE}/aktuality-1/pozvanky-meu-horice-840cs.html`,
+  });
+  assert.equal(items[1].date, "5. 1. 2026", "&nbsp; v datu → mezera");
+  assert.equal(items[2].url, `${BASE}/aktuality-1/novorocni-ohnostroj-837cs.html`);
+});
+
+test("aktuality: nová šablona bez .readable_item → 0 bloků", () => {
+  const { items, found } = extractListItems(load("aktuality-new-template.html"), {
+    base: BASE,
+    linkSelector: LIST_LINK_SELECTORS.aktuality,
+  });
+  assert.equal(found, 0);
+  assert.deepEqual(items, []);
+});
+
+test("rozhlas: odkaz na detail mimo titulek", () => {
+  const { items } = extractListItems(load("rozhlas.html"), {
+    base: BASE,
+    linkSelector: LIST_LINK_SELECTORS.rozhlas,
+  });
+  assert.deepEqual(items, [
+    {
+      title: "Hlášení místního rozhlasu",
+      date: "14. 2. 2025",
+      perex: "Sjezd rodáků",
+      url: `${BASE}/hlaseni-rozhlasu/hlaseni-mistniho-rozhlasu-764cs.html`,
+    },
+  ]);
+});
+
+test("kalendář: položky bez data publikace", () => {
+  const { items } = extractListItems(load("kalendar.html"), {
+    base: BASE,
+    linkSelector: LIST_LINK_SELECTORS.kalendar,
+  });
+  assert.equal(items.length, 2);
+  assert.equal(items[0].title, "Kavárnička");
+  assert.equal(items[0].date, "");
+  assert.equal(items[0].perex, "pondělí 26. ledna 2026 od 16:30 hodin v senior klubu");
+  assert.equal(items[1].url, `${BASE}/kalendar-akci/karneval-843_113cs.html`);
+});
+
+test("stránkování: jen stránky výpisu stejné sekce a webu", () => {
+  const links = findPageLinks(load("aktuality.html"), `${BASE}/aktuality-1/`, {
+    base: BASE,
+    sectionPath: "/aktuality-1/",
+  });
+  assert.deepEqual(links, [`${BASE}/aktuality-1/?page=2`, `${BASE}/aktuality-1/?page=3`]);
+});
+
+test("detail: text bez navigace a skriptů, přílohy a obrázky", () => {
+  const pageUrl = `${BASE}/aktuality-1/rozsviceni-stromecku-830cs.html`;
+  const { text, attachments } = extractDetail(load("detail.html"), pageUrl, { base: BASE });
+
+  assert.equal(
+    text,
+    [
+      "sobota 22. 11. 2025 od 16 hodin",
+      "prodejní výstava na OÚ",
+      "od 16:30 vystoupení ZŠ a MŠ Chomutice",
+      "Informace na tel. 731 409 498.",
+    ].join("\n")
+  );
+  assert.doesNotMatch(text, /Úvod|console|©/);
+
+  assert.deepEqual(attachments, [
+    { name: "Plakát.pdf", url: `${BASE}/modules/file_storage/download.php?file=1a2b3c%7C1`, type: "pdf" },
+    { name: "program.docx", url: `${BASE}/files/program.docx`, type: "docx" },
+    { name: "Plakát", url: `${BASE}/images/stromecek.jpg`, type: "jpg" },
+  ]);
+});
+
+test("detail: zkrácení textu na limit", () => {
+  const { text } = extractDetail(load("detail.html"), `${BASE}/x-1cs.html`, { base: BASE, textLimit: 20 });
+  assert.ok(text.endsWith(" …"));
+  assert.ok(text.length <= 22);
+});
+
+test("attachmentType: přípona z URL, jinak z textu odkazu", () => {
+  assert.equal(attachmentType(`${BASE}/files/a.PDF`, ""), "pdf");
+  assert.equal(attachmentType(`${BASE}/download.php?file=1`, "Rozpočet (XLSX, 20 kB)"), "xlsx");
+  assert.equal(attachmentType(`${BASE}/foto.jpeg`, ""), "jpg");
+  assert.equal(attachmentType(`${BASE}/download.php?file=1`, "stáhnout"), "soubor");
+});
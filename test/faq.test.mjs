@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { loadFaq, matchFaq } from "../lib/faq.mjs";
+import { stemCz, tokenize } from "../lib/cz-text.mjs";
+import { getTenant } from "../lib/tenant.mjs";
+
+const KB = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "kb", "kb.json");
+const entries = JSON.parse(fs.readFileSync(KB, "utf8")).entries;
+const opts = { stopwords: ["radim", "Radim"] };
+
+const idFor = (q) => matchFaq(q, entries, opts)?.entry.id ?? null;
+
+test("tokeny: bez diakritiky, bez stopslov, kmen", () => {
+  assert.deepEqual(tokenize("Jaké jsou úřední hodiny?"), ["uredn", "hodin"]);
+  assert.equal(stemCz("hodinach"), "hodin");
+  assert.equal(stemCz("uzemniho"), "uzemn");
+  assert.equal(stemCz("plan"), "plan");
+});
+
+test("jisté shody včetně skloňování a bez diakritiky", () => {
+  assert.equal(idFor("Jaké jsou úřední hodiny?"), "uredni_hodiny");
+  assert.equal(idFor("uredni hodiny"), "uredni_hodiny");
+  assert.equal(idFor("V jakých úředních hodinách můžu přijít?"), "uredni_hodiny");
+  assert.equal(idFor("Kde najdu územního plánu?"), "uzemni_plan");
+  assert.equal(idFor("číslo účtu obce"), "kontakty");
+  assert.equal(idFor("Jaký je telefon a email?"), "kontakty");
+  assert.equal(idFor("program rozvoje obce Radim"), "program_rozvoje");
+});
+
+test("nejistá nebo nejednoznačná otázka → asistent", () => {
+  assert.equal(idFor("Kde se koná karneval?"), null);
+  assert.equal(idFor("kdy je svoz odpadu a plán"), null);
+  assert.equal(idFor("telefon na obecní úřad"), null, "kontakty i úřední hodiny");
+  assert.equal(idFor(""), null);
+});
+
+test("otázka na konkrétní den jde vždy na asistenta (LIVE upozornění)", () => {
+  assert.equal(idFor("Je zítra otevřený obecní úřad?"), null);
+  assert.equal(idFor("úřední hodiny o Vánocích"), null);
+  assert.equal(idFor("úřední hodiny 24. 12."), null);
+  assert.equal(idFor("úřední hodiny 24.12.2025"), null);
+  assert.equal(idFor("úřední hodiny 3. ledna"), null);
+  assert.equal(idFor("úřední hodiny v 9.30 hod"), null);
+  assert.equal(idFor("je úřad otevřený v 10:30"), null);
+  assert.equal(idFor("úřední hodiny 2026"), null);
+});
+
+test("číslo, které není datum ani čas, FAQ nevypne", () => {
+  const popelnice = { id: "popelnice", title: "Cena popelnice", answer: "…", keywords: ["kolik stojí popelnice", "popelnice 120 l"] };
+  assert.equal(matchFaq("kolik stojí popelnice 120 l", [...entries, popelnice], opts)?.entry.id, "popelnice");
+  assert.equal(idFor("úřední hodiny čp. 5"), "uredni_hodiny");
+});
+
+test("loadFaq podle tenant.kb.faq", () => {
+  assert.equal(loadFaq(getTenant("radim")).length, entries.length);
+  assert.deepEqual(loadFaq(getTenant("chomutice")), []);
+});
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { FeedbackError, feedbackDir, feedbackRecord, feedbackReport, feedbackStore, fileStore, isUnanswered } from "../lib/feedback.mjs";
+import { signThread } from "../lib/thread-token.mjs";
+
+const rec = (rating, question, answer, extra = {}) => ({
+  ...feedbackRecord({ rating, question, answer }, { obec: "radim", now: new Date(extra.at || "2026-03-01T10:00:00Z") }),
+  ...extra,
+});
+
+test("záznam: hodnocení, povinná otázka a odpověď, oříznutí, jen http(s) zdroje", () => {
+  const r = feedbackRecord(
+    {
+      rating: "down",
+      question: "  Kdy je svoz odpadu?  ",
+      answer: "Nevím.",
+      comment: "x".repeat(2000),
+      sources: [{ title: "Odpady", url: "https://www.obec-radim.cz/odpady/" }, { title: "zlé", url: "javascript:alert(1)" }],
+    },
+    { obec: "radim" }
+  );
+  assert.equal(r.rating, "down");
+  assert.equal(r.question, "Kdy je svoz odpadu?");
+  assert.equal(r.comment.length, 1000);
+  assert.deepEqual(r.sources, [{ title: "Odpady", url: "https://www.obec-radim.cz/odpady/" }]);
+  assert.match(r.id, /^[0-9a-f-]{36}$/);
+
+  assert.throws(() => feedbackRecord({ rating: "meh", question: "a", answer: "b" }, { obec: "radim" }), FeedbackError);
+  assert.throws(() => feedbackRecord({ rating: "up", answer: "b" }, { obec: "radim" }), /Missing question/);
+  assert.throws(() => feedbackRecord({ rating: "up", question: {}, answer: "b" }, { obec: "radim" }), /Invalid question/);
+});
+
+test("file store: JSONL na obec, poškozený řádek se přeskočí", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-"));
+  try {
+    const store = fileStore({ dir });
+    store.append("radim", rec("up", "A?", "a"));
+    store.append("radim", rec("down", "B?", "b"));
+    store.append("chomutice", rec("up", "C?", "c"));
+    fs.appendFileSync(path.join(dir, "feedback_radim.jsonl"), '{"rozbity\n');
+
+    assert.deepEqual(store.read("radim").map((r) => r.question), ["A?", "B?"]);
+    assert.equal(store.read("chomutice").length, 1);
+    assert.deepEqual(store.read("nikde"), []);
+    assert.equal(feedbackStore({ FEEDBACK_DIR: dir }).read("radim").length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("odpověď typu nevím / nenalezeno", () => {
+  assert.ok(isUnanswered("Bohužel nevím, kdy je svoz."));
+  assert.ok(isUnanswered("Tuto informaci jsem v podkladech nenašel."));
+  assert.ok(isUnanswered("K tomu nemám k dispozici informace."));
+  assert.ok(isUnanswered("Nenalezeno."));
+  assert.ok(!isUnanswered("Úřad má otevřeno v pondělí 8–12 h [1]."));
+});
+
+test("report: nejčastější dotazy, 👎 s komentáři, nezodpovězené; since filtruje", () => {
+  const records = [
+    rec("up", "Kdy má úřad otevřeno?", "Po 8–12 h.", { at: "2026-03-01T08:00:00Z" }),
+    rec("down", "kdy ma URAD otevreno", "Po 8–12 h.", { at: "2026-03-02T08:00:00Z", comment: "Ve středu taky" }),
+    rec("down", "Kdy je svoz bioodpadu?", "Nevím, v podkladech to není.", { at: "2026-03-03T08:00:00Z" }),
+    rec("up", "Kde je sběrný dvůr?", "Na Hlavní 12.", { at: "2026-02-01T08:00:00Z" }),
+  ];
+
+  const report = feedbackReport(records);
+  assert.equal(report.total, 4);
+  assert.equal(report.down, 2);
+  assert.deepEqual(report.topQuestions.map((q) => [q.question, q.count]), [
+    ["kdy ma URAD otevreno", 2],
+    ["Kdy je svoz bioodpadu?", 1],
+    ["Kde je sběrný dvůr?", 1],
+  ]);
+  assert.deepEqual(report.downvoted.map((q) => q.comments), [["Ve středu taky"], []]);
+  assert.deepEqual(report.unanswered.map((q) => q.question), ["Kdy je svoz bioodpadu?"]);
+
+  assert.equal(feedbackReport(records, { since: "2026-03-01T00:00:00Z" }).total, 3);
+});
+
+test("funkce feedback: uloží záznam s thread_id z tokenu a verzí LIVE dat", async (t) => {
+  const env = { FEEDBACK_STORE: "memory", THREAD_TOKEN_SECRET: "test-secret" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const { default: handler } = await import("../netlify/functions/feedback.mjs");
+  const post = (body) =>
+    handler(new Request("http://localhost/.netlify/functions/feedback", { method: "POST", body: JSON.stringify(body) }), { ip: "198.51.100.1" });
+
+  const res = await post({
+    obec: "radim",
+    rating: "down",
+    question: "Kdy je svoz odpadu?",
+    answer: "Nevím.",
+    comment: "Je to na webu",
+    thread_token: signThread("thread_abc", "radim"),
+  });
+  assert.equal(res.status, 200);
+  const { id } = await res.json();
+
+  const saved = feedbackStore().read("radim").find((r) => r.id === id);
+  assert.equal(saved.thread_id, "thread_abc");
+  assert.equal(saved.comment, "Je to na webu");
+  assert.ok("live_version" in saved);
+
+  // podvržený token (holé ID, token jiné obce, upravený podpis) → uloží se bez threadu
+  const token = signThread("thread_abc", "radim");
+  for (const thread_token of ["thread_abc", signThread("thread_abc", "chomutice"), token.slice(0, -2) + "xx"]) {
+    const forged = await post({ obec: "radim", rating: "up", question: "a", answer: "b", thread_token });
+    assert.equal(forged.status, 200);
+    const { id: forgedId } = await forged.json();
+    assert.equal(feedbackStore().read("radim").find((r) => r.id === forgedId).thread_id, null);
+  }
+
+  // chybějící / špatné hodnocení, chybějící otázka → 400 a nic se neuloží
+  const count = feedbackStore().read("radim").length;
+  const missing = await post({ obec: "radim", question: "a", answer: "b" });
+  assert.equal(missing.status, 400);
+  assert.deepEqual(await missing.json(), { ok: false, error: "Invalid rating" });
+  assert.equal((await post({ obec: "radim", rating: "5", question: "a", answer: "b" })).status, 400);
+  assert.equal((await post({ obec: "radim", rating: "up", answer: "b" })).status, 400);
+  assert.equal(feedbackStore().read("radim").length, count);
+  assert.equal((await post({ obec: "neexistuje", rating: "up", question: "a", answer: "b" })).status, 404);
+});
+
+test("serverless bez FEEDBACK_DIR: zápis do tmpdir s varováním místo EROFS v data/feedback", async (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-tmp-"));
+  const env = { NETLIFY: "true", TMPDIR: tmp };
+  const saved = Object.fromEntries(Object.keys(env).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, env);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  t.after(() => {
+    console.warn = warn;
+    for (const [k, v] of Object.entries(saved)) v === undefined ? delete process.env[k] : (process.env[k] = v);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  assert.equal(feedbackDir({ FEEDBACK_DIR: "data/x" }), path.resolve("data/x"));
+  assert.equal(feedbackDir({}), path.resolve("data/feedback"));
+  assert.equal(feedbackDir(), path.join(tmp, "feedback"));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /FEEDBACK_DIR/);
+
+  const { default: handler } = await import("../netlify/functions/feedback.mjs");
+  const res = await handler(
+    new Request("http://localhost/.netlify/functions/feedback", {
+      method: "POST",
+      body: JSON.stringify({ obec: "chomutice", rating: "up", question: "Kdy je svoz?", answer: "V pondělí." }),
+    }),
+    { ip: "198.51.100.2" }
+  );
+  assert.equal(res.status, 200);
+  const { id } = await res.json();
+
+  const lines = fs.readFileSync(path.join(tmp, "feedback", "feedback_chomutice.jsonl"), "utf8").trim().split("\n");
+  assert.deepEqual(lines.map((l) => JSON.parse(l).id), [id]);
+  assert.equal(warnings.length, 1);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { buildAtom, buildRss, escapeXml, feedEntries, feedId, feedLastModified } from "../lib/feeds.mjs";
+
+const tenant = getTenant("radim");
+
+const live = (aktuality, generatedAt = "2026-03-02T05:00:00.000Z") => ({
+  schema_version: 1,
+  generated_at: generatedAt,
+  sections: {
+    aktuality: { url: "https://www.obec-radim.cz/aktuality/", items: aktuality },
+    rozhlas: {
+      url: "https://www.obec-radim.cz/rozhlas/",
+      items: [{ title: "Hlášení – voda", date_iso: "2026-03-01", url: "https://www.obec-radim.cz/rozhlas/voda" }],
+    },
+  },
+});
+
+const item = (n, date_iso = "2026-03-01") => ({
+  title: `Zpráva ${n} <&>`,
+  date_iso,
+  perex: `Perex ${n}`,
+  url: `https://www.obec-radim.cz/aktuality/${n}`,
+});
+
+test("escapeXml: entity a zakázané řídicí znaky", () => {
+  assert.equal(escapeXml(`a<b>&"c'\u0001\u0007d\n`), "a&lt;b&gt;&amp;&quot;c&apos;d\n");
+  assert.equal(escapeXml(null), "");
+});
+
+test("položky: kombinovaný feed od nejnovější, datum = půlnoc v Praze", () => {
+  const entries = feedEntries(live([item(1, "2026-02-28"), item(2, "2026-03-01")]), "vse");
+  assert.deepEqual(
+    entries.map((e) => [e.section, e.url.split("/").pop()]),
+    [
+      ["aktuality", "2"],
+      ["rozhlas", "voda"],
+      ["aktuality", "1"],
+    ]
+  );
+  assert.equal(entries[0].updated.toISOString(), "2026-02-28T23:00:00.000Z");
+});
+
+test("Atom: stálé <id> nezávislé na URL požadavku, escapované položky", () => {
+  const data = live([item(1)]);
+  const a = buildAtom({ tenant, data, feed: "aktuality", selfUrl: "https://asistent.example.cz/feeds/aktuality.atom?obec=radim" });
+  const b = buildAtom({ tenant, data, feed: "aktuality", selfUrl: "https://jiny.example.cz/feeds/aktuality.atom?x=1" });
+
+  const id = (xml) => xml.match(/^ {2}<id>(.*)<\/id>$/m)[1];
+  assert.equal(id(a), "tag:www.obec-radim.cz,2025:feeds/aktuality");
+  assert.equal(id(a), id(b));
+  assert.equal(feedId(tenant, "vse"), "tag:www.obec-radim.cz,2025:feeds/vse");
+  assert.match(a, /<title>Zpráva 1 &lt;&amp;&gt;<\/title>/);
+  assert.match(a, /<link rel="self" type="application\/atom\+xml" href="https:\/\/asistent\.example\.cz\/feeds\/aktuality\.atom\?obec=radim"\/>/);
+});
+
+test("RSS: položky s guid a pubDate", () => {
+  const xml = buildRss({ tenant, data: live([item(1)]), feed: "rozhlas", selfUrl: "https://asistent.example.cz/feeds/rozhlas.rss" });
+  assert.match(xml, /<guid isPermaLink="true">https:\/\/www\.obec-radim\.cz\/rozhlas\/voda<\/guid>/);
+  assert.match(xml, /<pubDate>Sat, 28 Feb 2026 23:00:00 GMT<\/pubDate>/);
+  assert.ok(!xml.includes("Zpráva 1"));
+});
+
+test("Last-Modified = generated_at, ne datum poslední položky", () => {
+  const data = live([item(1)], "2026-03-01T18:30:00.000Z");
+  assert.equal(feedLastModified(data, feedEntries(data, "vse")).toISOString(), "2026-03-01T18:30:00.000Z");
+});
+
+test("funkce feeds: podmíněný GET – ETag, If-Modified-Since, druhá položka ze stejného dne", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feeds-"));
+  const file = path.join(dir, "live_radim.json");
+  process.env.LIVE_JSON_PATH = file;
+  t.after(() => {
+    delete process.env.LIVE_JSON_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { default: handler } = await import("../netlify/functions/feeds.mjs");
+  const get = (headers = {}, method = "GET") => handler(new Request("http://localhost/feeds/aktuality.atom?obec=radim", { method, headers }));
+
+  fs.writeFileSync(file, JSON.stringify(live([item(1)], "2026-03-01T08:00:00.000Z")));
+  const first = await get();
+  assert.equal(first.status, 200);
+  const etag = first.headers.get("etag");
+  const lastModified = first.headers.get("last-modified");
+  assert.equal(lastModified, "Sun, 01 Mar 2026 08:00:00 GMT");
+
+  assert.equal((await get({ "if-none-match": etag })).status, 304);
+  assert.equal((await get({ "if-none-match": `W/${etag}` })).status, 304);
+  assert.equal((await get({ "if-modified-since": lastModified })).status, 304);
+  // If-None-Match má přednost před If-Modified-Since
+  assert.equal((await get({ "if-none-match": '"jiny"', "if-modified-since": lastModified })).status, 200);
+
+  // odpoledne přibude druhá zpráva se stejným datem publikace
+  fs.writeFileSync(file, JSON.stringify(live([item(1), item(2)], "2026-03-01T16:00:00.000Z")));
+  const changedByDate = await get({ "if-modified-since": lastModified });
+  assert.equal(changedByDate.status, 200);
+  assert.match(await changedByDate.text(), /Zpráva 2/);
+  assert.equal((await get({ "if-none-match": etag })).status, 200);
+
+  const head = await get({}, "HEAD");
+  assert.equal(head.status, 200);
+  assert.equal(await head.text(), "");
+
+  assert.equal((await handler(new Request("http://localhost/feeds/nic.atom?obec=radim"))).status, 404);
+});
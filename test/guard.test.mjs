@@ -0,0 +1,224 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { checkOrigin, clientIp, createGuard, guardConfig, memoryStore } from "../lib/guard.mjs";
+
+const post = (url, headers = {}) => new Request(url, { method: "POST", headers });
+
+test("rate limit: token bucket – burst, pak 429 s Retry-After, po doplnění znovu", async () => {
+  let t = Date.parse("2026-03-01T10:00:00Z");
+  const guard = createGuard({ env: { SEARCH_RATE_BURST: "3", SEARCH_RATE_PER_MIN: "6" }, now: () => t });
+
+  for (let i = 0; i < 3; i++) assert.equal(await guard.checkRate("1.2.3.4"), null);
+
+  const limited = await guard.checkRate("1.2.3.4");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "rate_limited");
+  assert.equal(limited.body.retry_after, 10);
+  assert.equal(limited.headers["Retry-After"], "10");
+
+  // jiný klient má vlastní bucket
+  assert.equal(await guard.checkRate("5.6.7.8"), null);
+
+  t += 10_000;
+  assert.equal(await guard.checkRate("1.2.3.4"), null);
+  assert.ok(await guard.checkRate("1.2.3.4"));
+});
+
+test("rate limit: SEARCH_RATE_PER_MIN=0 vypne", async () => {
+  const guard = createGuard({ env: { SEARCH_RATE_BURST: "1", SEARCH_RATE_PER_MIN: "0" } });
+  for (let i = 0; i < 5; i++) assert.equal(await guard.checkRate("x"), null);
+});
+
+test("memoryStore: expirace a limit počtu klíčů", async () => {
+  const store = memoryStore({ max: 2 });
+  store.set("a", 1, 60_000);
+  store.set("b", 2, 60_000);
+  store.set("c", 3, 60_000);
+  assert.equal(store.get("a"), undefined);
+  assert.equal(store.get("c"), 3);
+
+  store.set("d", 4, -1);
+  assert.equal(store.get("d"), undefined);
+});
+
+test("délka dotazu a počet kol konverzace", () => {
+  const guard = createGuard({ env: { SEARCH_MAX_MESSAGE_CHARS: "10", SEARCH_MAX_TURNS: "2" } });
+
+  assert.equal(guard.checkMessage("krátký"), null);
+  assert.equal(guard.checkMessage("x".repeat(11)).body.code, "message_too_long");
+  assert.equal(guard.checkMessage("x".repeat(11)).status, 413);
+
+  assert.equal(guard.checkTurns(1), null);
+  assert.equal(guard.checkTurns(2).body.code, "thread_limit");
+});
+
+test("počet kol: počítadlo ve store podle threadu, starý token limit neobejde", async () => {
+  const guard = createGuard({ env: { SEARCH_MAX_TURNS: "2" }, store: memoryStore() });
+
+  assert.equal(await guard.turnsOf("thread_a", 0), 0);
+  await guard.recordTurn("thread_a", 1);
+  await guard.recordTurn("thread_a", 2);
+  // klient pošle pořád první token (n = 0)
+  assert.equal(await guard.turnsOf("thread_a", 0), 2);
+  assert.equal(guard.checkTurns(await guard.turnsOf("thread_a", 0)).body.code, "thread_limit");
+  // token s vyšším číslem má přednost (jiná instance bez počítadla)
+  assert.equal(await guard.turnsOf("thread_b", 3), 3);
+  // nižší hodnota počítadlo nesníží
+  await guard.recordTurn("thread_a", 1);
+  assert.equal(await guard.turnsOf("thread_a"), 2);
+  assert.equal(await guard.turnsOf(null, 1), 1);
+});
+
+test("denní rozpočet: počet dotazů i cena podle usage, nový den od nuly", async () => {
+  let t = Date.parse("2026-03-01T10:00:00Z");
+  const store = memoryStore();
+  const env = { SEARCH_DAILY_MAX_REQUESTS: "2", SEARCH_DAILY_MAX_USD: "1" };
+  const guard = createGuard({ env, store, now: () => t });
+
+  assert.equal(await guard.checkBudget(), null);
+  await guard.recordUsage({ prompt_tokens: 1000, completion_tokens: 100 });
+  assert.equal(await guard.checkBudget(), null);
+  await guard.recordUsage(null);
+
+  const over = await guard.checkBudget();
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, "daily_budget");
+  assert.match(over.body.message, /zítra/);
+
+  // půlnoc v Praze
+  t = Date.parse("2026-03-01T23:30:00Z");
+  assert.equal(await guard.checkBudget(), null);
+
+  // cena: 2M výstupních tokenů × 0.6 USD/M > 1 USD
+  const byCost = createGuard({ env: { SEARCH_DAILY_MAX_USD: "1" }, now: () => t });
+  await byCost.recordUsage({ prompt_tokens: 0, completion_tokens: 2_000_000 });
+  assert.equal((await byCost.checkBudget()).body.code, "daily_budget");
+});
+
+test("allowlist originů: přesná shoda, *.wildcard, vlastní origin, bez Origin", () => {
+  const cfg = guardConfig({ ALLOWED_ORIGINS: "https://www.obec-radim.cz/, https://*.netlify.app" });
+  const url = "https://asistent.example.cz/api/search";
+
+  assert.deepEqual(checkOrigin(post(url, { origin: "https://www.obec-radim.cz" }), cfg), { ok: true, allow: "https://www.obec-radim.cz" });
+  assert.equal(checkOrigin(post(url, { origin: "https://pr-12--obce.netlify.app" }), cfg).ok, true);
+  assert.equal(checkOrigin(post(url, { origin: "https://asistent.example.cz" }), cfg).ok, true);
+  assert.equal(checkOrigin(post(url, { origin: "https://netlify.app.evil.cz" }), cfg).ok, false);
+  assert.equal(checkOrigin(post(url, { origin: "https://evil.cz" }), cfg).ok, false);
+  assert.equal(checkOrigin(post(url), cfg).ok, false);
+
+  assert.deepEqual(checkOrigin(post(url), guardConfig({})), { ok: true, allow: "*" });
+});
+
+test("IP klienta: context.ip > Netlify hlavička > x-forwarded-for", () => {
+  const req = post("http://localhost/", { "x-forwarded-for": "9.9.9.9, 10.0.0.1" });
+  assert.equal(clientIp(req, { ip: "1.1.1.1" }), "1.1.1.1");
+  assert.equal(clientIp(req), "9.9.9.9");
+  assert.equal(clientIp(post("http://localhost/")), "unknown");
+});
+
+test("search: strukturované odmítnutí – origin, délka, rate limit", async (t) => {
+  const env = { LLM_PROVIDER: "mock", ALLOWED_ORIGINS: "https://www.obec-radim.cz", SEARCH_RATE_BURST: "2", SEARCH_MAX_MESSAGE_CHARS: "50" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const ask = (message, origin = "https://www.obec-radim.cz") =>
+    handler(
+      new Request("http://localhost/api/search", {
+        method: "POST",
+        headers: { "content-type": "application/json", origin },
+        body: JSON.stringify({ message, obec: "radim" }),
+      }),
+      { ip: "203.0.113.7" }
+    );
+
+  const denied = await ask("Kdy je svoz odpadu?", "https://evil.cz");
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).code, "origin_not_allowed");
+
+  const tooLong = await ask("x".repeat(51));
+  assert.equal(tooLong.status, 413);
+  assert.equal(tooLong.headers.get("access-control-allow-origin"), "https://www.obec-radim.cz");
+
+  const ok = await ask("Jaké jsou regulativy zástavby v plochách výroby?");
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).ok, true);
+
+  const limited = await ask("Jaké jsou regulativy zástavby v plochách výroby?");
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  const body = await limited.json();
+  assert.equal(body.code, "rate_limited");
+  assert.match(body.message, /Zkuste to prosím znovu/);
+});
+
+test("search: opakovaně poslaný první thread_token narazí na limit kol", async (t) => {
+  const env = { LLM_PROVIDER: "mock", THREAD_TOKEN_SECRET: "test-secret", SEARCH_MAX_TURNS: "3", SEARCH_RATE_BURST: "0" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const ask = (body) =>
+    handler(new Request("http://localhost/api/search", { method: "POST", body: JSON.stringify({ obec: "radim", ...body }) }), {
+      ip: "203.0.113.8",
+    });
+
+  const first = await (await ask({ message: "Jaké jsou regulativy zástavby v plochách výroby?" })).json();
+  assert.equal((await ask({ message: "A dál?", thread_token: first.thread_token })).status, 200);
+  assert.equal((await ask({ message: "A dál?", thread_token: first.thread_token })).status, 200);
+
+  const replayed = await ask({ message: "A dál?", thread_token: first.thread_token });
+  assert.equal(replayed.status, 429);
+  assert.equal((await replayed.json()).code, "thread_limit");
+});
+
+test("search: přerušený stream se započítá do denního rozpočtu", async (t) => {
+  const env = { LLM_PROVIDER: "mock", SEARCH_DAILY_MAX_REQUESTS: "1", SEARCH_RATE_BURST: "0" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const ask = (stream) =>
+    handler(
+      new Request("http://localhost/api/search", {
+        method: "POST",
+        body: JSON.stringify({ obec: "chomutice", message: "Jaké jsou regulativy zástavby v plochách výroby?", stream }),
+      }),
+      { ip: "203.0.113.6" }
+    );
+
+  // klient po prvním kousku streamu odejde
+  const res = await ask(true);
+  const reader = res.body.getReader();
+  await reader.read();
+  await reader.cancel();
+  await new Promise((r) => setTimeout(r, 20));
+
+  const after = await ask(false);
+  assert.equal(after.status, 429);
+  assert.equal((await after.json()).code, "daily_budget");
+});
+
+test("search: neúspěšný dotaz bez streamu se započítá do denního rozpočtu", async (t) => {
+  // chat provider na nedostupném serveru → provider.answer vyhodí
+  // rozpočet je sdílený s předchozím testem (1 přerušený stream) → limit 2
+  const env = { LLM_PROVIDER: "chat", OPENAI_BASE_URL: "http://127.0.0.1:9/v1", SEARCH_DAILY_MAX_REQUESTS: "2", SEARCH_RATE_BURST: "0" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const ask = () =>
+    handler(
+      new Request("http://localhost/api/search", {
+        method: "POST",
+        body: JSON.stringify({ obec: "chomutice", message: "Jaké jsou regulativy zástavby v plochách výroby?" }),
+      }),
+      { ip: "203.0.113.5" }
+    );
+
+  assert.ok((await ask()).status >= 500);
+  const after = await ask();
+  assert.equal(after.status, 429);
+  assert.equal((await after.json()).code, "daily_budget");
+});
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { buildIcs, escapeIcsText, eventUid, foldIcsLine } from "../lib/ical.mjs";
+
+const tenant = getTenant("radim");
+
+const event = (n, ev, extra = {}) => ({
+  title: `Akce ${n}`,
+  perex: `Perex ${n}`,
+  url: `https://www.obec-radim.cz/kalendar/${n}`,
+  event: ev,
+  ...extra,
+});
+
+// rozbalení složených řádků (RFC 5545 3.1) a vybrané VEVENTy
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+const vevents = (ics) => unfold(ics).split("BEGIN:VEVENT\r\n").slice(1).map((v) => v.split("\r\nEND:VEVENT")[0].split("\r\n"));
+const prop = (lines, name) => lines.filter((l) => l.startsWith(name));
+
+test("escapování TEXT hodnot: \\ ; , a konce řádků", () => {
+  assert.equal(escapeIcsText("a\\b; c, d\r\ne\nf"), "a\\\\b\\; c\\, d\\ne\\nf");
+  assert.equal(escapeIcsText(null), "");
+});
+
+test("skládání řádků: max. 75 oktetů, nikdy uprostřed UTF-8 znaku", () => {
+  assert.equal(foldIcsLine("SUMMARY:krátké"), "SUMMARY:krátké");
+
+  const line = `DESCRIPTION:${"žluťoučký kůň ".repeat(12)}`;
+  const folded = foldIcsLine(line);
+  const parts = folded.split("\r\n");
+  assert.ok(parts.length > 1);
+  parts.forEach((p, i) => {
+    assert.ok(Buffer.byteLength(p, "utf8") <= 75);
+    if (i) assert.ok(p.startsWith(" "));
+  });
+  assert.ok(!folded.includes("�"));
+  assert.equal(folded.replace(/\r\n /g, ""), line);
+});
+
+test("celodenní akce: VALUE=DATE, DTEND exkluzivní (+1 den i přes konec měsíce)", () => {
+  const ics = buildIcs({
+    tenant,
+    generatedAt: "2026-03-01T05:00:00.000Z",
+    events: [event(1, { start: "2026-03-14" }), event(2, { start: "2026-03-30", end: "2026-03-31" })],
+  });
+  const [one, multi] = vevents(ics);
+  assert.deepEqual(prop(one, "DT"), ["DTSTAMP:20260301T050000Z", "DTSTART;VALUE=DATE:20260314", "DTEND;VALUE=DATE:20260315"]);
+  assert.deepEqual(prop(multi, "DTSTART"), ["DTSTART;VALUE=DATE:20260330"]);
+  assert.deepEqual(prop(multi, "DTEND"), ["DTEND;VALUE=DATE:20260401"]);
+  assert.deepEqual(prop(one, "DURATION"), []);
+});
+
+test("akce s časem: TZID=Europe/Prague + VTIMEZONE, bez konce výchozí DURATION", () => {
+  const ics = buildIcs({
+    tenant,
+    events: [
+      event(1, { start: "2026-03-29T16:30", end: "2026-03-29T18:00" }),
+      event(2, { start: "2026-10-25T10:00" }),
+    ],
+  });
+  assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:Europe\/Prague\r\n/);
+  assert.match(ics, /X-WR-TIMEZONE:Europe\/Prague\r\n/);
+
+  const [withEnd, noEnd] = vevents(ics);
+  assert.deepEqual(prop(withEnd, "DTSTART"), ["DTSTART;TZID=Europe/Prague:20260329T163000"]);
+  assert.deepEqual(prop(withEnd, "DTEND"), ["DTEND;TZID=Europe/Prague:20260329T180000"]);
+  assert.deepEqual(prop(withEnd, "DURATION"), []);
+
+  assert.deepEqual(prop(noEnd, "DTSTART"), ["DTSTART;TZID=Europe/Prague:20261025T100000"]);
+  assert.deepEqual(prop(noEnd, "DTEND"), []);
+  assert.deepEqual(prop(noEnd, "DURATION"), ["DURATION:PT1H"]);
+});
+
+test("VEVENT: stálé UID, escapovaný název i popis, CRLF a složené dlouhé řádky", () => {
+  const e = event(1, { start: "2026-03-14" }, { title: "Ples; hasiči, SDH", perex: "Vstupné 100 Kč\nhudba ".repeat(8) });
+  const ics = buildIcs({ tenant, events: [e] });
+
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics));
+  ics.split("\r\n").forEach((l) => assert.ok(Buffer.byteLength(l, "utf8") <= 75, l));
+
+  const [lines] = vevents(ics);
+  assert.deepEqual(prop(lines, "UID"), [`UID:${eventUid(e.url, "www.obec-radim.cz")}`]);
+  assert.match(eventUid(e.url, "www.obec-radim.cz"), /^[0-9a-f]{16}@www\.obec-radim\.cz$/);
+  assert.deepEqual(prop(lines, "SUMMARY"), ["SUMMARY:Ples\\; hasiči\\, SDH"]);
+  assert.ok(prop(lines, "DESCRIPTION")[0].endsWith("\\n\\nhttps://www.obec-radim.cz/kalendar/1"));
+});
+
+test("funkce events: ICS i JSON, filtr from/to, chyby", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "events-"));
+  const file = path.join(dir, "live_radim.json");
+  process.env.LIVE_JSON_PATH = file;
+  t.after(() => {
+    delete process.env.LIVE_JSON_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      schema_version: 1,
+      generated_at: "2026-03-01T05:00:00.000Z",
+      sections: {
+        kalendar: {
+          url: "https://www.obec-radim.cz/kalendar/",
+          items: [event(1, { start: "2026-03-14", all_day: true }), event(2, { start: "2026-04-04T19:00", all_day: false })],
+        },
+      },
+    })
+  );
+
+  const { default: handler } = await import("../netlify/functions/events.mjs");
+  const get = (url, headers = {}) => handler(new Request(`http://localhost${url}`, { headers }));
+
+  const ics = await get("/kalendar.ics?obec=radim");
+  assert.equal(ics.status, 200);
+  assert.equal(ics.headers.get("content-type"), "text/calendar; charset=utf-8");
+  assert.match(ics.headers.get("content-disposition"), /kalendar_radim\.ics/);
+  const body = await ics.text();
+  assert.match(body, /DTSTART;VALUE=DATE:20260314\r\nDTEND;VALUE=DATE:20260315\r\n/);
+  assert.match(body, /DTSTART;TZID=Europe\/Prague:20260404T190000\r\nDURATION:PT1H\r\n/);
+  assert.match(await (await get("/api/events?obec=radim", { accept: "text/calendar" })).text(), /^BEGIN:VCALENDAR/);
+
+  const json = await get("/api/events?obec=radim&from=2026-04-01");
+  assert.equal(json.status, 200);
+  const data = await json.json();
+  assert.equal(data.count, 1);
+  assert.equal(data.events[0].start, "2026-04-04T19:00");
+  assert.equal(data.events[0].start_utc, "2026-04-04T17:00:00.000Z");
+  assert.equal(data.events[0].id, eventUid(event(2).url, "www.obec-radim.cz"));
+
+  assert.equal((await get("/api/events?obec=radim&from=1.4.2026")).status, 400);
+  assert.equal((await get("/api/events?obec=neexistuje")).status, 404);
+  assert.equal((await handler(new Request("http://localhost/api/events?obec=radim", { method: "POST" }))).status, 405);
+});
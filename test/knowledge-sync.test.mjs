@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { findOrphans, otherTenantsFileIds, planSync } from "../lib/knowledge-sync.mjs";
+
+const radim = getTenant("radim");
+const chomutice = getTenant("chomutice");
+
+const local = (name, sha256) => ({ name, sha256 });
+const entry = (file_id, sha256) => ({ file_id, sha256 });
+const remote = (...files) => new Map(files.map(([id, status = "completed"]) => [id, { id, status }]));
+const actions = (plan) => plan.map((p) => [p.action, p.name, p.reason]);
+
+test("plán: změněný hash → replace, beze změny → keep", () => {
+  const plan = planSync(
+    [local("20_odpady.md", "new"), local("21_hodiny.md", "same")],
+    { "20_odpady.md": entry("file-1", "old"), "21_hodiny.md": entry("file-2", "same") },
+    remote(["file-1"], ["file-2"])
+  );
+  assert.deepEqual(actions(plan), [
+    ["replace", "20_odpady.md", "změněný obsah"],
+    ["keep", "21_hodiny.md", undefined],
+  ]);
+  assert.equal(plan[0].entry.file_id, "file-1");
+});
+
+test("plán: nový soubor i soubor chybějící ve vector store → add, neúplná indexace → replace", () => {
+  const plan = planSync(
+    [local("20_novy.md", "a"), local("21_zmizel.md", "b"), local("22_failed.md", "c")],
+    { "21_zmizel.md": entry("file-gone", "b"), "22_failed.md": entry("file-3", "c") },
+    remote(["file-3", "failed"])
+  );
+  assert.deepEqual(actions(plan), [
+    ["add", "20_novy.md", "nový soubor"],
+    ["add", "21_zmizel.md", "chybí ve vector store"],
+    ["replace", "22_failed.md", "status failed"],
+  ]);
+});
+
+test("plán: smazaný z repa → remove", () => {
+  const plan = planSync([], { "20_stary.md": entry("file-1", "a") }, remote(["file-1"]));
+  assert.deepEqual(actions(plan), [["remove", "20_stary.md", "smazán z repa"]]);
+  assert.equal(plan[0].entry.file_id, "file-1");
+});
+
+test("sirotci ve sdíleném vector store: bez souborů z manifestu jiné obce a bez LIVE", async () => {
+  const env = { VECTOR_STORE_ID_RADIM: "vs_shared", VECTOR_STORE_ID_CHOMUTICE: "vs_shared" };
+  const manifests = {
+    chomutice: { vector_store_id: "vs_shared", files: { "20_obec.md": entry("file-chom", "x") } },
+  };
+  const otherIds = otherTenantsFileIds(radim, "vs_shared", { readManifest: (t) => manifests[t.slug] || null, env });
+  assert.deepEqual([...otherIds], ["file-chom"]);
+  // manifest jiného vector store se nepočítá
+  assert.equal(otherTenantsFileIds(radim, "vs_jiny", { readManifest: (t) => manifests[t.slug] || null, env }).size, 0);
+
+  const names = {
+    "file-own": "20_hodiny.md",
+    "file-chom": "20_obec.md",
+    "file-live": "10_LIVE_obec_radim.txt",
+    "file-live-chom": chomutice.liveFile,
+    "file-other": "30_cizi.md",
+    "file-orphan": "99_zapomenuty.md",
+  };
+  const openai = { pickFilename: async (f) => names[f.id] || "" };
+  const remoteFiles = [
+    { id: "file-own", attributes: { obec: "radim", kind: "knowledge" } },
+    { id: "file-chom" },
+    { id: "file-live", attributes: { obec: "radim", kind: "live" } },
+    { id: "file-live-chom" },
+    { id: "file-other", attributes: { obec: "chomutice", kind: "knowledge" } },
+    { id: "file-orphan" },
+  ];
+
+  const orphans = await findOrphans(remoteFiles, { "20_hodiny.md": entry("file-own", "a") }, { tenant: radim, openai, otherIds });
+  assert.deepEqual(orphans, [{ fileId: "file-orphan", name: "99_zapomenuty.md" }]);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffLive, formatLiveDiff, liveFingerprint, liveTextHash } from "../lib/live-diff.mjs";
+
+const BASE = "https://www.obec-chomutice.cz";
+
+function live({ generatedAt = "2026-01-20T03:00:00.000Z", aktuality = [], kalendar = [] } = {}) {
+  return {
+    schema_version: 1,
+    generated_at: generatedAt,
+    sections: {
+      notices: { status: "ok", items: [{ text: "Obecní úřad bude uzavřen." }] },
+      aktuality: { status: "ok", last_ok_at: generatedAt, items: aktuality },
+      rozhlas: { status: "empty", items: [] },
+      kalendar: { status: "ok", items: kalendar },
+    },
+  };
+}
+
+const brusleni = { title: "Večerní bruslení", date: "5. 1. 2026", perex: "od 16:30", url: `${BASE}/aktuality-1/vecerni-brusleni-839cs.html` };
+const ohnostroj = { title: "Novoroční ohňostroj", date: "22. 12. 2025", perex: "v 17 hodin", url: `${BASE}/aktuality-1/novorocni-ohnostroj-837cs.html` };
+const karneval = {
+  title: "Karneval",
+  date: "",
+  perex: "sobota 14. února 2026",
+  url: `${BASE}/kalendar-akci/karneval-843_113cs.html`,
+  event: { start: "2026-02-14T14:30", end: null, all_day: false, status: "upcoming" },
+};
+
+test("hash nezávisí na časech vygenerování ani na pořadí položek", () => {
+  const a = liveFingerprint(live({ aktuality: [brusleni, ohnostroj], kalendar: [karneval] }));
+  const b = liveFingerprint(
+    live({ generatedAt: "2026-01-21T03:00:00.000Z", aktuality: [ohnostroj, brusleni], kalendar: [karneval] })
+  );
+  assert.equal(a.hash, b.hash);
+});
+
+test("změna perexu nebo stavu akce mění hash", () => {
+  const base = liveFingerprint(live({ aktuality: [brusleni], kalendar: [karneval] }));
+  const perex = liveFingerprint(live({ aktuality: [{ ...brusleni, perex: "zrušeno" }], kalendar: [karneval] }));
+  const past = liveFingerprint(
+    live({ aktuality: [brusleni], kalendar: [{ ...karneval, event: { ...karneval.event, status: "past" } }] })
+  );
+  assert.notEqual(base.hash, perex.hash);
+  assert.notEqual(base.hash, past.hash);
+});
+
+test("diff po položkách: přidané, odebrané, upravené", () => {
+  const prev = liveFingerprint(live({ aktuality: [brusleni, ohnostroj] }));
+  const cur = liveFingerprint(live({ aktuality: [{ ...brusleni, perex: "zrušeno" }], kalendar: [karneval] }));
+
+  assert.deepEqual(diffLive(prev.sections, cur.sections), {
+    aktuality: { added: [], removed: ["Novoroční ohňostroj"], edited: ["Večerní bruslení"] },
+    kalendar: { added: ["Karneval"], removed: [], edited: [] },
+  });
+  assert.deepEqual(diffLive(cur.sections, cur.sections), {});
+});
+
+test("formatLiveDiff: souhrn a položky", () => {
+  const lines = formatLiveDiff({ kalendar: { added: ["Karneval"], removed: [], edited: [] } });
+  assert.deepEqual(lines, ["Akce: +1 / -0 / ~0", "  + Karneval"]);
+});
+
+test("liveTextHash ignoruje řádek Vygenerováno", () => {
+  const text = (ts) => `OBEC CHOMUTICE – LIVE DATA\nVygenerováno: ${ts}\n\n=== AKTUALITY ===\n- Karneval\n`;
+  assert.equal(liveTextHash(text("2026-01-20T03:00:00Z")), liveTextHash(text("2026-01-21T03:00:00Z")));
+  assert.notEqual(liveTextHash(text("x")), liveTextHash(text("x").replace("Karneval", "Ples")));
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { openaiFiles } from "../lib/openai-files.mjs";
+import { findLiveFiles, LiveUploadError, swapLiveFile } from "../lib/live-upload.mjs";
+
+const quiet = () => {};
+const vectorStoreId = "vs_test";
+
+// falešný openaiFiles klient nad polem souborů ve vector store; `fail` = { attach, detach: Set(id), delete: Set(id) }
+function fakeOpenai(files, fail = {}) {
+  const calls = [];
+  const client = {
+    files,
+    async attachFile(vs, fileId, attributes) {
+      calls.push(["attach", fileId]);
+      if (fail.attach) throw new Error("Indexing failed: failed");
+      files.push({ id: fileId, attributes, status: "completed" });
+    },
+    async detachFile(vs, id) {
+      calls.push(["detach", id]);
+      if (fail.detach?.has(id)) throw new Error(`detach ${id} 500`);
+      client.files = files = files.filter((f) => f.id !== id);
+    },
+    async deleteFile(id) {
+      calls.push(["delete", id]);
+      if (fail.delete?.has(id)) throw new Error(`delete ${id} 500`);
+    },
+  };
+  return { client, calls };
+}
+
+const old = [
+  { deleteId: "file-old1", fileId: "file-old1", filename: "10_LIVE_obec_radim.txt" },
+  { deleteId: "file-old2", fileId: "file-old2", filename: "10_LIVE_obec_radim.txt" },
+];
+const vsFiles = () => old.map((f) => ({ id: f.fileId, attributes: { obec: "radim", kind: "live" }, status: "completed" }));
+const swap = (client, opts = {}) =>
+  swapLiveFile(client, { vectorStoreId, fileId: "file-new", attributes: { obec: "radim", kind: "live" }, oldFiles: old, log: quiet, ...opts });
+
+test("swap: nový soubor se zaindexuje, pak se smažou staré", async () => {
+  const { client, calls } = fakeOpenai(vsFiles());
+  assert.deepEqual(await swap(client), { status: "uploaded", file_id: "file-new", replaced: ["file-old1", "file-old2"] });
+  assert.deepEqual(calls.map((c) => c.join(" ")), ["attach file-new", "detach file-old1", "delete file-old1", "detach file-old2", "delete file-old2"]);
+  assert.deepEqual(client.files.map((f) => f.id), ["file-new"]);
+
+  // CLEANUP_OLD=0 → staré zůstanou
+  const keep = fakeOpenai(vsFiles());
+  assert.deepEqual((await swap(keep.client, { cleanup: false })).replaced, []);
+  assert.equal(keep.client.files.length, 3);
+});
+
+test("swap: selhání indexace → rollback nového souboru, staré nedotčené", async () => {
+  const { client, calls } = fakeOpenai(vsFiles(), { attach: true });
+  await assert.rejects(swap(client), (e) => e instanceof LiveUploadError && /rollback hotov.*file-old1, file-old2/.test(e.message) && !e.upload);
+  assert.deepEqual(calls.map((c) => c.join(" ")), ["attach file-new", "detach file-new", "delete file-new"]);
+  assert.deepEqual(client.files.map((f) => f.id), ["file-old1", "file-old2"]);
+});
+
+test("swap: jedno selhané smazání → cleanup_failed a chyba (nenulový exit), ostatní se smažou", async () => {
+  const { client } = fakeOpenai(vsFiles(), { detach: new Set(["file-old1"]) });
+  await assert.rejects(swap(client), (e) => {
+    assert.ok(e instanceof LiveUploadError);
+    assert.match(e.message, /1 starých se nepodařilo smazat: file-old1/);
+    assert.deepEqual(e.upload, { status: "uploaded", file_id: "file-new", replaced: ["file-old1", "file-old2"], cleanup_failed: ["file-old1"] });
+    return true;
+  });
+  assert.deepEqual(client.files.map((f) => f.id), ["file-old1", "file-new"]);
+
+  // selhané smazání z Files (po odebrání z vector store) cleanup nezastaví
+  const partial = fakeOpenai(vsFiles(), { delete: new Set(["file-old2"]) });
+  assert.deepEqual((await swap(partial.client)).replaced, ["file-old1", "file-old2"]);
+});
+
+test("findLiveFiles: všechny stránky vector store, jen LIVE soubory obce", async (t) => {
+  const pages = [
+    { data: [{ id: "file-a", attributes: { obec: "radim", kind: "live" } }, { id: "file-b", attributes: { obec: "radim", kind: "knowledge" } }], has_more: true, last_id: "file-b" },
+    { data: [{ id: "file-c", attributes: { obec: "chomutice", kind: "live" } }, { id: "file-d" }], has_more: true, last_id: "file-d" },
+    { data: [{ id: "file-e", attributes: { obec: "radim", content_hash: "x" } }], has_more: false },
+  ];
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    const u = new URL(url);
+    requests.push(u.pathname + u.search);
+    if (u.pathname === "/v1/files/file-d") return Response.json({ id: "file-d", filename: "10_LIVE_obec_radim.txt" });
+    if (u.pathname === `/v1/vector_stores/${vectorStoreId}/files`) {
+      return Response.json(pages[{ "": 0, "file-b": 1, "file-d": 2 }[u.searchParams.get("after") || ""]]);
+    }
+    return new Response("not found", { status: 404 });
+  });
+
+  const openai = openaiFiles({ apiKey: "sk-test", baseUrl: "https://api.openai.com" });
+  const found = await findLiveFiles(openai, { vectorStoreId, obec: "radim", liveFilename: "10_LIVE_obec_radim.txt" });
+  assert.deepEqual(found.map((f) => f.deleteId), ["file-a", "file-d", "file-e"]);
+  assert.equal(requests.filter((r) => r.includes("/vector_stores/")).length, 3);
+  assert.ok(requests.includes(`/v1/vector_stores/${vectorStoreId}/files?limit=100&after=file-d`));
+});
@@ -0,0 +1,413 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { normalizeBaseUrl } from "../lib/openai-api.mjs";
+import { createProvider, llmConfig, streamAnswer, LLMError } from "../lib/llm.mjs";
+import { parseSSE, sseEvent } from "../lib/sse.mjs";
+
+const tenant = getTenant("radim");
+
+const context = [
+  {
+    id: "web-urad-1",
+    score: 3.2,
+    source: "Web obce Radim – /urad/",
+    url: "https://www.obec-radim.cz/urad/",
+    text: "Úřední hodiny: středa 16:00–19:00.",
+  },
+  {
+    id: "web-urad-2",
+    score: 1.1,
+    source: "Web obce Radim – /urad/",
+    url: "https://www.obec-radim.cz/urad/",
+    text: "Starosta přijímá občany po domluvě.",
+  },
+];
+const retrieve = () => context;
+
+async function collect(events) {
+  const out = [];
+  for await (const ev of events) out.push(ev);
+  return out;
+}
+
+function sseBody(events) {
+  return new Response(events.map(([event, data]) => (event ? sseEvent(event, data) : `data: ${data}\n\n`)).join(""), {
+    status: 200,
+    headers: { "Content-Type": "text/event-stream" },
+  });
+}
+
+// OpenAI Assistants v2 se streamovaným runem; `runEvents` = SSE události runu
+function mockAssistants(t, runEvents, submitEvents = []) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init = {}) => {
+    const path = new URL(url).pathname;
+    calls.push({ method: init.method || "GET", path, body: init.body ? JSON.parse(init.body) : null });
+
+    if (path === "/v1/threads") return Response.json({ id: "thread_abc" });
+    if (path.endsWith("/messages")) return Response.json({ id: "msg_1" });
+    if (path.endsWith("/runs")) return sseBody(runEvents);
+    if (path.endsWith("/submit_tool_outputs")) return sseBody(submitEvents);
+    if (path.endsWith("/cancel")) return Response.json({ id: "run_1", status: "cancelling" });
+    if (path.startsWith("/v1/files/")) return Response.json({ id: path.split("/").pop(), filename: "00_CORE_obec_radim.md" });
+    return new Response("not found", { status: 404 });
+  });
+  return calls;
+}
+
+const assistantsEnv = { OPENAI_API_KEY: "sk-test", ASSISTANT_ID_RADIM: "asst_test" };
+const delta = (value) => ["thread.message.delta", { delta: { content: [{ type: "text", text: { value } }] } }];
+
+test("normalizeBaseUrl: /v1 i koncové lomítko se odstraní", () => {
+  assert.equal(normalizeBaseUrl("http://localhost:11434/v1/"), "http://localhost:11434");
+  assert.equal(normalizeBaseUrl(""), "https://api.openai.com");
+});
+
+test("llmConfig: env pro obec > tenant.llm > LLM_PROVIDER > assistants", () => {
+  assert.equal(llmConfig(tenant, {}).provider, "assistants");
+  assert.equal(llmConfig(tenant, { LLM_PROVIDER: "chat" }).provider, "chat");
+  assert.equal(llmConfig({ ...tenant, llm: { provider: "mock" } }, { LLM_PROVIDER: "chat" }).provider, "mock");
+  assert.equal(llmConfig(tenant, { LLM_PROVIDER: "chat", LLM_PROVIDER_RADIM: "Mock" }).provider, "mock");
+  assert.equal(llmConfig(tenant, { OPENAI_BASE_URL: "http://localhost:11434/v1" }).selfHosted, true);
+  assert.equal(llmConfig(tenant, { OPENAI_BASE_URL: "https://api.openai.com/v1" }).selfHosted, false);
+});
+
+test("createProvider: neznámý provider / chybějící klíč → LLMError", () => {
+  assert.throws(() => createProvider(tenant, { env: { LLM_PROVIDER: "gpt5" } }), LLMError);
+  assert.throws(() => createProvider(tenant, { env: { LLM_PROVIDER: "chat" } }), /OPENAI_API_KEY/);
+  // self-hosted server klíč nepotřebuje
+  assert.equal(createProvider(tenant, { env: { LLM_PROVIDER: "chat", OPENAI_BASE_URL: "http://localhost:8000" } }).name, "chat");
+});
+
+test("mock provider je deterministický a vrací zdroje bez duplicit", async () => {
+  const provider = createProvider(tenant, { env: { LLM_PROVIDER: "mock" }, retrieve });
+  const a = await provider.answer({ message: "Kdy má úřad otevřeno?" });
+  const b = await provider.answer({ message: "Kdy má úřad otevřeno?" });
+
+  assert.equal(provider.name, "mock");
+  assert.deepEqual(a, b);
+  assert.match(a.answer, /středa 16:00–19:00\.\[1\]$/);
+  assert.match(a.threadId, /^mock_/);
+  assert.deepEqual(a.sources, [{ n: 1, title: "Web obce Radim – /urad/", url: "https://www.obec-radim.cz/urad/" }]);
+
+  const next = await provider.answer({ message: "A v pátek?", threadId: a.threadId });
+  assert.equal(next.threadId, a.threadId);
+});
+
+test("chat provider: OpenAI-kompatibilní base URL + lokální kontext v system zprávě", async (t) => {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    calls.push({ url: String(url), init });
+    return new Response(JSON.stringify({
+        choices: [{ message: { content: " Ve středu 16–19 h. " } }],
+        usage: { prompt_tokens: 120, completion_tokens: 8 },
+      }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  });
+
+  const provider = createProvider(tenant, {
+    env: { LLM_PROVIDER: "chat", OPENAI_BASE_URL: "http://localhost:11434/v1", LLM_MODEL: "llama3.1" },
+    retrieve,
+  });
+  const out = await provider.answer({ message: "Kdy má úřad otevřeno?", instructions: "Dnes je středa." });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "http://localhost:11434/v1/chat/completions");
+  assert.equal(calls[0].init.headers.Authorization, undefined);
+
+  const sent = JSON.parse(calls[0].init.body);
+  assert.equal(sent.model, "llama3.1");
+  assert.match(sent.messages[0].content, /^Dnes je středa\./);
+  assert.match(sent.messages[0].content, /\[1\] Web obce Radim – \/urad\/ – https:\/\/www\.obec-radim\.cz\/urad\/\nÚřední hodiny/);
+  assert.deepEqual(sent.messages[1], { role: "user", content: "Kdy má úřad otevřeno?" });
+
+  assert.deepEqual(out, {
+    answer: "Ve středu 16–19 h.",
+    threadId: null,
+    sources: [{ n: 1, title: "Web obce Radim – /urad/", url: "https://www.obec-radim.cz/urad/" }],
+    usage: { prompt_tokens: 120, completion_tokens: 8 },
+  });
+  assert.equal(sent.stream_options, undefined);
+});
+
+test("chat provider: chyba serveru se propíše", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => new Response("model not found", { status: 404 }));
+  const provider = createProvider(tenant, { env: { LLM_PROVIDER: "chat", OPENAI_API_KEY: "sk-test" }, retrieve });
+  await assert.rejects(provider.answer({ message: "Kdy má úřad otevřeno?", instructions: "" }), /404/);
+});
+
+test("assistants stream: delty bez markerů citací, done s odkazy [n] a zdroji", async (t) => {
+  const value = "Úřad má otevřeno ve středu【4:0†zdroj.txt】 od 16 h.";
+  const start = value.indexOf("【");
+  const calls = mockAssistants(t, [
+    ["thread.run.created", { id: "run_1", status: "queued" }],
+    delta("Úřad má otevřeno ve středu"),
+    delta("【4:0"),
+    delta("†zdroj.txt】 od 16 h."),
+    [
+      "thread.message.completed",
+      {
+        role: "assistant",
+        content: [
+          {
+            type: "text",
+            text: {
+              value,
+              annotations: [
+                { type: "file_citation", text: "【4:0†zdroj.txt】", start_index: start, end_index: value.indexOf("】") + 1, file_citation: { file_id: "file-core" } },
+              ],
+            },
+          },
+        ],
+      },
+    ],
+    ["thread.run.completed", { id: "run_1", status: "completed", usage: { prompt_tokens: 900, completion_tokens: 40 } }],
+    ["done", "[DONE]"],
+  ]);
+
+  const provider = createProvider(tenant, { env: assistantsEnv });
+  const events = await collect(streamAnswer(provider, { message: "Kdy má úřad otevřeno?", instructions: "Dnes je středa." }));
+  const text = events.filter((e) => e.type === "delta").map((e) => e.text).join("");
+
+  assert.deepEqual(events[0], { type: "thread", threadId: "thread_abc" });
+  assert.equal(text, "Úřad má otevřeno ve středu od 16 h.");
+  assert.deepEqual(events.at(-1), {
+    type: "done",
+    answer: "Úřad má otevřeno ve středu[1] od 16 h.",
+    threadId: "thread_abc",
+    sources: [{ n: 1, title: "00 CORE obec radim", url: tenant.base, file: "00_CORE_obec_radim.md" }],
+    usage: { prompt_tokens: 900, completion_tokens: 40 },
+  });
+
+  const run = calls.find((c) => c.path.endsWith("/runs"));
+  assert.equal(run.body.stream, true);
+  assert.equal(run.body.assistant_id, "asst_test");
+  assert.ok(!calls.some((c) => c.path.endsWith("/cancel")));
+});
+
+test("assistants stream: selhaný run → LLMError a zrušení runu", async (t) => {
+  const calls = mockAssistants(t, [
+    ["thread.run.created", { id: "run_1", status: "queued" }],
+    delta("Úřad"),
+    ["thread.run.requires_action", { id: "run_1", status: "requires_action" }],
+  ]);
+
+  const provider = createProvider(tenant, { env: assistantsEnv });
+  await assert.rejects(
+    collect(provider.stream({ message: "Kdy má úřad otevřeno?", threadId: "thread_old", instructions: "" })),
+    (err) => err instanceof LLMError && err.status === 501
+  );
+
+  assert.ok(!calls.some((c) => c.path === "/v1/threads"), "existující thread se znovu nezakládá");
+  assert.ok(calls.some((c) => c.method === "POST" && c.path === "/v1/threads/thread_old/runs/run_1/cancel"));
+});
+
+test("assistants stream: konzument skončí uprostřed streamu (odchod klienta) → zrušení runu", async (t) => {
+  const calls = mockAssistants(t, [["thread.run.created", { id: "run_1", status: "queued" }], delta("Úřad"), delta(" má")]);
+
+  const provider = createProvider(tenant, { env: assistantsEnv });
+  for await (const ev of provider.stream({ message: "Kdy má úřad otevřeno?", instructions: "" })) {
+    if (ev.type === "delta") break;
+  }
+  assert.ok(calls.some((c) => c.method === "POST" && c.path === "/v1/threads/thread_abc/runs/run_1/cancel"));
+});
+
+const requiresAction = (calls) => [
+  "thread.run.requires_action",
+  {
+    id: "run_1",
+    status: "requires_action",
+    required_action: {
+      type: "submit_tool_outputs",
+      submit_tool_outputs: {
+        tool_calls: calls.map(([name, args], i) => ({ id: `call_${i}`, type: "function", function: { name, arguments: JSON.stringify(args) } })),
+      },
+    },
+  },
+];
+
+test("assistants stream: requires_action → lokální nástroje → submit_tool_outputs → odpověď", async (t) => {
+  const calls = mockAssistants(
+    t,
+    [["thread.run.created", { id: "run_1", status: "queued" }], requiresAction([["get_contacts", {}], ["get_latest_broadcasts", { n: 500 }]])],
+    [delta("Datová schránka je szfj9sk."), ["thread.run.completed", { id: "run_1", status: "completed" }], ["done", "[DONE]"]]
+  );
+
+  const provider = createProvider(tenant, { env: assistantsEnv });
+  const events = await collect(provider.stream({ message: "Jaká je datovka obce?", instructions: "Dnes je pondělí." }));
+  assert.equal(events.at(-1).answer, "Datová schránka je szfj9sk.");
+
+  const run = calls.find((c) => c.path.endsWith("/runs"));
+  assert.ok(run.body.tools.some((tool) => tool.type === "file_search"));
+  assert.ok(run.body.tools.some((tool) => tool.function?.name === "get_upcoming_events"));
+
+  const submit = calls.find((c) => c.path === "/v1/threads/thread_abc/runs/run_1/submit_tool_outputs");
+  assert.equal(submit.body.stream, true);
+  assert.deepEqual(submit.body.tool_outputs.map((o) => o.tool_call_id), ["call_0", "call_1"]);
+  assert.match(JSON.parse(submit.body.tool_outputs[0].output).contacts[0].text, /szfj9sk/);
+  // neplatné argumenty → chyba jako výstup nástroje, run pokračuje
+  assert.match(JSON.parse(submit.body.tool_outputs[1].output).error, /maximum 20/);
+});
+
+test("assistants stream: víc kol nástrojů než MAX_TOOL_ROUNDS → chyba a zrušení runu", async (t) => {
+  const loop = requiresAction([["get_office_notices", {}]]);
+  const calls = mockAssistants(t, [["thread.run.created", { id: "run_1", status: "queued" }], loop], [loop]);
+
+  const provider = createProvider(tenant, { env: assistantsEnv });
+  await assert.rejects(
+    collect(provider.stream({ message: "Nějaká upozornění?", instructions: "" })),
+    (err) => err instanceof LLMError && /Too many tool call rounds/.test(err.message)
+  );
+  assert.equal(calls.filter((c) => c.path.endsWith("/submit_tool_outputs")).length, 3);
+  assert.ok(calls.some((c) => c.path.endsWith("/runs/run_1/cancel")));
+});
+
+test("assistants answer (polling): nástroje se odešlou a run se dopolluje", async (t) => {
+  const runs = [
+    { id: "run_1", status: "in_progress" },
+    requiresAction([["get_contacts", {}]])[1],
+    { id: "run_1", status: "completed" },
+  ];
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init = {}) => {
+    const path = new URL(url).pathname;
+    calls.push({ method: init.method || "GET", path, body: init.body ? JSON.parse(init.body) : null });
+
+    if (path === "/v1/threads") return Response.json({ id: "thread_abc" });
+    if (path.endsWith("/runs")) return Response.json({ id: "run_1", status: "queued" });
+    if (path.endsWith("/runs/run_1")) return Response.json(runs.shift());
+    if (path.endsWith("/submit_tool_outputs")) return Response.json({ id: "run_1", status: "queued" });
+    if (path.endsWith("/messages") && init.method === "POST") return Response.json({ id: "msg_1" });
+    if (path.endsWith("/messages")) {
+      return Response.json({ data: [{ role: "assistant", content: [{ type: "text", text: { value: "Tel. 731 409 498.", annotations: [] } }] }] });
+    }
+    return new Response("not found", { status: 404 });
+  });
+
+  const provider = createProvider(tenant, { env: assistantsEnv, pollMs: 0 });
+  const out = await provider.answer({ message: "Jaký je telefon na úřad?", instructions: "" });
+
+  assert.equal(out.answer, "Tel. 731 409 498.");
+  const submit = calls.find((c) => c.path.endsWith("/submit_tool_outputs"));
+  assert.equal(submit.body.tool_outputs[0].tool_call_id, "call_0");
+  assert.equal(submit.body.stream, undefined);
+});
+
+// polling: run zůstává ve stavu `runStatus` (nebo jednou vrátí `runStatus` a skončí)
+function mockPolling(t, runStatus) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init = {}) => {
+    const path = new URL(url).pathname;
+    calls.push({ method: init.method || "GET", path });
+
+    if (path === "/v1/threads") return Response.json({ id: "thread_abc" });
+    if (path.endsWith("/messages")) return Response.json({ id: "msg_1" });
+    if (path.endsWith("/runs")) return Response.json({ id: "run_1", status: "queued" });
+    if (path.endsWith("/runs/run_1")) return Response.json({ id: "run_1", status: runStatus });
+    if (path.endsWith("/cancel")) return Response.json({ id: "run_1", status: "cancelling" });
+    return new Response("not found", { status: 404 });
+  });
+  return calls;
+}
+
+test("assistants answer (polling): timeout → 504 a zrušení runu (thread se neuzamkne)", async (t) => {
+  const calls = mockPolling(t, "in_progress");
+
+  const provider = createProvider(tenant, { env: assistantsEnv, pollMs: 0, timeoutMs: 5 });
+  await assert.rejects(provider.answer({ message: "Kdy má úřad otevřeno?", instructions: "" }), (err) => err.status === 504);
+  assert.ok(calls.some((c) => c.method === "POST" && c.path === "/v1/threads/thread_abc/runs/run_1/cancel"));
+});
+
+test("assistants answer (polling): neúspěšný run → LLMError a zrušení runu", async (t) => {
+  const calls = mockPolling(t, "incomplete");
+
+  const provider = createProvider(tenant, { env: assistantsEnv, pollMs: 0 });
+  await assert.rejects(
+    provider.answer({ message: "Kdy má úřad otevřeno?", instructions: "" }),
+    (err) => err instanceof LLMError && err.details === "incomplete"
+  );
+  assert.ok(calls.some((c) => c.path === "/v1/threads/thread_abc/runs/run_1/cancel"));
+});
+
+test("LLM_TOOLS=0: run bez vlastních nástrojů, requires_action → 501", async (t) => {
+  const calls = mockAssistants(t, [["thread.run.created", { id: "run_1", status: "queued" }], requiresAction([["get_contacts", {}]])]);
+
+  const provider = createProvider(tenant, { env: { ...assistantsEnv, LLM_TOOLS: "0" } });
+  await assert.rejects(collect(provider.stream({ message: "Kontakty?", instructions: "" })), (err) => err.status === 501);
+  assert.equal(calls.find((c) => c.path.endsWith("/runs")).body.tools, undefined);
+});
+
+test("chat stream: delty z chat completions + zdroje v done", async (t) => {
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    assert.equal(JSON.parse(init.body).stream, true);
+    return sseBody([
+      [null, JSON.stringify({ choices: [{ delta: { role: "assistant" } }] })],
+      [null, JSON.stringify({ choices: [{ delta: { content: "Ve středu " } }] })],
+      [null, JSON.stringify({ choices: [{ delta: { content: "16–19 h." } }] })],
+      [null, "[DONE]"],
+    ]);
+  });
+
+  const provider = createProvider(tenant, { env: { LLM_PROVIDER: "chat", OPENAI_BASE_URL: "http://localhost:8000" }, retrieve });
+  const events = await collect(provider.stream({ message: "Kdy má úřad otevřeno?", instructions: "" }));
+
+  assert.deepEqual(events.map((e) => e.type), ["delta", "delta", "done"]);
+  assert.equal(events.at(-1).answer, "Ve středu 16–19 h.");
+  assert.equal(events.at(-1).sources.length, 1);
+});
+
+test("search: streamování přes SSE končí událostí done se stejným tělem jako JSON", async (t) => {
+  process.env.LLM_PROVIDER = "mock";
+  t.after(() => delete process.env.LLM_PROVIDER);
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const request = (headers) =>
+    new Request("http://localhost/api/search", {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ obec: "radim", message: "Jaké jsou regulativy zástavby v plochách výroby?" }),
+    });
+
+  const res = await handler(request({ accept: "text/event-stream" }));
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = await collect(parseSSE(res.body));
+  const names = events.map((e) => e.event);
+  assert.equal(names[0], "start");
+  assert.equal(names.at(-1), "done");
+  assert.ok(names.includes("delta"));
+
+  const text = events.filter((e) => e.event === "delta").map((e) => JSON.parse(e.data).text).join("");
+  const done = JSON.parse(events.at(-1).data);
+  assert.equal(done.answer, text);
+
+  const json = await (await handler(request({}))).json();
+  assert.deepEqual(done, json);
+});
+
+test("search: celý flow offline přes mock provider", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => {
+    throw new Error("síť se v testu nesmí volat");
+  });
+  process.env.LLM_PROVIDER = "mock";
+  t.after(() => delete process.env.LLM_PROVIDER);
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const res = await handler(
+    new Request("http://localhost/api/search", {
+      method: "POST",
+      body: JSON.stringify({ obec: "radim", message: "Jaké jsou regulativy zástavby v plochách výroby?" }),
+    })
+  );
+  const json = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(json.ok, true);
+  assert.equal(json.provider, "mock");
+  assert.equal(json.obec, "radim");
+  assert.match(json.thread_id, /^mock_/);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import vm from "vm";
+
+// public/markdown.js je klasický skript pro prohlížeč → spustit ve vlastním kontextu
+const ctx = {};
+vm.runInNewContext(fs.readFileSync(new URL("../public/markdown.js", import.meta.url), "utf8"), ctx);
+const { render } = ctx.ObecMarkdown;
+
+const TAGS = new Set(["p", "br", "h4", "h5", "strong", "em", "del", "code", "pre", "ul", "ol", "li", "blockquote", "hr", "table", "thead", "tbody", "tr", "th", "td", "a", "sup"]);
+const ATTRS = new Set(["href", "target", "rel", "style", "start", "class", "title"]);
+
+// každá značka z allowlistu, atributy jen povolené, odkazy jen http(s)/mailto/tel
+function assertSafe(html) {
+  for (const [, tag, attrs] of html.matchAll(/<\/?([a-zA-Z0-9]+)([^>]*)>/g)) {
+    assert.ok(TAGS.has(tag.toLowerCase()), `značka <${tag}> v ${html}`);
+    for (const [, name, value] of attrs.matchAll(/\s([^\s=]+)="([^"]*)"/g)) {
+      assert.ok(ATTRS.has(name), `atribut ${name} v ${html}`);
+      if (name === "href") assert.match(value, /^(https?:\/\/|mailto:|tel:)/i);
+      if (name === "style") assert.match(value, /^text-align:(left|center|right)$/);
+    }
+    assert.equal(attrs.replace(/\s[^\s=]+="[^"]*"/g, "").trim(), "", `neočekávaný obsah značky v ${html}`);
+  }
+}
+
+test("nadpisy, zvýraznění, odstavce a řádky", () => {
+  assert.equal(
+    render("## Úřední hodiny\n**Pondělí** 8–12 h\n*Středa* 16–19 h\n\nDalší ~~řádek~~ `kód`"),
+    "<h4>Úřední hodiny</h4><p><strong>Pondělí</strong> 8–12 h<br><em>Středa</em> 16–19 h</p><p>Další <del>řádek</del> <code>kód</code></p>"
+  );
+  assert.equal(render("snake_case_name a 2*3*4"), "<p>snake_case_name a 2*3*4</p>");
+});
+
+test("seznamy: odrážky, vnořené, číslované kroky", () => {
+  assert.equal(
+    render("- jedna\n- dva\n  - vnořená\n- tři\n\n1. krok\n2. krok"),
+    "<ul><li>jedna</li><li>dva<ul><li>vnořená</li></ul></li><li>tři</li></ul><ol><li>krok</li><li>krok</li></ol>"
+  );
+  assert.equal(render("3) třetí\n4) čtvrtý"), '<ol start="3"><li>třetí</li><li>čtvrtý</li></ol>');
+});
+
+test("tabulka se zarovnáním", () => {
+  const html = render("| Den | Hodiny |\n|---|---:|\n| Po | 8–12 |\n| St | **16–19** |");
+  assert.equal(
+    html,
+    '<table><thead><tr><th>Den</th><th style="text-align:right">Hodiny</th></tr></thead>' +
+      '<tbody><tr><td>Po</td><td style="text-align:right">8–12</td></tr><tr><td>St</td><td style="text-align:right"><strong>16–19</strong></td></tr></tbody></table>'
+  );
+});
+
+test("odkazy, e-maily a telefonní čísla", () => {
+  const html = render("Volejte +420 581 234 567 nebo 777123456, pište na podatelna@obec-radim.cz, více [na webu](https://www.obec-radim.cz/urad/) nebo https://www.obec-radim.cz/?a=1&b=2.");
+  assert.match(html, /<a href="tel:\+420581234567">\+420 581 234 567<\/a>/);
+  assert.match(html, /<a href="tel:777123456">777 123 456<\/a>/);
+  assert.match(html, /<a href="mailto:podatelna@obec-radim\.cz">podatelna@obec-radim\.cz<\/a>/);
+  assert.match(html, /<a href="https:\/\/www\.obec-radim\.cz\/urad\/" target="_blank" rel="noopener noreferrer nofollow">na webu<\/a>/);
+  assert.match(html, /href="https:\/\/www\.obec-radim\.cz\/\?a=1&amp;b=2"/);
+  assert.match(html, /<\/a>\.<\/p>$/);
+  assertSafe(html);
+
+  // čísla, která nejsou telefon
+  assert.equal(render("účet 123456789/0100, IČO 00301345, č. j. 123-456-789"), "<p>účet 123456789/0100, IČO 00301345, č. j. 123-456-789</p>");
+});
+
+test("odkazy na zdroje [n] přes opts.ref", () => {
+  const ref = (n) => (n === 1 ? '<sup><a class="ref" href="https://www.obec-radim.cz/">[1]</a></sup>' : null);
+  assert.equal(render("Úřad [1] a [2].", { ref }), '<p>Úřad <sup><a class="ref" href="https://www.obec-radim.cz/">[1]</a></sup> a [2].</p>');
+});
+
+test("nepřátelský vstup: žádné surové HTML, skripty, handlery ani nebezpečná schémata", () => {
+  const hostile = [
+    "<script>alert(1)</script>",
+    '<img src=x onerror="alert(1)">',
+    "<svg/onload=alert(1)>",
+    "[klik](javascript:alert(1))",
+    "[klik](JaVaScRiPt:alert(1))",
+    "[klik](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)",
+    "[klik](vbscript:msgbox)",
+    '[x](https://a.cz"onmouseover="alert`1`)',
+    "[x](https://a.cz'onmouseover='alert`1`)",
+    '**<b onclick="x">tučně</b>**',
+    "[**x**](https://a.cz) [`<i>`](https://a.cz)",
+    "https://a.cz/<script>alert(1)</script>",
+    'https://a.cz/"><img src=x onerror=alert(1)>',
+    "mailto:x@y.cz?subject=<script>",
+    "| <b>a</b> | b |\n|---|---|\n| <img src=x onerror=alert(1)> | [x](javascript:1) |",
+    "- <iframe src=//evil.cz>\n  - [a](javascript:alert(1))",
+    "# <h1>nadpis</h1>\n> <blockquote onclick=x>",
+    "```\n</code></pre><script>alert(1)</script>\n```",
+    "\u0000 0 \u0000 [x](https://a.cz) \u00000\u0000",
+    "&lt;script&gt; &amp;#106;avascript:",
+  ];
+
+  for (const input of hostile) {
+    const html = render(input);
+    assertSafe(html);
+    assert.doesNotMatch(html, /<(script|img|svg|iframe|b|i|h1)\b/i, input);
+    assert.doesNotMatch(html, /href="(?!https?:|mailto:|tel:)/i, input);
+  }
+
+  assert.equal(render("[klik](javascript:alert(1))"), "<p>[klik](javascript:alert(1))</p>");
+  assert.equal(render("[klik](data:text/html,x)"), "<p>klik</p>");
+  // už escapovaný text se escapuje znovu, neodescapuje
+  assert.equal(render("&lt;script&gt;"), "<p>&amp;lt;script&amp;gt;</p>");
+});
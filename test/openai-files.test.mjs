@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { vectorFileKind } from "../lib/openai-files.mjs";
+
+// jeden sdílený vector store: LIVE + CORE obou obcí, starší soubory bez `kind`, bez atributů
+const files = [
+  { id: "live-new", filename: "10_LIVE_obec_radim.txt", attributes: { obec: "radim", kind: "live", content_hash: "a" } },
+  { id: "live-old", filename: "10_LIVE_obec_radim.txt", attributes: { obec: "radim", content_hash: "b" } },
+  { id: "core-new", filename: "20_uredni_hodiny.md", attributes: { obec: "radim", kind: "knowledge", source: "knowledge", sha256: "c" } },
+  { id: "core-old", filename: "21_odpady.md", attributes: { obec: "radim", source: "knowledge", sha256: "d" } },
+  { id: "other-live", filename: "10_LIVE_obec_chomutice.txt", attributes: { obec: "chomutice", kind: "live" } },
+  { id: "other-core", filename: "20_obec.md", attributes: { obec: "chomutice", kind: "knowledge", source: "knowledge" } },
+  { id: "bare-live", filename: "10_live_obec_radim.txt" },
+  { id: "bare", filename: "nahodny.pdf" },
+];
+
+const kind = (f) => vectorFileKind(f, { obec: "radim", filename: f.filename, liveFilename: "10_LIVE_obec_radim.txt" });
+
+test("vector store: LIVE uploader smaže jen LIVE soubory obce, nikdy CORE", () => {
+  // lib/live-upload.mjs findLiveFiles
+  assert.deepEqual(
+    files.filter((f) => kind(f) === "live").map((f) => f.id),
+    ["live-new", "live-old", "bare-live"]
+  );
+});
+
+test("vector store: sync-knowledge nepovažuje LIVE ani cizí soubory za sirotky", () => {
+  // lib/knowledge-sync.mjs findOrphans – kandidáti na sirotky (pak se ještě porovná s manifestem)
+  assert.deepEqual(
+    files.filter((f) => !["live", "other"].includes(kind(f))).map((f) => f.id),
+    ["core-new", "core-old", "bare"]
+  );
+  // obě klasifikace se nepřekrývají
+  assert.deepEqual(files.map(kind), ["live", "live", "knowledge", "knowledge", "other", "other", "live", null]);
+});
@@ -0,0 +1,238 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { createQaLogger, fileStore, memoryStore, normalizeQuestion, qaLogConfig, qaLogStore, qaStats, redact } from "../lib/qa-log.mjs";
+
+test("redakce: e-mail, telefon, rodné číslo, adresa, PSČ, jména", () => {
+  const q = redact(
+    "Dobrý den, jmenuji se Jan Novák, bydlím Hlavní 123, 783 21 Chomutice. Tel. +420 777 123 456, jan.novak@seznam.cz, RČ 850101/1234"
+  );
+  assert.equal(q, "Dobrý den, jmenuji se [jméno], bydlím [adresa], [PSČ] Chomutice. Tel. [telefon], [e-mail], RČ [rodné číslo]");
+
+  assert.equal(redact("Můžu mluvit s paní Dvořákovou?"), "Můžu mluvit s paní [jméno]?");
+  assert.equal(redact("Kdy je svoz na ulici Na Výsluní 12/3, č.p. 45?"), "Kdy je svoz na ulici [adresa], [adresa]?");
+  assert.equal(redact("Napište prosím Čeňku Šťastnému, RČ 8501011234"), "Napište prosím [jméno], RČ [rodné číslo]");
+
+  // běžné dotazy zůstanou (částky, roky, obyčejná slova po "jsem")
+  assert.equal(redact("Kolik stojí 500 Kč popelnice v roce 2026?"), "Kolik stojí 500 Kč popelnice v roce 2026?");
+  assert.equal(redact("Kdy otevírá Obecní úřad? jsem rád"), "Kdy otevírá Obecní úřad? jsem rád");
+});
+
+test("redakce: telefon po dvojicích, jména malými písmeny, čp bez teček, ulice malými písmeny", () => {
+  // dřív "telefon [PSČ] 34 56"
+  assert.equal(redact("telefon 607 12 34 56"), "telefon [telefon]");
+  assert.equal(redact("volejte +420 607 12 34 56"), "volejte [telefon]");
+  assert.equal(redact("volejte 607123456"), "volejte [telefon]");
+
+  assert.equal(redact("Jmenuji se jan novák a mám dotaz"), "Jmenuji se [jméno] a mám dotaz");
+  assert.equal(redact("dobrý den, jsem jana"), "dobrý den, jsem [jméno]");
+  assert.equal(redact("volala paní dvořáková"), "volala paní [jméno]");
+
+  assert.equal(redact("bydlím v čp 45"), "bydlím v [adresa]");
+  assert.equal(redact("svoz u č p 12?"), "svoz u [adresa]?");
+
+  assert.equal(redact("Bydlím na adrese nádražní 12"), "Bydlím na [adresa]");
+  assert.equal(redact("svoz v ulici u rybníka 5/2"), "svoz v ulici [adresa]");
+
+  // pořád beze změny
+  assert.equal(redact("Kolik stojí popelnice 120 l na rok 2026?"), "Kolik stojí popelnice 120 l na rok 2026?");
+  assert.equal(redact("Je pan starosta zítra na úřadě?"), "Je pan starosta zítra na úřadě?");
+});
+
+test("normalizace dotazu: jeden řádek, zkrácení", () => {
+  assert.equal(normalizeQuestion("  Kdy je\n\nsvoz?  "), "Kdy je svoz?");
+  const long = normalizeQuestion("slovo ".repeat(100));
+  assert.equal(long.length, 300);
+  assert.ok(long.endsWith("…"));
+});
+
+test("file store: soubor na obec a den, čtení od data, retence po dnech", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "qa-log-"));
+  try {
+    const store = fileStore({ dir });
+    store.append("radim", { at: "2026-03-01T10:00:00Z", question: "a" });
+    store.append("radim", { at: "2026-03-05T10:00:00Z", question: "b" });
+    store.append("chomutice", { at: "2026-03-05T10:00:00Z", question: "c" });
+    fs.appendFileSync(path.join(dir, "qa_radim_2026-03-05.jsonl"), "{poškozený\n");
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["qa_chomutice_2026-03-05.jsonl", "qa_radim_2026-03-01.jsonl", "qa_radim_2026-03-05.jsonl"]);
+    assert.deepEqual(store.read("radim").map((e) => e.question), ["a", "b"]);
+    assert.deepEqual(store.read("radim", { since: "2026-03-02T00:00:00Z" }).map((e) => e.question), ["b"]);
+
+    store.prune(new Date("2026-03-03T00:00:00Z"));
+    assert.deepEqual(store.read("radim").map((e) => e.question), ["b"]);
+    assert.deepEqual(fileStore({ dir: path.join(dir, "missing") }).read("radim"), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("serverless bez QA_LOG_DIR: log v tmpdir s varováním, store jen v instanci", (t) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qa-tmp-"));
+  const env = { TMPDIR: tmp, NETLIFY: "true" };
+  Object.assign(process.env, env);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  t.after(() => {
+    console.warn = warn;
+    Object.keys(env).forEach((k) => delete process.env[k]);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  const cfg = qaLogConfig({ NETLIFY: "true" });
+  assert.equal(cfg.dir, path.join(tmp, "qa-log"));
+  assert.equal(cfg.instanceLocal, true);
+  assert.equal(warnings.length, 1);
+  qaLogConfig({ NETLIFY: "true" });
+  assert.equal(warnings.length, 1, "varování jen jednou");
+
+  qaLogStore({ NETLIFY: "true" }).append("radim", { at: "2026-03-01T10:00:00Z", question: "a" });
+  assert.deepEqual(fs.readdirSync(path.join(tmp, "qa-log")), ["qa_radim_2026-03-01.jsonl"]);
+
+  assert.equal(qaLogConfig({ NETLIFY: "true", QA_LOG_DIR: "/mnt/qa" }).dir, "/mnt/qa");
+  assert.equal(qaLogConfig({}).instanceLocal, false);
+  assert.equal(qaLogConfig({ QA_LOG_STORE: "memory" }).instanceLocal, true);
+});
+
+test("logger: opt-in, redakce před uložením, retence", async () => {
+  assert.equal(createQaLogger({ env: {} }), null);
+  assert.equal(createQaLogger({ env: { QA_LOG: "0" } }), null);
+
+  const store = memoryStore();
+  store.append("radim", { at: "2026-01-01T10:00:00.000Z", question: "starý" });
+  let now = new Date("2026-03-01T10:00:00Z");
+  const log = createQaLogger({ env: { QA_LOG: "1", QA_LOG_RETENTION_DAYS: "30" }, store, now: () => now });
+
+  await log.log("radim", { question: "Volejte 777 123 456", path: "faq", status: 200, latency_ms: 12, answer_chars: 40 });
+  // starší záznam smazala retence
+  const [entry, ...rest] = store.read("radim");
+  assert.equal(rest.length, 0);
+  assert.deepEqual(entry, {
+    at: "2026-03-01T10:00:00.000Z",
+    obec: "radim",
+    question: "Volejte [telefon]",
+    path: "faq",
+    status: 200,
+    latency_ms: 12,
+    answer_chars: 40,
+  });
+
+  // chyba store logování nevyhodí
+  const broken = createQaLogger({ env: { QA_LOG: "1" }, store: { append: () => Promise.reject(new Error("disk full")), prune() {} } });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await broken.log("radim", { question: "x" });
+  } finally {
+    console.error = error;
+  }
+});
+
+test("statistiky: objem po dnech, chybovost, cesty, témata, latence", () => {
+  const now = new Date("2026-03-03T12:00:00Z");
+  const e = (at, question, extra = {}) => ({ at, obec: "radim", question, path: "assistants", status: 200, latency_ms: 1000, ...extra });
+  const stats = qaStats(
+    [
+      e("2026-03-01T10:00:00Z", "Kdy je svoz odpadu?", { path: "faq", latency_ms: 10 }),
+      e("2026-03-02T10:00:00Z", "Svoz odpadu v pátek?"),
+      e("2026-03-02T11:00:00Z", "Kdy je svoz odpadu?", { path: "rejected", status: 429, error: "rate_limited" }),
+      e("2026-03-03T10:00:00Z", "Volal [jméno] kvůli odpadu", { status: 500, error: "OpenAI error" }),
+      e("2026-02-01T10:00:00Z", "mimo okno"),
+    ],
+    { days: 3, now }
+  );
+
+  assert.equal(stats.total, 4);
+  assert.equal(stats.errors, 2);
+  assert.equal(stats.errorRate, 0.5);
+  assert.deepEqual(
+    stats.byDay.map((d) => [d.date, d.total, d.errors, d.faq]),
+    [
+      ["2026-03-01", 1, 0, 1],
+      ["2026-03-02", 2, 1, 0],
+      ["2026-03-03", 1, 1, 0],
+    ]
+  );
+  assert.deepEqual(stats.paths, { faq: 1, assistants: 2, rejected: 1 });
+  assert.deepEqual(stats.errorCodes, { rate_limited: 1, "OpenAI error": 1 });
+  assert.deepEqual(stats.latency, { p50: 1000, p95: 1000 });
+  assert.equal(stats.topTopics[0].term, "odpad");
+  assert.equal(stats.topTopics[0].count, 4);
+  assert.ok(!stats.topTopics.some((t) => t.term === "jmeno"));
+});
+
+test("search: loguje dotaz bez osobních údajů, cestu, latenci i odmítnutí", async (t) => {
+  const env = { LLM_PROVIDER: "mock", QA_LOG: "1", QA_LOG_STORE: "memory", SEARCH_MAX_MESSAGE_CHARS: "80" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const ask = (message) =>
+    handler(
+      new Request("http://localhost/api/search", { method: "POST", body: JSON.stringify({ message, obec: "radim" }) }),
+      { ip: "203.0.113.9" }
+    );
+
+  const ok = await ask("Jaké jsou regulativy zástavby? Volejte 777 123 456");
+  assert.equal(ok.status, 200);
+  const { answer } = await ok.json();
+  assert.equal((await ask("x".repeat(81))).status, 413);
+
+  const [first, second] = qaLogStore().read("radim");
+  assert.equal(first.question, "Jaké jsou regulativy zástavby? Volejte [telefon]");
+  assert.equal(first.path, "mock");
+  assert.equal(first.status, 200);
+  assert.equal(first.answer_chars, answer.length);
+  assert.equal(first.stream, false);
+  assert.ok(Number.isFinite(first.latency_ms));
+  assert.equal(second.path, "rejected");
+  assert.equal(second.status, 413);
+  assert.equal(second.error, "message_too_long");
+});
+
+test("admin: bez hesla vypnuto, Basic auth, HTML i JSON statistiky", async (t) => {
+  const { default: handler } = await import("../netlify/functions/admin.mjs");
+  const get = (query = "", password) =>
+    handler(
+      new Request(`http://localhost/admin${query}`, {
+        headers: password === undefined ? {} : { authorization: `Basic ${Buffer.from(`admin:${password}`).toString("base64")}` },
+      }),
+      { ip: "203.0.113.10" }
+    );
+
+  assert.equal((await get()).status, 503);
+
+  const env = { ADMIN_PASSWORD: "tajne-heslo", QA_LOG: "1", QA_LOG_STORE: "memory" };
+  Object.assign(process.env, env);
+  t.after(() => Object.keys(env).forEach((k) => delete process.env[k]));
+
+  const anonymous = await get();
+  assert.equal(anonymous.status, 401);
+  assert.match(anonymous.headers.get("www-authenticate"), /^Basic /);
+  assert.equal((await get("", "spatne")).status, 401);
+
+  await createQaLogger().log("chomutice", { question: "Kdy je svoz <b>odpadu</b>?", path: "faq", status: 200, latency_ms: 5 });
+
+  const json = await get("?obec=chomutice&days=7&format=json", "tajne-heslo");
+  assert.equal(json.status, 200);
+  const body = await json.json();
+  assert.equal(body.days, 7);
+  assert.equal(body.stats.total, 1);
+  assert.equal(body.stats.byDay.length, 7);
+  assert.equal(body.instanceLocal, true);
+
+  const html = await get("?obec=chomutice", "tajne-heslo");
+  assert.equal(html.status, 200);
+  assert.match(html.headers.get("content-type"), /text\/html/);
+  const text = await html.text();
+  assert.match(text, /Statistiky asistenta/);
+  assert.match(text, /&lt;b&gt;odpadu&lt;\/b&gt;/);
+  assert.ok(!text.includes("<b>odpadu"));
+  assert.match(text, /jen v této instanci funkce/);
+
+  assert.equal((await get("?obec=neexistuje", "tajne-heslo")).status, 404);
+});
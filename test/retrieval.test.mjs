@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildIndex, searchIndex } from "../lib/retrieval.mjs";
+
+const BASE = "https://www.obec-radim.cz";
+
+const chunks = [
+  {
+    id: "web-urad-1",
+    source: "Web obce Radim – /urad/",
+    url: `${BASE}/urad/`,
+    text: "Obecní úřad Radim. Úřední hodiny: středa 16:00–19:00. Starosta přijímá občany po domluvě.",
+  },
+  {
+    id: "web-odpady-1",
+    source: "Web obce Radim – /odpady/",
+    url: `${BASE}/odpady/`,
+    text: "Svoz komunálního odpadu probíhá každý sudý čtvrtek. Popelnice přistavte do 6 hodin ráno.",
+  },
+  {
+    id: "pdf-uzemni-plan-1",
+    source: "Dokument (PDF) z webu obce Radim",
+    url: `${BASE}/modules/file_storage/download.php?file=1`,
+    text: "Územní plán obce Radim – textová část. Plochy bydlení, plochy výroby, regulativy zástavby.",
+  },
+  { id: "web-prazdny", source: "", url: `${BASE}/prazdny/`, text: "" },
+];
+
+const index = buildIndex(chunks, { obec: "radim", generatedAt: "2026-01-01T00:00:00.000Z" });
+
+test("index: dokumenty, délky a postings", () => {
+  assert.equal(index.version, 1);
+  assert.equal(index.docs.length, 4);
+  assert.equal(index.docs[3].len, 0);
+  assert.ok(index.postings.hodin.some(([doc]) => doc === 0));
+});
+
+test("dotaz bez diakritiky a v jiném pádě najde správný chunk", () => {
+  const [top] = searchIndex(index, "kdy jsou uredni hodiny na uradu");
+  assert.equal(top.id, "web-urad-1");
+  assert.equal(top.url, `${BASE}/urad/`);
+  assert.ok(top.score > 0);
+  assert.match(top.text, /středa 16:00/);
+});
+
+test("skloňování: „svozu odpadů“ ~ „svoz odpadu“", () => {
+  assert.equal(searchIndex(index, "termíny svozu odpadů")[0].id, "web-odpady-1");
+  assert.equal(searchIndex(index, "územního plánu")[0].id, "pdf-uzemni-plan-1");
+});
+
+test("řazení podle skóre a limit", () => {
+  const results = searchIndex(index, "obecní úřad územní plán odpad", { limit: 2 });
+  assert.equal(results.length, 2);
+  assert.ok(results[0].score >= results[1].score);
+});
+
+test("žádná shoda / prázdný index → []", () => {
+  assert.deepEqual(searchIndex(index, "karneval"), []);
+  assert.deepEqual(searchIndex(index, "a je to"), []);
+  assert.deepEqual(searchIndex(buildIndex([]), "úřad"), []);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { checkLiveSanity } from "../lib/sanity.mjs";
+
+const item = (n, dated = true) => ({
+  title: `Položka ${n}`,
+  date: dated ? "1. 1. 2026" : "",
+  date_iso: dated ? "2026-01-01" : null,
+  url: `https://www.obec-chomutice.cz/aktuality-1/polozka-${n}cs.html`,
+});
+
+function live(sections) {
+  const out = { schema_version: 1, sections: {} };
+  for (const [key, { items, status = items.length ? "ok" : "empty" }] of Object.entries(sections)) {
+    out.sections[key] = { key, status, items };
+  }
+  return out;
+}
+
+const full = live({
+  aktuality: { items: [1, 2, 3, 4].map((n) => item(n)) },
+  rozhlas: { items: [5, 6, 7].map((n) => item(n)) },
+  kalendar: { items: [8, 9, 10].map((n) => item(n, false)) },
+});
+
+test("beze změny → žádné problémy", () => {
+  assert.deepEqual(checkLiveSanity(full, full), []);
+});
+
+test("bez předchozích dat se nic neposuzuje", () => {
+  assert.deepEqual(checkLiveSanity(null, live({ aktuality: { items: [] } })), []);
+});
+
+test("sekce spadla na 0 položek → empty", () => {
+  const current = live({ ...full.sections, aktuality: { items: [] } });
+  const problems = checkLiveSanity(full, current);
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].section, "aktuality");
+  assert.equal(problems[0].code, "empty");
+});
+
+test("malá sekce (pod minPrevious) může legitimně zmizet", () => {
+  const previous = live({ rozhlas: { items: [item(1), item(2)] } });
+  const current = live({ rozhlas: { items: [] } });
+  assert.deepEqual(checkLiveSanity(previous, current), []);
+  assert.equal(checkLiveSanity(previous, current, { minPrevious: 2 }).length, 1);
+});
+
+test("položky bez data publikace → dates-missing (jen sekce s datem)", () => {
+  const current = live({
+    aktuality: { items: [1, 2, 3].map((n) => item(n, false)) },
+    rozhlas: { items: [5, 6, 7].map((n) => item(n)) },
+    kalendar: { items: [8, 9, 10].map((n) => item(n, false)) },
+  });
+  const problems = checkLiveSanity(full, current);
+  assert.deepEqual(
+    problems.map((p) => [p.section, p.code]),
+    [["aktuality", "dates-missing"]]
+  );
+});
+
+test("stale/error sekce drží stará data → neposuzují se", () => {
+  const current = live({
+    aktuality: { items: [], status: "error" },
+    rozhlas: { items: [], status: "stale" },
+  });
+  assert.deepEqual(checkLiveSanity(full, current), []);
+});
@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { buildReport, createFetcher, enrichWithDetails, FetchError, runSection, scrapeListing } from "../lib/scrape.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+const tenant = getTenant("chomutice");
+const BASE = tenant.base;
+const now = () => new Date("2026-01-20T08:00:00Z");
+const quiet = () => {};
+
+// falešná síť: url → funkce vracející Response (nebo vyhazující chybu), počítá volání
+function fakeFetch(routes) {
+  const calls = [];
+  const fetch = async (url) => {
+    calls.push(url);
+    const route = routes[url];
+    if (!route) return new Response("not found", { status: 404 });
+    return route(calls.filter((u) => u === url).length);
+  };
+  return { fetch, calls };
+}
+
+const html = (body) => new Response(`<html><body>${body}</body></html>`, { status: 200 });
+
+test("fetcher: retry jen u přechodných chyb, exponenciální backoff, Retry-After", async () => {
+  const waits = [];
+  const { fetch, calls } = fakeFetch({
+    [`${BASE}/flaky`]: (n) => (n < 3 ? new Response("", { status: 503 }) : html("ok")),
+    [`${BASE}/down`]: () => new Response("", { status: 502 }),
+    [`${BASE}/gone`]: () => new Response("", { status: 410 }),
+    [`${BASE}/slow-down`]: (n) => (n < 2 ? new Response("", { status: 429, headers: { "retry-after": "7" } }) : html("ok")),
+    [`${BASE}/offline`]: () => {
+      throw new TypeError("fetch failed");
+    },
+  });
+  const { fetchHtml } = createFetcher({ fetch, retries: 3, retryBaseMs: 100, sleep: async (ms) => waits.push(ms), random: () => 0, log: quiet });
+
+  assert.match(await fetchHtml(`${BASE}/flaky`), /ok/);
+  assert.equal(calls.length, 3);
+  assert.deepEqual(waits, [100, 200]);
+
+  // 3 retry = 4 pokusy celkem, pak chyba
+  await assert.rejects(fetchHtml(`${BASE}/down`), (e) => e instanceof FetchError && e.status === 502 && e.transient);
+  assert.equal(calls.filter((u) => u.endsWith("/down")).length, 4);
+
+  // 4xx (kromě 408/425/429) se neopakuje
+  await assert.rejects(fetchHtml(`${BASE}/gone`), (e) => e.status === 410 && !e.transient);
+  assert.equal(calls.filter((u) => u.endsWith("/gone")).length, 1);
+
+  waits.length = 0;
+  assert.match(await fetchHtml(`${BASE}/slow-down`), /ok/);
+  assert.deepEqual(waits, [7000]);
+
+  await assert.rejects(fetchHtml(`${BASE}/offline`), /Network error: fetch failed/);
+  assert.equal(calls.filter((u) => u.endsWith("/offline")).length, 4);
+});
+
+test("výpis: stránkování, deduplikace podle URL, konec u příliš starých položek", async () => {
+  const item = (slug, title, date) =>
+    `<div class="event readable_item"><h3 class="title"><a href="/aktuality-1/${slug}cs.html">${title}</a></h3><span class="publication_date">${date}</span></div>`;
+  const paging = (...pages) => `<div class="paging">${pages.map((p) => `<a href="/aktuality-1/?page=${p}">${p}</a>`).join("")}</div>`;
+
+  const { fetch, calls } = fakeFetch({
+    [`${BASE}/aktuality-1/`]: () => new Response(fixture("aktuality.html")),
+    [`${BASE}/aktuality-1/?page=2`]: () =>
+      html(item("pozvanky-meu-horice-840", "Pozvánky MěÚ Hořice", "16. 1. 2026") + item("svoz-801", "Svoz", "10. 11. 2025") + item("stare-700", "Staré", "1. 6. 2025") + paging(3)),
+    [`${BASE}/aktuality-1/?page=3`]: () => html(item("stare-600", "Ještě starší", "1. 5. 2025") + paging(4)),
+  });
+  const { fetchHtml } = createFetcher({ fetch, retries: 0, log: quiet });
+
+  const result = await scrapeListing({ tenant, key: "aktuality", limit: 60, fetchHtml, maxPages: 10, maxAgeDays: 90, now });
+  assert.equal(result.url, `${BASE}/aktuality-1/`);
+  assert.deepEqual(
+    result.items.map((i) => i.title),
+    ["Pozvánky MěÚ Hořice", "Večerní bruslení", "Novoroční ohňostroj", "Svoz"]
+  );
+  // stránka 3 má jen staré položky → stránka 4 se už nestahuje
+  assert.equal(result.pages, 3);
+  assert.ok(!calls.some((u) => u.includes("page=4")));
+
+  const limited = await scrapeListing({ tenant, key: "aktuality", limit: 60, fetchHtml, maxPages: 1, maxAgeDays: 0, now });
+  assert.equal(limited.pages, 1);
+  assert.equal(limited.items.length, 3);
+  assert.equal(limited.found, 4);
+
+  const capped = await scrapeListing({ tenant, key: "aktuality", limit: 2, fetchHtml, now });
+  assert.equal(capped.items.length, 2);
+  assert.equal(capped.pages, 1);
+});
+
+test("sekce: chyba → poslední dobrá data jako stale, bez nich error; report běhu", async () => {
+  const previous = {
+    generated_at: "2026-01-19T20:00:00.000Z",
+    sections: {
+      aktuality: {
+        url: `${BASE}/aktuality-1/`,
+        pages: 2,
+        last_ok_at: "2026-01-18T08:00:00.000Z",
+        items: [{ title: "Stará zpráva", date: "10. 1. 2026", perex: "p", url: `${BASE}/a`, text: "t", attachments: [], event: null }],
+      },
+      notices: { url: `${BASE}/`, items: [{ text: "Úřad zavřen" }] },
+    },
+  };
+  const fail = () => Promise.reject(new FetchError("Fetch failed 503", { status: 503, transient: true }));
+  const opts = { tenant, previous, startedAt: now(), now, log: quiet };
+
+  const stale = await runSection("aktuality", fail, opts);
+  assert.equal(stale.status, "stale");
+  assert.equal(stale.error, "Fetch failed 503");
+  assert.equal(stale.lastOkAt, "2026-01-18T08:00:00.000Z");
+  assert.equal(stale.staleAgeHours, 48);
+  assert.equal(stale.pages, 2);
+  assert.deepEqual(stale.items, [{ title: "Stará zpráva", date: "10. 1. 2026", perex: "p", url: `${BASE}/a`, text: "t", attachments: [] }]);
+
+  // bez last_ok_at se stáří počítá od generated_at předchozího běhu
+  const notices = await runSection("notices", fail, opts);
+  assert.equal(notices.status, "stale");
+  assert.deepEqual(notices.items, ["Úřad zavřen"]);
+  assert.equal(notices.staleAgeHours, 12);
+
+  const error = await runSection("rozhlas", fail, opts);
+  assert.deepEqual([error.status, error.url, error.items], ["error", `${BASE}/hlaseni-rozhlasu/`, []]);
+
+  const ok = await runSection("kalendar", async () => ({ url: `${BASE}/kalendar-akci/`, items: [{ title: "x" }], pages: 1 }), opts);
+  assert.equal(ok.status, "ok");
+  const empty = await runSection("kalendar", async () => ({ url: `${BASE}/kalendar-akci/`, items: [], pages: 1 }), opts);
+  assert.equal(empty.status, "empty");
+
+  const report = buildReport({
+    tenant,
+    startedAt: now(),
+    finishedAt: new Date("2026-01-20T08:00:05Z"),
+    sections: { notices, aktuality: stale, rozhlas: error, kalendar: ok },
+    files: { txt: "a.txt", json: "a.json" },
+  });
+  assert.equal(report.obec, "chomutice");
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.failed, ["notices", "aktuality", "rozhlas"]);
+  assert.equal(report.duration_ms, 5000);
+  assert.deepEqual(report.sections.aktuality, {
+    status: "stale",
+    items: 1,
+    pages: 2,
+    duration_ms: 0,
+    error: "Fetch failed 503",
+    last_ok_at: "2026-01-18T08:00:00.000Z",
+    stale_age_hours: 48,
+  });
+  assert.deepEqual(report.sanity, { ok: true, problems: [] });
+});
+
+test("detaily: cache podle URL a otisku položky, chyba detailu položku nezahodí", async () => {
+  const store = { data: {} };
+  const cache = { load: () => structuredClone(store.data), save: (c) => (store.data = c) };
+  const { fetch, calls } = fakeFetch({
+    [`${BASE}/aktuality-1/a`]: () => new Response(fixture("detail.html")),
+    [`${BASE}/aktuality-1/b`]: () => html("<p>Krátký text detailu b, který je delší než padesát znaků, aby se vzal.</p>"),
+  });
+  const { fetchHtml } = createFetcher({ fetch, retries: 0, log: quiet });
+  const run = (lists, keep) => enrichWithDetails(lists, { fetchHtml, base: BASE, cache, keep, now, log: quiet });
+  const list = (...items) => ({ items: items.map((i) => ({ ...i })) });
+
+  const a = { title: "A", date: "1. 1. 2026", perex: "pa", url: `${BASE}/aktuality-1/a` };
+  const b = { title: "B", date: "2. 1. 2026", perex: "pb", url: `${BASE}/aktuality-1/b` };
+  const missing = { title: "C", date: "3. 1. 2026", perex: "pc", url: `${BASE}/aktuality-1/c` };
+
+  const first = list(a, b, missing);
+  assert.deepEqual(await run([first]), { items: 3, fetched: 2 });
+  assert.equal(calls.length, 3);
+  assert.ok(first.items[0].text.length > 0);
+  assert.match(first.items[1].text, /detailu b/);
+  assert.equal(first.items[2].text, undefined);
+  assert.deepEqual(Object.keys(store.data).sort(), [a.url, b.url]);
+  assert.equal(store.data[a.url].fetched_at, "2026-01-20T08:00:00.000Z");
+
+  // beze změny výpisu → vše z cache, nic se nestahuje
+  const second = list(a, b);
+  assert.deepEqual(await run([second]), { items: 2, fetched: 0 });
+  assert.equal(calls.length, 3);
+  assert.equal(second.items[0].text, first.items[0].text);
+
+  // změněný perex = nový otisk → detail znovu; sekce mimo běh (keep) si cache nechá, ostatní vypadnou
+  const changed = list({ ...b, perex: "upraveno" });
+  assert.deepEqual(await run([changed], [list(a)]), { items: 1, fetched: 1 });
+  assert.deepEqual(calls.slice(3), [b.url]);
+  assert.deepEqual(Object.keys(store.data).sort(), [a.url, b.url]);
+  assert.equal(store.data[b.url].fingerprint, "B|2. 1. 2026|upraveno");
+
+  await run([list(b)]);
+  assert.deepEqual(Object.keys(store.data), [b.url]);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { DEFAULT_SKIN, loadSkinManifest, resolveSkin, skinSchema, validateSchema } from "../lib/skin.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const fixtures = path.join(here, "fixtures");
+
+test("všechny skins/*/skin.json odpovídají schématu", () => {
+  const skins = fs.readdirSync(path.join(here, "..", "skins"));
+  assert.ok(skins.length >= 2);
+  for (const skin of skins) {
+    const { manifest, errors } = loadSkinManifest(skin);
+    assert.deepEqual(errors, [], skin);
+    assert.ok(Object.keys(manifest).length, `${skin}: chybí skin.json`);
+  }
+});
+
+test("výchozí skin sám projde schématem", () => {
+  assert.deepEqual(validateSchema(skinSchema(), DEFAULT_SKIN), []);
+});
+
+test("skin obce: {obec} v textech, obrázky jako URL, chybějící pole z výchozích hodnot", () => {
+  const theme = resolveSkin({ slug: "radim", name: "Radim", skin: "radim", disclaimer: "Ověřte si na webu obce {obec}." });
+
+  assert.equal(theme.title, "Asistent obce Radim");
+  assert.equal(theme.colors.brand, "#14532d");
+  assert.equal(theme.colors.text, DEFAULT_SKIN.colors.text);
+  assert.deepEqual(theme.assets, { background: "/skins/radim/bg.jpg", logo: "/skins/radim/erb.png" });
+  assert.equal(theme.disclaimer, "Ověřte si na webu obce Radim.");
+  assert.equal(theme.placeholder, DEFAULT_SKIN.placeholder);
+  assert.ok(theme.quickQuestions.every((q) => !q.question.includes("{obec}")));
+});
+
+test("neplatná pole se zahodí, chybějící obrázek → null, bez skin.json výchozí vzhled", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { errors } = loadSkinManifest("broken", { root: fixtures });
+  assert.deepEqual(errors.map((e) => e.path).sort(), ["/assets/logo", "/colors/brand", "/extra"]);
+
+  const theme = resolveSkin({ slug: "broken", name: "Lhota", skin: "broken", disclaimer: "" }, { root: fixtures });
+  assert.equal(theme.title, "Obec Lhota radí");
+  assert.equal(theme.greeting, "Vítejte v obci Lhota!");
+  assert.deepEqual(theme.colors, DEFAULT_SKIN.colors);
+  // assets celé neplatné → výchozí názvy, které ve složce skinu nejsou
+  assert.deepEqual(theme.assets, { background: null, logo: null });
+  assert.deepEqual(theme.quickQuestions, [{ label: "Odpady", question: "Kdy se v obci Lhota vyváží popelnice?" }]);
+
+  const none = resolveSkin({ slug: "nic", name: "Nic", skin: "nic", disclaimer: "D" }, { root: fixtures });
+  assert.equal(none.greeting, "Ahoj! Zeptej se mě na cokoliv ohledně obce Nic.");
+  assert.equal(none.disclaimer, "D");
+});
+
+test("rozbitý JSON nerozbije načtení", () => {
+  const { manifest, errors } = loadSkinManifest("broken-json", { root: fixtures });
+  assert.deepEqual(manifest, {});
+  assert.match(errors[0].message, /není platný JSON/);
+});
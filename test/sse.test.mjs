@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseSSE, sseEvent } from "../lib/sse.mjs";
+
+async function collect(chunks) {
+  const out = [];
+  for await (const ev of parseSSE(chunks)) out.push(ev);
+  return out;
+}
+
+test("sseEvent + parseSSE: tam a zpět", async () => {
+  const data = { text: "Úřad má otevřeno\nve středu." };
+  const events = await collect([sseEvent("delta", data), sseEvent("done", { ok: true })]);
+
+  assert.deepEqual(events.map((e) => e.event), ["delta", "done"]);
+  assert.deepEqual(JSON.parse(events[0].data), data);
+});
+
+test("parseSSE: události rozdělené mezi chunky (i uprostřed UTF-8 znaku), CRLF, komentáře", async () => {
+  const bytes = new TextEncoder().encode(
+    ': ping\r\n\r\nevent: thread.message.delta\r\ndata: {"v":"příliš"}\r\n\r\ndata: a\ndata: b\n\ndata: [DONE]'
+  );
+  // po 3 bajtech → "ř" a "í" se rozdělí
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 3) chunks.push(bytes.slice(i, i + 3));
+
+  assert.deepEqual(await collect(chunks), [
+    { event: "thread.message.delta", data: '{"v":"příliš"}' },
+    { event: "message", data: "a\nb" },
+    { event: "message", data: "[DONE]" },
+  ]);
+});
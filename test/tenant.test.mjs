@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getTenant, resolveTenantFromRequest, resolveTenantSlug, tenantSlugForHost } from "../lib/tenant.mjs";
+
+test("hostname → obec jen přesnou shodou, ne podle podřetězce", () => {
+  assert.equal(tenantSlugForHost("www.obec-radim.cz"), "radim");
+  assert.equal(tenantSlugForHost("OBEC-RADIM.CZ:443"), "radim");
+  assert.equal(tenantSlugForHost("obec-chomutice.cz."), "chomutice");
+
+  // dřív by "radim" v hostname stačilo
+  assert.equal(tenantSlugForHost("radim.netlify.app"), null);
+  assert.equal(tenantSlugForHost("neradim-asistent.example.cz"), null);
+  assert.equal(tenantSlugForHost("www.obec-radim.cz.evil.example"), null);
+  assert.equal(tenantSlugForHost(""), null);
+});
+
+test("rozlišení obce: ?obec= > body.obec > Host, neznámý parametr → null, jinak výchozí obec", () => {
+  assert.equal(resolveTenantSlug({ obec: "Radim" }), "radim");
+  assert.equal(resolveTenantSlug({ obec: "neexistuje" }), null);
+  assert.equal(resolveTenantSlug({ host: "radim.netlify.app" }), "chomutice");
+
+  const req = (url, headers = {}) => new Request(url, { headers });
+  assert.equal(resolveTenantFromRequest(req("http://localhost/api/search?obec=radim")).slug, "radim");
+  assert.equal(resolveTenantFromRequest(req("http://localhost/api/search"), { obec: "radim" }).slug, "radim");
+  assert.equal(resolveTenantFromRequest(req("http://localhost/api/search", { "x-forwarded-host": "www.obec-radim.cz" })).slug, "radim");
+  assert.equal(resolveTenantFromRequest(req("http://localhost/api/search?obec=nic")), null);
+});
+
+test("výchozí konfigurace: FAQ jen když je v configu", () => {
+  assert.equal(getTenant("chomutice").kb.faq, null);
+  assert.equal(getTenant("radim").kb.faq, "kb/kb.json");
+  assert.deepEqual(getTenant("chomutice").kb.startPaths, ["/"]);
+  assert.throws(() => getTenant("nic"), /Unknown obec/);
+});
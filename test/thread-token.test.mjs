@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { signThread, verifyThread, verifyThreadToken } from "../lib/thread-token.mjs";
+
+const env = { THREAD_TOKEN_SECRET: "test-secret" };
+const now = Date.parse("2026-03-01T10:00:00Z");
+
+test("podepsaný token vrátí thread jen pro stejnou obec", () => {
+  const token = signThread("thread_abc", "radim", { env, now });
+
+  assert.equal(verifyThread(token, "radim", { env, now }), "thread_abc");
+  assert.equal(verifyThread(token, "chomutice", { env, now }), null);
+});
+
+test("upravený token, cizí klíč nebo holé thread_id neprojde", () => {
+  const token = signThread("thread_abc", "radim", { env, now });
+  const [v, , sig] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ t: "thread_cizi", o: "radim", iat: now / 1000 })).toString("base64url");
+
+  assert.equal(verifyThread(`${v}.${forged}.${sig}`, "radim", { env, now }), null);
+  assert.equal(verifyThread(token, "radim", { env: { THREAD_TOKEN_SECRET: "jiny" }, now }), null);
+  assert.equal(verifyThread("thread_abc", "radim", { env, now }), null);
+  assert.equal(verifyThread(undefined, "radim", { env, now }), null);
+});
+
+test("token vyprší po THREAD_TOKEN_TTL_HOURS", () => {
+  const token = signThread("thread_abc", "radim", { env, now });
+  const hour = 3600_000;
+
+  assert.equal(verifyThread(token, "radim", { env, now: now + 23 * hour }), "thread_abc");
+  assert.equal(verifyThread(token, "radim", { env, now: now + 25 * hour }), null);
+  assert.equal(verifyThread(token, "radim", { env: { ...env, THREAD_TOKEN_TTL_HOURS: "1" }, now: now + 2 * hour }), null);
+});
+
+test("bez klíče se token nevydá; klíč lze odvodit z OPENAI_API_KEY", () => {
+  assert.equal(signThread("thread_abc", "radim", { env: {}, now }), null);
+
+  const keyEnv = { OPENAI_API_KEY: "sk-test" };
+  const token = signThread("thread_abc", "radim", { env: keyEnv, now });
+  assert.equal(verifyThread(token, "radim", { env: keyEnv, now }), "thread_abc");
+  assert.equal(verifyThread(token, "radim", { env, now }), null);
+});
+
+test("search: další dotaz pokračuje v threadu z tokenu, podvržené thread_id se ignoruje", async (t) => {
+  process.env.LLM_PROVIDER = "mock";
+  process.env.THREAD_TOKEN_SECRET = "test-secret";
+  t.after(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.THREAD_TOKEN_SECRET;
+  });
+
+  const { default: handler } = await import("../netlify/functions/search.mjs");
+  const ask = async (extra) => {
+    const res = await handler(
+      new Request("http://localhost/api/search", {
+        method: "POST",
+        body: JSON.stringify({ obec: "radim", message: "Jaké jsou regulativy zástavby v plochách výroby?", ...extra }),
+      })
+    );
+    return res.json();
+  };
+
+  const first = await ask();
+  assert.match(first.thread_id, /^mock_/);
+  assert.ok(first.thread_token);
+
+  const second = await ask({ message: "A kdy je to příště?", thread_token: first.thread_token });
+  assert.equal(second.thread_id, first.thread_id);
+  assert.equal(second.thread_reset, undefined);
+
+  const forged = await ask({ message: "A kdy je to příště?", thread_id: "thread_cizi" });
+  assert.notEqual(forged.thread_id, "thread_cizi");
+
+  const invalid = await ask({ message: "A kdy je to příště?", thread_token: "v1.xxx.yyy" });
+  assert.equal(invalid.thread_reset, true);
+  assert.notEqual(invalid.thread_id, first.thread_id);
+});
+
+test("token nese počet kol konverzace", () => {
+  const token = signThread("thread_abc", "radim", { env, now, turns: 3 });
+
+  assert.deepEqual(verifyThreadToken(token, "radim", { env, now }), { threadId: "thread_abc", turns: 3 });
+  assert.equal(verifyThreadToken(signThread("thread_abc", "radim", { env, now }), "radim", { env, now }).turns, 0);
+});
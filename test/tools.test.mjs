@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getTenant } from "../lib/tenant.mjs";
+import { MAX_NOTICES, MAX_TEXT_CHARS, TOOLS, runToolCall, toolDefinitions, validateArgs } from "../lib/tools.mjs";
+
+const BASE = "https://www.obec-chomutice.cz";
+const now = new Date("2026-10-19T10:00:00+02:00");
+
+const live = {
+  generated_at: "2026-10-19T07:00:00.000Z",
+  sections: {
+    notices: { url: `${BASE}/`, status: "ok", last_ok_at: "2026-10-19T07:00:00.000Z", items: [{ text: "Obecní úřad bude 23. 10. uzavřen." }] },
+    aktuality: {
+      url: `${BASE}/aktuality-1/`,
+      items: [{ title: "Drakiáda", date: "10. 10. 2026", perex: "neděle 25. října od 14 hodin na kopci", url: `${BASE}/aktuality-1/drakiada-1cs.html`, event: { start: "2026-10-25T14:00", end: null } }],
+    },
+    rozhlas: {
+      url: `${BASE}/hlaseni-rozhlasu/`,
+      status: "ok",
+      items: [
+        { title: "Svoz nebezpečného odpadu", date: "16. 10. 2026", date_iso: "2026-10-16", text: "V sobotu od 9 hodin u hasičárny.", url: `${BASE}/hlaseni-rozhlasu/svoz-9cs.html` },
+        { title: "Odečty vodoměrů", date: "18. 10. 2026", date_iso: "2026-10-18", perex: "Odečty proběhnou v pondělí.", url: `${BASE}/hlaseni-rozhlasu/odecty-10cs.html` },
+        { title: "Prodej slepic", date: "18. 10. 2026", date_iso: "2026-10-18", text: "Prodej slepic v úterý.", url: `${BASE}/hlaseni-rozhlasu/slepice-11cs.html` },
+      ],
+    },
+    kalendar: {
+      url: `${BASE}/kalendar-akci/`,
+      status: "ok",
+      items: [
+        { title: "Posvícení", url: `${BASE}/kalendar-akci/posviceni-1cs.html`, perex: "sobota 3. října 2026", event: { start: "2026-10-03", end: null } },
+        { title: "Lampionový průvod", url: `${BASE}/kalendar-akci/pruvod-2cs.html`, perex: "pátek 30. října 2026 od 17:30", event: { start: "2026-10-30T17:30", end: null } },
+      ],
+    },
+  },
+};
+
+const ctx = { tenant: getTenant("radim"), now, live };
+const call = async (name, args) => JSON.parse(await runToolCall({ name, arguments: JSON.stringify(args) }, ctx));
+
+test("toolDefinitions: function tools s JSON Schema parametrů", () => {
+  const defs = toolDefinitions();
+  assert.deepEqual(
+    defs.map((d) => d.function.name),
+    ["get_upcoming_events", "get_latest_broadcasts", "get_office_notices", "get_contacts"]
+  );
+  for (const d of defs) {
+    assert.equal(d.type, "function");
+    assert.equal(d.function.parameters.type, "object");
+  }
+});
+
+test("get_latest_broadcasts: nejnovější první, filtr na den ('co hlásil rozhlas včera')", async () => {
+  const all = await call("get_latest_broadcasts", { n: 2 });
+  assert.deepEqual(all.broadcasts.map((b) => b.title), ["Odečty vodoměrů", "Prodej slepic"]);
+  assert.equal(all.broadcasts[0].text, "Odečty proběhnou v pondělí.");
+
+  const day = await call("get_latest_broadcasts", { date: "2026-10-16" });
+  assert.equal(day.count, 1);
+  assert.equal(day.broadcasts[0].url, `${BASE}/hlaseni-rozhlasu/svoz-9cs.html`);
+  assert.equal(day.url, `${BASE}/hlaseni-rozhlasu/`);
+});
+
+test("get_upcoming_events: bez from od dneška, období from–to", async () => {
+  const upcoming = await call("get_upcoming_events", {});
+  assert.deepEqual(upcoming.events.map((e) => e.title), ["Drakiáda", "Lampionový průvod"]);
+  assert.equal(upcoming.events[1].start, "2026-10-30T17:30");
+  assert.ok(upcoming.events[1].when);
+
+  const october = await call("get_upcoming_events", { from: "2026-10-01", to: "2026-10-10" });
+  assert.deepEqual(october.events.map((e) => e.title), ["Posvícení"]);
+});
+
+test("get_office_notices / get_contacts", async () => {
+  assert.deepEqual((await call("get_office_notices", {})).notices, ["Obecní úřad bude 23. 10. uzavřen."]);
+
+  const contacts = await call("get_contacts", {});
+  assert.equal(contacts.web, "https://www.obec-radim.cz");
+  assert.ok(contacts.contacts.some((c) => /szfj9sk/.test(c.text)));
+});
+
+test("validateArgs: typy, rozsahy, formát, neznámé argumenty; null = nezadáno", () => {
+  const schema = TOOLS.get_upcoming_events.parameters;
+  assert.deepEqual(validateArgs(schema, { from: "2026-10-01", to: null }), { from: "2026-10-01" });
+  assert.throws(() => validateArgs(schema, { from: "1. 10. 2026" }), /neplatný formát/);
+  assert.throws(() => validateArgs(schema, { limit: 50 }), /maximum 20/);
+  assert.throws(() => validateArgs(schema, { limit: "5" }), /celé číslo/);
+  assert.throws(() => validateArgs(schema, { sql: "drop" }), /neznámý argument/);
+  assert.throws(() => validateArgs(schema, []), /objekt/);
+});
+
+test("runToolCall: chyby jdou modelu jako { error }, ne výjimkou", async () => {
+  assert.match((await call("get_upcoming_events", { from: "2026-10-10", to: "2026-10-01" })).error, /from/);
+  assert.match((await call("smaz_vsechno", {})).error, /neznámý nástroj/);
+  assert.match(JSON.parse(await runToolCall({ name: "get_contacts", arguments: "{nejson" }, ctx)).error, /JSON/);
+  assert.match(JSON.parse(await runToolCall({ name: "get_office_notices", arguments: "" }, { ...ctx, live: null })).error, /LIVE data/);
+});
+
+test("runToolCall: výstup omezený počtem položek a délkou textů", async () => {
+  const long = "slovo ".repeat(1000);
+  const big = {
+    ...live,
+    sections: {
+      ...live.sections,
+      notices: { items: Array.from({ length: 50 }, () => ({ text: long })) },
+      rozhlas: { items: [{ title: "Dlouhé hlášení", date_iso: "2026-10-18", text: long, url: `${BASE}/hlaseni-rozhlasu/dlouhe-12cs.html` }] },
+    },
+  };
+  const run = async (name) => JSON.parse(await runToolCall({ name, arguments: "{}" }, { ...ctx, live: big }));
+
+  const { notices } = await run("get_office_notices");
+  assert.equal(notices.length, MAX_NOTICES);
+  assert.equal(notices[0].length, MAX_TEXT_CHARS);
+  assert.ok(notices[0].endsWith("…"));
+
+  const { broadcasts } = await run("get_latest_broadcasts");
+  assert.equal(broadcasts[0].text.length, MAX_TEXT_CHARS);
+});